@@ -0,0 +1,159 @@
+import db from "./db.server";
+
+const MUTATION_PATTERN = /^\s*(?:#graphql\s+)?mutation\s+(\w+)/;
+
+function userErrorsOf(body) {
+  return Object.values(body?.data || {}).flatMap(
+    (result) => result?.userErrors || [],
+  );
+}
+
+async function recordEntries({ shop, actor }, entries, { status, error }) {
+  await db.auditLog.createMany({
+    data: entries.map((entry) => ({
+      shop,
+      userId: actor.userId,
+      userName: actor.name || null,
+      userEmail: actor.email || null,
+      action: entry.action,
+      productId: entry.productId || null,
+      targetId: entry.targetId || null,
+      targetTitle: entry.targetTitle || null,
+      before: entry.before ?? undefined,
+      after: entry.after ?? undefined,
+      status,
+      error,
+    })),
+  });
+}
+
+/**
+ * Wraps an admin API client so every mutation sent through it is written to
+ * the audit log under the signed-in staff member, whether it succeeds or
+ * not. Callers describe the change with an `audit` option next to
+ * `variables`: one entry or a list of { action, productId, targetId,
+ * targetTitle, before, after }. Mutations without one are logged with their
+ * variables, and `audit: false` skips read-only mutations such as bulk
+ * queries.
+ */
+export function auditedAdmin(admin, { shop, actor }) {
+  const graphql = async (query, options = {}) => {
+    const { audit, ...graphqlOptions } = options;
+    const mutation = query.match(MUTATION_PATTERN);
+    if (!mutation || audit === false) {
+      return admin.graphql(query, graphqlOptions);
+    }
+
+    const entries = audit
+      ? [audit].flat()
+      : [{ action: mutation[1], after: graphqlOptions.variables || null }];
+
+    let response;
+    try {
+      response = await admin.graphql(query, graphqlOptions);
+    } catch (error) {
+      await recordEntries({ shop, actor }, entries, {
+        status: "failed",
+        error: error.message,
+      });
+      throw error;
+    }
+
+    const userErrors = userErrorsOf(await response.clone().json());
+    await recordEntries({ shop, actor }, entries, {
+      status: userErrors.length > 0 ? "failed" : "applied",
+      error: userErrors.map((error) => error.message).join(", ") || null,
+    });
+
+    return response;
+  };
+
+  return { ...admin, graphql };
+}
+
+const AUDIT_PAGE_SIZE = 50;
+
+function auditWhere(shop, { userId, from, to, product }) {
+  const where = { shop };
+  if (userId) where.userId = userId;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lt = to;
+  }
+  if (product) {
+    where.OR = [
+      { productId: product },
+      { targetTitle: { contains: product, mode: "insensitive" } },
+    ];
+  }
+  return where;
+}
+
+function serializeEntry(entry) {
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt.toISOString(),
+    userId: entry.userId,
+    userName: entry.userName,
+    userEmail: entry.userEmail,
+    action: entry.action,
+    productId: entry.productId,
+    targetId: entry.targetId,
+    targetTitle: entry.targetTitle,
+    before: entry.before,
+    after: entry.after,
+    status: entry.status,
+    error: entry.error,
+  };
+}
+
+/**
+ * One page of audit entries, newest first. Filters: `userId`, `from` and
+ * `to` dates (to is exclusive) and `product`, a product ID or part of the
+ * target's title.
+ */
+export async function getAuditEntries(shop, filters = {}, { page = 1 } = {}) {
+  const where = auditWhere(shop, filters);
+  const [entries, total] = await Promise.all([
+    db.auditLog.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * AUDIT_PAGE_SIZE,
+      take: AUDIT_PAGE_SIZE,
+    }),
+    db.auditLog.count({ where }),
+  ]);
+
+  return {
+    entries: entries.map(serializeEntry),
+    page,
+    hasNextPage: page * AUDIT_PAGE_SIZE < total,
+    total,
+  };
+}
+
+// Every matching entry, newest first, for the export
+export async function getAllAuditEntries(shop, filters = {}) {
+  const entries = await db.auditLog.findMany({
+    where: auditWhere(shop, filters),
+    orderBy: { createdAt: "desc" },
+  });
+
+  return entries.map(serializeEntry);
+}
+
+// Staff who appear in the log, for the user filter
+export async function getAuditUsers(shop) {
+  const users = await db.auditLog.findMany({
+    where: { shop, userId: { not: null } },
+    distinct: ["userId"],
+    orderBy: [{ userId: "asc" }, { createdAt: "desc" }],
+    select: { userId: true, userName: true, userEmail: true },
+  });
+
+  return users.map((user) => ({
+    userId: user.userId,
+    label: user.userName || user.userEmail || `User ${user.userId}`,
+  }));
+}
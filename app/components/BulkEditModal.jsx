@@ -0,0 +1,132 @@
+import { useEffect, useState } from "react";
+import { useFetcher } from "react-router";
+import { Modal, BlockStack, Select, TextField, Text } from "@shopify/polaris";
+import {
+  PRODUCT_STATUSES,
+  findBulkAction,
+  validateBulkEdit,
+} from "../utils/bulkEdit";
+import { useI18n } from "./I18nProvider";
+
+/**
+ * Asks for the value a bulk action needs (tags, a status or a collection)
+ * and starts it as a background job. `onStarted` gets the job ID.
+ */
+export function BulkEditModal({
+  action,
+  productIds,
+  collectionId,
+  collections,
+  onClose,
+  onStarted,
+}) {
+  const { t } = useI18n();
+  const fetcher = useFetcher();
+  const bulkAction = findBulkAction(action);
+  const [tags, setTags] = useState("");
+  const [status, setStatus] = useState(PRODUCT_STATUSES[0].value);
+  const [targetId, setTargetId] = useState("");
+  const [clientErrors, setClientErrors] = useState({});
+
+  const starting = fetcher.state !== "idle";
+  const errors = { ...fetcher.data?.errors, ...clientErrors };
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.jobId) {
+      onStarted(fetcher.data.jobId);
+    }
+  }, [fetcher.state, fetcher.data, onStarted]);
+
+  // Removing can target this collection; adding to it or moving into it cannot
+  const collectionOptions = collections
+    .filter(
+      (collection) =>
+        action === "removeFromCollection" || collection.id !== collectionId,
+    )
+    .map((collection) => ({ label: collection.title, value: collection.id }));
+
+  const handleStart = () => {
+    const edit = {
+      action,
+      productIds,
+      tags,
+      status,
+      collectionId: targetId,
+    };
+    const found = validateBulkEdit(edit, collectionId);
+    setClientErrors(found);
+    if (Object.keys(found).length > 0) return;
+
+    fetcher.submit(
+      { intent: "bulkEdit", edit: JSON.stringify(edit) },
+      { method: "post" },
+    );
+  };
+
+  return (
+    <Modal
+      open
+      onClose={onClose}
+      title={t("bulkEdit.title", {
+        action: t(`bulkEdit.action.${bulkAction.key}`),
+        count: productIds.length,
+      })}
+      primaryAction={{
+        content: t("bulkEdit.apply"),
+        onAction: handleStart,
+        loading: starting,
+      }}
+      secondaryActions={[{ content: t("common.cancel"), onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="400">
+          {bulkAction.input === "tags" && (
+            <TextField
+              label={t("bulkEdit.tags")}
+              autoComplete="off"
+              helpText={t("bulkEdit.tagsHelp")}
+              value={tags}
+              error={errors.tags && t(errors.tags)}
+              onChange={setTags}
+            />
+          )}
+          {bulkAction.input === "status" && (
+            <Select
+              label={t("column.status")}
+              options={PRODUCT_STATUSES.map(({ value }) => ({
+                label: t(`productStatus.${value}`),
+                value,
+              }))}
+              value={status}
+              error={errors.status && t(errors.status)}
+              onChange={setStatus}
+            />
+          )}
+          {bulkAction.input === "collection" && (
+            <Select
+              label={t("bulkEdit.collection")}
+              placeholder={t("bulkEdit.chooseCollection")}
+              options={collectionOptions}
+              value={targetId}
+              error={errors.collectionId && t(errors.collectionId)}
+              onChange={setTargetId}
+            />
+          )}
+          {action === "moveToCollection" && (
+            <Text as="p" tone="subdued">
+              {t("bulkEdit.moveHelp")}
+            </Text>
+          )}
+          {errors.productIds && (
+            <Text as="p" tone="critical">
+              {t(errors.productIds)}
+            </Text>
+          )}
+          <Text as="p" tone="subdued">
+            {t("bulkEdit.help")}
+          </Text>
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,80 @@
+import { useEffect, useRef } from "react";
+import { useFetcher, useRevalidator } from "react-router";
+import { Banner, BlockStack, Button, InlineStack, Text } from "@shopify/polaris";
+import { useI18n } from "./I18nProvider";
+
+const POLL_INTERVAL_MS = 5000;
+
+function timeAgo(dateString, { t, date }) {
+  const minutes = Math.round((Date.now() - new Date(dateString)) / 60000);
+  if (minutes < 1) return t("sync.justNow");
+  if (minutes < 60) return t("sync.minutesAgo", { count: minutes });
+  if (minutes < 24 * 60) {
+    return t("sync.hoursAgo", { count: Math.round(minutes / 60) });
+  }
+  return date(dateString, "short");
+}
+
+/**
+ * When the catalog mirror was last synced, with a button to resync it. The
+ * first sync starts on its own when the shop has never been synced.
+ */
+export function CatalogSyncBar({ sync }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const started = useRef(false);
+  const syncing = fetcher.state !== "idle" || sync?.status === "running";
+
+  useEffect(() => {
+    if (sync || started.current) return;
+
+    started.current = true;
+    fetcher.submit({}, { method: "post", action: "/app/catalog/sync" });
+  }, [sync, fetcher]);
+
+  // A sync started from another page or tab shows up once it finishes
+  useEffect(() => {
+    if (sync?.status !== "running" || fetcher.state !== "idle") return;
+
+    const timer = setTimeout(() => revalidator.revalidate(), POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [sync, fetcher.state, revalidator]);
+
+  const error = fetcher.data?.error || (sync?.status === "failed" && sync.error);
+  const salesError = sync?.salesStatus === "failed" && sync.salesError;
+
+  return (
+    <BlockStack gap="200">
+      {error && !syncing && (
+        <Banner tone="critical" title={t("sync.failed")}>
+          <p>{error}</p>
+        </Banner>
+      )}
+      {salesError && !error && !syncing && (
+        <Banner tone="warning" title={t("sync.salesFailed")}>
+          <p>{salesError}</p>
+        </Banner>
+      )}
+      <InlineStack gap="300" align="end" blockAlign="center">
+        <Text as="span" variant="bodySm" tone="subdued">
+          {syncing && t("sync.syncing")}
+          {!syncing &&
+            (sync?.lastSyncedAt
+              ? t("sync.synced", { time: timeAgo(sync.lastSyncedAt, i18n) })
+              : t("sync.notSynced"))}
+        </Text>
+        <Button
+          size="slim"
+          loading={syncing}
+          onClick={() =>
+            fetcher.submit({}, { method: "post", action: "/app/catalog/sync" })
+          }
+        >
+          {t("sync.resync")}
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
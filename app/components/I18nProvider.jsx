@@ -0,0 +1,28 @@
+import { createContext, useContext, useMemo } from "react";
+import { createFormatter } from "../utils/i18n";
+
+const I18nContext = createContext(createFormatter());
+
+// Provides the staff member's language and weight display and the shop's
+// currency to the pages
+export function I18nProvider({
+  language,
+  currencyCode,
+  weightDisplay,
+  children,
+}) {
+  const formatter = useMemo(
+    () => createFormatter({ language, currencyCode, weightDisplay }),
+    [language, currencyCode, weightDisplay],
+  );
+
+  return (
+    <I18nContext.Provider value={formatter}>{children}</I18nContext.Provider>
+  );
+}
+
+// { t, message, money, number, shortNumber, grams, weight, date, language, currencyCode,
+// currencySymbol, weightDisplay }
+export function useI18n() {
+  return useContext(I18nContext);
+}
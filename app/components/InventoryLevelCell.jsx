@@ -0,0 +1,137 @@
+import { useEffect, useState } from "react";
+import { useFetcher } from "react-router";
+import {
+  BlockStack,
+  Box,
+  Button,
+  InlineStack,
+  Popover,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import {
+  ADJUSTMENT_MODES,
+  ADJUSTMENT_REASONS,
+  adjustedQuantity,
+} from "../utils/inventory";
+import { useI18n } from "./I18nProvider";
+
+const EMPTY_FORM = { mode: "adjust", quantity: "", reason: "", note: "" };
+
+/**
+ * Available quantity of one variant at one location, with a popover to
+ * adjust or set it. The new quantity is shown as soon as the change is sent.
+ */
+export function InventoryLevelCell({ inventoryItemId, locationId, quantity }) {
+  const { t } = useI18n();
+  const fetcher = useFetcher();
+  const [active, setActive] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const saving = fetcher.state !== "idle";
+  const errors = fetcher.data?.errors || {};
+  const userErrors = fetcher.data?.userErrors || [];
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.adjusted) {
+      setActive(false);
+      setForm(EMPTY_FORM);
+      shopify.toast.show(t("inventory.updated"));
+    }
+  }, [fetcher.state, fetcher.data, t]);
+
+  const pending = fetcher.formData;
+  const displayed = pending
+    ? adjustedQuantity(quantity, {
+        mode: pending.get("mode"),
+        quantity: pending.get("quantity"),
+      })
+    : quantity;
+
+  const setValue = (key) => (value) => {
+    setForm((current) => ({ ...current, [key]: value }));
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "adjustInventory", inventoryItemId, locationId, ...form },
+      { method: "post" },
+    );
+  };
+
+  return (
+    <Popover
+      active={active}
+      onClose={() => setActive(false)}
+      activator={
+        <InlineStack gap="200" blockAlign="center" wrap={false}>
+          <Text as="span" tone={saving ? "subdued" : undefined}>
+            {Number.isFinite(displayed) ? displayed : quantity}
+          </Text>
+          <Button
+            size="slim"
+            variant="plain"
+            onClick={() => setActive((current) => !current)}
+          >
+            {t("inventory.adjust")}
+          </Button>
+        </InlineStack>
+      }
+    >
+      <Box padding="400" minWidth="280px">
+        <BlockStack gap="300">
+          <InlineStack gap="200" wrap={false}>
+            <Select
+              label={t("column.change")}
+              options={ADJUSTMENT_MODES.map(({ value }) => ({
+                label: t(`inventory.mode.${value}`),
+                value,
+              }))}
+              value={form.mode}
+              error={errors.mode && t(errors.mode)}
+              onChange={setValue("mode")}
+            />
+            <TextField
+              label={t("inventory.quantity")}
+              type="number"
+              autoComplete="off"
+              value={form.quantity}
+              error={errors.quantity && t(errors.quantity)}
+              onChange={setValue("quantity")}
+            />
+          </InlineStack>
+          <Select
+            label={t("column.reason")}
+            options={[
+              { label: t("inventory.chooseReason"), value: "" },
+              ...ADJUSTMENT_REASONS.map(({ value }) => ({
+                label: t(`inventory.reason.${value}`),
+                value,
+              })),
+            ]}
+            value={form.reason}
+            error={errors.reason && t(errors.reason)}
+            onChange={setValue("reason")}
+          />
+          <TextField
+            label={t("column.note")}
+            autoComplete="off"
+            value={form.note}
+            onChange={setValue("note")}
+          />
+          {userErrors.map((error, index) => (
+            <Text key={index} as="p" tone="critical">
+              {error.message}
+            </Text>
+          ))}
+          <InlineStack align="end">
+            <Button variant="primary" onClick={handleSave} loading={saving}>
+              {t("common.save")}
+            </Button>
+          </InlineStack>
+        </BlockStack>
+      </Box>
+    </Popover>
+  );
+}
@@ -0,0 +1,222 @@
+import { useEffect, useState } from "react";
+import { useFetcher } from "react-router";
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Text,
+  Divider,
+  Button,
+  Select,
+  TextField,
+  DataTable,
+  Banner,
+  List,
+} from "@shopify/polaris";
+import { PRODUCT_FIELDS, VARIANT_FIELDS } from "../utils/jewellery";
+import { useI18n } from "./I18nProvider";
+
+function toFormState(product) {
+  const values = (fields, source) =>
+    Object.fromEntries(fields.map((field) => [field.key, source?.[field.key] ?? ""]));
+
+  return {
+    product: values(PRODUCT_FIELDS, product.jewellery),
+    variants: Object.fromEntries(
+      product.variants.edges.map(({ node }) => [
+        node.id,
+        values(VARIANT_FIELDS, node.jewellery),
+      ]),
+    ),
+  };
+}
+
+const INPUT_TYPES = { single_line_text_field: "text", date: "date" };
+
+// Metals are stored in English and shown translated; purities are codes
+function optionLabel(t, field, value) {
+  return field.key === "metal" && value ? t(`jewellery.metal.${value}`) : value;
+}
+
+function AttributeInput({ field, value, error, onChange }) {
+  const { t, message } = useI18n();
+
+  if (field.options) {
+    return (
+      <Select
+        label={t(`jewellery.field.${field.key}`)}
+        options={[
+          { label: "—", value: "" },
+          ...field.options.map((option) => ({
+            label: optionLabel(t, field, option),
+            value: option,
+          })),
+        ]}
+        value={value}
+        error={error && message(error)}
+        onChange={onChange}
+      />
+    );
+  }
+
+  return (
+    <TextField
+      label={t(`jewellery.field.${field.key}`)}
+      type={INPUT_TYPES[field.type] || "number"}
+      autoComplete="off"
+      value={value}
+      error={error && message(error)}
+      onChange={onChange}
+    />
+  );
+}
+
+export function JewelleryAttributesCard({ product, readOnly = false }) {
+  const { t } = useI18n();
+  const fetcher = useFetcher();
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(() => toFormState(product));
+
+  const saving = fetcher.state !== "idle";
+  const errors = fetcher.data?.errors || { product: {}, variants: {} };
+  const userErrors = fetcher.data?.userErrors || [];
+  const variants = product.variants.edges.map(({ node }) => node);
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.saved) {
+      setEditing(false);
+      shopify.toast.show(t("jewellery.saved"));
+    }
+  }, [fetcher.state, fetcher.data, t]);
+
+  const startEditing = () => {
+    setForm(toFormState(product));
+    setEditing(true);
+  };
+
+  const setProductValue = (key) => (value) => {
+    setForm((current) => ({
+      ...current,
+      product: { ...current.product, [key]: value },
+    }));
+  };
+
+  const setVariantValue = (variantId, key) => (value) => {
+    setForm((current) => ({
+      ...current,
+      variants: {
+        ...current.variants,
+        [variantId]: { ...current.variants[variantId], [key]: value },
+      },
+    }));
+  };
+
+  const handleSave = () => {
+    fetcher.submit(
+      { intent: "saveJewellery", attributes: JSON.stringify(form) },
+      { method: "post" },
+    );
+  };
+
+  const variantRows = variants.map((variant) => [
+    variant.title,
+    ...VARIANT_FIELDS.map((field) => variant.jewellery?.[field.key] || "—"),
+  ]);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">
+            {t("jewellery.title")}
+          </Text>
+          {editing ? (
+            <InlineStack gap="200">
+              <Button onClick={() => setEditing(false)} disabled={saving}>
+                {t("common.cancel")}
+              </Button>
+              <Button variant="primary" onClick={handleSave} loading={saving}>
+                {t("common.save")}
+              </Button>
+            </InlineStack>
+          ) : (
+            !readOnly && <Button onClick={startEditing}>{t("common.edit")}</Button>
+          )}
+        </InlineStack>
+
+        {userErrors.length > 0 && (
+          <Banner tone="critical" title={t("productEdit.rejected")}>
+            <List>
+              {userErrors.map((error, index) => (
+                <List.Item key={index}>{error.message}</List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+
+        {editing ? (
+          <BlockStack gap="400">
+            <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+              {PRODUCT_FIELDS.map((field) => (
+                <AttributeInput
+                  key={field.key}
+                  field={field}
+                  value={form.product[field.key]}
+                  error={errors.product?.[field.key]}
+                  onChange={setProductValue(field.key)}
+                />
+              ))}
+            </InlineGrid>
+            {variants.map((variant) => (
+              <BlockStack gap="200" key={variant.id}>
+                <Divider />
+                <Text as="h3" fontWeight="semibold">
+                  {variant.title}
+                </Text>
+                <InlineGrid columns={{ xs: 1, md: 4 }} gap="300">
+                  {VARIANT_FIELDS.map((field) => (
+                    <AttributeInput
+                      key={field.key}
+                      field={field}
+                      value={form.variants[variant.id][field.key]}
+                      error={errors.variants?.[variant.id]?.[field.key]}
+                      onChange={setVariantValue(variant.id, field.key)}
+                    />
+                  ))}
+                </InlineGrid>
+              </BlockStack>
+            ))}
+          </BlockStack>
+        ) : (
+          <BlockStack gap="200">
+            {PRODUCT_FIELDS.map((field, index) => (
+              <BlockStack gap="200" key={field.key}>
+                {index > 0 && <Divider />}
+                <InlineStack align="space-between">
+                  <Text as="span" fontWeight="semibold">
+                    {t(`jewellery.field.${field.key}`)}:
+                  </Text>
+                  <Text as="span">
+                    {optionLabel(t, field, product.jewellery?.[field.key]) || "—"}
+                  </Text>
+                </InlineStack>
+              </BlockStack>
+            ))}
+            <DataTable
+              columnContentTypes={[
+                "text",
+                ...VARIANT_FIELDS.map(() => "numeric"),
+              ]}
+              headings={[
+                t("column.variant"),
+                ...VARIANT_FIELDS.map((field) => t(`jewellery.field.${field.key}`)),
+              ]}
+              rows={variantRows}
+            />
+          </BlockStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
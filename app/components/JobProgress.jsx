@@ -0,0 +1,55 @@
+import { useEffect } from "react";
+import { useFetcher } from "react-router";
+import { Banner, BlockStack, ProgressBar, Text } from "@shopify/polaris";
+import { useI18n } from "./I18nProvider";
+
+const POLL_INTERVAL_MS = 1000;
+
+// Polls a job until it finishes. `onFinish` gets the finished job, whether it
+// completed or failed.
+export function JobProgress({ jobId, title, unit = "items", onFinish }) {
+  const { t, number } = useI18n();
+  const fetcher = useFetcher();
+  const job = fetcher.data?.job?.id === jobId ? fetcher.data.job : null;
+  const running = !job || job.status === "running";
+
+  useEffect(() => {
+    if (!jobId || !running || fetcher.state !== "idle") return;
+
+    const timer = setTimeout(
+      () => fetcher.load(`/app/jobs/${jobId}`),
+      POLL_INTERVAL_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [jobId, running, fetcher]);
+
+  useEffect(() => {
+    if (job && !running) onFinish?.(job);
+  }, [job, running, onFinish]);
+
+  if (job?.status === "failed") {
+    return (
+      <Banner tone="critical" title={t("job.failed", { title })}>
+        <p>{job.error}</p>
+      </Banner>
+    );
+  }
+
+  const progress = job?.total ? Math.round((job.processed / job.total) * 100) : 0;
+
+  return (
+    <BlockStack gap="200">
+      <Text as="p" variant="bodySm">
+        {job?.total
+          ? t("job.progress", {
+              title,
+              processed: number(job.processed),
+              total: number(job.total),
+              unit,
+            })
+          : t("job.starting", { title })}
+      </Text>
+      <ProgressBar progress={progress} size="small" />
+    </BlockStack>
+  );
+}
@@ -0,0 +1,174 @@
+import { useState } from "react";
+import {
+  Modal,
+  BlockStack,
+  InlineGrid,
+  Select,
+  TextField,
+  ChoiceList,
+  Banner,
+  Text,
+} from "@shopify/polaris";
+import {
+  BARCODE_TYPES,
+  LABEL_LAYOUTS,
+  LAYOUT_DIMENSIONS,
+  normalizeLabelLayout,
+  validateLabelLayout,
+} from "../utils/labels";
+import { downloadBlob } from "../utils/download";
+import { useI18n } from "./I18nProvider";
+
+function toFormState(layout) {
+  return {
+    id: layout.id || "custom",
+    barcodeType: layout.barcodeType || "auto",
+    ...Object.fromEntries(
+      LAYOUT_DIMENSIONS.map(({ key }) => [key, String(layout[key] ?? "")]),
+    ),
+  };
+}
+
+export function LabelSheetModal({
+  open,
+  onClose,
+  collectionId,
+  productIds,
+  defaultLayout,
+}) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => toFormState(defaultLayout));
+  const [format, setFormat] = useState("pdf");
+  const [errors, setErrors] = useState({});
+  const [generating, setGenerating] = useState(false);
+  const [requestError, setRequestError] = useState(null);
+
+  const handlePresetChange = (id) => {
+    const preset = LABEL_LAYOUTS.find((layout) => layout.id === id);
+    setForm((current) =>
+      preset
+        ? toFormState({ ...preset, barcodeType: current.barcodeType })
+        : { ...current, id },
+    );
+    setErrors({});
+  };
+
+  // Any hand-edited measurement turns the layout into a custom one
+  const handleDimensionChange = (key) => (value) => {
+    setForm((current) => ({ ...current, id: "custom", [key]: value }));
+  };
+
+  const handleGenerate = async () => {
+    const layout = normalizeLabelLayout(form);
+    const layoutErrors = validateLabelLayout(layout);
+    setErrors(layoutErrors);
+    if (Object.keys(layoutErrors).length > 0) return;
+
+    const body = new FormData();
+    body.append("format", format);
+    body.append("productIds", JSON.stringify(productIds));
+    body.append("layout", JSON.stringify(layout));
+
+    setGenerating(true);
+    setRequestError(null);
+    try {
+      const response = await fetch(`/app/collections/${collectionId}/labels`, {
+        method: "POST",
+        body,
+      });
+      if (!response.ok) {
+        throw new Error(t("labels.failed", { status: response.status }));
+      }
+
+      const blob = await response.blob();
+      downloadBlob(
+        blob,
+        `Labels_${new Date().toISOString().split("T")[0]}.${format}`,
+      );
+      shopify.toast.show(t("labels.generated", { count: productIds.length }));
+      onClose();
+    } catch (error) {
+      setRequestError(error.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title={t("labels.title", { count: productIds.length })}
+      primaryAction={{
+        content: t("labels.generate"),
+        onAction: handleGenerate,
+        loading: generating,
+      }}
+      secondaryActions={[{ content: t("common.cancel"), onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="400">
+          {requestError && (
+            <Banner tone="critical" onDismiss={() => setRequestError(null)}>
+              <p>{requestError}</p>
+            </Banner>
+          )}
+
+          <InlineGrid columns={2} gap="300">
+            <Select
+              label={t("labels.stock")}
+              options={[
+                ...LABEL_LAYOUTS.map((layout) => ({
+                  label: t(`labels.layout.${layout.id}`),
+                  value: layout.id,
+                })),
+                { label: t("labels.layout.custom"), value: "custom" },
+              ]}
+              value={form.id}
+              onChange={handlePresetChange}
+            />
+            <Select
+              label={t("labels.barcode")}
+              options={BARCODE_TYPES.map(({ value }) => ({
+                label: t(`labels.barcode.${value}`),
+                value,
+              }))}
+              value={form.barcodeType}
+              onChange={(barcodeType) =>
+                setForm((current) => ({ ...current, barcodeType }))
+              }
+            />
+          </InlineGrid>
+
+          <Text as="p" tone="subdued">
+            {t("labels.help")}
+          </Text>
+
+          <InlineGrid columns={{ xs: 2, md: 4 }} gap="300">
+            {LAYOUT_DIMENSIONS.map(({ key }) => (
+              <TextField
+                key={key}
+                label={t(`labels.dimension.${key}`)}
+                type="number"
+                autoComplete="off"
+                value={form[key]}
+                error={errors[key] && t(errors[key])}
+                onChange={handleDimensionChange(key)}
+              />
+            ))}
+          </InlineGrid>
+
+          <ChoiceList
+            title={t("labels.format")}
+            choices={[
+              { label: t("labels.format.pdf"), value: "pdf" },
+              { label: t("labels.format.svg"), value: "svg" },
+            ]}
+            selected={[format]}
+            onChange={([selected]) => setFormat(selected)}
+          />
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,195 @@
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher } from "react-router";
+import { SaveBar } from "@shopify/app-bridge-react";
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Text,
+  Divider,
+  Button,
+  TextField,
+  Banner,
+  List,
+} from "@shopify/polaris";
+import {
+  VARIANT_EDIT_FIELDS,
+  changedFormValues,
+  hasFieldErrors,
+  hasFormChanges,
+  productFormValues,
+  validateProductEdit,
+} from "../utils/productEdit";
+import { useI18n } from "./I18nProvider";
+
+const SAVE_BAR_ID = "product-edit-save-bar";
+
+const VARIANT_INPUT_TYPES = { price: "number", compareAtPrice: "number" };
+
+/**
+ * Edit mode for the product's own fields and its variants' SKU, barcode and
+ * prices. Unsaved changes raise the contextual save bar, which also guards
+ * against leaving the page. `onClose` leaves edit mode. Field errors are
+ * translation keys or { key, values }; Shopify's own messages are shown as
+ * they come.
+ */
+export function ProductEditCard({ product, onClose }) {
+  const { t, message } = useI18n();
+  const fetcher = useFetcher();
+  const saved = useMemo(() => productFormValues(product), [product]);
+  const [form, setForm] = useState(saved);
+  const [clientErrors, setClientErrors] = useState(null);
+
+  const saving = fetcher.state !== "idle";
+  const changes = changedFormValues(form, saved);
+  const dirty = hasFormChanges(changes);
+  const errors = clientErrors ||
+    fetcher.data?.errors || { product: {}, variants: {} };
+  const messages = fetcher.data?.messages || [];
+  const variants = product.variants.edges.map(({ node }) => node);
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.saved) {
+      shopify.toast.show(t("productEdit.saved"));
+      onClose();
+    }
+  }, [fetcher.state, fetcher.data, onClose, t]);
+
+  const setProductValue = (key) => (value) => {
+    setForm((current) => ({
+      ...current,
+      product: { ...current.product, [key]: value },
+    }));
+  };
+
+  const setVariantValue = (variantId, key) => (value) => {
+    setForm((current) => ({
+      ...current,
+      variants: {
+        ...current.variants,
+        [variantId]: { ...current.variants[variantId], [key]: value },
+      },
+    }));
+  };
+
+  const handleSave = () => {
+    const found = validateProductEdit(changes, saved);
+    if (hasFieldErrors(found)) {
+      setClientErrors(found);
+      return;
+    }
+
+    setClientErrors(null);
+    fetcher.submit(
+      { intent: "saveProduct", changes: JSON.stringify(changes) },
+      { method: "post" },
+    );
+  };
+
+  const handleDiscard = () => {
+    setForm(saved);
+    setClientErrors(null);
+    onClose();
+  };
+
+  return (
+    <Card>
+      <SaveBar id={SAVE_BAR_ID} open={dirty}>
+        <button
+          variant="primary"
+          onClick={handleSave}
+          loading={saving ? "" : undefined}
+        ></button>
+        <button onClick={handleDiscard} disabled={saving}></button>
+      </SaveBar>
+
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">
+            {t("productEdit.title")}
+          </Text>
+          {!dirty && <Button onClick={onClose}>{t("productEdit.done")}</Button>}
+        </InlineStack>
+
+        {messages.length > 0 && (
+          <Banner tone="critical" title={t("productEdit.rejected")}>
+            <List>
+              {messages.map((text, index) => (
+                <List.Item key={index}>{text}</List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+
+        <TextField
+          label={t("productEdit.field.title")}
+          autoComplete="off"
+          value={form.product.title}
+          error={errors.product.title && message(errors.product.title)}
+          onChange={setProductValue("title")}
+        />
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+          <TextField
+            label={t("productEdit.field.vendor")}
+            autoComplete="off"
+            value={form.product.vendor}
+            error={errors.product.vendor && message(errors.product.vendor)}
+            onChange={setProductValue("vendor")}
+          />
+          <TextField
+            label={t("productEdit.field.productType")}
+            autoComplete="off"
+            value={form.product.productType}
+            error={errors.product.productType && message(errors.product.productType)}
+            onChange={setProductValue("productType")}
+          />
+        </InlineGrid>
+        <TextField
+          label={t("productEdit.field.tags")}
+          autoComplete="off"
+          helpText={t("productEdit.tagsHelp")}
+          value={form.product.tags}
+          error={errors.product.tags && message(errors.product.tags)}
+          onChange={setProductValue("tags")}
+        />
+        <TextField
+          label={t("productEdit.field.description")}
+          autoComplete="off"
+          multiline={4}
+          helpText={t("productEdit.descriptionHelp")}
+          value={form.product.description}
+          error={errors.product.description && message(errors.product.description)}
+          onChange={setProductValue("description")}
+        />
+
+        {variants.map((variant) => (
+          <BlockStack gap="200" key={variant.id}>
+            <Divider />
+            <Text as="h3" fontWeight="semibold">
+              {variant.title}
+            </Text>
+            <InlineGrid columns={{ xs: 1, md: 4 }} gap="300">
+              {VARIANT_EDIT_FIELDS.map((field) => (
+                <TextField
+                  key={field.key}
+                  label={t(`productEdit.field.${field.key}`)}
+                  type={VARIANT_INPUT_TYPES[field.key] || "text"}
+                  min={VARIANT_INPUT_TYPES[field.key] ? 0 : undefined}
+                  step={VARIANT_INPUT_TYPES[field.key] ? 0.01 : undefined}
+                  autoComplete="off"
+                  value={form.variants[variant.id][field.key]}
+                  error={
+                    errors.variants[variant.id]?.[field.key] &&
+                    message(errors.variants[variant.id][field.key])
+                  }
+                  onChange={setVariantValue(variant.id, field.key)}
+                />
+              ))}
+            </InlineGrid>
+          </BlockStack>
+        ))}
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,51 @@
+import { BlockStack, Card, DataTable, InlineStack, Text } from "@shopify/polaris";
+import { useI18n } from "./I18nProvider";
+
+/**
+ * When the product last sold and the units and revenue over the last 30, 90
+ * and 365 days, as returned by getProductSales. Revenue is null for roles
+ * that may not see it. Periods reaching back before the shop's sales history
+ * are flagged below the table.
+ */
+export function SalesHistoryCard({ sales }) {
+  const { t, money, number, date } = useI18n();
+  const lastSold = sales.lastSoldAt ? date(sales.lastSoldAt) : t("common.never");
+
+  const rows = sales.windows.map((window) => [
+    t("sales.lastDays", { count: window.days }),
+    number(window.units),
+    sales.currencyCode && window.revenue !== null
+      ? money(window.revenue, { currencyCode: sales.currencyCode })
+      : "—",
+  ]);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text variant="headingMd" as="h2">
+          {t("sales.title")}
+        </Text>
+        <InlineStack align="space-between">
+          <Text as="span" tone="subdued">
+            {t("sales.lastSold")}
+          </Text>
+          <Text as="span">{lastSold}</Text>
+        </InlineStack>
+        <DataTable
+          columnContentTypes={["text", "numeric", "numeric"]}
+          headings={[
+            t("sales.period"),
+            t("sales.unitsSold"),
+            t("sales.revenue"),
+          ]}
+          rows={rows}
+        />
+        {sales.windows.some((window) => window.partial) && (
+          <Text as="p" variant="bodySm" tone="subdued">
+            {t("sales.partialHistory", { date: date(sales.historyFrom) })}
+          </Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
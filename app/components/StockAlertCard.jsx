@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+import { useFetcher } from "react-router";
+import {
+  BlockStack,
+  Button,
+  Card,
+  InlineStack,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { useI18n } from "./I18nProvider";
+
+/**
+ * The product's own low-stock threshold. Left empty, the product uses the
+ * threshold of its collections.
+ */
+export function StockAlertCard({ threshold }) {
+  const { t } = useI18n();
+  const fetcher = useFetcher();
+  const saved = threshold.override?.toString() ?? "";
+  const [value, setValue] = useState(saved);
+
+  const saving = fetcher.state !== "idle";
+  const error = fetcher.data?.errors?.threshold;
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.saved) {
+      shopify.toast.show(t("stockAlert.saved"));
+    }
+  }, [fetcher.state, fetcher.data, t]);
+
+  const collectionText =
+    threshold.collectionThreshold === null
+      ? t("stockAlert.noCollectionThreshold")
+      : t("stockAlert.collectionThreshold", {
+          threshold: threshold.collectionThreshold,
+        });
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <Text variant="headingMd" as="h2">
+          {t("stockAlert.title")}
+        </Text>
+        <TextField
+          label={t("stockAlert.alertBelow")}
+          type="number"
+          min={0}
+          autoComplete="off"
+          placeholder={t("stockAlert.placeholder")}
+          helpText={t("stockAlert.help", { collections: collectionText })}
+          value={value}
+          error={error && t(error)}
+          onChange={setValue}
+        />
+        <InlineStack align="end">
+          <Button
+            loading={saving}
+            disabled={value === saved}
+            onClick={() =>
+              fetcher.submit(
+                { intent: "setThreshold", threshold: value },
+                { method: "post" },
+              )
+            }
+          >
+            {t("common.save")}
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
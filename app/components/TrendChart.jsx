@@ -0,0 +1,98 @@
+import { BlockStack, InlineStack, Text } from "@shopify/polaris";
+import { useI18n } from "./I18nProvider";
+
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = 8;
+
+/**
+ * Line chart of one value over time. `points` are { date, value } in date
+ * order; `format` turns a value into the text shown for the axis and hover.
+ */
+export function TrendChart({ title, points, format = String }) {
+  const { t } = useI18n();
+
+  if (points.length === 0) {
+    return (
+      <BlockStack gap="200">
+        <Text variant="headingSm" as="h3">
+          {title}
+        </Text>
+        <Text as="p" tone="subdued">
+          {t("analytics.noSnapshotsInRange")}
+        </Text>
+      </BlockStack>
+    );
+  }
+
+  const values = points.map((point) => point.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+
+  const x = (index) =>
+    points.length === 1
+      ? WIDTH / 2
+      : PADDING + (index * (WIDTH - PADDING * 2)) / (points.length - 1);
+  const y = (value) =>
+    HEIGHT - PADDING - ((value - min) * (HEIGHT - PADDING * 2)) / span;
+
+  const line = points
+    .map((point, index) => `${x(index).toFixed(1)},${y(point.value).toFixed(1)}`)
+    .join(" ");
+  const latest = points[points.length - 1];
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack align="space-between" blockAlign="baseline">
+        <Text variant="headingSm" as="h3">
+          {title}
+        </Text>
+        <Text as="span" fontWeight="semibold">
+          {format(latest.value)}
+        </Text>
+      </InlineStack>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={t("analytics.chartLabel", {
+          title,
+          from: points[0].date,
+          to: latest.date,
+        })}
+      >
+        <line
+          x1={PADDING}
+          x2={WIDTH - PADDING}
+          y1={HEIGHT - PADDING}
+          y2={HEIGHT - PADDING}
+          stroke="#e3e3e3"
+        />
+        <polyline points={line} fill="none" stroke="#2c6ecb" strokeWidth="2" />
+        {points.map((point, index) => (
+          <circle
+            key={point.date}
+            cx={x(index)}
+            cy={y(point.value)}
+            r="3"
+            fill="#2c6ecb"
+          >
+            <title>{`${point.date}: ${format(point.value)}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <InlineStack align="space-between">
+        <Text as="span" variant="bodySm" tone="subdued">
+          {points[0].date}
+        </Text>
+        <Text as="span" variant="bodySm" tone="subdued">
+          Low {format(min)} · High {format(max)}
+        </Text>
+        <Text as="span" variant="bodySm" tone="subdued">
+          {latest.date}
+        </Text>
+      </InlineStack>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,20 @@
+import db from "./db.server";
+
+// Vercel sends CRON_SECRET as a bearer token with every cron request
+export function authenticateCron(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || request.headers.get("Authorization") !== `Bearer ${secret}`) {
+    throw new Response("Unauthorized", { status: 401 });
+  }
+}
+
+// Shops that installed the app and can be reached with an offline token
+export async function getInstalledShops() {
+  const sessions = await db.session.findMany({
+    where: { isOnline: false },
+    distinct: ["shop"],
+    select: { shop: true },
+  });
+
+  return sessions.map((session) => session.shop);
+}
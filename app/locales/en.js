@@ -0,0 +1,655 @@
+// English UI strings, and the fallback for keys missing from other languages.
+// `{name}` is replaced with a value; { one, other } picks by `count`.
+export default {
+  "common.back": "Back",
+  "common.cancel": "Cancel",
+  "common.edit": "Edit",
+  "common.failed": "Failed",
+  "common.never": "Never",
+  "common.no": "No",
+  "common.save": "Save",
+  "common.yes": "Yes",
+
+  "nav.home": "Home",
+  "nav.rates": "Metal Rates",
+  "nav.huid": "HUID Registry",
+  "nav.stockTakes": "Stock Take",
+  "nav.stockAlerts": "Stock Alerts",
+  "nav.analytics": "Analytics",
+  "nav.ageing": "Stock Ageing",
+  "nav.import": "Import",
+  "nav.audit": "Audit Log",
+  "nav.staff": "Staff",
+
+  "analytics.subtitle": "Snapshots are taken every night at 23:45 IST",
+  "audit.subtitle": "Every change made to Shopify through the dashboard",
+  "ageing.subtitle": "In-stock pieces by days since their inward date",
+
+  "analytics.takeSnapshot": "Take snapshot now",
+  "analytics.snapshotSaved": {
+    one: "Snapshot saved for {count} product",
+    other: "Snapshot saved for {count} products",
+  },
+  "analytics.noSnapshots": "No snapshots yet",
+  "analytics.noSnapshotsHelp":
+    "A snapshot of every collection's stock is recorded each day. Take the first one now to start the trend.",
+  "analytics.noSnapshotsInRange": "No snapshots in this range",
+  "analytics.chartLabel": "{title} from {from} to {to}",
+  "analytics.collection": "Collection",
+  "analytics.allProducts": "All products",
+  "analytics.range": "Range",
+  "analytics.range.30": "Last 30 days",
+  "analytics.range.90": "Last 90 days",
+  "analytics.range.365": "Last 12 months",
+  "analytics.range.all": "All time",
+  "analytics.productsInStock": "Products in stock",
+  "analytics.goldInStock": "Gold weight in stock",
+  "analytics.compare": "Compare two dates",
+  "analytics.from": "From",
+  "analytics.to": "To",
+  "analytics.compareAction": "Compare",
+  "analytics.compareHelp": "Each date uses the last snapshot taken on or before it.",
+  "analytics.noSnapshotFrom": "There is no snapshot on or before the first date",
+  "analytics.noSnapshotTo": "There is no snapshot on or before the second date",
+  "analytics.products": "Products",
+  "analytics.inStock": "In stock",
+  "analytics.units": "Units",
+  "analytics.netWeight": "Net weight",
+  "analytics.stockValue": "Stock value",
+
+  "audit.exportCsv": "Export CSV",
+  "audit.exportFailed": "Export failed with status {status}",
+  "audit.user": "User",
+  "audit.everyone": "Everyone",
+  "audit.from": "From",
+  "audit.to": "To",
+  "audit.productPlaceholder": "Title or product ID",
+  "audit.filter": "Filter",
+  "audit.changes": {
+    one: "{total} change",
+    other: "{total} changes",
+  },
+  "audit.time": "Time",
+  "audit.action": "Action",
+  "audit.target": "Target",
+  "audit.before": "Before",
+  "audit.after": "After",
+  "audit.applied": "Applied",
+  "audit.unknownUser": "Unknown",
+  "audit.noChanges": "No changes match these filters",
+  "audit.action.inventory.adjust": "Inventory adjusted",
+  "audit.action.variant.price": "Price changed",
+  "audit.action.product.update": "Product edited",
+  "audit.action.variant.update": "Variant edited",
+  "audit.action.product.status": "Status changed",
+  "audit.action.product.collections": "Collections changed",
+  "audit.action.tags.add": "Tags added",
+  "audit.action.tags.remove": "Tags removed",
+  "audit.action.metafield.set": "Attribute set",
+  "audit.action.metafield.delete": "Attribute cleared",
+
+  "ageing.exportCsv": "Export CSV",
+  "ageing.exportExcel": "Export Excel",
+  "ageing.exportFailed": "Export failed with status {status}",
+  "ageing.empty": "No stock to age",
+  "ageing.emptyHelp": "In-stock products appear here once the catalog has synced.",
+  "ageing.help":
+    "Age is counted from a product's inward date, or from when it was created when no inward date is set. A product in several collections is counted in each.",
+  "ageing.collection": "Collection",
+  "ageing.allProducts": "All products",
+  "ageing.bucket.0-90": "0–90 days",
+  "ageing.bucket.90-180": "90–180 days",
+  "ageing.bucket.180-365": "180–365 days",
+  "ageing.bucket.365+": "365+ days",
+
+  "sync.failed": "Catalog sync failed",
+  "sync.syncing": "Syncing catalog…",
+  "sync.synced": "Catalog synced {time}",
+  "sync.notSynced": "Catalog not synced yet",
+  "sync.resync": "Resync",
+  "sync.salesFailed": "Sales history could not be imported",
+  "sync.justNow": "just now",
+  "sync.minutesAgo": "{count} min ago",
+  "sync.hoursAgo": "{count} h ago",
+
+  "job.failed": "{title} failed",
+  "job.progress": "{title} — {processed} of {total} {unit}",
+  "job.starting": "{title} — starting…",
+
+  "home.title": "Product Collections",
+  "home.lowStock": {
+    one: "{count} product is running low",
+    other: "{count} products are running low",
+  },
+  "home.viewStockAlerts": "View stock alerts",
+  "home.lowStockItem": "{title}: {units} left (alert below {threshold})",
+  "home.andMore": "and {count} more",
+  "home.noCollections": "No collections found",
+  "home.noCollectionsHelp":
+    "Create some collections in your Shopify store to see them here.",
+  "home.readingCatalog": "Reading your catalog",
+  "home.readingCatalogHelp":
+    "Your collections will appear here once the first catalog sync finishes.",
+  "home.viewCollection": "View products in {title}",
+  "home.totalProducts": "{count} total products",
+  "home.inStockDetails": "{details} in stock",
+  "home.inStock": "{count} in stock",
+  "home.soldOut": "{count} sold out",
+  "home.calculating": "Calculating stock…",
+  "home.notCalculated": "Stock not calculated yet",
+
+  "collection.back": "Collections",
+  "collection.reprice": "Reprice",
+  "collection.tabInStock": "In Stock ({count})",
+  "collection.tabSoldOut": "Sold Out ({count})",
+  "collection.search": "Search products",
+  "collection.searchPlaceholder":
+    "Search by name, SKU, barcode, or weight (e.g. 12.5g or 1 tola)...",
+  "collection.printLabels": "Print Labels ({count})",
+  "collection.bulkActions": "Bulk Actions",
+  "collection.exportPage": "Export Current Page",
+  "collection.exportCollection": "Export Collection",
+  "collection.columns": "Columns",
+  "collection.jewelleryColumns": "Jewellery columns",
+  "collection.exporting": "Exporting collection",
+  "collection.exportFailed": "Collection export failed",
+  "collection.updating": "Updating products",
+  "collection.bulkDone": "{action}: {updated} of {total} products updated",
+  "collection.bulkFailed": "Bulk action failed",
+  "collection.inStockFor": "In stock for {age}",
+  "collection.resultsFor": "Results for \"{term}\": ",
+  "collection.stockSummary": "{inStock} in stock / {soldOut} sold out",
+  "collection.noResults": "No products found",
+  "collection.noResultsHelp": "Try adjusting your search terms.",
+  "collection.noInStock": "No in stock products",
+  "collection.noInStockHelp": "There are no in stock products in this collection.",
+  "collection.noSoldOut": "No sold out products",
+  "collection.noSoldOutHelp": "There are no sold out products in this collection.",
+  "collection.lowStock": "Low stock",
+  "collection.noSales": "No sales",
+  "collection.days": "{count} days",
+  "collection.select": "Select {title}",
+  "collection.selectPage": "Select all products on this page",
+  "collection.products": "products",
+  "collection.weightTotals":
+    "Weight: {total} in total, {average} on average across {count} pieces",
+  "collection.nothingToExport": "No products to export",
+  "collection.exportStatus": "Export failed with status {status}",
+  "collection.exportCsv": "CSV",
+  "collection.exportXlsx": "Excel (XLSX)",
+
+  "column.image": "Image",
+  "column.productName": "Product Name",
+  "column.variant": "Variant",
+  "column.sku": "SKU",
+  "column.barcode": "Barcode",
+  "column.weight": "Weight",
+  "column.price": "Price",
+  "column.calculatedPrice": "Calculated Price",
+  "column.comparePrice": "Compare Price",
+  "column.inventory": "Inventory",
+  "column.availableUnits": "Available Units",
+  "column.available": "Available",
+  "column.sellThrough": "Sell-through (90d)",
+  "column.daysOfCover": "Days of Cover",
+  "column.date": "Date",
+  "column.location": "Location",
+  "column.change": "Change",
+  "column.reason": "Reason",
+  "column.note": "Note",
+  "column.product": "Product",
+  "column.metal": "Metal",
+  "column.purity": "Purity",
+  "column.huid": "HUID",
+  "column.status": "Status",
+
+  "product.images": "Product Images",
+  "product.noImages": "No images available",
+  "product.information": "Product Information",
+  "product.vendor": "Vendor:",
+  "product.productType": "Product Type:",
+  "product.totalInventory": "Total Inventory:",
+  "product.units": "{count} units",
+  "product.created": "Created:",
+  "product.updated": "Last Updated:",
+  "product.tags": "Tags:",
+  "product.description": "Description",
+  "product.variants": "Variants ({count})",
+  "product.noVariants": "No variants available",
+  "product.priceMismatch": {
+    one: "{count} variant differs from the calculated price by more than {tolerance}%.",
+    other:
+      "{count} variants differ from the calculated price by more than {tolerance}%.",
+  },
+  "product.adjustments": "Inventory Adjustments",
+
+  "productEdit.title": "Edit Product",
+  "productEdit.done": "Done",
+  "productEdit.saved": "Product saved",
+  "productEdit.rejected": "Shopify rejected some values",
+  "productEdit.tagsHelp": "Separate tags with commas",
+  "productEdit.descriptionHelp":
+    "Saving a changed description replaces its formatting with plain paragraphs",
+  "productEdit.field.title": "Title",
+  "productEdit.field.vendor": "Vendor",
+  "productEdit.field.productType": "Product type",
+  "productEdit.field.tags": "Tags",
+  "productEdit.field.description": "Description",
+  "productEdit.field.sku": "SKU",
+  "productEdit.field.barcode": "Barcode",
+  "productEdit.field.price": "Price",
+  "productEdit.field.compareAtPrice": "Compare-at price",
+  "productEdit.errors.title": "Title is required",
+  "productEdit.errors.price": "Enter a price greater than 0",
+  "productEdit.errors.compareAtPrice": "Enter a price greater than 0, or leave empty",
+  "productEdit.errors.compareAtPriceLow": "Compare-at price must be higher than the price",
+  "productEdit.errors.skuRepeated": "SKU is used by another variant",
+  "productEdit.errors.barcodeRepeated": "Barcode is used by another variant",
+  "productEdit.errors.skuTaken": "SKU is already used by {title}",
+  "productEdit.errors.barcodeTaken": "Barcode is already used by {title}",
+
+  "productStatus.ACTIVE": "Active",
+  "productStatus.DRAFT": "Draft",
+  "productStatus.ARCHIVED": "Archived",
+
+  "jewellery.title": "Jewellery Details",
+  "jewellery.saved": "Jewellery details saved",
+  "jewellery.field.metal": "Metal",
+  "jewellery.field.purity": "Karat / purity",
+  "jewellery.field.making_charge": "Making charge (₹)",
+  "jewellery.field.huid": "BIS HUID",
+  "jewellery.field.inward_date": "Inward date",
+  "jewellery.field.gross_weight": "Gross weight (g)",
+  "jewellery.field.net_weight": "Net weight (g)",
+  "jewellery.field.stone_weight": "Stone weight (ct)",
+  "jewellery.field.stone_count": "Stone count",
+  "jewellery.metal.Gold": "Gold",
+  "jewellery.metal.Silver": "Silver",
+  "jewellery.metal.Platinum": "Platinum",
+  "jewellery.errors.option": "Choose one of {options}",
+  "jewellery.errors.number": "Enter a number of 0 or more",
+  "jewellery.errors.wholeNumber": "Enter a whole number",
+  "jewellery.errors.date": "Enter a date as YYYY-MM-DD",
+  "jewellery.errors.purity": "{purity} is not a {metal} purity",
+  "jewellery.errors.huid": "HUID must be 6 letters or digits",
+  "jewellery.errors.huidUsed": "HUID is already used by {title}",
+  "jewellery.errors.netWeight": "Net weight cannot be more than gross weight",
+
+  "sales.title": "Sales",
+  "sales.lastSold": "Last sold",
+  "sales.period": "Period",
+  "sales.unitsSold": "Units sold",
+  "sales.revenue": "Revenue",
+  "sales.lastDays": "Last {count} days",
+  "sales.partialHistory":
+    "Sales are recorded from {date}. Shopify only shares the last 60 days of orders until the app is approved to read all orders, so longer periods count sales from that date.",
+  "sales.partialVelocity":
+    "Sell-through and days of cover count sales from {date}, when the sales history starts.",
+
+  "rates.today": "Today's rates",
+  "rates.todayHelp":
+    "Calculated price = rate × net weight + making charge. Leave a rate blank for metals you do not sell; clearing a saved rate removes it.",
+  "rates.ratePerGram": "Rate per gram",
+  "rates.ratePerGramShort": "Rate/g",
+  "rates.makingCharge": "Making charge",
+  "rates.makingChargeValue": "Making charge value",
+  "rates.makingChargeType.PER_GRAM": "Per gram",
+  "rates.makingChargeType.PERCENT": "% of metal value",
+  "rates.makingChargeType.FLAT": "Flat per piece",
+  "rates.priceCheck": "Price check",
+  "rates.tolerance": "Tolerance",
+  "rates.toleranceHelp":
+    "Product pages highlight variants whose Shopify price differs from the calculated price by more than this.",
+  "rates.history": "Rate history",
+  "rates.noHistory": "No rate changes recorded yet",
+  "rates.saved": "Metal rates saved",
+  "rates.errors.rate": "Enter a rate greater than 0",
+  "rates.errors.makingCharge": "Making charge must be 0 or more",
+  "rates.errors.makingChargeType": "Choose a making charge type",
+  "rates.errors.tolerance": "Enter a tolerance of 0% or more",
+
+  "reprice.title": "Reprice {title}",
+  "reprice.apply": {
+    one: "Apply {count} price change",
+    other: "Apply {count} price changes",
+  },
+  "reprice.staleTitle": "Rates or prices have changed",
+  "reprice.staleHelp":
+    "Rates or prices were updated after this preview was loaded. Review the changes below and apply them again.",
+  "reprice.updating": "Updating prices",
+  "reprice.restoring": "Restoring prices",
+  "reprice.variants": "variants",
+  "reprice.applied": {
+    one: "{count} price updated",
+    other: "{count} prices updated",
+  },
+  "reprice.restored": {
+    one: "{count} price restored",
+    other: "{count} prices restored",
+  },
+  "reprice.failed": "Repricing failed",
+  "reprice.rollbackFailed": "Rollback failed",
+  "reprice.variantsFailed": {
+    one: "{count} variant could not be updated",
+    other: "{count} variants could not be updated",
+  },
+  "reprice.changes": "Price changes ({count})",
+  "reprice.unchanged": {
+    one: "{count} variant already matches today's rates.",
+    other: "{count} variants already match today's rates.",
+  },
+  "reprice.skipped":
+    "{count} skipped: {noMetal} without a detectable metal, {noWeight} without a weight, {noRate} without a rate for their metal.",
+  "reprice.currentPrice": "Current Price",
+  "reprice.newPrice": "New Price",
+  "reprice.difference": "Difference",
+  "reprice.nothing": "Nothing to reprice",
+  "reprice.nothingHelp":
+    "Every priced variant already matches today's metal rates.",
+  "reprice.runs": "Previous runs",
+  "reprice.run": "Run",
+  "reprice.updated": "Updated",
+  "reprice.rollBack": "Roll back",
+  "reprice.noRuns": "This collection has not been repriced yet",
+  "reprice.status.running": "Running",
+  "reprice.status.applied": "Applied",
+  "reprice.status.partial": "Partial",
+  "reprice.status.failed": "Failed",
+  "reprice.status.rolled_back": "Rolled back",
+
+  "huid.lastSynced": {
+    one: "{total} product, last synced {date}",
+    other: "{total} products, last synced {date}",
+  },
+  "huid.notSynced": "Not synced yet",
+  "huid.sync": "Sync from Shopify",
+  "huid.synced": {
+    one: "{count} product synced",
+    other: "{count} products synced",
+  },
+  "huid.emptyTitle": "Build the HUID registry",
+  "huid.emptyHelp":
+    "Read the HUID of every product so missing and duplicate hallmarks can be found.",
+  "huid.duplicates": "Duplicate HUIDs ({count})",
+  "huid.noDuplicates": "Every HUID belongs to a single product",
+  "huid.missing": "Gold products without a HUID ({count})",
+  "huid.noMissing": "Every gold product has a HUID",
+
+  "inventory.adjust": "Adjust",
+  "inventory.quantity": "Quantity",
+  "inventory.mode.adjust": "Adjust by",
+  "inventory.mode.set": "Set to",
+  "inventory.chooseReason": "Choose a reason",
+  "inventory.reason.sold_offline": "Sold offline",
+  "inventory.reason.damaged": "Damaged",
+  "inventory.reason.transferred": "Transferred",
+  "inventory.reason.correction": "Correction",
+  "inventory.updated": "Inventory updated",
+  "inventory.errors.mode": "Choose adjust or set",
+  "inventory.errors.wholeNumber": "Enter a whole number",
+  "inventory.errors.negative": "Quantity cannot be negative",
+  "inventory.errors.zero": "Enter a change other than 0",
+  "inventory.errors.reason": "Choose a reason",
+
+  "stockTake.start": "Start a stock take",
+  "stockTake.countBy": "Count by",
+  "stockTake.scope.collection": "Collection",
+  "stockTake.scope.location": "Location",
+  "stockTake.choose": "Choose…",
+  "stockTake.name": "Name",
+  "stockTake.optional": "Optional",
+  "stockTake.startScanning": "Start scanning",
+  "stockTake.sessions": "Sessions",
+  "stockTake.counting": "Counting",
+  "stockTake.started": "Started",
+  "stockTake.scans": "Scans",
+  "stockTake.none": "No stock takes yet",
+  "stockTake.inProgress": "In progress",
+  "stockTake.closed": "Closed",
+  "stockTake.subtitle.collection": "Counting collection {scope}",
+  "stockTake.subtitle.location": "Counting location {scope}",
+  "stockTake.close": "Close and reconcile",
+  "stockTake.confirmClose": {
+    one: "Close this stock take and reconcile {count} scan against {scope}? No more scans can be added afterwards.",
+    other:
+      "Close this stock take and reconcile {count} scans against {scope}? No more scans can be added afterwards.",
+  },
+  "stockTake.export": "Export report",
+  "stockTake.exportFailed": "Export failed with status {status}",
+  "stockTake.scanBarcode": "Scan barcode",
+  "stockTake.scanHelp":
+    "Keep this field focused and scan each piece. Codes can also be typed and entered.",
+  "stockTake.scanned": "{count} scanned",
+  "stockTake.pending": "({count} saving)",
+  "stockTake.saving": "Saving…",
+  "stockTake.remove": "Remove",
+  "stockTake.scanNotSaved": "{code} was not saved ({reason}). Scan it again.",
+  "stockTake.removeFailed": "The scan could not be removed ({reason})",
+  "stockTake.latestScans": "Latest scans",
+  "stockTake.scannedAt": "Scanned",
+  "stockTake.nothingScanned": "Nothing scanned yet",
+  "stockTake.expectedUnits": "Expected units",
+  "stockTake.matched": "Matched",
+  "stockTake.missing": "Missing",
+  "stockTake.extra": "Extra",
+  "stockTake.duplicates": "Duplicates",
+  "stockTake.unknown": "Unknown",
+  "stockTake.section.missing": "Missing pieces ({count})",
+  "stockTake.section.extra": "Extra scans ({count})",
+  "stockTake.section.duplicates": "Duplicate scans ({count})",
+  "stockTake.section.unknown": "Unknown barcodes ({count})",
+  "stockTake.sectionEmpty": "None",
+  "stockTake.expected": "Expected",
+  "stockTake.scannedCount": "Scanned",
+  "stockTake.difference": "Difference",
+  "stockTake.errors.scope": "Choose what to count",
+
+  "import.help":
+    "Update weights, prices, barcodes and stock from a CSV or Excel file. Rows are matched by Product ID, SKU or Barcode, so a collection export can be edited and imported again. Empty cells are left as they are. Weights without a unit are read as grams, and tola weights are converted to grams. Stock is set at the location named in the Location column, as in a collection export.",
+  "import.spreadsheet": "Spreadsheet",
+  "import.accepts": "Accepts .csv and .xlsx",
+  "import.preview": "Preview",
+  "import.apply": {
+    one: "Apply {count} update",
+    other: "Apply {count} updates",
+  },
+  "import.importing": "Importing",
+  "import.rows": "rows",
+  "import.done": "{updated} of {total} rows imported",
+  "import.rowFailed": "Row {line}, {title}: {error}",
+  "import.failed": "Import failed",
+  "import.toUpdate": "{count} to update",
+  "import.unchanged": "{count} unchanged",
+  "import.unmatched": "{count} unmatched",
+  "import.row": "Row",
+  "import.matchedBy": "Matched by",
+  "import.changes": "Changes",
+  "import.warnings": "Warnings",
+  "import.noRows": "The file has no rows",
+  "import.status.update": "Update",
+  "import.status.unchanged": "No change",
+  "import.status.unmatched": "Unmatched",
+  "import.field.weight": "Weight",
+  "import.field.price": "Price",
+  "import.field.barcode": "Barcode",
+  "import.field.stock": "Stock",
+  "import.stockAt": "Stock at {location}",
+  "import.match.productId": "Product ID",
+  "import.match.sku": "SKU",
+  "import.match.barcode": "Barcode",
+  "import.staleTitle": "The file or the catalog has changed",
+  "import.staleHelp":
+    "Nothing was imported. Preview the file again to review the changes as they are now.",
+  "import.notices.pageExport":
+    "This is a page export, which lists each product's lowest price and total stock. Price and Available Units are not imported from it; use a collection export to change them.",
+  "import.notices.noLocation":
+    "Available Units are not imported without a Location column, because stock is set at one location at a time.",
+  "import.warnings.price": "Price must be a number greater than 0",
+  "import.warnings.stock": "Stock must be a whole number of 0 or more",
+  "import.warnings.currency": "Price is in {currency}, the shop uses {shopCurrency}",
+  "import.warnings.noProduct": "No product with ID {id}",
+  "import.warnings.severalVariants":
+    "The product has several variants; add its SKU or Variant",
+  "import.warnings.skuShared": "SKU {sku} is on several variants",
+  "import.warnings.barcodeShared": "Barcode {barcode} is on several variants",
+  "import.warnings.noVariant": "No variant with this product ID, SKU or barcode",
+  "import.warnings.barcodeUsed": "Barcode {barcode} is already used by {title}",
+  "import.warnings.untracked": "Stock is not tracked for this variant",
+  "import.warnings.noLocation": "Add the location to set stock at",
+  "import.warnings.notStocked": "The variant is not stocked at {location}",
+  "import.warnings.variantRepeated":
+    "Row {line} already gives this variant a different price, weight or barcode",
+  "import.warnings.stockRepeated": "Row {line} already sets stock here",
+  "import.warnings.barcodeRepeated": "Row {line} gives the same barcode",
+  "import.errors.noFile": "Choose a CSV or XLSX file",
+  "import.errors.tooLarge": "The file is larger than 5 MB",
+  "import.errors.unreadable": "The file could not be read",
+  "import.errors.fileType": "Only .csv and .xlsx files can be imported",
+  "import.errors.noMatchColumn": "Add a Product ID, SKU or Barcode column",
+  "import.errors.noUpdateColumn":
+    "Add a Weight, Price, Barcode or Available Units column",
+  "import.errors.tooManyRows": "Import at most {max} rows at a time",
+  "import.errors.nothingToUpdate": "Nothing in the file changes the catalog",
+
+  "staff.help":
+    "Staff appear here after they first open the app. Until they are given a role they have Salesperson access.",
+  "staff.member": "Staff member",
+  "staff.roleColumn": "Role",
+  "staff.roles": "Roles",
+  "staff.roleFor": "Role for {name}",
+  "staff.user": "User {id}",
+  "staff.accountOwner": "Owner (account owner)",
+  "staff.saved": "Roles saved",
+  "staff.role.owner": "Owner",
+  "staff.role.manager": "Manager",
+  "staff.role.salesperson": "Salesperson",
+  "staff.role.auditor": "Auditor",
+  "staff.roleDescription.owner": "Everything, including managing staff roles",
+  "staff.roleDescription.manager":
+    "Edits products, rates and alerts; sees stock value and revenue",
+  "staff.roleDescription.salesperson":
+    "Browses stock, prints labels and scans stock takes",
+  "staff.roleDescription.auditor":
+    "Read-only with stock value and revenue; reconciles stock takes and exports",
+  "staff.errors.role": "Choose a role",
+  "staff.errors.accountOwner": "The account owner is always an owner",
+
+  "labels.title": {
+    one: "Print labels for {count} product",
+    other: "Print labels for {count} products",
+  },
+  "labels.generate": "Generate",
+  "labels.generated": {
+    one: "{count} label generated",
+    other: "{count} labels generated",
+  },
+  "labels.failed": "Label sheet failed with status {status}",
+  "labels.stock": "Label stock",
+  "labels.layout.dumbbell": "Jewellery dumbbell tag (95 × 12 mm roll)",
+  "labels.layout.a4-65": "A4 sheet, 65 labels (38.1 × 21.2 mm)",
+  "labels.layout.a4-24": "A4 sheet, 24 labels (63.5 × 33.9 mm)",
+  "labels.layout.custom": "Custom",
+  "labels.barcode": "Barcode",
+  "labels.barcode.auto": "Automatic (EAN-13 when valid)",
+  "labels.barcode.code128": "Code 128",
+  "labels.barcode.ean13": "EAN-13",
+  "labels.help":
+    "Measurements are in millimetres. Each label shows the barcode (or SKU), title, purity, net weight and price.",
+  "labels.dimension.pageWidth": "Page width (mm)",
+  "labels.dimension.pageHeight": "Page height (mm)",
+  "labels.dimension.columns": "Columns",
+  "labels.dimension.rows": "Rows",
+  "labels.dimension.labelWidth": "Label width (mm)",
+  "labels.dimension.labelHeight": "Label height (mm)",
+  "labels.dimension.marginTop": "Top margin (mm)",
+  "labels.dimension.marginLeft": "Left margin (mm)",
+  "labels.dimension.gapX": "Column gap (mm)",
+  "labels.dimension.gapY": "Row gap (mm)",
+  "labels.format": "Format",
+  "labels.format.pdf": "PDF, ready to print",
+  "labels.format.svg": "SVG, for label design software",
+  "labels.errors.zeroOrMore": "Enter 0 or more",
+  "labels.errors.aboveZero": "Enter a number above 0",
+  "labels.errors.wholeNumber": "Enter a whole number",
+  "labels.errors.tooWide": "Labels do not fit across the page",
+  "labels.errors.tooTall": "Labels do not fit down the page",
+
+  "bulkEdit.title": {
+    one: "{action} for {count} product",
+    other: "{action} for {count} products",
+  },
+  "bulkEdit.apply": "Apply",
+  "bulkEdit.action.addTags": "Add tags",
+  "bulkEdit.action.removeTags": "Remove tags",
+  "bulkEdit.action.setStatus": "Set status",
+  "bulkEdit.action.addToCollection": "Add to collection",
+  "bulkEdit.action.removeFromCollection": "Remove from collection",
+  "bulkEdit.action.moveToCollection": "Move to collection",
+  "bulkEdit.tags": "Tags",
+  "bulkEdit.tagsHelp": "Separate tags with commas",
+  "bulkEdit.collection": "Collection",
+  "bulkEdit.chooseCollection": "Choose a collection",
+  "bulkEdit.moveHelp":
+    "The products are added to the chosen collection and removed from this one.",
+  "bulkEdit.help":
+    "Each product is updated on its own; any that fail are listed when the job finishes.",
+  "bulkEdit.errors.action": "Choose a bulk action",
+  "bulkEdit.errors.productIds": "Select at least one product",
+  "bulkEdit.errors.tags": "Enter at least one tag",
+  "bulkEdit.errors.status": "Choose a status",
+  "bulkEdit.errors.collection": "Choose a collection",
+  "bulkEdit.errors.sameCollection": "Choose a different collection to move to",
+
+  "sort.label": "Sort by",
+  "sort.default": "Default",
+  "sort.ascending": "{field} (ascending)",
+  "sort.descending": "{field} (descending)",
+  "sort.created": "Created date",
+  "sort.updated": "Updated date",
+
+  "stockAlert.title": "Low-stock alert",
+  "stockAlert.alertBelow": "Alert below",
+  "stockAlert.placeholder": "Use collection threshold",
+  "stockAlert.help": "Leave empty to follow the collections. {collections}",
+  "stockAlert.noCollectionThreshold": "Its collections have no threshold.",
+  "stockAlert.collectionThreshold": "Its collections alert below {threshold}.",
+  "stockAlert.saved": "Low-stock alert saved",
+
+  "stockAlert.errors.threshold": "Enter a whole number of 0 or more",
+
+  "stockAlerts.runningLow": "Running low ({count})",
+  "stockAlerts.units": "Units",
+  "stockAlerts.watchedBy": "Watched by",
+  "stockAlerts.productThreshold": "Product threshold",
+  "stockAlerts.noneLow": "Every watched product is above its threshold",
+  "stockAlerts.collectionThresholds": "Collection thresholds",
+  "stockAlerts.thresholdsHelp":
+    "Products are flagged when their stock falls below the threshold. A product in several collections uses the highest one; set a product's own threshold on its page.",
+  "stockAlerts.collection": "Collection",
+  "stockAlerts.thresholdFor": "Alert threshold for {title}",
+  "stockAlerts.off": "Off",
+  "stockAlerts.thresholdsSaved": "Thresholds saved",
+  "stockAlerts.digest": "Daily digest",
+  "stockAlerts.mailNotConfigured":
+    "Email is not set up. Add the SMTP settings to send the digest.",
+  "stockAlerts.sendTo": "Send to",
+  "stockAlerts.sendToHelp":
+    "Separate addresses with commas. The list is emailed every morning at 09:00 IST.",
+  "stockAlerts.sendNow": "Send now",
+  "stockAlerts.digestSaved": "Digest settings saved",
+  "stockAlerts.digestSent": {
+    one: "Digest sent to {count} recipient",
+    other: "Digest sent to {count} recipients",
+  },
+  "stockAlerts.noRecipients": "No digest recipients are set",
+  "stockAlerts.nothingLow": "Nothing is running low",
+  "stockAlerts.sendFailed": "The digest could not be sent: {error}",
+  "stockAlerts.errors.emails": "Check {emails}",
+
+  "weight.display": "Show weights in",
+  "weight.grams": "Grams",
+  "weight.tola": "Tola",
+  "weight.both": "Grams and tola",
+  "weight.errors.number": "Weight must be a number, e.g. 12.5 g",
+  "weight.errors.unit": "Unknown weight unit \"{unit}\"",
+};
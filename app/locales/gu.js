@@ -0,0 +1,609 @@
+// Gujarati UI strings. Keys missing here are shown in English.
+export default {
+  "common.back": "પાછા",
+  "common.cancel": "રદ કરો",
+  "common.edit": "ફેરફાર કરો",
+  "common.failed": "નિષ્ફળ",
+  "common.never": "ક્યારેય નહીં",
+  "common.no": "ના",
+  "common.save": "સાચવો",
+  "common.yes": "હા",
+
+  "nav.home": "હોમ",
+  "nav.rates": "ધાતુના ભાવ",
+  "nav.huid": "HUID રજિસ્ટર",
+  "nav.stockTakes": "સ્ટોક ગણતરી",
+  "nav.stockAlerts": "સ્ટોક એલર્ટ",
+  "nav.analytics": "વિશ્લેષણ",
+  "nav.ageing": "સ્ટોકની ઉંમર",
+  "nav.import": "ઇમ્પોર્ટ",
+  "nav.audit": "ઓડિટ લોગ",
+  "nav.staff": "સ્ટાફ",
+
+  "analytics.subtitle": "સ્નેપશોટ દરરોજ રાત્રે 23:45 IST વાગ્યે લેવાય છે",
+  "audit.subtitle": "ડેશબોર્ડ દ્વારા Shopify માં કરેલો દરેક ફેરફાર",
+  "ageing.subtitle": "ઇનવર્ડ તારીખથી વીતેલા દિવસો મુજબ સ્ટોકમાંના પીસ",
+
+  "analytics.takeSnapshot": "હમણાં સ્નેપશોટ લો",
+  "analytics.snapshotSaved": "{count} પ્રોડક્ટનો સ્નેપશોટ સેવ થયો",
+  "analytics.noSnapshots": "હજુ કોઈ સ્નેપશોટ નથી",
+  "analytics.noSnapshotsHelp":
+    "દરરોજ દરેક કલેક્શનના સ્ટોકનો સ્નેપશોટ નોંધાય છે. ટ્રેન્ડ શરૂ કરવા પહેલો સ્નેપશોટ હમણાં લો.",
+  "analytics.noSnapshotsInRange": "આ સમયગાળામાં કોઈ સ્નેપશોટ નથી",
+  "analytics.chartLabel": "{from} થી {to} સુધી {title}",
+  "analytics.collection": "કલેક્શન",
+  "analytics.allProducts": "બધા પ્રોડક્ટ",
+  "analytics.range": "સમયગાળો",
+  "analytics.range.30": "છેલ્લા 30 દિવસ",
+  "analytics.range.90": "છેલ્લા 90 દિવસ",
+  "analytics.range.365": "છેલ્લા 12 મહિના",
+  "analytics.range.all": "આખો સમય",
+  "analytics.productsInStock": "સ્ટોકમાં પ્રોડક્ટ",
+  "analytics.goldInStock": "સ્ટોકમાં સોનાનું વજન",
+  "analytics.compare": "બે તારીખોની સરખામણી કરો",
+  "analytics.from": "થી",
+  "analytics.to": "સુધી",
+  "analytics.compareAction": "સરખામણી કરો",
+  "analytics.compareHelp": "દરેક તારીખ માટે તે દિવસે અથવા તે પહેલાંનો છેલ્લો સ્નેપશોટ વપરાય છે.",
+  "analytics.noSnapshotFrom": "પહેલી તારીખે અથવા તે પહેલાં કોઈ સ્નેપશોટ નથી",
+  "analytics.noSnapshotTo": "બીજી તારીખે અથવા તે પહેલાં કોઈ સ્નેપશોટ નથી",
+  "analytics.products": "પ્રોડક્ટ",
+  "analytics.inStock": "સ્ટોકમાં",
+  "analytics.units": "યુનિટ",
+  "analytics.netWeight": "ચોખ્ખું વજન",
+  "analytics.stockValue": "સ્ટોક મૂલ્ય",
+
+  "audit.exportCsv": "CSV એક્સપોર્ટ કરો",
+  "audit.exportFailed": "એક્સપોર્ટ નિષ્ફળ, સ્થિતિ {status}",
+  "audit.user": "યુઝર",
+  "audit.everyone": "બધા",
+  "audit.from": "થી",
+  "audit.to": "સુધી",
+  "audit.productPlaceholder": "શીર્ષક અથવા પ્રોડક્ટ ID",
+  "audit.filter": "ફિલ્ટર કરો",
+  "audit.changes": "{total} ફેરફાર",
+  "audit.time": "સમય",
+  "audit.action": "ક્રિયા",
+  "audit.target": "શેના પર",
+  "audit.before": "પહેલાં",
+  "audit.after": "પછી",
+  "audit.applied": "લાગુ થયું",
+  "audit.unknownUser": "અજાણ્યું",
+  "audit.noChanges": "આ ફિલ્ટર સાથે કોઈ ફેરફાર મેળ ખાતો નથી",
+  "audit.action.inventory.adjust": "ઇન્વેન્ટરી બદલાઈ",
+  "audit.action.variant.price": "કિંમત બદલાઈ",
+  "audit.action.product.update": "પ્રોડક્ટ સંપાદિત",
+  "audit.action.variant.update": "વેરિઅન્ટ સંપાદિત",
+  "audit.action.product.status": "સ્થિતિ બદલાઈ",
+  "audit.action.product.collections": "કલેક્શન બદલાયા",
+  "audit.action.tags.add": "ટૅગ ઉમેર્યા",
+  "audit.action.tags.remove": "ટૅગ દૂર કર્યા",
+  "audit.action.metafield.set": "લક્ષણ નક્કી કર્યું",
+  "audit.action.metafield.delete": "લક્ષણ દૂર કર્યું",
+
+  "ageing.exportCsv": "CSV એક્સપોર્ટ કરો",
+  "ageing.exportExcel": "Excel એક્સપોર્ટ કરો",
+  "ageing.exportFailed": "એક્સપોર્ટ નિષ્ફળ, સ્થિતિ {status}",
+  "ageing.empty": "જૂનો થવા માટે કોઈ સ્ટોક નથી",
+  "ageing.emptyHelp": "કેટલોગ સિંક થયા પછી સ્ટોકવાળા પ્રોડક્ટ અહીં દેખાય છે.",
+  "ageing.help":
+    "ઉંમર પ્રોડક્ટની ઇનવર્ડ તારીખથી ગણાય છે, અથવા ઇનવર્ડ તારીખ ન હોય તો તે બન્યાની તારીખથી. ઘણા કલેક્શનમાં રહેલું પ્રોડક્ટ દરેકમાં ગણાય છે.",
+  "ageing.collection": "કલેક્શન",
+  "ageing.allProducts": "બધા પ્રોડક્ટ",
+  "ageing.bucket.0-90": "0–90 દિવસ",
+  "ageing.bucket.90-180": "90–180 દિવસ",
+  "ageing.bucket.180-365": "180–365 દિવસ",
+  "ageing.bucket.365+": "365+ દિવસ",
+
+  "sync.failed": "કેટલોગ સિંક નિષ્ફળ ગયું",
+  "sync.syncing": "કેટલોગ સિંક થઈ રહ્યું છે…",
+  "sync.synced": "કેટલોગ {time} સિંક થયું",
+  "sync.notSynced": "કેટલોગ હજુ સિંક થયું નથી",
+  "sync.resync": "ફરી સિંક કરો",
+  "sync.salesFailed": "વેચાણનો ઇતિહાસ ઇમ્પોર્ટ થઈ શક્યો નહીં",
+  "sync.justNow": "હમણાં જ",
+  "sync.minutesAgo": "{count} મિનિટ પહેલાં",
+  "sync.hoursAgo": "{count} કલાક પહેલાં",
+
+  "job.failed": "{title} નિષ્ફળ ગયું",
+  "job.progress": "{title} — {total} માંથી {processed} {unit}",
+  "job.starting": "{title} — શરૂ થઈ રહ્યું છે…",
+
+  "home.title": "પ્રોડક્ટ કલેક્શન",
+  "home.lowStock": {
+    one: "{count} પ્રોડક્ટનો સ્ટોક ઓછો છે",
+    other: "{count} પ્રોડક્ટનો સ્ટોક ઓછો છે",
+  },
+  "home.viewStockAlerts": "સ્ટોક એલર્ટ જુઓ",
+  "home.lowStockItem": "{title}: {units} બાકી (એલર્ટ મર્યાદા {threshold})",
+  "home.andMore": "અને બીજા {count}",
+  "home.noCollections": "કોઈ કલેક્શન મળ્યું નથી",
+  "home.noCollectionsHelp":
+    "તેમને અહીં જોવા માટે તમારા Shopify સ્ટોરમાં કલેક્શન બનાવો.",
+  "home.readingCatalog": "તમારું કેટલોગ વંચાઈ રહ્યું છે",
+  "home.readingCatalogHelp":
+    "પહેલું કેટલોગ સિંક પૂરું થતાં જ તમારા કલેક્શન અહીં દેખાશે.",
+  "home.viewCollection": "{title} ના પ્રોડક્ટ જુઓ",
+  "home.totalProducts": "કુલ {count} પ્રોડક્ટ",
+  "home.inStockDetails": "સ્ટોકમાં {details}",
+  "home.inStock": "{count} સ્ટોકમાં",
+  "home.soldOut": "{count} વેચાઈ ગયા",
+  "home.calculating": "સ્ટોકની ગણતરી થઈ રહી છે…",
+  "home.notCalculated": "સ્ટોકની ગણતરી હજુ થઈ નથી",
+
+  "collection.back": "કલેક્શન",
+  "collection.reprice": "નવો ભાવ લગાવો",
+  "collection.tabInStock": "સ્ટોકમાં ({count})",
+  "collection.tabSoldOut": "વેચાઈ ગયા ({count})",
+  "collection.search": "પ્રોડક્ટ શોધો",
+  "collection.searchPlaceholder":
+    "નામ, SKU, બારકોડ અથવા વજન (જેમ કે 12.5g અથવા 1 tola) થી શોધો...",
+  "collection.printLabels": "લેબલ છાપો ({count})",
+  "collection.bulkActions": "એકસાથે ફેરફાર",
+  "collection.exportPage": "આ પેજ એક્સપોર્ટ કરો",
+  "collection.exportCollection": "આખું કલેક્શન એક્સપોર્ટ કરો",
+  "collection.columns": "કૉલમ",
+  "collection.jewelleryColumns": "જ્વેલરી કૉલમ",
+  "collection.exporting": "કલેક્શન એક્સપોર્ટ થઈ રહ્યું છે",
+  "collection.exportFailed": "કલેક્શન એક્સપોર્ટ નિષ્ફળ ગયું",
+  "collection.updating": "પ્રોડક્ટ અપડેટ થઈ રહ્યા છે",
+  "collection.bulkDone": "{action}: {total} માંથી {updated} પ્રોડક્ટ અપડેટ થયા",
+  "collection.bulkFailed": "એકસાથે ફેરફાર નિષ્ફળ ગયો",
+  "collection.inStockFor": "{age} થી સ્ટોકમાં",
+  "collection.resultsFor": "\"{term}\" ના પરિણામો: ",
+  "collection.stockSummary": "{inStock} સ્ટોકમાં / {soldOut} વેચાઈ ગયા",
+  "collection.noResults": "કોઈ પ્રોડક્ટ મળ્યું નથી",
+  "collection.noResultsHelp": "શોધના શબ્દો બદલીને જુઓ.",
+  "collection.noInStock": "સ્ટોકમાં કોઈ પ્રોડક્ટ નથી",
+  "collection.noInStockHelp": "આ કલેક્શનમાં સ્ટોકમાં કોઈ પ્રોડક્ટ નથી.",
+  "collection.noSoldOut": "કોઈ વેચાયેલું પ્રોડક્ટ નથી",
+  "collection.noSoldOutHelp": "આ કલેક્શનમાં કોઈ પ્રોડક્ટ પૂરું વેચાયું નથી.",
+  "collection.lowStock": "ઓછો સ્ટોક",
+  "collection.noSales": "કોઈ વેચાણ નથી",
+  "collection.days": "{count} દિવસ",
+  "collection.select": "{title} પસંદ કરો",
+  "collection.selectPage": "આ પેજના બધા પ્રોડક્ટ પસંદ કરો",
+  "collection.products": "પ્રોડક્ટ",
+  "collection.weightTotals":
+    "વજન: કુલ {total}, {count} પીસનું સરેરાશ {average}",
+  "collection.nothingToExport": "એક્સપોર્ટ કરવા માટે કોઈ પ્રોડક્ટ નથી",
+  "collection.exportStatus": "એક્સપોર્ટ નિષ્ફળ, સ્થિતિ {status}",
+  "collection.exportCsv": "CSV",
+  "collection.exportXlsx": "Excel (XLSX)",
+
+  "column.image": "ફોટો",
+  "column.productName": "પ્રોડક્ટનું નામ",
+  "column.variant": "વેરિયન્ટ",
+  "column.sku": "SKU",
+  "column.barcode": "બારકોડ",
+  "column.weight": "વજન",
+  "column.price": "કિંમત",
+  "column.calculatedPrice": "ગણતરી કરેલી કિંમત",
+  "column.comparePrice": "સરખામણી કિંમત",
+  "column.inventory": "ઇન્વેન્ટરી",
+  "column.availableUnits": "ઉપલબ્ધ નંગ",
+  "column.available": "ઉપલબ્ધ",
+  "column.sellThrough": "વેચાણ દર (90 દિવસ)",
+  "column.daysOfCover": "સ્ટોક કેટલા દિવસ ચાલશે",
+  "column.date": "તારીખ",
+  "column.location": "લોકેશન",
+  "column.change": "ફેરફાર",
+  "column.reason": "કારણ",
+  "column.note": "નોંધ",
+  "column.product": "પ્રોડક્ટ",
+  "column.metal": "ધાતુ",
+  "column.purity": "શુદ્ધતા",
+  "column.huid": "HUID",
+  "column.status": "સ્થિતિ",
+
+  "product.images": "પ્રોડક્ટના ફોટા",
+  "product.noImages": "કોઈ ફોટો નથી",
+  "product.information": "પ્રોડક્ટની માહિતી",
+  "product.vendor": "વિક્રેતા:",
+  "product.productType": "પ્રોડક્ટનો પ્રકાર:",
+  "product.totalInventory": "કુલ ઇન્વેન્ટરી:",
+  "product.units": "{count} નંગ",
+  "product.created": "બનાવ્યું:",
+  "product.updated": "છેલ્લો ફેરફાર:",
+  "product.tags": "ટૅગ:",
+  "product.description": "વર્ણન",
+  "product.variants": "વેરિયન્ટ ({count})",
+  "product.noVariants": "કોઈ વેરિયન્ટ નથી",
+  "product.priceMismatch": {
+    one: "{count} વેરિયન્ટની કિંમત ગણતરી કરેલી કિંમતથી {tolerance}% કરતાં વધુ અલગ છે.",
+    other:
+      "{count} વેરિયન્ટની કિંમત ગણતરી કરેલી કિંમતથી {tolerance}% કરતાં વધુ અલગ છે.",
+  },
+  "product.adjustments": "ઇન્વેન્ટરી ફેરફાર",
+
+  "productEdit.title": "પ્રોડક્ટ સંપાદિત કરો",
+  "productEdit.done": "થઈ ગયું",
+  "productEdit.saved": "પ્રોડક્ટ સેવ થયું",
+  "productEdit.rejected": "Shopify એ કેટલાક મૂલ્યો નકાર્યા",
+  "productEdit.tagsHelp": "ટૅગ કૉમાથી અલગ કરો",
+  "productEdit.descriptionHelp":
+    "બદલાયેલું વર્ણન સેવ કરવાથી તેનું ફોર્મેટિંગ સાદા ફકરામાં બદલાઈ જાય છે",
+  "productEdit.field.title": "શીર્ષક",
+  "productEdit.field.vendor": "વિક્રેતા",
+  "productEdit.field.productType": "પ્રોડક્ટ પ્રકાર",
+  "productEdit.field.tags": "ટૅગ",
+  "productEdit.field.description": "વર્ણન",
+  "productEdit.field.sku": "SKU",
+  "productEdit.field.barcode": "બારકોડ",
+  "productEdit.field.price": "કિંમત",
+  "productEdit.field.compareAtPrice": "સરખામણી કિંમત",
+  "productEdit.errors.title": "શીર્ષક જરૂરી છે",
+  "productEdit.errors.price": "0 થી મોટી કિંમત દાખલ કરો",
+  "productEdit.errors.compareAtPrice": "0 થી મોટી કિંમત દાખલ કરો, અથવા ખાલી છોડો",
+  "productEdit.errors.compareAtPriceLow": "સરખામણી કિંમત કિંમતથી વધુ હોવી જોઈએ",
+  "productEdit.errors.skuRepeated": "SKU બીજા વેરિઅન્ટ પર છે",
+  "productEdit.errors.barcodeRepeated": "બારકોડ બીજા વેરિઅન્ટ પર છે",
+  "productEdit.errors.skuTaken": "SKU પહેલેથી {title} પર છે",
+  "productEdit.errors.barcodeTaken": "બારકોડ પહેલેથી {title} પર છે",
+
+  "productStatus.ACTIVE": "સક્રિય",
+  "productStatus.DRAFT": "ડ્રાફ્ટ",
+  "productStatus.ARCHIVED": "આર્કાઇવ",
+
+  "jewellery.title": "જ્વેલરી વિગતો",
+  "jewellery.saved": "જ્વેલરી વિગતો સેવ થઈ",
+  "jewellery.field.metal": "ધાતુ",
+  "jewellery.field.purity": "કેરેટ / શુદ્ધતા",
+  "jewellery.field.making_charge": "મેકિંગ ચાર્જ (₹)",
+  "jewellery.field.huid": "BIS HUID",
+  "jewellery.field.inward_date": "ઇનવર્ડ તારીખ",
+  "jewellery.field.gross_weight": "કુલ વજન (g)",
+  "jewellery.field.net_weight": "ચોખ્ખું વજન (g)",
+  "jewellery.field.stone_weight": "પથ્થરનું વજન (ct)",
+  "jewellery.field.stone_count": "પથ્થરોની સંખ્યા",
+  "jewellery.metal.Gold": "સોનું",
+  "jewellery.metal.Silver": "ચાંદી",
+  "jewellery.metal.Platinum": "પ્લેટિનમ",
+  "jewellery.errors.option": "આમાંથી એક પસંદ કરો: {options}",
+  "jewellery.errors.number": "0 અથવા વધુ સંખ્યા લખો",
+  "jewellery.errors.wholeNumber": "પૂર્ણ સંખ્યા લખો",
+  "jewellery.errors.date": "તારીખ YYYY-MM-DD તરીકે લખો",
+  "jewellery.errors.purity": "{purity} એ {metal} ની શુદ્ધતા નથી",
+  "jewellery.errors.huid": "HUID માં 6 અક્ષર અથવા અંક હોવા જોઈએ",
+  "jewellery.errors.huidUsed": "આ HUID પહેલેથી {title} માં વપરાયો છે",
+  "jewellery.errors.netWeight": "ચોખ્ખું વજન કુલ વજન કરતાં વધુ ન હોઈ શકે",
+
+  "sales.title": "વેચાણ",
+  "sales.lastSold": "છેલ્લું વેચાણ",
+  "sales.period": "સમયગાળો",
+  "sales.unitsSold": "વેચાયેલા નંગ",
+  "sales.revenue": "આવક",
+  "sales.lastDays": "છેલ્લા {count} દિવસ",
+  "sales.partialHistory":
+    "વેચાણ {date} થી નોંધાયેલું છે. ઍપને બધા ઓર્ડર વાંચવાની મંજૂરી મળે ત્યાં સુધી Shopify ફક્ત છેલ્લા 60 દિવસના ઓર્ડર આપે છે, તેથી લાંબા સમયગાળામાં એ તારીખથી થયેલું વેચાણ ગણાય છે.",
+  "sales.partialVelocity":
+    "વેચાણ દર અને સ્ટોકના દિવસો {date} થી થયેલા વેચાણ પર આધારિત છે, જ્યારથી વેચાણનો રેકોર્ડ શરૂ થાય છે.",
+
+  "rates.today": "આજના ભાવ",
+  "rates.todayHelp":
+    "ગણતરી કરેલી કિંમત = ભાવ × ચોખ્ખું વજન + ઘડામણ. જે ધાતુ તમે વેચતા નથી તેનો ભાવ ખાલી રાખો; સાચવેલો ભાવ ભૂંસવાથી તે દૂર થાય છે.",
+  "rates.ratePerGram": "ગ્રામ દીઠ ભાવ",
+  "rates.ratePerGramShort": "ભાવ/ગ્રામ",
+  "rates.makingCharge": "ઘડામણ",
+  "rates.makingChargeValue": "ઘડામણની રકમ",
+  "rates.makingChargeType.PER_GRAM": "ગ્રામ દીઠ",
+  "rates.makingChargeType.PERCENT": "ધાતુની કિંમતના %",
+  "rates.makingChargeType.FLAT": "પીસ દીઠ નક્કી રકમ",
+  "rates.priceCheck": "કિંમતની તપાસ",
+  "rates.tolerance": "છૂટની મર્યાદા",
+  "rates.toleranceHelp":
+    "જે વેરિયન્ટની Shopify કિંમત ગણતરી કરેલી કિંમતથી આના કરતાં વધુ અલગ હોય, તે પ્રોડક્ટ પેજ પર હાઇલાઇટ થાય છે.",
+  "rates.history": "ભાવનો ઇતિહાસ",
+  "rates.noHistory": "હજુ સુધી ભાવમાં કોઈ ફેરફાર નોંધાયો નથી",
+  "rates.saved": "ધાતુના ભાવ સચવાયા",
+  "rates.errors.rate": "0 કરતાં વધુ ભાવ લખો",
+  "rates.errors.makingCharge": "ઘડામણ 0 અથવા વધુ હોવું જોઈએ",
+  "rates.errors.makingChargeType": "ઘડામણનો પ્રકાર પસંદ કરો",
+  "rates.errors.tolerance": "0% અથવા વધુ મર્યાદા લખો",
+
+  "reprice.title": "{title} પર નવો ભાવ લગાવો",
+  "reprice.apply": "{count} કિંમતો બદલો",
+  "reprice.staleTitle": "ભાવ અથવા કિંમતો બદલાઈ ગઈ છે",
+  "reprice.staleHelp":
+    "આ ઝલક ખૂલ્યા પછી ભાવ અથવા કિંમતો બદલાઈ. નીચેના ફેરફારો જુઓ અને ફરીથી લાગુ કરો.",
+  "reprice.updating": "કિંમતો અપડેટ થઈ રહી છે",
+  "reprice.restoring": "જૂની કિંમતો પાછી મુકાઈ રહી છે",
+  "reprice.variants": "વેરિયન્ટ",
+  "reprice.applied": "{count} કિંમતો અપડેટ થઈ",
+  "reprice.restored": "{count} જૂની કિંમતો પાછી મુકાઈ",
+  "reprice.failed": "નવો ભાવ લગાવવામાં નિષ્ફળ",
+  "reprice.rollbackFailed": "જૂની કિંમતો પાછી મૂકવામાં નિષ્ફળ",
+  "reprice.variantsFailed": "{count} વેરિયન્ટ અપડેટ થઈ શક્યા નહીં",
+  "reprice.changes": "કિંમતમાં ફેરફાર ({count})",
+  "reprice.unchanged": "{count} વેરિયન્ટ પહેલેથી આજના ભાવ પર છે.",
+  "reprice.skipped":
+    "{count} છોડી દીધા: {noMetal} માં ધાતુ ઓળખાઈ નહીં, {noWeight} માં વજન નથી, {noRate} ની ધાતુનો ભાવ નથી.",
+  "reprice.currentPrice": "હાલની કિંમત",
+  "reprice.newPrice": "નવી કિંમત",
+  "reprice.difference": "તફાવત",
+  "reprice.nothing": "બદલવા માટે કંઈ નથી",
+  "reprice.nothingHelp":
+    "કિંમતવાળા બધા વેરિયન્ટ પહેલેથી આજના ધાતુના ભાવ પર છે.",
+  "reprice.runs": "અગાઉના ફેરફારો",
+  "reprice.run": "ફેરફાર",
+  "reprice.updated": "અપડેટ થયા",
+  "reprice.rollBack": "પાછું લો",
+  "reprice.noRuns": "આ કલેક્શન પર હજુ નવો ભાવ લાગ્યો નથી",
+  "reprice.status.running": "ચાલુ છે",
+  "reprice.status.applied": "લાગુ",
+  "reprice.status.partial": "આંશિક",
+  "reprice.status.failed": "નિષ્ફળ",
+  "reprice.status.rolled_back": "પાછું લીધું",
+
+  "huid.lastSynced": "{total} પ્રોડક્ટ, છેલ્લું સિંક {date}",
+  "huid.notSynced": "હજુ સિંક થયું નથી",
+  "huid.sync": "Shopify માંથી સિંક કરો",
+  "huid.synced": "{count} પ્રોડક્ટ સિંક થયા",
+  "huid.emptyTitle": "HUID રજિસ્ટર બનાવો",
+  "huid.emptyHelp":
+    "દરેક પ્રોડક્ટનો HUID વાંચો જેથી ખૂટતા અને બેવડા હોલમાર્ક શોધી શકાય.",
+  "huid.duplicates": "બેવડા HUID ({count})",
+  "huid.noDuplicates": "દરેક HUID એક જ પ્રોડક્ટનો છે",
+  "huid.missing": "HUID વગરના સોનાના પ્રોડક્ટ ({count})",
+  "huid.noMissing": "સોનાના દરેક પ્રોડક્ટનો HUID છે",
+
+  "inventory.adjust": "બદલો",
+  "inventory.quantity": "જથ્થો",
+  "inventory.mode.adjust": "આટલો બદલો",
+  "inventory.mode.set": "આટલો કરો",
+  "inventory.chooseReason": "કારણ પસંદ કરો",
+  "inventory.reason.sold_offline": "દુકાનમાં વેચાયું",
+  "inventory.reason.damaged": "નુકસાન થયું",
+  "inventory.reason.transferred": "બીજે મોકલ્યું",
+  "inventory.reason.correction": "સુધારો",
+  "inventory.updated": "ઇન્વેન્ટરી અપડેટ થઈ",
+  "inventory.errors.mode": "બદલો અથવા નક્કી કરો પસંદ કરો",
+  "inventory.errors.wholeNumber": "પૂર્ણ સંખ્યા લખો",
+  "inventory.errors.negative": "જથ્થો ઋણ ન હોઈ શકે",
+  "inventory.errors.zero": "0 સિવાયનો ફેરફાર લખો",
+  "inventory.errors.reason": "કારણ પસંદ કરો",
+
+  "stockTake.start": "સ્ટોક ગણતરી શરૂ કરો",
+  "stockTake.countBy": "આ પ્રમાણે ગણો",
+  "stockTake.scope.collection": "કલેક્શન",
+  "stockTake.scope.location": "લોકેશન",
+  "stockTake.choose": "પસંદ કરો…",
+  "stockTake.name": "નામ",
+  "stockTake.optional": "વૈકલ્પિક",
+  "stockTake.startScanning": "સ્કેન શરૂ કરો",
+  "stockTake.sessions": "ગણતરીઓ",
+  "stockTake.counting": "શું ગણ્યું",
+  "stockTake.started": "શરૂ થઈ",
+  "stockTake.scans": "સ્કેન",
+  "stockTake.none": "હજુ કોઈ સ્ટોક ગણતરી નથી",
+  "stockTake.inProgress": "ચાલુ છે",
+  "stockTake.closed": "બંધ",
+  "stockTake.subtitle.collection": "કલેક્શન {scope} ની ગણતરી",
+  "stockTake.subtitle.location": "લોકેશન {scope} ની ગણતરી",
+  "stockTake.close": "બંધ કરો અને મેળવો",
+  "stockTake.confirmClose":
+    "આ સ્ટોક ગણતરી બંધ કરીને {count} સ્કેન {scope} સાથે મેળવવા છે? પછી વધુ સ્કેન ઉમેરી શકાશે નહીં.",
+  "stockTake.export": "રિપોર્ટ એક્સપોર્ટ કરો",
+  "stockTake.exportFailed": "એક્સપોર્ટ નિષ્ફળ (સ્ટેટસ {status})",
+  "stockTake.scanBarcode": "બારકોડ સ્કેન કરો",
+  "stockTake.scanHelp":
+    "આ ફીલ્ડ પસંદ રાખો અને દરેક પીસ સ્કેન કરો. કોડ ટાઇપ કરીને પણ ઉમેરી શકાય છે.",
+  "stockTake.scanned": "{count} સ્કેન થયા",
+  "stockTake.pending": "({count} સચવાઈ રહ્યા છે)",
+  "stockTake.saving": "સચવાઈ રહ્યું છે…",
+  "stockTake.remove": "કાઢો",
+  "stockTake.scanNotSaved": "{code} સચવાયો નથી ({reason}). તેને ફરીથી સ્કેન કરો.",
+  "stockTake.removeFailed": "સ્કેન કાઢી શકાયો નહીં ({reason})",
+  "stockTake.latestScans": "તાજેતરના સ્કેન",
+  "stockTake.scannedAt": "સ્કેનનો સમય",
+  "stockTake.nothingScanned": "હજુ કંઈ સ્કેન થયું નથી",
+  "stockTake.expectedUnits": "અપેક્ષિત નંગ",
+  "stockTake.matched": "મળ્યા",
+  "stockTake.missing": "ખૂટતા",
+  "stockTake.extra": "વધારાના",
+  "stockTake.duplicates": "બેવડા",
+  "stockTake.unknown": "અજાણ્યા",
+  "stockTake.section.missing": "ખૂટતા પીસ ({count})",
+  "stockTake.section.extra": "વધારાના સ્કેન ({count})",
+  "stockTake.section.duplicates": "બેવડા સ્કેન ({count})",
+  "stockTake.section.unknown": "અજાણ્યા બારકોડ ({count})",
+  "stockTake.sectionEmpty": "કોઈ નહીં",
+  "stockTake.expected": "અપેક્ષિત",
+  "stockTake.scannedCount": "સ્કેન થયા",
+  "stockTake.difference": "તફાવત",
+  "stockTake.errors.scope": "શું ગણવું છે તે પસંદ કરો",
+
+  "import.help":
+    "CSV અથવા Excel ફાઇલમાંથી વજન, કિંમત, બારકોડ અને સ્ટોક અપડેટ કરો. લાઇનો Product ID, SKU અથવા Barcode થી મેળવાય છે, તેથી કલેક્શનનું એક્સપોર્ટ બદલીને ફરીથી ઇમ્પોર્ટ કરી શકાય છે. ખાલી સેલ જેમ છે તેમ રહે છે. એકમ વગરનું વજન ગ્રામ ગણાય છે, અને તોલા ગ્રામમાં ફેરવાય છે. સ્ટોક Location કૉલમમાં લખેલા લોકેશન પર નક્કી થાય છે, જેમ કલેક્શન એક્સપોર્ટમાં હોય છે.",
+  "import.spreadsheet": "સ્પ્રેડશીટ",
+  "import.accepts": ".csv અને .xlsx ફાઇલો",
+  "import.preview": "ઝલક",
+  "import.apply": "{count} અપડેટ લાગુ કરો",
+  "import.importing": "ઇમ્પોર્ટ થઈ રહ્યું છે",
+  "import.rows": "લાઇનો",
+  "import.done": "{total} માંથી {updated} લાઇનો ઇમ્પોર્ટ થઈ",
+  "import.rowFailed": "લાઇન {line}, {title}: {error}",
+  "import.failed": "ઇમ્પોર્ટ નિષ્ફળ",
+  "import.toUpdate": "{count} અપડેટ થશે",
+  "import.unchanged": "{count} માં ફેરફાર નથી",
+  "import.unmatched": "{count} મળ્યા નથી",
+  "import.row": "લાઇન",
+  "import.matchedBy": "શેનાથી મળ્યું",
+  "import.changes": "ફેરફારો",
+  "import.warnings": "ચેતવણીઓ",
+  "import.noRows": "ફાઇલમાં કોઈ લાઇન નથી",
+  "import.status.update": "અપડેટ",
+  "import.status.unchanged": "કોઈ ફેરફાર નથી",
+  "import.status.unmatched": "મળ્યું નથી",
+  "import.field.weight": "વજન",
+  "import.field.price": "કિંમત",
+  "import.field.barcode": "બારકોડ",
+  "import.field.stock": "સ્ટોક",
+  "import.stockAt": "{location} પર સ્ટોક",
+  "import.match.productId": "Product ID",
+  "import.match.sku": "SKU",
+  "import.match.barcode": "બારકોડ",
+  "import.staleTitle": "ફાઇલ અથવા કેટલોગ બદલાયું છે",
+  "import.staleHelp":
+    "કંઈ ઇમ્પોર્ટ થયું નથી. હાલના ફેરફારો જોવા માટે ફાઇલનું પૂર્વદર્શન ફરીથી જુઓ.",
+  "import.notices.pageExport":
+    "આ પેજ એક્સપોર્ટ છે, જેમાં દરેક પ્રોડક્ટની સૌથી ઓછી કિંમત અને કુલ સ્ટોક હોય છે. તેમાંથી Price અને Available Units ઇમ્પોર્ટ થતા નથી; તેને બદલવા કલેક્શન એક્સપોર્ટ વાપરો.",
+  "import.notices.noLocation":
+    "Location કૉલમ વગર Available Units ઇમ્પોર્ટ થતા નથી, કારણ કે સ્ટોક એક સમયે એક લોકેશન પર નક્કી થાય છે.",
+  "import.warnings.price": "કિંમત 0 થી મોટી સંખ્યા હોવી જોઈએ",
+  "import.warnings.stock": "સ્ટોક 0 અથવા વધુની પૂર્ણ સંખ્યા હોવો જોઈએ",
+  "import.warnings.currency": "કિંમત {currency} માં છે, દુકાન {shopCurrency} વાપરે છે",
+  "import.warnings.noProduct": "ID {id} વાળું કોઈ પ્રોડક્ટ નથી",
+  "import.warnings.severalVariants":
+    "પ્રોડક્ટના ઘણા વેરિઅન્ટ છે; તેનો SKU અથવા Variant ઉમેરો",
+  "import.warnings.skuShared": "SKU {sku} ઘણા વેરિઅન્ટ પર છે",
+  "import.warnings.barcodeShared": "બારકોડ {barcode} ઘણા વેરિઅન્ટ પર છે",
+  "import.warnings.noVariant": "આ Product ID, SKU અથવા બારકોડ વાળું કોઈ વેરિઅન્ટ નથી",
+  "import.warnings.barcodeUsed": "બારકોડ {barcode} પહેલેથી {title} પર છે",
+  "import.warnings.untracked": "આ વેરિઅન્ટનો સ્ટોક ટ્રૅક થતો નથી",
+  "import.warnings.noLocation": "સ્ટોક નક્કી કરવા લોકેશન ઉમેરો",
+  "import.warnings.notStocked": "વેરિઅન્ટ {location} પર સ્ટોકમાં રખાતું નથી",
+  "import.warnings.variantRepeated":
+    "લાઇન {line} આ વેરિઅન્ટને પહેલેથી અલગ કિંમત, વજન અથવા બારકોડ આપે છે",
+  "import.warnings.stockRepeated": "લાઇન {line} અહીં પહેલેથી સ્ટોક નક્કી કરે છે",
+  "import.warnings.barcodeRepeated": "લાઇન {line} એ જ બારકોડ આપે છે",
+  "import.errors.noFile": "CSV અથવા XLSX ફાઇલ પસંદ કરો",
+  "import.errors.tooLarge": "ફાઇલ 5 MB કરતાં મોટી છે",
+  "import.errors.unreadable": "ફાઇલ વાંચી શકાઈ નહીં",
+  "import.errors.fileType": "ફક્ત .csv અને .xlsx ફાઇલો ઇમ્પોર્ટ થઈ શકે છે",
+  "import.errors.noMatchColumn": "Product ID, SKU અથવા Barcode કૉલમ ઉમેરો",
+  "import.errors.noUpdateColumn":
+    "Weight, Price, Barcode અથવા Available Units કૉલમ ઉમેરો",
+  "import.errors.tooManyRows": "એક સાથે વધુમાં વધુ {max} લાઇનો ઇમ્પોર્ટ કરો",
+  "import.errors.nothingToUpdate": "ફાઇલથી કેટલોગમાં કંઈ બદલાતું નથી",
+
+  "staff.help":
+    "સ્ટાફ પહેલી વાર ઍપ ખોલે પછી અહીં દેખાય છે. ભૂમિકા મળે ત્યાં સુધી તેમની પાસે સેલ્સપર્સનની પહોંચ હોય છે.",
+  "staff.member": "સ્ટાફ સભ્ય",
+  "staff.roleColumn": "ભૂમિકા",
+  "staff.roles": "ભૂમિકાઓ",
+  "staff.roleFor": "{name} ની ભૂમિકા",
+  "staff.user": "યુઝર {id}",
+  "staff.accountOwner": "માલિક (એકાઉન્ટના માલિક)",
+  "staff.saved": "ભૂમિકાઓ સચવાઈ",
+  "staff.role.owner": "માલિક",
+  "staff.role.manager": "મેનેજર",
+  "staff.role.salesperson": "સેલ્સપર્સન",
+  "staff.role.auditor": "ઓડિટર",
+  "staff.roleDescription.owner": "બધું, સ્ટાફની ભૂમિકાઓ નક્કી કરવા સહિત",
+  "staff.roleDescription.manager":
+    "પ્રોડક્ટ, ભાવ અને એલર્ટ બદલે છે; સ્ટોકની કિંમત અને આવક જુએ છે",
+  "staff.roleDescription.salesperson":
+    "સ્ટોક જુએ છે, લેબલ છાપે છે અને સ્ટોક ગણતરીમાં સ્કેન કરે છે",
+  "staff.roleDescription.auditor":
+    "સ્ટોકની કિંમત અને આવક સાથે ફક્ત જોવાની પહોંચ; સ્ટોક ગણતરી મેળવે છે અને એક્સપોર્ટ કરે છે",
+  "staff.errors.role": "ભૂમિકા પસંદ કરો",
+  "staff.errors.accountOwner": "એકાઉન્ટના માલિક હંમેશા માલિક જ રહે છે",
+
+  "labels.title": "{count} પ્રોડક્ટના લેબલ પ્રિન્ટ કરો",
+  "labels.generate": "બનાવો",
+  "labels.generated": "{count} લેબલ બન્યા",
+  "labels.failed": "લેબલ શીટ નિષ્ફળ, સ્થિતિ {status}",
+  "labels.stock": "લેબલ સ્ટોક",
+  "labels.layout.dumbbell": "જ્વેલરી ડંબલ ટૅગ (95 × 12 mm રોલ)",
+  "labels.layout.a4-65": "A4 શીટ, 65 લેબલ (38.1 × 21.2 mm)",
+  "labels.layout.a4-24": "A4 શીટ, 24 લેબલ (63.5 × 33.9 mm)",
+  "labels.layout.custom": "કસ્ટમ",
+  "labels.barcode": "બારકોડ",
+  "labels.barcode.auto": "આપમેળે (માન્ય હોય ત્યારે EAN-13)",
+  "labels.barcode.code128": "Code 128",
+  "labels.barcode.ean13": "EAN-13",
+  "labels.help":
+    "માપ મિલીમીટરમાં છે. દરેક લેબલ પર બારકોડ (અથવા SKU), શીર્ષક, શુદ્ધતા, ચોખ્ખું વજન અને કિંમત દેખાય છે.",
+  "labels.dimension.pageWidth": "પેજ પહોળાઈ (mm)",
+  "labels.dimension.pageHeight": "પેજ ઊંચાઈ (mm)",
+  "labels.dimension.columns": "કૉલમ",
+  "labels.dimension.rows": "હરોળ",
+  "labels.dimension.labelWidth": "લેબલ પહોળાઈ (mm)",
+  "labels.dimension.labelHeight": "લેબલ ઊંચાઈ (mm)",
+  "labels.dimension.marginTop": "ઉપરનો માર્જિન (mm)",
+  "labels.dimension.marginLeft": "ડાબો માર્જિન (mm)",
+  "labels.dimension.gapX": "કૉલમ વચ્ચે અંતર (mm)",
+  "labels.dimension.gapY": "હરોળ વચ્ચે અંતર (mm)",
+  "labels.format": "ફોર્મેટ",
+  "labels.format.pdf": "PDF, પ્રિન્ટ માટે તૈયાર",
+  "labels.format.svg": "SVG, લેબલ ડિઝાઇન સૉફ્ટવેર માટે",
+  "labels.errors.zeroOrMore": "0 અથવા વધુ દાખલ કરો",
+  "labels.errors.aboveZero": "0 થી મોટી સંખ્યા દાખલ કરો",
+  "labels.errors.wholeNumber": "પૂર્ણ સંખ્યા દાખલ કરો",
+  "labels.errors.tooWide": "લેબલ પેજની પહોળાઈમાં સમાતા નથી",
+  "labels.errors.tooTall": "લેબલ પેજની ઊંચાઈમાં સમાતા નથી",
+
+  "bulkEdit.title": "{count} પ્રોડક્ટ માટે {action}",
+  "bulkEdit.apply": "લાગુ કરો",
+  "bulkEdit.action.addTags": "ટૅગ ઉમેરો",
+  "bulkEdit.action.removeTags": "ટૅગ દૂર કરો",
+  "bulkEdit.action.setStatus": "સ્થિતિ સેટ કરો",
+  "bulkEdit.action.addToCollection": "કલેક્શનમાં ઉમેરો",
+  "bulkEdit.action.removeFromCollection": "કલેક્શનમાંથી દૂર કરો",
+  "bulkEdit.action.moveToCollection": "કલેક્શનમાં ખસેડો",
+  "bulkEdit.tags": "ટૅગ",
+  "bulkEdit.tagsHelp": "ટૅગ કૉમાથી અલગ કરો",
+  "bulkEdit.collection": "કલેક્શન",
+  "bulkEdit.chooseCollection": "કલેક્શન પસંદ કરો",
+  "bulkEdit.moveHelp":
+    "પ્રોડક્ટ પસંદ કરેલા કલેક્શનમાં ઉમેરાય છે અને આ કલેક્શનમાંથી દૂર થાય છે.",
+  "bulkEdit.help":
+    "દરેક પ્રોડક્ટ અલગથી અપડેટ થાય છે; જે નિષ્ફળ જાય તે કામ પૂરું થયે બતાવાય છે.",
+  "bulkEdit.errors.action": "બલ્ક ક્રિયા પસંદ કરો",
+  "bulkEdit.errors.productIds": "ઓછામાં ઓછું એક પ્રોડક્ટ પસંદ કરો",
+  "bulkEdit.errors.tags": "ઓછામાં ઓછો એક ટૅગ દાખલ કરો",
+  "bulkEdit.errors.status": "સ્થિતિ પસંદ કરો",
+  "bulkEdit.errors.collection": "કલેક્શન પસંદ કરો",
+  "bulkEdit.errors.sameCollection": "ખસેડવા માટે બીજું કલેક્શન પસંદ કરો",
+
+  "sort.label": "ક્રમ",
+  "sort.default": "ડિફૉલ્ટ",
+  "sort.ascending": "{field} (ચડતા ક્રમમાં)",
+  "sort.descending": "{field} (ઊતરતા ક્રમમાં)",
+  "sort.created": "બનાવ્યાની તારીખ",
+  "sort.updated": "ફેરફારની તારીખ",
+
+  "stockAlert.title": "ઓછા સ્ટોકનો એલર્ટ",
+  "stockAlert.alertBelow": "આનાથી ઓછું થતાં એલર્ટ",
+  "stockAlert.placeholder": "કલેક્શનની મર્યાદા વાપરો",
+  "stockAlert.help": "કલેક્શનની મર્યાદા અનુસરવા ખાલી રાખો. {collections}",
+  "stockAlert.noCollectionThreshold": "તેના કલેક્શનમાં કોઈ મર્યાદા નથી.",
+  "stockAlert.collectionThreshold": "તેના કલેક્શન {threshold} થી ઓછું થતાં એલર્ટ આપે છે.",
+  "stockAlert.saved": "ઓછા સ્ટોકનો એલર્ટ સચવાયો",
+
+  "stockAlert.errors.threshold": "0 અથવા વધુની પૂર્ણ સંખ્યા દાખલ કરો",
+
+  "stockAlerts.runningLow": "ઓછો સ્ટોક ({count})",
+  "stockAlerts.units": "યુનિટ",
+  "stockAlerts.watchedBy": "કોના હેઠળ દેખરેખ",
+  "stockAlerts.productThreshold": "પ્રોડક્ટની મર્યાદા",
+  "stockAlerts.noneLow": "દેખરેખ હેઠળનું દરેક પ્રોડક્ટ તેની મર્યાદાથી ઉપર છે",
+  "stockAlerts.collectionThresholds": "કલેક્શનની મર્યાદાઓ",
+  "stockAlerts.thresholdsHelp":
+    "સ્ટોક મર્યાદાથી નીચે જાય ત્યારે પ્રોડક્ટ ચિહ્નિત થાય છે. ઘણા કલેક્શનમાં રહેલું પ્રોડક્ટ સૌથી ઊંચી મર્યાદા લે છે; પ્રોડક્ટની પોતાની મર્યાદા તેના પેજ પર નક્કી કરો.",
+  "stockAlerts.collection": "કલેક્શન",
+  "stockAlerts.thresholdFor": "{title} માટે એલર્ટ મર્યાદા",
+  "stockAlerts.off": "બંધ",
+  "stockAlerts.thresholdsSaved": "મર્યાદાઓ સેવ થઈ",
+  "stockAlerts.digest": "દૈનિક સારાંશ",
+  "stockAlerts.mailNotConfigured":
+    "ઇમેઇલ સેટ નથી. સારાંશ મોકલવા SMTP સેટિંગ ઉમેરો.",
+  "stockAlerts.sendTo": "આમને મોકલો",
+  "stockAlerts.sendToHelp":
+    "સરનામાં કૉમાથી અલગ કરો. યાદી દરરોજ સવારે 09:00 IST પર ઇમેઇલ થાય છે.",
+  "stockAlerts.sendNow": "હમણાં મોકલો",
+  "stockAlerts.digestSaved": "સારાંશની સેટિંગ સેવ થઈ",
+  "stockAlerts.digestSent": "સારાંશ {count} લોકોને મોકલાયો",
+  "stockAlerts.noRecipients": "સારાંશ મેળવનાર કોઈ નક્કી નથી",
+  "stockAlerts.nothingLow": "કંઈ ઓછું નથી",
+  "stockAlerts.sendFailed": "સારાંશ મોકલી શકાયો નહીં: {error}",
+  "stockAlerts.errors.emails": "{emails} તપાસો",
+
+  "weight.display": "વજન આમાં બતાવો",
+  "weight.grams": "ગ્રામ",
+  "weight.tola": "તોલા",
+  "weight.both": "ગ્રામ અને તોલા",
+  "weight.errors.number": "વજન એક સંખ્યા હોવું જોઈએ, જેમ કે 12.5 g",
+  "weight.errors.unit": "વજનનો અજાણ્યો એકમ \"{unit}\"",
+};
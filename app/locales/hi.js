@@ -0,0 +1,609 @@
+// Hindi UI strings. Keys missing here are shown in English.
+export default {
+  "common.back": "वापस",
+  "common.cancel": "रद्द करें",
+  "common.edit": "बदलें",
+  "common.failed": "विफल",
+  "common.never": "कभी नहीं",
+  "common.no": "नहीं",
+  "common.save": "सहेजें",
+  "common.yes": "हाँ",
+
+  "nav.home": "होम",
+  "nav.rates": "धातु भाव",
+  "nav.huid": "HUID रजिस्टर",
+  "nav.stockTakes": "स्टॉक गिनती",
+  "nav.stockAlerts": "स्टॉक अलर्ट",
+  "nav.analytics": "विश्लेषण",
+  "nav.ageing": "स्टॉक की उम्र",
+  "nav.import": "इम्पोर्ट",
+  "nav.audit": "ऑडिट लॉग",
+  "nav.staff": "स्टाफ़",
+
+  "analytics.subtitle": "स्नैपशॉट हर रात 23:45 IST पर लिए जाते हैं",
+  "audit.subtitle": "डैशबोर्ड से Shopify में किया गया हर बदलाव",
+  "ageing.subtitle": "इनवर्ड तारीख से बीते दिनों के हिसाब से स्टॉक में रखे पीस",
+
+  "analytics.takeSnapshot": "अभी स्नैपशॉट लें",
+  "analytics.snapshotSaved": "{count} प्रोडक्ट का स्नैपशॉट सेव हुआ",
+  "analytics.noSnapshots": "अभी कोई स्नैपशॉट नहीं",
+  "analytics.noSnapshotsHelp":
+    "हर दिन हर कलेक्शन के स्टॉक का स्नैपशॉट दर्ज होता है। ट्रेंड शुरू करने के लिए पहला स्नैपशॉट अभी लें।",
+  "analytics.noSnapshotsInRange": "इस अवधि में कोई स्नैपशॉट नहीं",
+  "analytics.chartLabel": "{from} से {to} तक {title}",
+  "analytics.collection": "कलेक्शन",
+  "analytics.allProducts": "सभी प्रोडक्ट",
+  "analytics.range": "अवधि",
+  "analytics.range.30": "पिछले 30 दिन",
+  "analytics.range.90": "पिछले 90 दिन",
+  "analytics.range.365": "पिछले 12 महीने",
+  "analytics.range.all": "पूरा समय",
+  "analytics.productsInStock": "स्टॉक में प्रोडक्ट",
+  "analytics.goldInStock": "स्टॉक में सोने का वज़न",
+  "analytics.compare": "दो तारीखों की तुलना करें",
+  "analytics.from": "से",
+  "analytics.to": "तक",
+  "analytics.compareAction": "तुलना करें",
+  "analytics.compareHelp": "हर तारीख के लिए उस दिन या उससे पहले का आखिरी स्नैपशॉट लिया जाता है।",
+  "analytics.noSnapshotFrom": "पहली तारीख को या उससे पहले कोई स्नैपशॉट नहीं है",
+  "analytics.noSnapshotTo": "दूसरी तारीख को या उससे पहले कोई स्नैपशॉट नहीं है",
+  "analytics.products": "प्रोडक्ट",
+  "analytics.inStock": "स्टॉक में",
+  "analytics.units": "यूनिट",
+  "analytics.netWeight": "शुद्ध वज़न",
+  "analytics.stockValue": "स्टॉक मूल्य",
+
+  "audit.exportCsv": "CSV एक्सपोर्ट करें",
+  "audit.exportFailed": "एक्सपोर्ट विफल, स्थिति {status}",
+  "audit.user": "यूज़र",
+  "audit.everyone": "सभी",
+  "audit.from": "से",
+  "audit.to": "तक",
+  "audit.productPlaceholder": "शीर्षक या प्रोडक्ट ID",
+  "audit.filter": "फ़िल्टर करें",
+  "audit.changes": "{total} बदलाव",
+  "audit.time": "समय",
+  "audit.action": "कार्य",
+  "audit.target": "किस पर",
+  "audit.before": "पहले",
+  "audit.after": "बाद में",
+  "audit.applied": "लागू हुआ",
+  "audit.unknownUser": "अज्ञात",
+  "audit.noChanges": "इन फ़िल्टर से कोई बदलाव मेल नहीं खाता",
+  "audit.action.inventory.adjust": "इन्वेंटरी बदली",
+  "audit.action.variant.price": "कीमत बदली",
+  "audit.action.product.update": "प्रोडक्ट संपादित",
+  "audit.action.variant.update": "वेरिएंट संपादित",
+  "audit.action.product.status": "स्थिति बदली",
+  "audit.action.product.collections": "कलेक्शन बदले",
+  "audit.action.tags.add": "टैग जोड़े",
+  "audit.action.tags.remove": "टैग हटाए",
+  "audit.action.metafield.set": "विशेषता तय की",
+  "audit.action.metafield.delete": "विशेषता हटाई",
+
+  "ageing.exportCsv": "CSV एक्सपोर्ट करें",
+  "ageing.exportExcel": "Excel एक्सपोर्ट करें",
+  "ageing.exportFailed": "एक्सपोर्ट विफल, स्थिति {status}",
+  "ageing.empty": "पुराना होने के लिए कोई स्टॉक नहीं",
+  "ageing.emptyHelp": "कैटलॉग सिंक होने के बाद स्टॉक वाले प्रोडक्ट यहाँ दिखते हैं।",
+  "ageing.help":
+    "उम्र प्रोडक्ट की इनवर्ड तारीख से गिनी जाती है, या इनवर्ड तारीख न हो तो उसके बनने की तारीख से। कई कलेक्शन में रहने वाला प्रोडक्ट हर कलेक्शन में गिना जाता है।",
+  "ageing.collection": "कलेक्शन",
+  "ageing.allProducts": "सभी प्रोडक्ट",
+  "ageing.bucket.0-90": "0–90 दिन",
+  "ageing.bucket.90-180": "90–180 दिन",
+  "ageing.bucket.180-365": "180–365 दिन",
+  "ageing.bucket.365+": "365+ दिन",
+
+  "sync.failed": "कैटलॉग सिंक विफल रहा",
+  "sync.syncing": "कैटलॉग सिंक हो रहा है…",
+  "sync.synced": "कैटलॉग {time} सिंक हुआ",
+  "sync.notSynced": "कैटलॉग अभी तक सिंक नहीं हुआ",
+  "sync.resync": "फिर से सिंक करें",
+  "sync.salesFailed": "बिक्री का इतिहास इम्पोर्ट नहीं हो सका",
+  "sync.justNow": "अभी",
+  "sync.minutesAgo": "{count} मिनट पहले",
+  "sync.hoursAgo": "{count} घंटे पहले",
+
+  "job.failed": "{title} विफल रहा",
+  "job.progress": "{title} — {total} में से {processed} {unit}",
+  "job.starting": "{title} — शुरू हो रहा है…",
+
+  "home.title": "प्रोडक्ट कलेक्शन",
+  "home.lowStock": {
+    one: "{count} प्रोडक्ट का स्टॉक कम है",
+    other: "{count} प्रोडक्ट का स्टॉक कम है",
+  },
+  "home.viewStockAlerts": "स्टॉक अलर्ट देखें",
+  "home.lowStockItem": "{title}: {units} बचे (अलर्ट सीमा {threshold})",
+  "home.andMore": "और {count} अन्य",
+  "home.noCollections": "कोई कलेक्शन नहीं मिला",
+  "home.noCollectionsHelp":
+    "उन्हें यहाँ देखने के लिए अपने Shopify स्टोर में कलेक्शन बनाएँ।",
+  "home.readingCatalog": "आपका कैटलॉग पढ़ा जा रहा है",
+  "home.readingCatalogHelp":
+    "पहला कैटलॉग सिंक पूरा होते ही आपके कलेक्शन यहाँ दिखेंगे।",
+  "home.viewCollection": "{title} के प्रोडक्ट देखें",
+  "home.totalProducts": "कुल {count} प्रोडक्ट",
+  "home.inStockDetails": "स्टॉक में {details}",
+  "home.inStock": "{count} स्टॉक में",
+  "home.soldOut": "{count} बिक चुके",
+  "home.calculating": "स्टॉक की गणना हो रही है…",
+  "home.notCalculated": "स्टॉक की गणना अभी नहीं हुई",
+
+  "collection.back": "कलेक्शन",
+  "collection.reprice": "नया भाव लगाएँ",
+  "collection.tabInStock": "स्टॉक में ({count})",
+  "collection.tabSoldOut": "बिक चुके ({count})",
+  "collection.search": "प्रोडक्ट खोजें",
+  "collection.searchPlaceholder":
+    "नाम, SKU, बारकोड या वज़न (जैसे 12.5g या 1 tola) से खोजें...",
+  "collection.printLabels": "लेबल प्रिंट करें ({count})",
+  "collection.bulkActions": "एक साथ बदलाव",
+  "collection.exportPage": "यह पेज एक्सपोर्ट करें",
+  "collection.exportCollection": "पूरा कलेक्शन एक्सपोर्ट करें",
+  "collection.columns": "कॉलम",
+  "collection.jewelleryColumns": "ज्वेलरी कॉलम",
+  "collection.exporting": "कलेक्शन एक्सपोर्ट हो रहा है",
+  "collection.exportFailed": "कलेक्शन एक्सपोर्ट विफल रहा",
+  "collection.updating": "प्रोडक्ट अपडेट हो रहे हैं",
+  "collection.bulkDone": "{action}: {total} में से {updated} प्रोडक्ट अपडेट हुए",
+  "collection.bulkFailed": "एक साथ बदलाव विफल रहा",
+  "collection.inStockFor": "{age} से स्टॉक में",
+  "collection.resultsFor": "\"{term}\" के नतीजे: ",
+  "collection.stockSummary": "{inStock} स्टॉक में / {soldOut} बिक चुके",
+  "collection.noResults": "कोई प्रोडक्ट नहीं मिला",
+  "collection.noResultsHelp": "खोज के शब्द बदलकर देखें।",
+  "collection.noInStock": "स्टॉक में कोई प्रोडक्ट नहीं",
+  "collection.noInStockHelp": "इस कलेक्शन में स्टॉक में कोई प्रोडक्ट नहीं है।",
+  "collection.noSoldOut": "कोई बिका हुआ प्रोडक्ट नहीं",
+  "collection.noSoldOutHelp": "इस कलेक्शन में कोई प्रोडक्ट पूरा नहीं बिका है।",
+  "collection.lowStock": "स्टॉक कम",
+  "collection.noSales": "कोई बिक्री नहीं",
+  "collection.days": "{count} दिन",
+  "collection.select": "{title} चुनें",
+  "collection.selectPage": "इस पेज के सभी प्रोडक्ट चुनें",
+  "collection.products": "प्रोडक्ट",
+  "collection.weightTotals":
+    "वज़न: कुल {total}, {count} पीस का औसत {average}",
+  "collection.nothingToExport": "एक्सपोर्ट करने के लिए कोई प्रोडक्ट नहीं",
+  "collection.exportStatus": "एक्सपोर्ट विफल, स्थिति {status}",
+  "collection.exportCsv": "CSV",
+  "collection.exportXlsx": "Excel (XLSX)",
+
+  "column.image": "फ़ोटो",
+  "column.productName": "प्रोडक्ट का नाम",
+  "column.variant": "वैरिएंट",
+  "column.sku": "SKU",
+  "column.barcode": "बारकोड",
+  "column.weight": "वज़न",
+  "column.price": "कीमत",
+  "column.calculatedPrice": "गणना की गई कीमत",
+  "column.comparePrice": "तुलना कीमत",
+  "column.inventory": "इन्वेंटरी",
+  "column.availableUnits": "उपलब्ध नग",
+  "column.available": "उपलब्ध",
+  "column.sellThrough": "बिक्री दर (90 दिन)",
+  "column.daysOfCover": "स्टॉक कितने दिन चलेगा",
+  "column.date": "तारीख",
+  "column.location": "लोकेशन",
+  "column.change": "बदलाव",
+  "column.reason": "कारण",
+  "column.note": "नोट",
+  "column.product": "प्रोडक्ट",
+  "column.metal": "धातु",
+  "column.purity": "शुद्धता",
+  "column.huid": "HUID",
+  "column.status": "स्थिति",
+
+  "product.images": "प्रोडक्ट फ़ोटो",
+  "product.noImages": "कोई फ़ोटो नहीं है",
+  "product.information": "प्रोडक्ट की जानकारी",
+  "product.vendor": "विक्रेता:",
+  "product.productType": "प्रोडक्ट का प्रकार:",
+  "product.totalInventory": "कुल इन्वेंटरी:",
+  "product.units": "{count} नग",
+  "product.created": "बनाया गया:",
+  "product.updated": "पिछला बदलाव:",
+  "product.tags": "टैग:",
+  "product.description": "विवरण",
+  "product.variants": "वैरिएंट ({count})",
+  "product.noVariants": "कोई वैरिएंट नहीं है",
+  "product.priceMismatch": {
+    one: "{count} वैरिएंट की कीमत गणना की गई कीमत से {tolerance}% से ज़्यादा अलग है।",
+    other:
+      "{count} वैरिएंट की कीमत गणना की गई कीमत से {tolerance}% से ज़्यादा अलग है।",
+  },
+  "product.adjustments": "इन्वेंटरी बदलाव",
+
+  "productEdit.title": "प्रोडक्ट संपादित करें",
+  "productEdit.done": "हो गया",
+  "productEdit.saved": "प्रोडक्ट सेव हुआ",
+  "productEdit.rejected": "Shopify ने कुछ मान अस्वीकार किए",
+  "productEdit.tagsHelp": "टैग कॉमा से अलग करें",
+  "productEdit.descriptionHelp":
+    "बदला हुआ विवरण सेव करने पर उसकी फ़ॉर्मैटिंग सादे अनुच्छेदों में बदल जाती है",
+  "productEdit.field.title": "शीर्षक",
+  "productEdit.field.vendor": "विक्रेता",
+  "productEdit.field.productType": "प्रोडक्ट प्रकार",
+  "productEdit.field.tags": "टैग",
+  "productEdit.field.description": "विवरण",
+  "productEdit.field.sku": "SKU",
+  "productEdit.field.barcode": "बारकोड",
+  "productEdit.field.price": "कीमत",
+  "productEdit.field.compareAtPrice": "तुलना कीमत",
+  "productEdit.errors.title": "शीर्षक ज़रूरी है",
+  "productEdit.errors.price": "0 से बड़ी कीमत डालें",
+  "productEdit.errors.compareAtPrice": "0 से बड़ी कीमत डालें, या खाली छोड़ें",
+  "productEdit.errors.compareAtPriceLow": "तुलना कीमत कीमत से ज़्यादा होनी चाहिए",
+  "productEdit.errors.skuRepeated": "SKU किसी दूसरे वेरिएंट पर है",
+  "productEdit.errors.barcodeRepeated": "बारकोड किसी दूसरे वेरिएंट पर है",
+  "productEdit.errors.skuTaken": "SKU पहले से {title} पर है",
+  "productEdit.errors.barcodeTaken": "बारकोड पहले से {title} पर है",
+
+  "productStatus.ACTIVE": "सक्रिय",
+  "productStatus.DRAFT": "ड्राफ़्ट",
+  "productStatus.ARCHIVED": "संग्रहित",
+
+  "jewellery.title": "ज्वेलरी विवरण",
+  "jewellery.saved": "ज्वेलरी विवरण सेव हुआ",
+  "jewellery.field.metal": "धातु",
+  "jewellery.field.purity": "कैरेट / शुद्धता",
+  "jewellery.field.making_charge": "मेकिंग चार्ज (₹)",
+  "jewellery.field.huid": "BIS HUID",
+  "jewellery.field.inward_date": "इनवर्ड तारीख",
+  "jewellery.field.gross_weight": "कुल वज़न (g)",
+  "jewellery.field.net_weight": "शुद्ध वज़न (g)",
+  "jewellery.field.stone_weight": "पत्थर का वज़न (ct)",
+  "jewellery.field.stone_count": "पत्थरों की संख्या",
+  "jewellery.metal.Gold": "सोना",
+  "jewellery.metal.Silver": "चाँदी",
+  "jewellery.metal.Platinum": "प्लैटिनम",
+  "jewellery.errors.option": "इनमें से एक चुनें: {options}",
+  "jewellery.errors.number": "0 या उससे ज़्यादा संख्या डालें",
+  "jewellery.errors.wholeNumber": "पूरी संख्या डालें",
+  "jewellery.errors.date": "तारीख YYYY-MM-DD के रूप में डालें",
+  "jewellery.errors.purity": "{purity} {metal} की शुद्धता नहीं है",
+  "jewellery.errors.huid": "HUID में 6 अक्षर या अंक होने चाहिए",
+  "jewellery.errors.huidUsed": "यह HUID पहले से {title} में इस्तेमाल हुआ है",
+  "jewellery.errors.netWeight": "शुद्ध वज़न कुल वज़न से ज़्यादा नहीं हो सकता",
+
+  "sales.title": "बिक्री",
+  "sales.lastSold": "आख़िरी बिक्री",
+  "sales.period": "अवधि",
+  "sales.unitsSold": "बिके नग",
+  "sales.revenue": "आमदनी",
+  "sales.lastDays": "पिछले {count} दिन",
+  "sales.partialHistory":
+    "बिक्री {date} से दर्ज है। ऐप को सभी ऑर्डर पढ़ने की मंज़ूरी मिलने तक Shopify सिर्फ़ पिछले 60 दिनों के ऑर्डर देता है, इसलिए लंबी अवधियों में उसी तारीख से हुई बिक्री गिनी जाती है।",
+  "sales.partialVelocity":
+    "बिक्री दर और स्टॉक के दिन {date} से हुई बिक्री पर आधारित हैं, जब से बिक्री का रिकॉर्ड शुरू होता है।",
+
+  "rates.today": "आज के भाव",
+  "rates.todayHelp":
+    "गणना की गई कीमत = भाव × शुद्ध वज़न + घड़ाई। जो धातु आप नहीं बेचते उसका भाव खाली छोड़ें; सहेजा हुआ भाव मिटाने से वह हट जाता है।",
+  "rates.ratePerGram": "प्रति ग्राम भाव",
+  "rates.ratePerGramShort": "भाव/ग्राम",
+  "rates.makingCharge": "घड़ाई",
+  "rates.makingChargeValue": "घड़ाई की रकम",
+  "rates.makingChargeType.PER_GRAM": "प्रति ग्राम",
+  "rates.makingChargeType.PERCENT": "धातु की कीमत का %",
+  "rates.makingChargeType.FLAT": "प्रति पीस तय रकम",
+  "rates.priceCheck": "कीमत की जाँच",
+  "rates.tolerance": "छूट की सीमा",
+  "rates.toleranceHelp":
+    "जिन वैरिएंट की Shopify कीमत गणना की गई कीमत से इससे ज़्यादा अलग है, वे प्रोडक्ट पेज पर हाइलाइट होते हैं।",
+  "rates.history": "भाव का इतिहास",
+  "rates.noHistory": "अभी तक भाव में कोई बदलाव दर्ज नहीं है",
+  "rates.saved": "धातु भाव सहेजे गए",
+  "rates.errors.rate": "0 से ज़्यादा भाव डालें",
+  "rates.errors.makingCharge": "घड़ाई 0 या उससे ज़्यादा होनी चाहिए",
+  "rates.errors.makingChargeType": "घड़ाई का प्रकार चुनें",
+  "rates.errors.tolerance": "0% या उससे ज़्यादा सीमा डालें",
+
+  "reprice.title": "{title} पर नया भाव लगाएँ",
+  "reprice.apply": "{count} कीमतें बदलें",
+  "reprice.staleTitle": "भाव या कीमतें बदल गई हैं",
+  "reprice.staleHelp":
+    "यह झलक खुलने के बाद भाव या कीमतें बदली गईं। नीचे दिए बदलाव देखें और फिर से लागू करें।",
+  "reprice.updating": "कीमतें अपडेट हो रही हैं",
+  "reprice.restoring": "पुरानी कीमतें लौटाई जा रही हैं",
+  "reprice.variants": "वैरिएंट",
+  "reprice.applied": "{count} कीमतें अपडेट हुईं",
+  "reprice.restored": "{count} पुरानी कीमतें लौटाई गईं",
+  "reprice.failed": "नया भाव लगाना विफल रहा",
+  "reprice.rollbackFailed": "पुरानी कीमतें लौटाना विफल रहा",
+  "reprice.variantsFailed": "{count} वैरिएंट अपडेट नहीं हो सके",
+  "reprice.changes": "कीमत में बदलाव ({count})",
+  "reprice.unchanged": "{count} वैरिएंट पहले से आज के भाव पर हैं।",
+  "reprice.skipped":
+    "{count} छोड़े गए: {noMetal} में धातु पहचानी नहीं गई, {noWeight} में वज़न नहीं है, {noRate} की धातु का भाव नहीं है।",
+  "reprice.currentPrice": "मौजूदा कीमत",
+  "reprice.newPrice": "नई कीमत",
+  "reprice.difference": "अंतर",
+  "reprice.nothing": "बदलने को कुछ नहीं है",
+  "reprice.nothingHelp":
+    "कीमत वाले सभी वैरिएंट पहले से आज के धातु भाव पर हैं।",
+  "reprice.runs": "पिछले बदलाव",
+  "reprice.run": "बदलाव",
+  "reprice.updated": "अपडेट हुए",
+  "reprice.rollBack": "वापस लें",
+  "reprice.noRuns": "इस कलेक्शन पर अभी तक नया भाव नहीं लगा है",
+  "reprice.status.running": "चल रहा है",
+  "reprice.status.applied": "लागू",
+  "reprice.status.partial": "आंशिक",
+  "reprice.status.failed": "विफल",
+  "reprice.status.rolled_back": "वापस लिया गया",
+
+  "huid.lastSynced": "{total} प्रोडक्ट, पिछला सिंक {date}",
+  "huid.notSynced": "अभी तक सिंक नहीं हुआ",
+  "huid.sync": "Shopify से सिंक करें",
+  "huid.synced": "{count} प्रोडक्ट सिंक हुए",
+  "huid.emptyTitle": "HUID रजिस्टर बनाएँ",
+  "huid.emptyHelp":
+    "हर प्रोडक्ट का HUID पढ़ें ताकि छूटे हुए और दोहराए गए हॉलमार्क मिल सकें।",
+  "huid.duplicates": "दोहराए गए HUID ({count})",
+  "huid.noDuplicates": "हर HUID एक ही प्रोडक्ट का है",
+  "huid.missing": "बिना HUID वाले सोने के प्रोडक्ट ({count})",
+  "huid.noMissing": "सोने के हर प्रोडक्ट का HUID है",
+
+  "inventory.adjust": "बदलें",
+  "inventory.quantity": "मात्रा",
+  "inventory.mode.adjust": "इतना बदलें",
+  "inventory.mode.set": "इतना करें",
+  "inventory.chooseReason": "कारण चुनें",
+  "inventory.reason.sold_offline": "दुकान में बिका",
+  "inventory.reason.damaged": "ख़राब हुआ",
+  "inventory.reason.transferred": "दूसरी जगह भेजा",
+  "inventory.reason.correction": "सुधार",
+  "inventory.updated": "इन्वेंटरी अपडेट हुई",
+  "inventory.errors.mode": "बदलें या तय करें चुनें",
+  "inventory.errors.wholeNumber": "पूरी संख्या डालें",
+  "inventory.errors.negative": "मात्रा ऋणात्मक नहीं हो सकती",
+  "inventory.errors.zero": "0 के अलावा कोई बदलाव डालें",
+  "inventory.errors.reason": "कारण चुनें",
+
+  "stockTake.start": "स्टॉक गिनती शुरू करें",
+  "stockTake.countBy": "इसके हिसाब से गिनें",
+  "stockTake.scope.collection": "कलेक्शन",
+  "stockTake.scope.location": "लोकेशन",
+  "stockTake.choose": "चुनें…",
+  "stockTake.name": "नाम",
+  "stockTake.optional": "वैकल्पिक",
+  "stockTake.startScanning": "स्कैन शुरू करें",
+  "stockTake.sessions": "गिनतियाँ",
+  "stockTake.counting": "क्या गिना",
+  "stockTake.started": "शुरू हुई",
+  "stockTake.scans": "स्कैन",
+  "stockTake.none": "अभी तक कोई स्टॉक गिनती नहीं",
+  "stockTake.inProgress": "चल रही है",
+  "stockTake.closed": "बंद",
+  "stockTake.subtitle.collection": "कलेक्शन {scope} की गिनती",
+  "stockTake.subtitle.location": "लोकेशन {scope} की गिनती",
+  "stockTake.close": "बंद करें और मिलान करें",
+  "stockTake.confirmClose":
+    "यह स्टॉक गिनती बंद करके {count} स्कैन का {scope} से मिलान करें? इसके बाद और स्कैन नहीं जोड़े जा सकेंगे।",
+  "stockTake.export": "रिपोर्ट एक्सपोर्ट करें",
+  "stockTake.exportFailed": "एक्सपोर्ट विफल रहा (स्टेटस {status})",
+  "stockTake.scanBarcode": "बारकोड स्कैन करें",
+  "stockTake.scanHelp":
+    "इस फ़ील्ड को चुना रखें और हर पीस स्कैन करें। कोड टाइप करके भी डाले जा सकते हैं।",
+  "stockTake.scanned": "{count} स्कैन हुए",
+  "stockTake.pending": "({count} सहेजे जा रहे हैं)",
+  "stockTake.saving": "सहेजा जा रहा है…",
+  "stockTake.remove": "हटाएँ",
+  "stockTake.scanNotSaved": "{code} सहेजा नहीं गया ({reason})। इसे फिर से स्कैन करें।",
+  "stockTake.removeFailed": "स्कैन हटाया नहीं जा सका ({reason})",
+  "stockTake.latestScans": "हाल के स्कैन",
+  "stockTake.scannedAt": "स्कैन का समय",
+  "stockTake.nothingScanned": "अभी तक कुछ स्कैन नहीं हुआ",
+  "stockTake.expectedUnits": "अपेक्षित नग",
+  "stockTake.matched": "मिले",
+  "stockTake.missing": "ग़ायब",
+  "stockTake.extra": "ज़्यादा",
+  "stockTake.duplicates": "दोहराए गए",
+  "stockTake.unknown": "अनजान",
+  "stockTake.section.missing": "ग़ायब पीस ({count})",
+  "stockTake.section.extra": "ज़्यादा स्कैन ({count})",
+  "stockTake.section.duplicates": "दोहराए गए स्कैन ({count})",
+  "stockTake.section.unknown": "अनजान बारकोड ({count})",
+  "stockTake.sectionEmpty": "कोई नहीं",
+  "stockTake.expected": "अपेक्षित",
+  "stockTake.scannedCount": "स्कैन हुए",
+  "stockTake.difference": "अंतर",
+  "stockTake.errors.scope": "चुनें कि क्या गिनना है",
+
+  "import.help":
+    "CSV या Excel फ़ाइल से वज़न, कीमत, बारकोड और स्टॉक अपडेट करें। पंक्तियाँ Product ID, SKU या Barcode से मिलाई जाती हैं, इसलिए कलेक्शन का एक्सपोर्ट बदलकर फिर से इम्पोर्ट किया जा सकता है। खाली सेल जैसे हैं वैसे छोड़े जाते हैं। बिना इकाई वाले वज़न ग्राम माने जाते हैं, और तोला को ग्राम में बदला जाता है। स्टॉक Location कॉलम में लिखी लोकेशन पर तय होता है, जैसा कलेक्शन एक्सपोर्ट में होता है।",
+  "import.spreadsheet": "स्प्रेडशीट",
+  "import.accepts": ".csv और .xlsx फ़ाइलें",
+  "import.preview": "झलक",
+  "import.apply": "{count} अपडेट लागू करें",
+  "import.importing": "इम्पोर्ट हो रहा है",
+  "import.rows": "पंक्तियाँ",
+  "import.done": "{total} में से {updated} पंक्तियाँ इम्पोर्ट हुईं",
+  "import.rowFailed": "पंक्ति {line}, {title}: {error}",
+  "import.failed": "इम्पोर्ट विफल रहा",
+  "import.toUpdate": "{count} अपडेट होंगे",
+  "import.unchanged": "{count} में बदलाव नहीं",
+  "import.unmatched": "{count} नहीं मिले",
+  "import.row": "पंक्ति",
+  "import.matchedBy": "किससे मिला",
+  "import.changes": "बदलाव",
+  "import.warnings": "चेतावनियाँ",
+  "import.noRows": "फ़ाइल में कोई पंक्ति नहीं है",
+  "import.status.update": "अपडेट",
+  "import.status.unchanged": "कोई बदलाव नहीं",
+  "import.status.unmatched": "नहीं मिला",
+  "import.field.weight": "वज़न",
+  "import.field.price": "कीमत",
+  "import.field.barcode": "बारकोड",
+  "import.field.stock": "स्टॉक",
+  "import.stockAt": "{location} पर स्टॉक",
+  "import.match.productId": "Product ID",
+  "import.match.sku": "SKU",
+  "import.match.barcode": "बारकोड",
+  "import.staleTitle": "फ़ाइल या कैटलॉग बदल गया है",
+  "import.staleHelp":
+    "कुछ भी इम्पोर्ट नहीं हुआ। अभी के बदलाव देखने के लिए फ़ाइल की झलक फिर से देखें।",
+  "import.notices.pageExport":
+    "यह पेज एक्सपोर्ट है, जिसमें हर प्रोडक्ट की सबसे कम कीमत और कुल स्टॉक होता है। इससे Price और Available Units इम्पोर्ट नहीं होते; इन्हें बदलने के लिए कलेक्शन एक्सपोर्ट इस्तेमाल करें।",
+  "import.notices.noLocation":
+    "Location कॉलम के बिना Available Units इम्पोर्ट नहीं होते, क्योंकि स्टॉक एक बार में एक लोकेशन पर तय होता है।",
+  "import.warnings.price": "कीमत 0 से बड़ी संख्या होनी चाहिए",
+  "import.warnings.stock": "स्टॉक 0 या उससे ज़्यादा की पूर्ण संख्या होना चाहिए",
+  "import.warnings.currency": "कीमत {currency} में है, दुकान {shopCurrency} इस्तेमाल करती है",
+  "import.warnings.noProduct": "ID {id} वाला कोई प्रोडक्ट नहीं",
+  "import.warnings.severalVariants":
+    "प्रोडक्ट के कई वेरिएंट हैं; उसका SKU या Variant जोड़ें",
+  "import.warnings.skuShared": "SKU {sku} कई वेरिएंट पर है",
+  "import.warnings.barcodeShared": "बारकोड {barcode} कई वेरिएंट पर है",
+  "import.warnings.noVariant": "इस Product ID, SKU या बारकोड वाला कोई वेरिएंट नहीं",
+  "import.warnings.barcodeUsed": "बारकोड {barcode} पहले से {title} पर है",
+  "import.warnings.untracked": "इस वेरिएंट का स्टॉक ट्रैक नहीं होता",
+  "import.warnings.noLocation": "स्टॉक तय करने के लिए लोकेशन जोड़ें",
+  "import.warnings.notStocked": "वेरिएंट {location} पर स्टॉक में नहीं रखा जाता",
+  "import.warnings.variantRepeated":
+    "पंक्ति {line} इस वेरिएंट को पहले से अलग कीमत, वज़न या बारकोड देती है",
+  "import.warnings.stockRepeated": "पंक्ति {line} यहाँ पहले से स्टॉक तय करती है",
+  "import.warnings.barcodeRepeated": "पंक्ति {line} वही बारकोड देती है",
+  "import.errors.noFile": "CSV या XLSX फ़ाइल चुनें",
+  "import.errors.tooLarge": "फ़ाइल 5 MB से बड़ी है",
+  "import.errors.unreadable": "फ़ाइल पढ़ी नहीं जा सकी",
+  "import.errors.fileType": "सिर्फ़ .csv और .xlsx फ़ाइलें इम्पोर्ट हो सकती हैं",
+  "import.errors.noMatchColumn": "Product ID, SKU या Barcode कॉलम जोड़ें",
+  "import.errors.noUpdateColumn":
+    "Weight, Price, Barcode या Available Units कॉलम जोड़ें",
+  "import.errors.tooManyRows": "एक बार में ज़्यादा से ज़्यादा {max} पंक्तियाँ इम्पोर्ट करें",
+  "import.errors.nothingToUpdate": "फ़ाइल से कैटलॉग में कुछ नहीं बदलता",
+
+  "staff.help":
+    "स्टाफ़ पहली बार ऐप खोलने के बाद यहाँ दिखते हैं। भूमिका मिलने तक उनके पास सेल्सपर्सन की पहुँच होती है।",
+  "staff.member": "स्टाफ़ सदस्य",
+  "staff.roleColumn": "भूमिका",
+  "staff.roles": "भूमिकाएँ",
+  "staff.roleFor": "{name} की भूमिका",
+  "staff.user": "यूज़र {id}",
+  "staff.accountOwner": "मालिक (अकाउंट का मालिक)",
+  "staff.saved": "भूमिकाएँ सहेजी गईं",
+  "staff.role.owner": "मालिक",
+  "staff.role.manager": "मैनेजर",
+  "staff.role.salesperson": "सेल्सपर्सन",
+  "staff.role.auditor": "ऑडिटर",
+  "staff.roleDescription.owner": "सब कुछ, स्टाफ़ की भूमिकाएँ तय करना भी",
+  "staff.roleDescription.manager":
+    "प्रोडक्ट, भाव और अलर्ट बदलते हैं; स्टॉक की कीमत और आमदनी देखते हैं",
+  "staff.roleDescription.salesperson":
+    "स्टॉक देखते हैं, लेबल प्रिंट करते हैं और स्टॉक गिनती में स्कैन करते हैं",
+  "staff.roleDescription.auditor":
+    "स्टॉक की कीमत और आमदनी के साथ सिर्फ़ देखने की पहुँच; स्टॉक गिनती का मिलान और एक्सपोर्ट करते हैं",
+  "staff.errors.role": "भूमिका चुनें",
+  "staff.errors.accountOwner": "अकाउंट का मालिक हमेशा मालिक ही रहता है",
+
+  "labels.title": "{count} प्रोडक्ट के लेबल प्रिंट करें",
+  "labels.generate": "बनाएँ",
+  "labels.generated": "{count} लेबल बने",
+  "labels.failed": "लेबल शीट विफल, स्थिति {status}",
+  "labels.stock": "लेबल स्टॉक",
+  "labels.layout.dumbbell": "ज्वेलरी डंबल टैग (95 × 12 mm रोल)",
+  "labels.layout.a4-65": "A4 शीट, 65 लेबल (38.1 × 21.2 mm)",
+  "labels.layout.a4-24": "A4 शीट, 24 लेबल (63.5 × 33.9 mm)",
+  "labels.layout.custom": "कस्टम",
+  "labels.barcode": "बारकोड",
+  "labels.barcode.auto": "स्वचालित (मान्य होने पर EAN-13)",
+  "labels.barcode.code128": "Code 128",
+  "labels.barcode.ean13": "EAN-13",
+  "labels.help":
+    "माप मिलीमीटर में हैं। हर लेबल पर बारकोड (या SKU), शीर्षक, शुद्धता, शुद्ध वज़न और कीमत दिखती है।",
+  "labels.dimension.pageWidth": "पेज चौड़ाई (mm)",
+  "labels.dimension.pageHeight": "पेज ऊँचाई (mm)",
+  "labels.dimension.columns": "कॉलम",
+  "labels.dimension.rows": "पंक्तियाँ",
+  "labels.dimension.labelWidth": "लेबल चौड़ाई (mm)",
+  "labels.dimension.labelHeight": "लेबल ऊँचाई (mm)",
+  "labels.dimension.marginTop": "ऊपरी मार्जिन (mm)",
+  "labels.dimension.marginLeft": "बायाँ मार्जिन (mm)",
+  "labels.dimension.gapX": "कॉलम अंतर (mm)",
+  "labels.dimension.gapY": "पंक्ति अंतर (mm)",
+  "labels.format": "फ़ॉर्मैट",
+  "labels.format.pdf": "PDF, प्रिंट के लिए तैयार",
+  "labels.format.svg": "SVG, लेबल डिज़ाइन सॉफ़्टवेयर के लिए",
+  "labels.errors.zeroOrMore": "0 या अधिक डालें",
+  "labels.errors.aboveZero": "0 से बड़ी संख्या डालें",
+  "labels.errors.wholeNumber": "पूर्ण संख्या डालें",
+  "labels.errors.tooWide": "लेबल पेज की चौड़ाई में नहीं समाते",
+  "labels.errors.tooTall": "लेबल पेज की ऊँचाई में नहीं समाते",
+
+  "bulkEdit.title": "{count} प्रोडक्ट के लिए {action}",
+  "bulkEdit.apply": "लागू करें",
+  "bulkEdit.action.addTags": "टैग जोड़ें",
+  "bulkEdit.action.removeTags": "टैग हटाएँ",
+  "bulkEdit.action.setStatus": "स्थिति सेट करें",
+  "bulkEdit.action.addToCollection": "कलेक्शन में जोड़ें",
+  "bulkEdit.action.removeFromCollection": "कलेक्शन से हटाएँ",
+  "bulkEdit.action.moveToCollection": "कलेक्शन में ले जाएँ",
+  "bulkEdit.tags": "टैग",
+  "bulkEdit.tagsHelp": "टैग कॉमा से अलग करें",
+  "bulkEdit.collection": "कलेक्शन",
+  "bulkEdit.chooseCollection": "कलेक्शन चुनें",
+  "bulkEdit.moveHelp":
+    "प्रोडक्ट चुने गए कलेक्शन में जोड़े जाते हैं और इस कलेक्शन से हटाए जाते हैं।",
+  "bulkEdit.help":
+    "हर प्रोडक्ट अलग से अपडेट होता है; जो विफल हों वे काम पूरा होने पर दिखाए जाते हैं।",
+  "bulkEdit.errors.action": "बल्क कार्रवाई चुनें",
+  "bulkEdit.errors.productIds": "कम से कम एक प्रोडक्ट चुनें",
+  "bulkEdit.errors.tags": "कम से कम एक टैग डालें",
+  "bulkEdit.errors.status": "स्थिति चुनें",
+  "bulkEdit.errors.collection": "कलेक्शन चुनें",
+  "bulkEdit.errors.sameCollection": "ले जाने के लिए कोई दूसरा कलेक्शन चुनें",
+
+  "sort.label": "क्रम",
+  "sort.default": "डिफ़ॉल्ट",
+  "sort.ascending": "{field} (बढ़ते क्रम में)",
+  "sort.descending": "{field} (घटते क्रम में)",
+  "sort.created": "बनाने की तारीख",
+  "sort.updated": "बदलाव की तारीख",
+
+  "stockAlert.title": "कम स्टॉक अलर्ट",
+  "stockAlert.alertBelow": "इससे कम पर अलर्ट",
+  "stockAlert.placeholder": "कलेक्शन की सीमा लागू करें",
+  "stockAlert.help": "कलेक्शन की सीमा मानने के लिए खाली छोड़ें। {collections}",
+  "stockAlert.noCollectionThreshold": "इसके कलेक्शन में कोई सीमा तय नहीं है।",
+  "stockAlert.collectionThreshold": "इसके कलेक्शन {threshold} से कम पर अलर्ट देते हैं।",
+  "stockAlert.saved": "कम स्टॉक अलर्ट सहेजा गया",
+
+  "stockAlert.errors.threshold": "0 या उससे ज़्यादा की पूर्ण संख्या डालें",
+
+  "stockAlerts.runningLow": "कम स्टॉक ({count})",
+  "stockAlerts.units": "यूनिट",
+  "stockAlerts.watchedBy": "किसके तहत निगरानी",
+  "stockAlerts.productThreshold": "प्रोडक्ट की सीमा",
+  "stockAlerts.noneLow": "निगरानी वाला हर प्रोडक्ट अपनी सीमा से ऊपर है",
+  "stockAlerts.collectionThresholds": "कलेक्शन की सीमाएँ",
+  "stockAlerts.thresholdsHelp":
+    "जब स्टॉक सीमा से नीचे जाता है तो प्रोडक्ट चिह्नित होता है। कई कलेक्शन में रहने वाला प्रोडक्ट सबसे ऊँची सीमा लेता है; प्रोडक्ट की अपनी सीमा उसके पेज पर तय करें।",
+  "stockAlerts.collection": "कलेक्शन",
+  "stockAlerts.thresholdFor": "{title} के लिए अलर्ट सीमा",
+  "stockAlerts.off": "बंद",
+  "stockAlerts.thresholdsSaved": "सीमाएँ सेव हुईं",
+  "stockAlerts.digest": "दैनिक सारांश",
+  "stockAlerts.mailNotConfigured":
+    "ईमेल सेट नहीं है। सारांश भेजने के लिए SMTP सेटिंग जोड़ें।",
+  "stockAlerts.sendTo": "इन्हें भेजें",
+  "stockAlerts.sendToHelp":
+    "पते कॉमा से अलग करें। सूची हर सुबह 09:00 IST पर ईमेल होती है।",
+  "stockAlerts.sendNow": "अभी भेजें",
+  "stockAlerts.digestSaved": "सारांश की सेटिंग सेव हुई",
+  "stockAlerts.digestSent": "सारांश {count} लोगों को भेजा गया",
+  "stockAlerts.noRecipients": "सारांश पाने वाला कोई तय नहीं है",
+  "stockAlerts.nothingLow": "कुछ भी कम नहीं है",
+  "stockAlerts.sendFailed": "सारांश नहीं भेजा जा सका: {error}",
+  "stockAlerts.errors.emails": "{emails} जाँचें",
+
+  "weight.display": "वज़न इसमें दिखाएँ",
+  "weight.grams": "ग्राम",
+  "weight.tola": "तोला",
+  "weight.both": "ग्राम और तोला",
+  "weight.errors.number": "वज़न एक संख्या होना चाहिए, जैसे 12.5 g",
+  "weight.errors.unit": "वज़न की अनजान इकाई \"{unit}\"",
+};
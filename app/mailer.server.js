@@ -0,0 +1,41 @@
+import nodemailer from "nodemailer";
+
+// SMTP is configured from the environment:
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465),
+//   SMTP_USER and SMTP_PASS (optional), MAIL_FROM.
+// For local testing point SMTP_HOST/SMTP_PORT at a mock server such as
+// MailHog or smtp4dev (localhost:1025) and every message is caught there.
+let transport;
+
+export function isMailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  return transport;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  if (!isMailConfigured()) {
+    throw new Error("Email is not set up: SMTP_HOST is missing");
+  }
+
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || `Stock alerts <alerts@${process.env.SMTP_HOST}>`,
+    to,
+    subject,
+    text,
+    html,
+  });
+}
@@ -0,0 +1,110 @@
+import db from "../db.server";
+import { variantNetWeight } from "../utils/pricing";
+import { AGE_BUCKETS, ageBucketFor, ageInDays } from "../utils/ageing";
+
+function emptyBuckets() {
+  return Object.fromEntries(
+    AGE_BUCKETS.map((bucket) => [
+      bucket.key,
+      { products: 0, units: 0, weightGrams: 0, value: 0 },
+    ]),
+  );
+}
+
+function addToBuckets(buckets, key, measured) {
+  const bucket = buckets[key];
+  bucket.products += 1;
+  bucket.units += measured.units;
+  bucket.weightGrams += measured.weightGrams;
+  bucket.value += measured.value;
+}
+
+// Units, net weight and value in stock across a mirrored product's variants
+function measureStock(product) {
+  return product.variants.reduce(
+    (totals, variant) => {
+      const units = Math.max(variant.inventoryQuantity, 0);
+      const grams = variantNetWeight(
+        {
+          inventoryItem: {
+            measurement: {
+              weight: { value: variant.weightValue, unit: variant.weightUnit },
+            },
+          },
+        },
+        { ...product.jewellery, ...variant.jewellery },
+      );
+
+      totals.units += units;
+      totals.weightGrams += (grams || 0) * units;
+      totals.value += Number(variant.price) * units;
+      return totals;
+    },
+    { units: 0, weightGrams: 0, value: 0 },
+  );
+}
+
+/**
+ * In-stock products from the catalog mirror grouped into AGE_BUCKETS by
+ * their inward date, with the product count, units, net weight and value of
+ * each bucket per collection. A product in several collections counts in
+ * each; `totals` counts it once.
+ */
+export async function getAgeingReport(shop) {
+  const [products, collections] = await Promise.all([
+    db.catalogProduct.findMany({
+      where: { shop, totalInventory: { gt: 0 } },
+      select: {
+        id: true,
+        inwardAt: true,
+        currencyCode: true,
+        jewellery: true,
+        variants: {
+          select: {
+            inventoryQuantity: true,
+            price: true,
+            weightValue: true,
+            weightUnit: true,
+            jewellery: true,
+          },
+        },
+        memberships: { select: { collectionId: true } },
+      },
+    }),
+    db.catalogCollection.findMany({
+      where: { shop },
+      orderBy: { title: "asc" },
+      select: { id: true, title: true },
+    }),
+  ]);
+
+  const now = new Date();
+  const totals = emptyBuckets();
+  const byCollection = new Map(
+    collections.map((collection) => [collection.id, emptyBuckets()]),
+  );
+
+  products.forEach((product) => {
+    const { key } = ageBucketFor(ageInDays(product.inwardAt, now));
+    const measured = measureStock(product);
+
+    addToBuckets(totals, key, measured);
+    product.memberships.forEach(({ collectionId }) => {
+      addToBuckets(byCollection.get(collectionId), key, measured);
+    });
+  });
+
+  return {
+    currencyCode: products[0]?.currencyCode || "INR",
+    collections: collections
+      .map((collection) => ({
+        id: collection.id,
+        title: collection.title,
+        buckets: byCollection.get(collection.id),
+      }))
+      .filter((collection) =>
+        Object.values(collection.buckets).some((bucket) => bucket.products > 0),
+      ),
+    totals,
+  };
+}
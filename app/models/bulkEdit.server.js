@@ -0,0 +1,201 @@
+import db from "../db.server";
+import { completeJob, updateJobProgress } from "./job.server";
+import { updateCatalogProduct } from "./catalog.server";
+import { PRODUCT_STATUSES, findBulkAction } from "../utils/bulkEdit";
+import { parseTags } from "../utils/productEdit";
+
+// Products are changed a few at a time, like repricing, to stay inside the
+// Admin API rate limit
+const PRODUCTS_PER_BATCH = 5;
+
+const TAGS_ADD_MUTATION = `#graphql
+  mutation bulkAddTags($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      node { ... on Product { id tags } }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const TAGS_REMOVE_MUTATION = `#graphql
+  mutation bulkRemoveTags($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      node { ... on Product { id tags } }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+// Status and collection changes both go through productUpdate, which joins
+// and leaves collections for one product at a time
+const PRODUCT_UPDATE_MUTATION = `#graphql
+  mutation bulkUpdateProduct($product: ProductUpdateInput!) {
+    productUpdate(product: $product) {
+      product { id status }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+function statusLabel(value) {
+  return PRODUCT_STATUSES.find((status) => status.value === value)?.label || value;
+}
+
+async function collectionTitles(shop, ids) {
+  const collections = await db.catalogCollection.findMany({
+    where: { shop, id: { in: ids } },
+    select: { id: true, title: true },
+  });
+  return Object.fromEntries(
+    collections.map((collection) => [collection.id, collection.title]),
+  );
+}
+
+// The mutation, its variables and audit entry for one product, and how the
+// mirror changes when it succeeds
+function productChange(edit, product, titles) {
+  const audit = {
+    productId: product.id,
+    targetId: product.id,
+    targetTitle: product.title,
+  };
+  const tags = parseTags(edit.tags);
+
+  switch (edit.action) {
+    case "addTags":
+    case "removeTags":
+      return {
+        mutation: edit.action === "addTags" ? TAGS_ADD_MUTATION : TAGS_REMOVE_MUTATION,
+        resultKey: edit.action === "addTags" ? "tagsAdd" : "tagsRemove",
+        variables: { id: product.id, tags },
+        audit: {
+          ...audit,
+          action: edit.action === "addTags" ? "tags.add" : "tags.remove",
+          before: { tags: product.tags.join(", ") || null },
+          after: { tags: tags.join(", ") },
+        },
+        mirror: (result) => ({ data: { tags: result.node.tags } }),
+      };
+    case "setStatus":
+      return {
+        mutation: PRODUCT_UPDATE_MUTATION,
+        resultKey: "productUpdate",
+        variables: { product: { id: product.id, status: edit.status } },
+        audit: {
+          ...audit,
+          action: "product.status",
+          before: { status: statusLabel(product.status) },
+          after: { status: statusLabel(edit.status) },
+        },
+        mirror: () => ({ data: { status: edit.status } }),
+      };
+    default: {
+      const join =
+        edit.action === "removeFromCollection" ? [] : [edit.collectionId];
+      const leave =
+        edit.action === "addToCollection"
+          ? []
+          : [
+              edit.action === "moveToCollection"
+                ? edit.sourceCollectionId
+                : edit.collectionId,
+            ];
+      const names = (ids) => ids.map((id) => titles[id] || id).join(", ") || null;
+
+      return {
+        mutation: PRODUCT_UPDATE_MUTATION,
+        resultKey: "productUpdate",
+        variables: {
+          product: {
+            id: product.id,
+            collectionsToJoin: join,
+            collectionsToLeave: leave,
+          },
+        },
+        audit: {
+          ...audit,
+          action: "product.collections",
+          before: { left: names(leave) },
+          after: { joined: names(join) },
+        },
+        mirror: () => ({ join, leave }),
+      };
+    }
+  }
+}
+
+// Returns an error message, or null when the product was changed
+async function applyChange(admin, shop, change, productId) {
+  try {
+    const response = await admin.graphql(change.mutation, {
+      variables: change.variables,
+      audit: change.audit,
+    });
+    const data = await response.json();
+    const result = data.data?.[change.resultKey];
+    const userErrors = result?.userErrors || [];
+    if (userErrors.length > 0) {
+      return userErrors.map((error) => error.message).join(", ");
+    }
+
+    await updateCatalogProduct(shop, productId, change.mirror(result));
+    return null;
+  } catch (error) {
+    console.error("Bulk edit failed for", productId, error);
+    return error.message || "Update failed";
+  }
+}
+
+/**
+ * Applies one bulk action to every product in `edit.productIds`, recording
+ * progress on the job. A product that fails is reported in the job result
+ * and the rest carry on: { updated, failed: [{ productId, title, error }] }.
+ * `edit.sourceCollectionId` is the collection a move takes products out of.
+ */
+export async function runBulkEdit(admin, shop, { jobId, edit }) {
+  const action = findBulkAction(edit.action);
+  const products = await db.catalogProduct.findMany({
+    where: { shop, id: { in: edit.productIds } },
+    select: { id: true, title: true, tags: true, status: true },
+  });
+  const titles = await collectionTitles(
+    shop,
+    [edit.collectionId, edit.sourceCollectionId].filter(Boolean),
+  );
+
+  const failed = edit.productIds
+    .filter((id) => !products.some((product) => product.id === id))
+    .map((productId) => ({
+      productId,
+      title: productId,
+      error: "Product is no longer in the catalog",
+    }));
+  let updated = 0;
+
+  for (let index = 0; index < products.length; index += PRODUCTS_PER_BATCH) {
+    const batch = products.slice(index, index + PRODUCTS_PER_BATCH);
+    const errors = await Promise.all(
+      batch.map((product) =>
+        applyChange(admin, shop, productChange(edit, product, titles), product.id),
+      ),
+    );
+
+    errors.forEach((error, position) => {
+      if (error) {
+        const product = batch[position];
+        failed.push({ productId: product.id, title: product.title, error });
+      } else {
+        updated += 1;
+      }
+    });
+    await updateJobProgress(jobId, { processed: updated + failed.length });
+  }
+
+  await completeJob(jobId, { action: action.key, updated, failed });
+}
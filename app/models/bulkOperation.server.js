@@ -0,0 +1,118 @@
+const POLL_INTERVAL_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 4 * 60 * 1000;
+
+const RUN_BULK_QUERY_MUTATION = `#graphql
+  mutation runBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const BULK_OPERATION_QUERY = `#graphql
+  query bulkOperationStatus($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+      }
+    }
+  }`;
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs a bulk query and waits for it to finish. Bulk operations do not count
+ * against the API rate limit, which makes them the way to read a whole
+ * catalog. Returns the JSONL rows: nested connection items are separate
+ * rows pointing at their parent through `__parentId`.
+ */
+export async function runBulkQuery(
+  admin,
+  query,
+  { timeoutMs = DEFAULT_TIMEOUT_MS } = {},
+) {
+  // Starting a bulk query only reads, so it stays out of the audit log
+  const response = await admin.graphql(RUN_BULK_QUERY_MUTATION, {
+    variables: { query },
+    audit: false,
+  });
+  const { data } = await response.json();
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map((error) => error.message).join(", "));
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let operation = bulkOperation;
+
+  while (["CREATED", "RUNNING"].includes(operation.status)) {
+    if (Date.now() > deadline) {
+      throw new Error("Bulk query did not finish in time");
+    }
+
+    await wait(POLL_INTERVAL_MS);
+    const statusResponse = await admin.graphql(BULK_OPERATION_QUERY, {
+      variables: { id: bulkOperation.id },
+    });
+    operation = (await statusResponse.json()).data.node;
+  }
+
+  if (operation.status !== "COMPLETED") {
+    throw new Error(
+      `Bulk query ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ""}`,
+    );
+  }
+
+  // No url means the query matched nothing
+  if (!operation.url) return [];
+
+  const file = await fetch(operation.url);
+  const text = await file.text();
+
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Groups bulk rows under their parents. `childKey(row)` names the list a
+ * child row belongs in (e.g. "variants"); rows without a parent are returned
+ * as the top-level items.
+ */
+export function nestBulkRows(rows, childKey) {
+  const byId = new Map();
+  const roots = [];
+
+  rows.forEach((row) => {
+    const item = { ...row };
+    delete item.__parentId;
+    if (item.id) byId.set(item.id, item);
+
+    if (!row.__parentId) {
+      roots.push(item);
+      return;
+    }
+
+    const parent = byId.get(row.__parentId);
+    if (!parent) return;
+    const key = childKey(row);
+    if (!parent[key]) parent[key] = [];
+    parent[key].push(item);
+  });
+
+  return roots;
+}
@@ -0,0 +1,1042 @@
+import db from "../db.server";
+import { nestBulkRows, runBulkQuery } from "./bulkOperation.server";
+import { parseWeightTerm } from "./collection.server";
+import { getProductInventory } from "./inventory.server";
+import { getUnitsSold, importSalesHistory } from "./sales.server";
+import { getShopCurrency } from "./settings.server";
+import { parseJewelleryMetafields } from "../utils/jewellery";
+import { salesMetrics } from "../utils/sales";
+import { GRAMS_PER_TOLA, toGrams } from "../utils/weight";
+import { findAgeBucket, inwardDate, inwardRange } from "../utils/ageing";
+
+// A sync started longer ago than this is assumed to have died with its request
+const SYNC_STALE_MS = 10 * 60 * 1000;
+// The catalog and sales bulk queries have to finish inside one request
+const SYNC_BUDGET_MS = 280 * 1000;
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  description
+  status
+  vendor
+  productType
+  tags
+  createdAt
+  updatedAt
+  totalInventory
+  featuredImage { url altText }
+  priceRangeV2 { minVariantPrice { amount currencyCode } }`;
+
+const VARIANT_FIELDS = `
+  id
+  position
+  title
+  sku
+  barcode
+  price
+  compareAtPrice
+  inventoryQuantity
+  availableForSale
+  selectedOptions { name value }
+  inventoryItem {
+    id
+    tracked
+    measurement { weight { unit value } }
+  }`;
+
+// Bulk queries allow five connections: products, their metafields and
+// images, variants and variant metafields
+const PRODUCTS_BULK_QUERY = `{
+  products {
+    edges {
+      node {
+        ${PRODUCT_FIELDS}
+        metafields(namespace: "jewellery") {
+          edges { node { id key value } }
+        }
+        images {
+          edges { node { id url altText } }
+        }
+        variants {
+          edges {
+            node {
+              ${VARIANT_FIELDS}
+              metafields(namespace: "jewellery") {
+                edges { node { id key value } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const COLLECTIONS_BULK_QUERY = `{
+  collections {
+    edges {
+      node {
+        id
+        title
+        image { url altText }
+        products {
+          edges { node { id } }
+        }
+      }
+    }
+  }
+}`;
+
+const INVENTORY_BULK_QUERY = `{
+  locations {
+    edges {
+      node {
+        id
+        name
+        inventoryLevels {
+          edges {
+            node {
+              id
+              item { id }
+              quantities(names: ["available"]) { quantity }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const CATALOG_PRODUCT_QUERY = `#graphql
+  query catalogProduct($id: ID!) {
+    product(id: $id) {
+      ${PRODUCT_FIELDS}
+      metafields(namespace: "jewellery", first: 10) {
+        nodes { key value }
+      }
+      images(first: 10) {
+        nodes { url altText }
+      }
+      variants(first: 100) {
+        nodes {
+          ${VARIANT_FIELDS}
+          metafields(namespace: "jewellery", first: 5) {
+            nodes { key value }
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_COLLECTIONS_QUERY = `#graphql
+  query catalogProductCollections($id: ID!) {
+    product(id: $id) {
+      collections(first: 250) {
+        nodes { id }
+      }
+    }
+  }`;
+
+const CATALOG_COLLECTION_QUERY = `#graphql
+  query catalogCollection($id: ID!, $after: String) {
+    collection(id: $id) {
+      id
+      title
+      image { url altText }
+      products(first: 250, after: $after) {
+        nodes { id }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }`;
+
+const LOCATION_QUERY = `#graphql
+  query catalogLocation($id: ID!) {
+    location(id: $id) {
+      name
+    }
+  }`;
+
+const BULK_CHILD_KEYS = {
+  ProductVariant: "variants",
+  Metafield: "metafields",
+  ProductImage: "images",
+  Product: "products",
+  InventoryLevel: "inventoryLevels",
+};
+
+function bulkChildKey(row) {
+  return BULK_CHILD_KEYS[row.id.split("/")[3]];
+}
+
+async function graphqlData(admin, query, variables) {
+  const response = await admin.graphql(query, { variables });
+  const { data, errors } = await response.json();
+  if (errors?.length) {
+    throw new Error(errors.map((error) => error.message).join(", "));
+  }
+
+  return data;
+}
+
+// The first variant's weight stands for the product when sorting by weight
+function productWeightGrams(variants) {
+  const [first] = [...variants].sort((a, b) => a.position - b.position);
+  return toGrams(first?.inventoryItem?.measurement?.weight);
+}
+
+function productRecord(shop, product, { metafields, images, variants }) {
+  const jewellery = parseJewelleryMetafields({ nodes: metafields });
+
+  return {
+    id: product.id,
+    shop,
+    title: product.title,
+    description: product.description || "",
+    status: product.status,
+    vendor: product.vendor || null,
+    productType: product.productType || null,
+    tags: product.tags,
+    featuredImageUrl: product.featuredImage?.url || null,
+    featuredImageAlt: product.featuredImage?.altText || null,
+    images: images.map(({ url, altText }) => ({ url, altText })),
+    minPrice: product.priceRangeV2.minVariantPrice.amount,
+    currencyCode: product.priceRangeV2.minVariantPrice.currencyCode,
+    totalInventory: product.totalInventory || 0,
+    weightGrams: productWeightGrams(variants),
+    jewellery,
+    createdAt: product.createdAt,
+    updatedAt: product.updatedAt,
+    inwardAt: inwardDate(jewellery, product.createdAt),
+    syncedAt: new Date(),
+  };
+}
+
+function variantRecord(shop, productId, variant, metafields) {
+  const weight = variant.inventoryItem?.measurement?.weight;
+
+  return {
+    id: variant.id,
+    shop,
+    productId,
+    position: variant.position,
+    title: variant.title,
+    sku: variant.sku || null,
+    barcode: variant.barcode || null,
+    price: variant.price,
+    compareAtPrice: variant.compareAtPrice || null,
+    inventoryQuantity: variant.inventoryQuantity || 0,
+    availableForSale: variant.availableForSale,
+    selectedOptions: variant.selectedOptions,
+    weightValue: weight?.value ?? null,
+    weightUnit: weight?.unit || null,
+    weightGrams: toGrams(weight),
+    jewellery: parseJewelleryMetafields({ nodes: metafields }),
+    inventoryItemId: variant.inventoryItem.id,
+    tracked: variant.inventoryItem.tracked,
+  };
+}
+
+function serializeSync(sync) {
+  if (!sync) return null;
+
+  return {
+    status: sync.status,
+    productsCount: sync.productsCount,
+    error: sync.error,
+    lastSyncedAt: sync.lastSyncedAt?.toISOString() || null,
+    salesStatus: sync.salesStatus,
+    salesError: sync.salesError,
+  };
+}
+
+export async function getCatalogSync(shop) {
+  return serializeSync(await db.catalogSync.findUnique({ where: { shop } }));
+}
+
+/**
+ * Replaces the shop's mirror with a fresh copy of the catalog, read with
+ * bulk queries for products, collection memberships and inventory levels,
+ * then re-imports the last year of sales. A sync already in progress is left
+ * to finish. The sales import has its own status, so a failed import leaves
+ * the finished mirror's sync completed.
+ */
+export async function syncCatalog(admin, shop) {
+  const current = await db.catalogSync.findUnique({ where: { shop } });
+  if (
+    current?.status === "running" &&
+    Date.now() - current.startedAt.getTime() < SYNC_STALE_MS
+  ) {
+    return serializeSync(current);
+  }
+
+  const startedAt = new Date();
+  await db.catalogSync.upsert({
+    where: { shop },
+    create: { shop, status: "running", startedAt },
+    update: {
+      status: "running",
+      startedAt,
+      error: null,
+      salesStatus: null,
+      salesError: null,
+    },
+  });
+
+  const deadline = startedAt.getTime() + SYNC_BUDGET_MS;
+  const bulkQuery = async (query) =>
+    nestBulkRows(
+      await runBulkQuery(admin, query, { timeoutMs: deadline - Date.now() }),
+      bulkChildKey,
+    );
+
+  try {
+    const products = await bulkQuery(PRODUCTS_BULK_QUERY);
+    const collections = await bulkQuery(COLLECTIONS_BULK_QUERY);
+    const locations = await bulkQuery(INVENTORY_BULK_QUERY);
+
+    const productRows = [];
+    const variantRows = [];
+    products.forEach((product) => {
+      productRows.push(
+        productRecord(shop, product, {
+          metafields: product.metafields || [],
+          images: product.images || [],
+          variants: product.variants || [],
+        }),
+      );
+      (product.variants || []).forEach((variant) => {
+        variantRows.push(
+          variantRecord(shop, product.id, variant, variant.metafields || []),
+        );
+      });
+    });
+
+    const productIds = new Set(productRows.map((row) => row.id));
+    const collectionRows = collections.map((collection) => ({
+      id: collection.id,
+      shop,
+      title: collection.title,
+      imageUrl: collection.image?.url || null,
+      imageAlt: collection.image?.altText || null,
+    }));
+    const membershipRows = collections.flatMap((collection) =>
+      (collection.products || [])
+        .filter((product) => productIds.has(product.id))
+        .map((product) => ({
+          collectionId: collection.id,
+          productId: product.id,
+        })),
+    );
+
+    const variantsByItem = new Map(
+      variantRows.map((row) => [row.inventoryItemId, row.id]),
+    );
+    const levelRows = locations.flatMap((location) =>
+      (location.inventoryLevels || [])
+        .filter((level) => variantsByItem.has(level.item.id))
+        .map((level) => ({
+          inventoryItemId: level.item.id,
+          locationId: location.id,
+          locationName: location.name,
+          variantId: variantsByItem.get(level.item.id),
+          available: level.quantities[0]?.quantity ?? 0,
+        })),
+    );
+
+    const finishedAt = new Date();
+    await db.$transaction([
+      db.catalogSync.update({
+        where: { shop },
+        data: {
+          status: "completed",
+          productsCount: productRows.length,
+          finishedAt,
+          lastSyncedAt: finishedAt,
+        },
+      }),
+      // Variants, levels and memberships go with their products
+      db.catalogProduct.deleteMany({ where: { shop } }),
+      db.catalogCollection.deleteMany({ where: { shop } }),
+      db.catalogProduct.createMany({ data: productRows }),
+      db.catalogVariant.createMany({ data: variantRows }),
+      db.catalogInventoryLevel.createMany({ data: levelRows }),
+      db.catalogCollection.createMany({ data: collectionRows }),
+      db.catalogCollectionProduct.createMany({ data: membershipRows }),
+    ]);
+  } catch (error) {
+    await db.catalogSync.update({
+      where: { shop },
+      data: { status: "failed", error: error.message, finishedAt: new Date() },
+    });
+    throw error;
+  }
+
+  await db.catalogSync.update({
+    where: { shop },
+    data: { salesStatus: "running" },
+  });
+  let salesResult;
+  try {
+    await importSalesHistory(admin, shop, { timeoutMs: deadline - Date.now() });
+    await getShopCurrency(admin, shop, { refresh: true });
+    salesResult = { salesStatus: "completed" };
+  } catch (error) {
+    console.error("Sales import after catalog sync failed:", error);
+    salesResult = { salesStatus: "failed", salesError: error.message };
+  }
+
+  return serializeSync(
+    await db.catalogSync.update({ where: { shop }, data: salesResult }),
+  );
+}
+
+/**
+ * Copies one product, its variants, inventory levels and collection
+ * memberships into the mirror, or removes it when Shopify no longer has it.
+ */
+export async function syncCatalogProduct(admin, shop, productId) {
+  const { product } = await graphqlData(admin, CATALOG_PRODUCT_QUERY, {
+    id: productId,
+  });
+  if (!product) {
+    await removeCatalogProduct(shop, productId);
+    return null;
+  }
+
+  const [collectionData, inventory] = await Promise.all([
+    graphqlData(admin, PRODUCT_COLLECTIONS_QUERY, { id: productId }),
+    getProductInventory(admin, productId),
+  ]);
+
+  const record = productRecord(shop, product, {
+    metafields: product.metafields.nodes,
+    images: product.images.nodes,
+    variants: product.variants.nodes,
+  });
+  const variantRows = product.variants.nodes.map((variant) =>
+    variantRecord(shop, productId, variant, variant.metafields.nodes),
+  );
+  const locationNames = new Map(
+    inventory.locations.map((location) => [location.id, location.name]),
+  );
+  const levelRows = variantRows.flatMap((variant) =>
+    Object.entries(inventory.variants[variant.id]?.levels || {}).map(
+      ([locationId, available]) => ({
+        inventoryItemId: variant.inventoryItemId,
+        locationId,
+        locationName: locationNames.get(locationId),
+        variantId: variant.id,
+        available,
+      }),
+    ),
+  );
+
+  // Collections the mirror does not know yet arrive with their own webhook
+  const knownCollections = await db.catalogCollection.findMany({
+    where: {
+      shop,
+      id: { in: collectionData.product.collections.nodes.map(({ id }) => id) },
+    },
+    select: { id: true },
+  });
+
+  await db.$transaction([
+    db.catalogProduct.upsert({
+      where: { id: productId },
+      create: record,
+      update: record,
+    }),
+    db.catalogVariant.deleteMany({ where: { productId } }),
+    db.catalogVariant.createMany({ data: variantRows }),
+    db.catalogInventoryLevel.createMany({ data: levelRows }),
+    db.catalogCollectionProduct.deleteMany({ where: { productId } }),
+    db.catalogCollectionProduct.createMany({
+      data: knownCollections.map((collection) => ({
+        collectionId: collection.id,
+        productId,
+      })),
+    }),
+  ]);
+
+  return record;
+}
+
+/**
+ * Records a change already made in Shopify without reading the product back:
+ * `data` holds product columns such as tags or status, `join` and `leave`
+ * collection IDs. Collections the mirror does not know yet are skipped.
+ */
+export async function updateCatalogProduct(
+  shop,
+  productId,
+  { data = {}, join = [], leave = [] },
+) {
+  const knownCollections = await db.catalogCollection.findMany({
+    where: { shop, id: { in: join } },
+    select: { id: true },
+  });
+
+  await db.$transaction([
+    db.catalogProduct.updateMany({ where: { shop, id: productId }, data }),
+    db.catalogCollectionProduct.deleteMany({
+      where: { productId, collectionId: { in: leave } },
+    }),
+    db.catalogCollectionProduct.createMany({
+      data: knownCollections.map((collection) => ({
+        collectionId: collection.id,
+        productId,
+      })),
+      skipDuplicates: true,
+    }),
+  ]);
+}
+
+export async function removeCatalogProduct(shop, productId) {
+  await db.catalogProduct.deleteMany({ where: { shop, id: productId } });
+}
+
+// Copies a collection and its product list into the mirror
+export async function syncCatalogCollection(admin, shop, collectionId) {
+  const productIds = [];
+  let collection = null;
+  let after = null;
+
+  do {
+    const data = await graphqlData(admin, CATALOG_COLLECTION_QUERY, {
+      id: collectionId,
+      after,
+    });
+    if (!data.collection) {
+      await removeCatalogCollection(shop, collectionId);
+      return null;
+    }
+
+    collection = data.collection;
+    productIds.push(...collection.products.nodes.map(({ id }) => id));
+    after = collection.products.pageInfo.hasNextPage
+      ? collection.products.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  const record = {
+    id: collectionId,
+    shop,
+    title: collection.title,
+    imageUrl: collection.image?.url || null,
+    imageAlt: collection.image?.altText || null,
+    syncedAt: new Date(),
+  };
+  const knownProducts = await db.catalogProduct.findMany({
+    where: { shop, id: { in: productIds } },
+    select: { id: true },
+  });
+
+  await db.$transaction([
+    db.catalogCollection.upsert({
+      where: { id: collectionId },
+      create: record,
+      update: record,
+    }),
+    db.catalogCollectionProduct.deleteMany({ where: { collectionId } }),
+    db.catalogCollectionProduct.createMany({
+      data: knownProducts.map((product) => ({
+        collectionId,
+        productId: product.id,
+      })),
+    }),
+  ]);
+
+  return record;
+}
+
+export async function removeCatalogCollection(shop, collectionId) {
+  await db.catalogCollection.deleteMany({ where: { shop, id: collectionId } });
+}
+
+/**
+ * Records a new available quantity at one location and rolls it up into the
+ * variant's and product's totals, so inventory changes need no API call.
+ */
+export async function setCatalogInventoryLevel(
+  admin,
+  shop,
+  { inventoryItemId, locationId, available },
+) {
+  const variant = await db.catalogVariant.findFirst({
+    where: { shop, inventoryItemId },
+  });
+  if (!variant) return;
+
+  let location = await db.catalogInventoryLevel.findFirst({
+    where: { locationId },
+    select: { locationName: true },
+  });
+  if (!location) {
+    const data = await graphqlData(admin, LOCATION_QUERY, { id: locationId });
+    location = { locationName: data.location?.name || "Unknown location" };
+  }
+
+  await db.catalogInventoryLevel.upsert({
+    where: { inventoryItemId_locationId: { inventoryItemId, locationId } },
+    create: {
+      inventoryItemId,
+      locationId,
+      locationName: location.locationName,
+      variantId: variant.id,
+      available,
+    },
+    update: { available },
+  });
+
+  const levels = await db.catalogInventoryLevel.aggregate({
+    where: { variantId: variant.id },
+    _sum: { available: true },
+  });
+  await db.catalogVariant.update({
+    where: { id: variant.id },
+    data: { inventoryQuantity: levels._sum.available || 0 },
+  });
+
+  const variants = await db.catalogVariant.aggregate({
+    where: { productId: variant.productId },
+    _sum: { inventoryQuantity: true },
+  });
+  await db.catalogProduct.update({
+    where: { id: variant.productId },
+    data: { totalInventory: variants._sum.inventoryQuantity || 0 },
+  });
+}
+
+/**
+ * Records variant prices already saved in Shopify, given as
+ * { variantId: price } for one product, and the product's lowest price.
+ */
+export async function setCatalogVariantPrices(shop, productId, prices) {
+  await db.$transaction(
+    Object.entries(prices).map(([id, price]) =>
+      db.catalogVariant.updateMany({ where: { shop, id }, data: { price } }),
+    ),
+  );
+
+  const variants = await db.catalogVariant.aggregate({
+    where: { productId },
+    _min: { price: true },
+  });
+  if (variants._min.price !== null) {
+    await db.catalogProduct.updateMany({
+      where: { shop, id: productId },
+      data: { minPrice: variants._min.price },
+    });
+  }
+}
+
+export async function listCatalogCollections(shop) {
+  const collections = await db.catalogCollection.findMany({
+    where: { shop },
+    orderBy: { title: "asc" },
+    include: { _count: { select: { memberships: true } } },
+  });
+
+  return collections.map((collection) => ({
+    id: collection.id,
+    title: collection.title,
+    image: collection.imageUrl
+      ? { url: collection.imageUrl, altText: collection.imageAlt }
+      : null,
+    totalProducts: collection._count.memberships,
+  }));
+}
+
+// Tola weights are usually stored rounded to the milligram
+const TOLA_TOLERANCE_GRAMS = 0.001;
+
+function weightRange({ value, tola }) {
+  const decimals = value.split(".")[1]?.length || 0;
+  const step = 10 ** -decimals;
+  const from = Number(value);
+  const to = Number((from + step).toFixed(decimals));
+
+  if (tola) {
+    return {
+      gte: from * GRAMS_PER_TOLA - TOLA_TOLERANCE_GRAMS,
+      lt: to * GRAMS_PER_TOLA - TOLA_TOLERANCE_GRAMS,
+    };
+  }
+  return { gte: from, lt: to };
+}
+
+// Weight terms match every weight they are a prefix of on the decimal side,
+// so "12.5" finds 12.5 to 12.59 grams and "1 tola" finds 1 to 1.99 tola;
+// other terms match title words, SKU or barcode
+function searchWhere(term) {
+  if (!term) return {};
+
+  const weight = parseWeightTerm(term);
+  if (weight) {
+    return { variants: { some: { weightGrams: weightRange(weight) } } };
+  }
+
+  const exact = { equals: term, mode: "insensitive" };
+  return {
+    OR: [
+      {
+        AND: term.split(/\s+/).map((word) => ({
+          title: { contains: word, mode: "insensitive" },
+        })),
+      },
+      { variants: { some: { sku: exact } } },
+      { variants: { some: { barcode: exact } } },
+    ],
+  };
+}
+
+function stockWhere(stockFilter) {
+  return stockFilter === "sold-out"
+    ? { totalInventory: { lte: 0 } }
+    : { totalInventory: { gt: 0 } };
+}
+
+// Sort keys computed from sales rather than stored on the product
+const SALES_SORTS = ["sellThrough", "daysOfCover"];
+
+// Sort keys the mirror orders by directly, and their product columns
+const COLUMN_SORTS = {
+  title: "title",
+  price: "minPrice",
+  weight: "weightGrams",
+  inventory: "totalInventory",
+  created: "createdAt",
+  updated: "updatedAt",
+};
+
+// Products without a weight sort last in either direction, like the sales
+// sorts; the ID keeps pages stable between equal values
+function columnOrderBy(sort) {
+  const column = COLUMN_SORTS[sort?.key];
+  if (!column) return [{ createdAt: "asc" }, { id: "asc" }];
+
+  return [
+    {
+      [column]:
+        column === "weightGrams"
+          ? { sort: sort.direction, nulls: "last" }
+          : sort.direction,
+    },
+    { id: "asc" },
+  ];
+}
+
+function mapCatalogListProduct(product, unitsSold) {
+  const variant = product.variants[0];
+
+  return {
+    id: product.id,
+    title: product.title || "N/A",
+    image: product.featuredImageUrl,
+    imageAlt: product.featuredImageAlt || product.title,
+    weightGrams: variant?.weightGrams ?? null,
+    price: { amount: product.minPrice.toString(), currencyCode: product.currencyCode },
+    barcode: variant?.barcode || "N/A",
+    sku: variant?.sku || null,
+    availableUnits: product.totalInventory,
+    jewellery: { ...product.jewellery, ...variant?.jewellery },
+    sales: salesMetrics(unitsSold[product.id] || 0, product.totalInventory),
+  };
+}
+
+// Orders every matching product by a sales metric and returns one page of
+// IDs. Products without a value sort last in either direction.
+async function rankBySales(shop, where, { key, direction }, start, pageSize) {
+  const candidates = await db.catalogProduct.findMany({
+    where,
+    select: { id: true, totalInventory: true },
+  });
+  const unitsSold = await getUnitsSold(shop);
+  const sign = direction === "desc" ? -1 : 1;
+
+  return candidates
+    .map((product) => ({
+      id: product.id,
+      value: salesMetrics(unitsSold[product.id] || 0, product.totalInventory)[
+        key
+      ],
+    }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        return (a.value === null) - (b.value === null);
+      }
+      return sign * (a.value - b.value);
+    })
+    .slice(start, start + pageSize)
+    .map((product) => product.id);
+}
+
+// Total and average weight of every weighed variant of the matching products,
+// across all pages
+async function weightTotals(shop, where) {
+  const totals = await db.catalogVariant.aggregate({
+    where: { shop, weightGrams: { not: null }, product: where },
+    _sum: { weightGrams: true },
+    _avg: { weightGrams: true },
+    _count: { weightGrams: true },
+  });
+
+  return {
+    pieces: totals._count.weightGrams,
+    totalGrams: totals._sum.weightGrams || 0,
+    averageGrams: totals._avg.weightGrams,
+  };
+}
+
+/**
+ * One page of a collection from the mirror, with the in-stock and sold-out
+ * counts and the weight totals for the same search. `age` limits it to one
+ * AGE_BUCKETS key.
+ * Cursors are row offsets. `sort` is { key, direction } for a product
+ * column (title, price, weight, inventory, created, updated) or a sales
+ * column (sellThrough, daysOfCover); pages are otherwise in the order the
+ * products were created. Returns null when the collection is not in the
+ * mirror.
+ */
+export async function listCatalogCollectionProducts(
+  shop,
+  { collectionId, stockFilter, term, age, sort, cursor, direction, pageSize },
+) {
+  const collection = await db.catalogCollection.findFirst({
+    where: { shop, id: collectionId },
+  });
+  if (!collection) return null;
+
+  const where = {
+    shop,
+    memberships: { some: { collectionId } },
+    ...searchWhere(term),
+  };
+  const ageBucket = findAgeBucket(age);
+  if (ageBucket) where.inwardAt = inwardRange(ageBucket);
+
+  const offset = Number.parseInt(cursor || "0", 10) || 0;
+  const start =
+    direction === "previous" ? Math.max(0, offset - pageSize) : offset;
+
+  const pageWhere = { ...where, ...stockWhere(stockFilter) };
+  const include = { variants: { orderBy: { position: "asc" }, take: 1 } };
+
+  const loadPage = async () => {
+    if (!SALES_SORTS.includes(sort?.key)) {
+      return db.catalogProduct.findMany({
+        where: pageWhere,
+        orderBy: columnOrderBy(sort),
+        skip: start,
+        take: pageSize,
+        include,
+      });
+    }
+
+    const ids = await rankBySales(shop, pageWhere, sort, start, pageSize);
+    const rows = await db.catalogProduct.findMany({
+      where: { id: { in: ids } },
+      include,
+    });
+    return ids
+      .map((id) => rows.find((row) => row.id === id))
+      .filter(Boolean);
+  };
+
+  const [products, inStock, soldOut, weights] = await Promise.all([
+    loadPage(),
+    db.catalogProduct.count({ where: { ...where, ...stockWhere("in-stock") } }),
+    db.catalogProduct.count({ where: { ...where, ...stockWhere("sold-out") } }),
+    weightTotals(shop, pageWhere),
+  ]);
+  const total = stockFilter === "sold-out" ? soldOut : inStock;
+  const unitsSold = await getUnitsSold(
+    shop,
+    products.map((product) => product.id),
+  );
+
+  return {
+    id: collection.id,
+    title: collection.title,
+    products: products.map((product) =>
+      mapCatalogListProduct(product, unitsSold),
+    ),
+    pageInfo: {
+      hasPreviousPage: start > 0,
+      hasNextPage: start + pageSize < total,
+      startCursor: String(start),
+      endCursor: String(start + products.length),
+    },
+    stockCounts: { inStock, soldOut },
+    weightTotals: weights,
+  };
+}
+
+/**
+ * IDs of the collection's products that match a search `term` and `age`
+ * bucket the same way listCatalogCollectionProducts does, for exports that
+ * walk the collection live from Shopify.
+ */
+export async function getCatalogCollectionProductIds(
+  shop,
+  { collectionId, term, age },
+) {
+  const where = {
+    shop,
+    memberships: { some: { collectionId } },
+    ...searchWhere(term),
+  };
+  const ageBucket = findAgeBucket(age);
+  if (ageBucket) where.inwardAt = inwardRange(ageBucket);
+
+  const products = await db.catalogProduct.findMany({
+    where,
+    select: { id: true },
+  });
+  return new Set(products.map((product) => product.id));
+}
+
+/**
+ * Stock of each variant at each location it is stocked at, as a Map of
+ * variant ID to [{ locationName, available }] in location name order.
+ */
+export async function getCatalogInventoryLevels(shop, variantIds) {
+  const levels = await db.catalogInventoryLevel.findMany({
+    where: { variantId: { in: variantIds }, variant: { shop } },
+    orderBy: { locationName: "asc" },
+    select: { variantId: true, locationName: true, available: true },
+  });
+
+  const byVariant = new Map();
+  levels.forEach(({ variantId, locationName, available }) => {
+    byVariant.set(variantId, [
+      ...(byVariant.get(variantId) || []),
+      { locationName, available },
+    ]);
+  });
+  return byVariant;
+}
+
+// A mirrored variant in the shape of the Admin API variant fields
+function variantNode(variant) {
+  return {
+    id: variant.id,
+    title: variant.title,
+    sku: variant.sku,
+    barcode: variant.barcode,
+    price: variant.price.toString(),
+    compareAtPrice: variant.compareAtPrice?.toString() || null,
+    inventoryQuantity: variant.inventoryQuantity,
+    availableForSale: variant.availableForSale,
+    selectedOptions: variant.selectedOptions,
+    jewellery: variant.jewellery,
+    inventoryItem: {
+      measurement: {
+        weight:
+          variant.weightValue !== null
+            ? { unit: variant.weightUnit, value: variant.weightValue }
+            : null,
+      },
+    },
+  };
+}
+
+/**
+ * Every product in a collection with all its variants, in the shape
+ * iterateCollectionProducts yields, for work that needs the whole collection
+ * at once. Returns null when the mirror does not have the collection.
+ */
+export async function getCatalogCollectionProducts(shop, collectionId) {
+  const collection = await db.catalogCollection.findFirst({
+    where: { shop, id: collectionId },
+    select: { id: true, title: true },
+  });
+  if (!collection) return null;
+
+  const products = await db.catalogProduct.findMany({
+    where: { shop, memberships: { some: { collectionId } } },
+    orderBy: [{ title: "asc" }, { id: "asc" }],
+    include: { variants: { orderBy: { position: "asc" } } },
+  });
+
+  return {
+    collection,
+    products: products.map((product) => ({
+      id: product.id,
+      title: product.title,
+      status: product.status,
+      tags: product.tags,
+      totalInventory: product.totalInventory,
+      jewellery: product.jewellery,
+      variants: product.variants.map(variantNode),
+    })),
+  };
+}
+
+/**
+ * A product from the mirror in the shape of the Admin API product query,
+ * with { locations, variants } inventory as returned by getProductInventory.
+ */
+export async function getCatalogProduct(shop, productId) {
+  const product = await db.catalogProduct.findFirst({
+    where: { shop, id: productId },
+    include: {
+      variants: {
+        orderBy: { position: "asc" },
+        include: { inventoryLevels: true },
+      },
+    },
+  });
+  if (!product) return null;
+
+  const locations = new Map();
+  const inventoryVariants = {};
+  product.variants.forEach((variant) => {
+    const levels = {};
+    variant.inventoryLevels.forEach((level) => {
+      locations.set(level.locationId, {
+        id: level.locationId,
+        name: level.locationName,
+      });
+      levels[level.locationId] = level.available;
+    });
+    inventoryVariants[variant.id] = {
+      inventoryItemId: variant.inventoryItemId,
+      tracked: variant.tracked,
+      levels,
+    };
+  });
+
+  return {
+    product: {
+      id: product.id,
+      title: product.title,
+      description: product.description,
+      status: product.status,
+      vendor: product.vendor,
+      productType: product.productType,
+      tags: product.tags,
+      createdAt: product.createdAt.toISOString(),
+      updatedAt: product.updatedAt.toISOString(),
+      totalInventory: product.totalInventory,
+      jewellery: product.jewellery,
+      featuredImage: product.featuredImageUrl
+        ? { url: product.featuredImageUrl, altText: product.featuredImageAlt }
+        : null,
+      images: { edges: product.images.map((node) => ({ node })) },
+      variants: {
+        edges: product.variants.map((variant) => ({
+          node: variantNode(variant),
+        })),
+      },
+    },
+    inventory: {
+      locations: [...locations.values()].sort((a, b) =>
+        a.name.localeCompare(b.name),
+      ),
+      variants: inventoryVariants,
+    },
+  };
+}
@@ -0,0 +1,337 @@
+import { parseJewelleryMetafields } from "../utils/jewellery";
+import { toGrams } from "../utils/weight";
+
+// Page sizes keep the nested product × variant × metafield selection under
+// the Admin API's 1,000 point query cost limit
+const WALK_PAGE_SIZE = 10;
+const VARIANTS_PER_PRODUCT = 5;
+
+const VARIANT_FIELDS = `#graphql
+  fragment ExportVariant on ProductVariant {
+    id
+    title
+    sku
+    barcode
+    price
+    inventoryQuantity
+    selectedOptions {
+      name
+      value
+    }
+    jewellery: metafields(namespace: "jewellery", first: 5) {
+      nodes {
+        key
+        value
+      }
+    }
+    inventoryItem {
+      measurement {
+        weight {
+          unit
+          value
+        }
+      }
+    }
+  }`;
+
+const COLLECTION_PRODUCTS_QUERY = `#graphql
+  ${VARIANT_FIELDS}
+  query collectionProductsPage(
+    $id: ID!
+    $first: Int!
+    $variants: Int!
+    $after: String
+    $sortKey: ProductCollectionSortKeys
+    $reverse: Boolean
+  ) {
+    shop {
+      currencyCode
+    }
+    collection(id: $id) {
+      id
+      title
+      productsCount {
+        count
+      }
+      products(
+        first: $first
+        after: $after
+        sortKey: $sortKey
+        reverse: $reverse
+      ) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          title
+          status
+          tags
+          totalInventory
+          jewellery: metafields(namespace: "jewellery", first: 10) {
+            nodes {
+              key
+              value
+            }
+          }
+          variants(first: $variants) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              ...ExportVariant
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_VARIANTS_QUERY = `#graphql
+  ${VARIANT_FIELDS}
+  query productVariantsPage($id: ID!, $after: String) {
+    product(id: $id) {
+      variants(first: 100, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          ...ExportVariant
+        }
+      }
+    }
+  }`;
+
+export const LIST_PRODUCT_FIELDS = `#graphql
+  fragment CollectionListProduct on Product {
+    id
+    title
+    featuredImage {
+      url
+      altText
+    }
+    priceRangeV2 {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    totalInventory
+    status
+    jewellery: metafields(namespace: "jewellery", first: 10) {
+      nodes {
+        key
+        value
+      }
+    }
+    variants(first: 1) {
+      edges {
+        node {
+          id
+          sku
+          barcode
+          jewellery: metafields(namespace: "jewellery", first: 5) {
+            nodes {
+              key
+              value
+            }
+          }
+          inventoryItem {
+            measurement {
+              weight {
+                unit
+                value
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_NODES_QUERY = `#graphql
+  ${LIST_PRODUCT_FIELDS}
+  query collectionProductNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        ...CollectionListProduct
+      }
+    }
+  }`;
+
+// Weights are entered as decimals ("12.5") or with a gram or tola suffix
+// ("8g", "1 tola"); plain integers are far more likely to be SKUs or barcodes.
+const WEIGHT_TERM_PATTERN =
+  /^(\d+(?:\.\d+)?)\s*(g|gm|gms|gram|grams|tola|tolas)?$/i;
+
+export function collectionGid(id) {
+  return `gid://shopify/Collection/${id}`;
+}
+
+export function matchesStockFilter(totalInventory, stockFilter) {
+  return stockFilter === "sold-out" ? totalInventory <= 0 : totalInventory > 0;
+}
+
+export function mapListProduct(node) {
+  const variant = node.variants.edges[0]?.node;
+  const weightData = variant?.inventoryItem?.measurement?.weight;
+
+  return {
+    id: node.id,
+    title: node.title || "N/A",
+    image: node.featuredImage?.url || null,
+    imageAlt: node.featuredImage?.altText || node.title,
+    weightGrams: toGrams(weightData),
+    price: node.priceRangeV2.minVariantPrice,
+    barcode: variant?.barcode || "N/A",
+    sku: variant?.sku || null,
+    availableUnits: node.totalInventory || 0,
+    jewellery: {
+      ...parseJewelleryMetafields(node.jewellery),
+      ...parseJewelleryMetafields(variant?.jewellery),
+    },
+  };
+}
+
+// "12.5g" as { value: "12.5", tola: false }; the value is kept as typed so
+// its decimals can be matched as a prefix
+export function parseWeightTerm(term) {
+  const match = term.trim().match(WEIGHT_TERM_PATTERN);
+  if (!match || (!match[1].includes(".") && !match[2])) {
+    return null;
+  }
+
+  return { value: match[1], tola: /^tola/i.test(match[2] || "") };
+}
+
+async function graphqlData(admin, query, variables) {
+  const response = await admin.graphql(query, { variables });
+  const data = await response.json();
+
+  if (data.errors) {
+    console.error("GraphQL errors:", data.errors);
+    throw new Error("Failed to fetch collection products");
+  }
+
+  return data.data;
+}
+
+// Most pieces have a single variant, so the remaining variants are only
+// fetched for the rare product that overflows the first page.
+async function loadAllVariants(admin, product) {
+  const variants = [...product.variants.nodes];
+  let { hasNextPage, endCursor } = product.variants.pageInfo;
+
+  while (hasNextPage) {
+    const data = await graphqlData(admin, PRODUCT_VARIANTS_QUERY, {
+      id: product.id,
+      after: endCursor,
+    });
+    variants.push(...data.product.variants.nodes);
+    ({ hasNextPage, endCursor } = data.product.variants.pageInfo);
+  }
+
+  return variants;
+}
+
+// Table sorts Shopify can order a collection by itself
+const SHOPIFY_SORT_KEYS = {
+  title: "TITLE",
+  price: "PRICE",
+  created: "CREATED",
+};
+
+/**
+ * The Shopify sortKey and reverse flag for a table sort ({ key, direction }).
+ * Sorts Shopify does not support give {}, which keeps the collection's own
+ * order.
+ */
+export function collectionSortKey(sort) {
+  const sortKey = SHOPIFY_SORT_KEYS[sort?.key];
+  return sortKey ? { sortKey, reverse: sort.direction === "desc" } : {};
+}
+
+/**
+ * Walks every product in a collection with a cursor loop, yielding one page
+ * at a time together with the running count so callers can report progress.
+ * `sortKey` and `reverse` order the walk, as from collectionSortKey.
+ */
+export async function* iterateCollectionProducts(
+  admin,
+  collectionId,
+  { sortKey = null, reverse = false } = {},
+) {
+  let after = null;
+  let processed = 0;
+
+  do {
+    const data = await graphqlData(admin, COLLECTION_PRODUCTS_QUERY, {
+      id: collectionId,
+      first: WALK_PAGE_SIZE,
+      variants: VARIANTS_PER_PRODUCT,
+      sortKey,
+      reverse,
+      after,
+    });
+
+    if (!data.collection) {
+      throw new Response("Collection not found", { status: 404 });
+    }
+
+    const { products } = data.collection;
+    const page = [];
+
+    for (const product of products.nodes) {
+      page.push({
+        id: product.id,
+        title: product.title,
+        status: product.status,
+        tags: product.tags,
+        totalInventory: product.totalInventory || 0,
+        jewellery: parseJewelleryMetafields(product.jewellery),
+        variants: (await loadAllVariants(admin, product)).map((variant) => ({
+          ...variant,
+          jewellery: parseJewelleryMetafields(variant.jewellery),
+        })),
+      });
+    }
+
+    processed += page.length;
+
+    yield {
+      collection: {
+        id: data.collection.id,
+        title: data.collection.title,
+        productsCount: data.collection.productsCount.count,
+      },
+      currencyCode: data.shop.currencyCode,
+      products: page,
+      processed,
+    };
+
+    after = products.pageInfo.hasNextPage ? products.pageInfo.endCursor : null;
+  } while (after);
+}
+
+// Same size as a list page, which keeps the metafield-heavy fragment under
+// the query cost limit
+const NODES_PER_CALL = 30;
+
+// Products in the order the IDs were given; unknown IDs are left out
+export async function getProductsByIds(admin, ids) {
+  const products = [];
+
+  for (let index = 0; index < ids.length; index += NODES_PER_CALL) {
+    const data = await graphqlData(admin, PRODUCT_NODES_QUERY, {
+      ids: ids.slice(index, index + NODES_PER_CALL),
+    });
+    products.push(
+      ...data.nodes.filter(Boolean).map((node) => mapListProduct(node)),
+    );
+  }
+
+  return products;
+}
@@ -0,0 +1,135 @@
+import db from "../db.server";
+import { getShopCurrency } from "./settings.server";
+import { variantNetWeight } from "../utils/pricing";
+
+// Sales change stock slowly enough that an hour-old figure is still useful
+export const STATS_MAX_AGE_MS = 60 * 60 * 1000;
+
+function serializeStats(stats) {
+  return {
+    collectionId: stats.collectionId,
+    productsCount: stats.productsCount,
+    inStock: stats.inStock,
+    soldOut: stats.soldOut,
+    netWeightGrams: Number(stats.netWeightGrams),
+    stockValue: Number(stats.stockValue),
+    currencyCode: stats.currencyCode,
+    computedAt: stats.computedAt.toISOString(),
+    stale: Date.now() - stats.computedAt.getTime() > STATS_MAX_AGE_MS,
+  };
+}
+
+// Cached stats keyed by collection ID. Collections never computed are absent.
+export async function getCollectionStats(shop, collectionIds) {
+  const rows = await db.collectionStats.findMany({
+    where: { shop, collectionId: { in: collectionIds } },
+  });
+
+  return Object.fromEntries(
+    rows.map((row) => [row.collectionId, serializeStats(row)]),
+  );
+}
+
+/**
+ * Works out a collection's stock figures from the catalog mirror and caches
+ * them. Weight and value only count units in stock: net weight (or shipping
+ * weight) and price are multiplied by each variant's available quantity.
+ */
+export async function refreshCollectionStats(admin, shop, collectionId) {
+  const inCollection = { shop, memberships: { some: { collectionId } } };
+
+  const [productsCount, inStock, variants, currencyCode] = await Promise.all([
+    db.catalogProduct.count({ where: inCollection }),
+    db.catalogProduct.count({
+      where: { ...inCollection, totalInventory: { gt: 0 } },
+    }),
+    db.catalogVariant.findMany({
+      where: { shop, product: inCollection, inventoryQuantity: { gt: 0 } },
+      select: {
+        price: true,
+        inventoryQuantity: true,
+        weightValue: true,
+        weightUnit: true,
+        jewellery: true,
+      },
+    }),
+    getShopCurrency(admin, shop),
+  ]);
+
+  let netWeightGrams = 0;
+  let stockValue = 0;
+  variants.forEach((variant) => {
+    const units = variant.inventoryQuantity;
+    const grams = variantNetWeight({
+      jewellery: variant.jewellery,
+      inventoryItem: {
+        measurement: {
+          weight: { unit: variant.weightUnit, value: variant.weightValue },
+        },
+      },
+    });
+    netWeightGrams += (grams || 0) * units;
+    stockValue += Number(variant.price) * units;
+  });
+
+  const data = {
+    productsCount,
+    inStock,
+    soldOut: productsCount - inStock,
+    netWeightGrams: netWeightGrams.toFixed(3),
+    stockValue: stockValue.toFixed(2),
+    currencyCode,
+    computedAt: new Date(),
+  };
+  const stats = await db.collectionStats.upsert({
+    where: { shop_collectionId: { shop, collectionId } },
+    create: { shop, collectionId, ...data },
+    update: data,
+  });
+
+  return serializeStats(stats);
+}
+
+/**
+ * Marks cached stats as stale so the collections index recomputes them,
+ * while still showing the old figures in the meantime. Without IDs every
+ * collection of the shop is invalidated.
+ */
+export async function invalidateCollectionStats(shop, collectionIds) {
+  const { count } = await db.collectionStats.updateMany({
+    where: {
+      shop,
+      ...(collectionIds ? { collectionId: { in: collectionIds } } : {}),
+    },
+    data: { computedAt: new Date(0) },
+  });
+
+  return count;
+}
+
+// Collections are looked up in the mirror, so a deleted product has to be
+// looked up before it is removed from it
+export async function invalidateProductCollectionStats(shop, productId) {
+  const memberships = await db.catalogCollectionProduct.findMany({
+    where: { productId, product: { shop } },
+    select: { collectionId: true },
+  });
+
+  return invalidateCollectionStats(
+    shop,
+    memberships.map((membership) => membership.collectionId),
+  );
+}
+
+export async function invalidateInventoryItemCollectionStats(
+  shop,
+  inventoryItemId,
+) {
+  const variant = await db.catalogVariant.findFirst({
+    where: { shop, inventoryItemId },
+    select: { productId: true },
+  });
+  if (!variant) return 0;
+
+  return invalidateProductCollectionStats(shop, variant.productId);
+}
@@ -0,0 +1,181 @@
+import db from "../db.server";
+import { detectMetal } from "../utils/pricing";
+import { METAL_OPTIONS, PURITIES, normalizeHuid } from "../utils/jewellery";
+
+const SYNC_PAGE_SIZE = 100;
+
+const HUID_FIELDS = `#graphql
+  fragment HuidProduct on Product {
+    id
+    title
+    tags
+    metal: metafield(namespace: "jewellery", key: "metal") {
+      value
+    }
+    purity: metafield(namespace: "jewellery", key: "purity") {
+      value
+    }
+    huid: metafield(namespace: "jewellery", key: "huid") {
+      value
+    }
+  }`;
+
+const HUID_PRODUCT_QUERY = `#graphql
+  ${HUID_FIELDS}
+  query huidProduct($id: ID!) {
+    product(id: $id) {
+      ...HuidProduct
+    }
+  }`;
+
+const HUID_PRODUCTS_QUERY = `#graphql
+  ${HUID_FIELDS}
+  query huidProducts($first: Int!, $after: String) {
+    products(first: $first, after: $after) {
+      nodes {
+        ...HuidProduct
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }`;
+
+// The metal metafield wins, then the purity's metal, then the title and tags
+function resolveMetal(node) {
+  if (node.metal?.value) return node.metal.value;
+
+  const purity = PURITIES.find((option) => option.value === node.purity?.value);
+  if (purity) return purity.metal;
+
+  const detected = detectMetal({ title: node.title, tags: node.tags });
+  return (
+    METAL_OPTIONS.find((metal) => detected?.startsWith(metal.toUpperCase())) ||
+    null
+  );
+}
+
+function toRecord(shop, node) {
+  return {
+    shop,
+    productId: node.id,
+    productTitle: node.title,
+    metal: resolveMetal(node),
+    purity: node.purity?.value || null,
+    huid: normalizeHuid(node.huid?.value) || null,
+  };
+}
+
+/**
+ * Other products already registered under `huid`, so a save can be rejected
+ * before the duplicate reaches Shopify.
+ */
+export async function findHuidConflicts(shop, huid, productId) {
+  return db.huidRecord.findMany({
+    where: { shop, huid: normalizeHuid(huid), productId: { not: productId } },
+    orderBy: { productTitle: "asc" },
+  });
+}
+
+/**
+ * Re-reads one product's metafields and updates its registry entry.
+ * Deleted products are dropped from the registry.
+ */
+export async function refreshHuidRecord(admin, shop, productId) {
+  const response = await admin.graphql(HUID_PRODUCT_QUERY, {
+    variables: { id: productId },
+  });
+  const { data } = await response.json();
+
+  if (!data?.product) {
+    await removeHuidRecord(shop, productId);
+    return null;
+  }
+
+  const record = toRecord(shop, data.product);
+  return db.huidRecord.upsert({
+    where: { shop_productId: { shop, productId } },
+    create: record,
+    update: record,
+  });
+}
+
+export async function removeHuidRecord(shop, productId) {
+  await db.huidRecord.deleteMany({ where: { shop, productId } });
+}
+
+/**
+ * Rebuilds the registry from every product in the store. Picks up HUIDs
+ * edited directly in the Shopify admin and drops deleted products.
+ */
+export async function syncHuidRegistry(admin, shop) {
+  const records = [];
+  let after = null;
+
+  do {
+    const response = await admin.graphql(HUID_PRODUCTS_QUERY, {
+      variables: { first: SYNC_PAGE_SIZE, after },
+    });
+    const { data, errors } = await response.json();
+    if (errors?.length) {
+      throw new Error(errors.map((error) => error.message).join(", "));
+    }
+
+    records.push(...data.products.nodes.map((node) => toRecord(shop, node)));
+    after = data.products.pageInfo.hasNextPage
+      ? data.products.pageInfo.endCursor
+      : null;
+  } while (after);
+
+  await db.$transaction([
+    db.huidRecord.deleteMany({ where: { shop } }),
+    db.huidRecord.createMany({ data: records }),
+  ]);
+
+  return records.length;
+}
+
+/**
+ * Gold products without a HUID, and every HUID shared by more than one
+ * product.
+ */
+export async function getHuidReport(shop) {
+  const records = await db.huidRecord.findMany({
+    where: { shop },
+    orderBy: { productTitle: "asc" },
+  });
+
+  const byHuid = new Map();
+  records
+    .filter((record) => record.huid)
+    .forEach((record) => {
+      byHuid.set(record.huid, [...(byHuid.get(record.huid) || []), record]);
+    });
+
+  const summary = (record) => ({
+    productId: record.productId,
+    productTitle: record.productTitle,
+    metal: record.metal,
+    purity: record.purity,
+    huid: record.huid,
+  });
+
+  return {
+    total: records.length,
+    lastSyncedAt:
+      records
+        .reduce(
+          (latest, record) =>
+            !latest || record.updatedAt > latest ? record.updatedAt : latest,
+          null,
+        )
+        ?.toISOString() || null,
+    missing: records
+      .filter((record) => record.metal === "Gold" && !record.huid)
+      .map(summary),
+    conflicts: [...byHuid.entries()]
+      .filter(([, group]) => group.length > 1)
+      .map(([huid, group]) => ({ huid, products: group.map(summary) })),
+  };
+}
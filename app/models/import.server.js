@@ -0,0 +1,482 @@
+import { createHash } from "node:crypto";
+import ExcelJS from "exceljs";
+import db from "../db.server";
+import { completeJob, updateJobProgress } from "./job.server";
+import { syncCatalogProduct } from "./catalog.server";
+import { adjustInventory } from "./inventory.server";
+import { parseCsv } from "../utils/csv";
+import { toGrams } from "../utils/weight";
+import { formatGrams } from "../utils/format";
+import {
+  IMPORT_FIELD_LABELS,
+  IMPORT_MAX_BYTES,
+  mapImportRows,
+  parseImportWeight,
+  parsePrice,
+  parseStock,
+  productGidFromCell,
+} from "../utils/import";
+import { normalizeIdentifier } from "../utils/productEdit";
+
+const VARIANTS_UPDATE_MUTATION = `#graphql
+  mutation importVariantUpdates($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants { id }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  // Empty rows are left as gaps so row numbers stay as in the sheet
+  const table = [];
+  sheet.eachRow((row, rowNumber) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column += 1) {
+      cells.push(row.getCell(column).text);
+    }
+    table[rowNumber - 1] = cells;
+  });
+  return Array.from(table, (cells) => cells || []);
+}
+
+/**
+ * Reads an uploaded CSV or XLSX file into { rows, notices, error } as
+ * described by mapImportRows. Only the first worksheet of a workbook is read. `error` is a
+ * translation key.
+ */
+export async function readImportFile(file) {
+  if (!file || typeof file === "string" || file.size === 0) {
+    return { rows: [], error: "import.errors.noFile" };
+  }
+  if (file.size > IMPORT_MAX_BYTES) {
+    return { rows: [], error: "import.errors.tooLarge" };
+  }
+
+  const name = file.name.toLowerCase();
+  try {
+    if (name.endsWith(".xlsx")) {
+      return mapImportRows(await readXlsx(await file.arrayBuffer()));
+    }
+    if (name.endsWith(".csv")) {
+      return mapImportRows(parseCsv(await file.text()));
+    }
+  } catch (error) {
+    console.error("Import file could not be read:", error);
+    return { rows: [], error: "import.errors.unreadable" };
+  }
+  return { rows: [], error: "import.errors.fileType" };
+}
+
+async function loadVariants(shop) {
+  const variants = await db.catalogVariant.findMany({
+    where: { shop },
+    select: {
+      id: true,
+      productId: true,
+      title: true,
+      sku: true,
+      barcode: true,
+      price: true,
+      weightGrams: true,
+      inventoryItemId: true,
+      tracked: true,
+      inventoryLevels: {
+        select: { locationId: true, locationName: true, available: true },
+      },
+      product: { select: { title: true, currencyCode: true } },
+    },
+  });
+
+  const index = (key) => {
+    const map = new Map();
+    variants.forEach((variant) => {
+      const value = key === "productId" ? variant.productId : normalizeIdentifier(variant[key]);
+      if (value) map.set(value, [...(map.get(value) || []), variant]);
+    });
+    return map;
+  };
+
+  return { bySku: index("sku"), byBarcode: index("barcode"), byProduct: index("productId") };
+}
+
+// The variant a row is about, or { error } when it matches none or several.
+// `matchedBy` is the IMPORT_COLUMNS key that found it and `error` is a
+// translation key or { key, values }.
+function matchVariant(values, { bySku, byBarcode, byProduct }) {
+  const sku = normalizeIdentifier(values.sku);
+  const barcode = normalizeIdentifier(values.barcode);
+
+  if (values.productId) {
+    const productId = productGidFromCell(values.productId);
+    const variants = (productId && byProduct.get(productId)) || [];
+    if (variants.length === 0) {
+      return {
+        error: {
+          key: "import.warnings.noProduct",
+          values: { id: values.productId },
+        },
+      };
+    }
+
+    const bySkuInProduct = variants.filter(
+      (variant) => sku && normalizeIdentifier(variant.sku) === sku,
+    );
+    const byTitle = variants.filter(
+      (variant) => values.variant && variant.title === values.variant,
+    );
+    const candidates = [bySkuInProduct, byTitle, variants].find(
+      (list) => list.length === 1,
+    );
+    return candidates
+      ? { variant: candidates[0], matchedBy: "productId" }
+      : { error: "import.warnings.severalVariants" };
+  }
+
+  if (sku) {
+    const variants = bySku.get(sku) || [];
+    if (variants.length === 1) return { variant: variants[0], matchedBy: "sku" };
+    if (variants.length > 1) {
+      return {
+        error: { key: "import.warnings.skuShared", values: { sku: values.sku } },
+      };
+    }
+  }
+
+  if (barcode) {
+    const variants = byBarcode.get(barcode) || [];
+    if (variants.length === 1) {
+      return { variant: variants[0], matchedBy: "barcode" };
+    }
+    if (variants.length > 1) {
+      return {
+        error: {
+          key: "import.warnings.barcodeShared",
+          values: { barcode: values.barcode },
+        },
+      };
+    }
+  }
+
+  return { error: "import.warnings.noVariant" };
+}
+
+// Changes and warnings for one matched row. Values that fail to parse are
+// warned about and left out; the rest of the row still applies. Stock is set
+// at the location named in the row.
+function planRow(values, variant, matchedBy, { byBarcode }) {
+  const changes = [];
+  const warnings = [];
+  const updates = {};
+
+  if (values.price) {
+    const price = parsePrice(values.price);
+    if (price.error) {
+      warnings.push(price.error);
+    } else if (
+      values.currency &&
+      values.currency.toUpperCase() !== variant.product.currencyCode
+    ) {
+      warnings.push({
+        key: "import.warnings.currency",
+        values: { currency: values.currency, shopCurrency: variant.product.currencyCode },
+      });
+    } else if (Number(price.value) !== Number(variant.price)) {
+      updates.price = price.value;
+      changes.push({ field: "price", from: variant.price.toFixed(2), to: price.value });
+    }
+  }
+
+  if (values.weight) {
+    const weight = parseImportWeight(values);
+    const grams = weight.error ? null : Number((toGrams(weight) ?? 0).toFixed(3));
+    const current = variant.weightGrams;
+    if (weight.error) {
+      warnings.push(weight.error);
+    } else if (current === null || Math.abs(grams - current) >= 0.0005) {
+      // Written back in grams, so Shopify holds every weight in one unit
+      updates.weight = { value: grams, unit: "GRAMS" };
+      changes.push({
+        field: "weight",
+        from: current === null ? null : formatGrams(current),
+        to: formatGrams(grams),
+      });
+    }
+  }
+
+  // A row matched by its barcode cannot also change it
+  const barcode = normalizeIdentifier(values.barcode);
+  if (barcode && matchedBy !== "barcode" && barcode !== normalizeIdentifier(variant.barcode)) {
+    const owner = (byBarcode.get(barcode) || []).find(({ id }) => id !== variant.id);
+    if (owner) {
+      warnings.push({
+        key: "import.warnings.barcodeUsed",
+        values: { barcode: values.barcode, title: owner.product.title },
+      });
+    } else {
+      updates.barcode = values.barcode;
+      changes.push({ field: "barcode", from: variant.barcode, to: values.barcode });
+    }
+  }
+
+  if (values.stock) {
+    const stock = parseStock(values.stock);
+    const location = values.location?.toLowerCase();
+    const level = variant.inventoryLevels.find(
+      (inventoryLevel) => inventoryLevel.locationName.toLowerCase() === location,
+    );
+    if (stock.error) {
+      warnings.push(stock.error);
+    } else if (!variant.tracked) {
+      warnings.push("import.warnings.untracked");
+    } else if (!location) {
+      warnings.push("import.warnings.noLocation");
+    } else if (!level) {
+      warnings.push({
+        key: "import.warnings.notStocked",
+        values: { location: values.location },
+      });
+    } else if (stock.value !== level.available) {
+      updates.stock = { locationId: level.locationId, quantity: stock.value };
+      changes.push({
+        field: "stock",
+        location: level.locationName,
+        from: level.available,
+        to: stock.value,
+      });
+    }
+  }
+
+  return { changes, warnings, updates };
+}
+
+// Fields written to the variant itself rather than to its stock
+const VARIANT_UPDATE_KEYS = ["price", "weight", "barcode"];
+
+function variantFields(updates) {
+  return JSON.stringify(VARIANT_UPDATE_KEYS.map((key) => updates[key] ?? null));
+}
+
+function dropChanges(row, fields) {
+  row.changes = row.changes.filter((change) => !fields.includes(change.field));
+  fields.forEach((field) => delete row.updates[field]);
+}
+
+// Identifies a plan by its exact changes, so an apply can check that it is
+// still the plan that was previewed
+function planHash(rows) {
+  return createHash("sha256")
+    .update(
+      JSON.stringify(
+        rows
+          .filter((row) => row.status === "update")
+          .map((row) => [row.line, row.variantId, row.updates]),
+      ),
+    )
+    .digest("hex");
+}
+
+/**
+ * Matches each imported row to a variant in the catalog mirror and works out
+ * what would change. Nothing is written. Returns { rows, hash }. Rows are
+ * { line, status, matchedBy, productId, variantId, title, changes, warnings,
+ * updates } with status "update", "unchanged" or "unmatched"; warnings are
+ * translation keys or { key, values }. `hash` identifies the changes.
+ */
+export async function planImport(shop, rows) {
+  const variants = await loadVariants(shop);
+  // The first row about each variant, and about each variant at a location
+  const claimed = new Map();
+  const stockClaimed = new Map();
+  const barcodesInFile = new Map();
+
+  const plan = rows.map(({ line, values }) => {
+    const { variant, matchedBy, error } = matchVariant(values, variants);
+    if (error) {
+      return {
+        line,
+        status: "unmatched",
+        title: values.title || values.sku || values.barcode || "—",
+        changes: [],
+        warnings: [error],
+      };
+    }
+
+    const row = {
+      line,
+      matchedBy,
+      productId: variant.productId,
+      variantId: variant.id,
+      inventoryItemId: variant.inventoryItemId,
+      title:
+        variant.title === "Default Title"
+          ? variant.product.title
+          : `${variant.product.title} — ${variant.title}`,
+      ...planRow(values, variant, matchedBy, variants),
+    };
+
+    // A collection export repeats a variant's fields on the row for each of
+    // its locations, so only a repeat that differs is warned about
+    const first = claimed.get(variant.id);
+    if (first) {
+      if (variantFields(row.updates) !== first.fields) {
+        row.warnings.unshift({
+          key: "import.warnings.variantRepeated",
+          values: { line: first.line },
+        });
+      }
+      dropChanges(row, VARIANT_UPDATE_KEYS);
+    } else {
+      claimed.set(variant.id, { line, fields: variantFields(row.updates) });
+    }
+
+    const stockKey =
+      values.stock && values.location
+        ? `${variant.id} ${values.location.toLowerCase()}`
+        : null;
+    if (stockKey && stockClaimed.has(stockKey)) {
+      row.warnings.unshift({
+        key: "import.warnings.stockRepeated",
+        values: { line: stockClaimed.get(stockKey) },
+      });
+      dropChanges(row, ["stock"]);
+    } else if (stockKey) {
+      stockClaimed.set(stockKey, line);
+    }
+
+    const barcode = normalizeIdentifier(row.updates.barcode);
+    if (barcode && barcodesInFile.has(barcode)) {
+      row.warnings.push({
+        key: "import.warnings.barcodeRepeated",
+        values: { line: barcodesInFile.get(barcode) },
+      });
+      dropChanges(row, ["barcode"]);
+    } else if (barcode) {
+      barcodesInFile.set(barcode, line);
+    }
+
+    row.status = row.changes.length > 0 ? "update" : "unchanged";
+    return row;
+  });
+
+  return { rows: plan, hash: planHash(plan) };
+}
+
+function variantInput(row) {
+  const input = { id: row.variantId };
+  if (row.updates.price) input.price = row.updates.price;
+  if (row.updates.barcode) input.barcode = row.updates.barcode;
+  if (row.updates.weight) {
+    input.inventoryItem = { measurement: { weight: row.updates.weight } };
+  }
+  return input;
+}
+
+function changeValues(row, side) {
+  return Object.fromEntries(
+    row.changes
+      .filter((change) => change.field !== "stock")
+      .map((change) => [IMPORT_FIELD_LABELS[change.field], change[side]]),
+  );
+}
+
+// Writes one product's rows: variant fields in one call, then stock per
+// variant. Returns an error message per failed row line.
+async function applyProductRows(admin, shop, productId, rows) {
+  const errors = new Map();
+  const variantRows = rows.filter(
+    (row) => row.updates.price || row.updates.barcode || row.updates.weight,
+  );
+
+  if (variantRows.length > 0) {
+    try {
+      const response = await admin.graphql(VARIANTS_UPDATE_MUTATION, {
+        variables: { productId, variants: variantRows.map(variantInput) },
+        audit: variantRows.map((row) => ({
+          action: "variant.update",
+          productId,
+          targetId: row.variantId,
+          targetTitle: row.title,
+          before: changeValues(row, "from"),
+          after: changeValues(row, "to"),
+        })),
+      });
+      const data = await response.json();
+      (data.data?.productVariantsBulkUpdate?.userErrors || []).forEach((error) => {
+        const row = variantRows[Number(error.field?.[1])];
+        const lines = row ? [row.line] : variantRows.map(({ line }) => line);
+        lines.forEach((line) => {
+          errors.set(line, [errors.get(line), error.message].filter(Boolean).join(", "));
+        });
+      });
+    } catch (error) {
+      variantRows.forEach((row) => errors.set(row.line, error.message || "Update failed"));
+    }
+  }
+
+  for (const row of rows.filter((candidate) => candidate.updates.stock !== undefined)) {
+    try {
+      const { userErrors } = await adjustInventory(admin, shop, {
+        productId,
+        inventoryItemId: row.inventoryItemId,
+        locationId: row.updates.stock.locationId,
+        mode: "set",
+        quantity: row.updates.stock.quantity,
+        reason: "correction",
+        note: "Spreadsheet import",
+      });
+      if (userErrors.length > 0) {
+        errors.set(row.line, userErrors.map((error) => error.message).join(", "));
+      }
+    } catch (error) {
+      const message = error instanceof Response ? await error.text() : error.message;
+      errors.set(row.line, message || "Stock update failed");
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Applies the "update" rows of a plan from planImport, one product at a
+ * time, then refreshes those products in the mirror. Rows that fail are
+ * reported in the job result and the rest carry on:
+ * { updated, failed: [{ line, title, error }] }.
+ */
+export async function runImport(admin, shop, { jobId, plan }) {
+  const byProduct = new Map();
+  plan
+    .filter((row) => row.status === "update")
+    .forEach((row) => {
+      byProduct.set(row.productId, [...(byProduct.get(row.productId) || []), row]);
+    });
+
+  const failed = [];
+  let processed = 0;
+  for (const [productId, rows] of byProduct) {
+    const errors = await applyProductRows(admin, shop, productId, rows);
+    rows.forEach((row) => {
+      if (errors.has(row.line)) {
+        failed.push({ line: row.line, title: row.title, error: errors.get(row.line) });
+      }
+    });
+
+    try {
+      await syncCatalogProduct(admin, shop, productId);
+    } catch (error) {
+      console.error("Mirror refresh after import failed:", error);
+    }
+
+    processed += rows.length;
+    await updateJobProgress(jobId, { processed });
+  }
+
+  await completeJob(jobId, { updated: processed - failed.length, failed });
+}
@@ -0,0 +1,221 @@
+import db from "../db.server";
+import { ADJUSTMENT_REASONS, adjustedQuantity } from "../utils/inventory";
+
+// Kept small because every variant asks for its levels at each location
+const VARIANTS_PER_PAGE = 25;
+const LOCATIONS_PER_VARIANT = 10;
+
+const PRODUCT_INVENTORY_QUERY = `#graphql
+  query productInventory($id: ID!, $first: Int!, $locations: Int!, $after: String) {
+    product(id: $id) {
+      variants(first: $first, after: $after) {
+        nodes {
+          id
+          inventoryItem {
+            id
+            tracked
+            inventoryLevels(first: $locations) {
+              nodes {
+                location {
+                  id
+                  name
+                }
+                quantities(names: ["available"]) {
+                  quantity
+                }
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`;
+
+const INVENTORY_LEVEL_QUERY = `#graphql
+  query inventoryLevel($id: ID!, $locationId: ID!) {
+    inventoryItem(id: $id) {
+      id
+      variant {
+        id
+        title
+        product {
+          id
+          title
+        }
+      }
+      inventoryLevel(locationId: $locationId) {
+        location {
+          id
+          name
+        }
+        quantities(names: ["available"]) {
+          quantity
+        }
+      }
+    }
+  }`;
+
+const ADJUST_QUANTITIES_MUTATION = `#graphql
+  mutation adjustInventory($input: InventoryAdjustQuantitiesInput!) {
+    inventoryAdjustQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        changes {
+          name
+          delta
+          quantityAfterChange
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+/**
+ * Available quantity of every variant at every location that stocks it.
+ * Returns { locations: [{ id, name }], variants: { [variantId]:
+ * { inventoryItemId, tracked, levels: { [locationId]: quantity } } } }.
+ */
+export async function getProductInventory(admin, productId) {
+  const locations = new Map();
+  const variants = {};
+  let after = null;
+
+  do {
+    const response = await admin.graphql(PRODUCT_INVENTORY_QUERY, {
+      variables: {
+        id: productId,
+        first: VARIANTS_PER_PAGE,
+        locations: LOCATIONS_PER_VARIANT,
+        after,
+      },
+    });
+    const { data } = await response.json();
+    if (!data?.product) break;
+
+    const connection = data.product.variants;
+    connection.nodes.forEach((variant) => {
+      const levels = {};
+      variant.inventoryItem.inventoryLevels.nodes.forEach((level) => {
+        locations.set(level.location.id, level.location);
+        levels[level.location.id] = level.quantities[0]?.quantity ?? 0;
+      });
+
+      variants[variant.id] = {
+        inventoryItemId: variant.inventoryItem.id,
+        tracked: variant.inventoryItem.tracked,
+        levels,
+      };
+    });
+
+    after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+
+  return {
+    locations: [...locations.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    variants,
+  };
+}
+
+/**
+ * Changes the available quantity at one location. "set" is turned into a
+ * delta from the quantity Shopify holds right now, so both modes go through
+ * inventoryAdjustQuantities. Every attempt is written to the adjustment log.
+ */
+export async function adjustInventory(
+  admin,
+  shop,
+  { productId, inventoryItemId, locationId, mode, quantity, reason, note },
+) {
+  const response = await admin.graphql(INVENTORY_LEVEL_QUERY, {
+    variables: { id: inventoryItemId, locationId },
+  });
+  const { data } = await response.json();
+  const item = data?.inventoryItem;
+
+  if (!item?.inventoryLevel || item.variant?.product.id !== productId) {
+    throw new Response("This variant is not stocked at that location", {
+      status: 404,
+    });
+  }
+
+  const quantityBefore = item.inventoryLevel.quantities[0]?.quantity ?? 0;
+  const quantityAfter = adjustedQuantity(quantityBefore, { mode, quantity });
+  const delta = quantityAfter - quantityBefore;
+
+  let userErrors = [];
+  if (delta !== 0) {
+    const location = item.inventoryLevel.location.name;
+    const mutation = await admin.graphql(ADJUST_QUANTITIES_MUTATION, {
+      variables: {
+        input: {
+          name: "available",
+          reason: ADJUSTMENT_REASONS.find((option) => option.value === reason)
+            .shopifyReason,
+          changes: [{ inventoryItemId, locationId, delta }],
+        },
+      },
+      audit: {
+        action: "inventory.adjust",
+        productId: item.variant.product.id,
+        targetId: item.variant.id,
+        targetTitle: `${item.variant.product.title} — ${item.variant.title}`,
+        before: { available: quantityBefore, location },
+        after: { available: quantityAfter, location, reason },
+      },
+    });
+    const result = await mutation.json();
+    userErrors = result.data?.inventoryAdjustQuantities?.userErrors || [];
+  }
+
+  const failed = userErrors.length > 0;
+  await db.inventoryAdjustment.create({
+    data: {
+      shop,
+      productId: item.variant.product.id,
+      productTitle: item.variant.product.title,
+      variantId: item.variant.id,
+      variantTitle: item.variant.title,
+      inventoryItemId,
+      locationId,
+      locationName: item.inventoryLevel.location.name,
+      mode,
+      delta,
+      quantityBefore,
+      quantityAfter: failed ? quantityBefore : quantityAfter,
+      reason,
+      note: note || null,
+      status: failed ? "failed" : "applied",
+      error: userErrors.map((error) => error.message).join(", ") || null,
+    },
+  });
+
+  return { quantityAfter: failed ? quantityBefore : quantityAfter, userErrors };
+}
+
+export async function getInventoryAdjustments(shop, productId, { take = 20 } = {}) {
+  const adjustments = await db.inventoryAdjustment.findMany({
+    where: { shop, productId },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+
+  return adjustments.map((adjustment) => ({
+    id: adjustment.id,
+    variantTitle: adjustment.variantTitle,
+    locationName: adjustment.locationName,
+    delta: adjustment.delta,
+    quantityBefore: adjustment.quantityBefore,
+    quantityAfter: adjustment.quantityAfter,
+    reason: adjustment.reason,
+    note: adjustment.note,
+    status: adjustment.status,
+    error: adjustment.error,
+    createdAt: adjustment.createdAt.toISOString(),
+  }));
+}
@@ -0,0 +1,118 @@
+import {
+  JEWELLERY_NAMESPACE,
+  PRODUCT_FIELDS,
+  VARIANT_FIELDS,
+  fieldLabel,
+} from "../utils/jewellery";
+
+// metafieldsSet accepts at most 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+
+const METAFIELDS_SET_MUTATION = `#graphql
+  mutation setJewelleryMetafields($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const METAFIELDS_DELETE_MUTATION = `#graphql
+  mutation deleteJewelleryMetafields($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+function metafieldInputs(ownerId, fields, values) {
+  const set = [];
+  const remove = [];
+
+  fields.forEach((field) => {
+    const value = values[field.key];
+    if (value === undefined) return;
+
+    if (value === null || String(value).trim() === "") {
+      remove.push({ ownerId, namespace: JEWELLERY_NAMESPACE, key: field.key });
+    } else {
+      set.push({
+        ownerId,
+        namespace: JEWELLERY_NAMESPACE,
+        key: field.key,
+        type: field.type,
+        value: String(value).trim(),
+      });
+    }
+  });
+
+  return { set, remove };
+}
+
+// One audit entry per metafield, with its value before and after
+function auditEntries(metafields, { productId, title, previous, action }) {
+  return metafields.map((metafield) => ({
+    action,
+    productId,
+    targetId: metafield.ownerId,
+    targetTitle: `${title} — ${fieldLabel(metafield.key)}`,
+    before: { [metafield.key]: previous[metafield.ownerId]?.[metafield.key] ?? null },
+    after: { [metafield.key]: metafield.value ?? null },
+  }));
+}
+
+async function runMutation(admin, mutation, metafields, resultKey, audit) {
+  const userErrors = [];
+
+  for (let index = 0; index < metafields.length; index += METAFIELDS_PER_CALL) {
+    const batch = metafields.slice(index, index + METAFIELDS_PER_CALL);
+    const response = await admin.graphql(mutation, {
+      variables: { metafields: batch },
+      audit: auditEntries(batch, audit),
+    });
+    const data = await response.json();
+    userErrors.push(...(data.data?.[resultKey]?.userErrors || []));
+  }
+
+  return userErrors;
+}
+
+/**
+ * Writes the jewellery attributes of a product and its variants. Blank values
+ * delete the metafield so cleared fields do not linger in Shopify.
+ * `variants` is keyed by variant ID. `title` and `previous`, the current
+ * attributes keyed by product or variant ID, describe the change in the
+ * audit log. Returns the GraphQL userErrors.
+ */
+export async function saveJewelleryAttributes(
+  admin,
+  { productId, product = {}, variants = {}, title = "", previous = {} },
+) {
+  const inputs = [
+    metafieldInputs(productId, PRODUCT_FIELDS, product),
+    ...Object.entries(variants).map(([variantId, values]) =>
+      metafieldInputs(variantId, VARIANT_FIELDS, values),
+    ),
+  ];
+  const set = inputs.flatMap((input) => input.set);
+  const remove = inputs.flatMap((input) => input.remove);
+
+  return [
+    ...(await runMutation(admin, METAFIELDS_SET_MUTATION, set, "metafieldsSet", {
+      productId,
+      title,
+      previous,
+      action: "metafield.set",
+    })),
+    ...(await runMutation(
+      admin,
+      METAFIELDS_DELETE_MUTATION,
+      remove,
+      "metafieldsDelete",
+      { productId, title, previous, action: "metafield.delete" },
+    )),
+  ];
+}
@@ -0,0 +1,89 @@
+import { waitUntil } from "@vercel/functions";
+import db from "../db.server";
+
+// Long-running work (exports, bulk updates, imports) is tracked in the Job
+// table so the UI can poll progress from any request or device.
+
+// Routes that start jobs allow 300 seconds. A running job that has not
+// reported progress for longer than that has been stopped with its function.
+const STALE_JOB_MS = 6 * 60 * 1000;
+
+export async function createJob({ id, shop, type, total = null }) {
+  return db.job.create({
+    data: {
+      ...(id ? { id } : {}),
+      shop,
+      type,
+      total,
+      status: "running",
+    },
+  });
+}
+
+export async function getJob(shop, id) {
+  const job = await db.job.findFirst({ where: { id, shop } });
+
+  if (
+    job?.status === "running" &&
+    Date.now() - job.updatedAt.getTime() > STALE_JOB_MS
+  ) {
+    return failJob(job.id, "The job stopped before it finished");
+  }
+  return job;
+}
+
+export async function updateJobProgress(id, { processed, total }) {
+  return db.job.update({
+    where: { id },
+    data: {
+      processed,
+      ...(total !== undefined ? { total } : {}),
+    },
+  });
+}
+
+export async function completeJob(id, result = null) {
+  return db.job.update({
+    where: { id },
+    data: { status: "completed", result },
+  });
+}
+
+export async function failJob(id, error) {
+  return db.job.update({
+    where: { id },
+    data: {
+      status: "failed",
+      error: error instanceof Error ? error.message : String(error),
+    },
+  });
+}
+
+/**
+ * Runs `work` after the response has been sent. The function is kept alive
+ * until it settles, up to the route's `maxDuration`, and a failure is
+ * recorded on the job.
+ */
+export function runJob(jobId, work, description) {
+  waitUntil(
+    work().catch(async (error) => {
+      console.error(`${description} failed:`, error);
+      await failJob(jobId, error);
+    }),
+  );
+}
+
+export function serializeJob(job) {
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    processed: job.processed,
+    total: job.total,
+    result: job.result,
+    error: job.error,
+    updatedAt: job.updatedAt.toISOString(),
+  };
+}
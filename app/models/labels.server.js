@@ -0,0 +1,180 @@
+import bwipjs from "bwip-js";
+import PDFDocument from "pdfkit";
+import { getProductsByIds } from "./collection.server";
+import {
+  barcodeSymbology,
+  labelElements,
+  paginateLabels,
+} from "../utils/labels";
+import { formatMoney } from "../utils/format";
+
+const PT_PER_MM = 72 / 25.4;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toLabel(product) {
+  const netWeight = Number(product.jewellery?.net_weight);
+  const barcode =
+    product.barcode && product.barcode !== "N/A" ? product.barcode : product.sku;
+
+  return {
+    title: product.title,
+    purity: product.jewellery?.purity || null,
+    netWeight: (netWeight || product.weightGrams)
+      ? `${(netWeight || product.weightGrams).toFixed(3)} g`
+      : null,
+    price: formatMoney(product.price.amount, product.price.currencyCode),
+    barcode: barcode || null,
+  };
+}
+
+// bwip-js draws each bar as a vertical stroke; keeping the paths lets the
+// same bars be placed in both the SVG and the PDF output.
+function renderBarcode(value, barcodeType) {
+  try {
+    const svg = bwipjs.toSVG({
+      bcid: barcodeSymbology(value, barcodeType),
+      text: value,
+      height: 10,
+    });
+    const [, width, height] = svg.match(/viewBox="0 0 ([\d.]+) ([\d.]+)"/);
+    const paths = [
+      ...svg.matchAll(/stroke-width="([\d.]+)" d="([^"]+)"/g),
+    ].map(([, strokeWidth, d]) => ({ strokeWidth: Number(strokeWidth), d }));
+
+    return { width: Number(width), height: Number(height), paths };
+  } catch (error) {
+    console.error(`Could not encode barcode "${value}":`, error.message);
+    return null;
+  }
+}
+
+function svgPage(page, offsetY, barcodes) {
+  const parts = [`<g transform="translate(0 ${offsetY})">`];
+
+  page.forEach((box) => {
+    labelElements(box).forEach((element) => {
+      if (element.type === "text") {
+        parts.push(
+          `<text x="${element.x}" y="${element.y}" font-family="Helvetica, Arial, sans-serif" font-size="${element.fontSize / PT_PER_MM}"${element.bold ? ' font-weight="bold"' : ""}>${escapeXml(element.text)}</text>`,
+        );
+        return;
+      }
+
+      const barcode = barcodes.get(element.value);
+      if (!barcode) return;
+      parts.push(
+        `<svg x="${element.x}" y="${element.y}" width="${element.width}" height="${element.height}" viewBox="0 0 ${barcode.width} ${barcode.height}" preserveAspectRatio="none">`,
+        ...barcode.paths.map(
+          (path) =>
+            `<path stroke="#000" stroke-width="${path.strokeWidth}" d="${path.d}"/>`,
+        ),
+        "</svg>",
+      );
+    });
+  });
+
+  parts.push("</g>");
+  return parts.join("\n");
+}
+
+// Pages are stacked one under another in a single drawing, measured in mm
+function renderSvg(pages, layout, barcodes) {
+  const totalHeight = layout.pageHeight * pages.length;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.pageWidth}mm" height="${totalHeight}mm" viewBox="0 0 ${layout.pageWidth} ${totalHeight}">`,
+    ...pages.map((page, index) =>
+      svgPage(page, index * layout.pageHeight, barcodes),
+    ),
+    "</svg>",
+  ].join("\n");
+}
+
+function renderPdf(pages, layout, barcodes) {
+  const doc = new PDFDocument({
+    size: [layout.pageWidth * PT_PER_MM, layout.pageHeight * PT_PER_MM],
+    margin: 0,
+    autoFirstPage: false,
+  });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+
+  pages.forEach((page) => {
+    doc.addPage();
+
+    page.forEach((box) => {
+      labelElements(box).forEach((element) => {
+        if (element.type === "text") {
+          // The standard PDF fonts have no rupee sign
+          doc
+            .font(element.bold ? "Helvetica-Bold" : "Helvetica")
+            .fontSize(element.fontSize)
+            .text(
+              element.text.replace(/₹/g, "Rs. "),
+              element.x * PT_PER_MM,
+              element.y * PT_PER_MM,
+              { lineBreak: false, baseline: "alphabetic" },
+            );
+          return;
+        }
+
+        const barcode = barcodes.get(element.value);
+        if (!barcode) return;
+        doc.save();
+        doc.translate(element.x * PT_PER_MM, element.y * PT_PER_MM);
+        doc.scale(
+          (element.width * PT_PER_MM) / barcode.width,
+          (element.height * PT_PER_MM) / barcode.height,
+        );
+        barcode.paths.forEach((path) => {
+          doc.path(path.d).lineWidth(path.strokeWidth).stroke("#000000");
+        });
+        doc.restore();
+      });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
+
+/**
+ * Builds a printable label sheet for the given products, one label each.
+ * `layout` must already be normalised and validated. Returns the file body
+ * and its content type.
+ */
+export async function buildLabelSheet(admin, { productIds, layout, format }) {
+  const products = await getProductsByIds(admin, productIds);
+  const labels = products.map(toLabel);
+
+  const barcodes = new Map();
+  labels.forEach(({ barcode }) => {
+    if (barcode && !barcodes.has(barcode)) {
+      barcodes.set(barcode, renderBarcode(barcode, layout.barcodeType));
+    }
+  });
+
+  const pages = paginateLabels(labels, layout);
+
+  if (format === "svg") {
+    return {
+      body: renderSvg(pages, layout, barcodes),
+      contentType: "image/svg+xml; charset=utf-8",
+    };
+  }
+
+  return {
+    body: await renderPdf(pages, layout, barcodes),
+    contentType: "application/pdf",
+  };
+}
@@ -0,0 +1,92 @@
+import db from "../db.server";
+import { METALS } from "../utils/pricing";
+import { tradingDate } from "../utils/dates";
+
+function serializeRate(metal, rate) {
+  return {
+    metal: metal.key,
+    label: metal.label,
+    ratePerGram: rate ? Number(rate.ratePerGram) : null,
+    makingChargeType: rate?.makingChargeType || "PER_GRAM",
+    makingChargeValue: rate ? Number(rate.makingChargeValue) : 0,
+    updatedAt: rate?.updatedAt.toISOString() || null,
+  };
+}
+
+// Returns one entry per supported metal, with nulls for rates not yet set
+export async function getMetalRates(shop) {
+  const rates = await db.metalRate.findMany({ where: { shop } });
+
+  return METALS.map((metal) =>
+    serializeRate(
+      metal,
+      rates.find((rate) => rate.metal === metal.key),
+    ),
+  );
+}
+
+export async function getMetalRateMap(shop) {
+  const rates = await getMetalRates(shop);
+  return Object.fromEntries(rates.map((rate) => [rate.metal, rate]));
+}
+
+export async function getRateHistory(shop, { take = 60 } = {}) {
+  const history = await db.metalRateHistory.findMany({
+    where: { shop },
+    orderBy: [{ effectiveDate: "desc" }, { metal: "asc" }],
+    take,
+  });
+
+  return history.map((entry) => ({
+    id: entry.id,
+    metal: entry.metal,
+    ratePerGram: Number(entry.ratePerGram),
+    effectiveDate: entry.effectiveDate.toISOString().split("T")[0],
+  }));
+}
+
+/**
+ * Saves the current rates and records the day's rate in the history. Changing
+ * a rate twice on the same day keeps only the latest value for that day.
+ * Metals in `cleared` lose their rate; their history is kept.
+ */
+export async function saveMetalRates(shop, rates, cleared = []) {
+  const current = await getMetalRateMap(shop);
+  const effectiveDate = tradingDate();
+
+  await db.$transaction([
+    db.metalRate.deleteMany({ where: { shop, metal: { in: cleared } } }),
+    ...rates.flatMap((rate) => {
+      const writes = [
+        db.metalRate.upsert({
+          where: { shop_metal: { shop, metal: rate.metal } },
+          create: { shop, ...rate },
+          update: rate,
+        }),
+      ];
+
+      if (current[rate.metal]?.ratePerGram !== rate.ratePerGram) {
+        writes.push(
+          db.metalRateHistory.upsert({
+            where: {
+              shop_metal_effectiveDate: {
+                shop,
+                metal: rate.metal,
+                effectiveDate,
+              },
+            },
+            create: {
+              shop,
+              metal: rate.metal,
+              ratePerGram: rate.ratePerGram,
+              effectiveDate,
+            },
+            update: { ratePerGram: rate.ratePerGram },
+          }),
+        );
+      }
+
+      return writes;
+    }),
+  ]);
+}
@@ -0,0 +1,206 @@
+import db from "../db.server";
+import {
+  VARIANT_EDIT_FIELDS,
+  descriptionHtml,
+  normalizeIdentifier,
+  parseTags,
+} from "../utils/productEdit";
+
+const PRODUCT_UPDATE_MUTATION = `#graphql
+  mutation updateProductDetails($product: ProductUpdateInput!) {
+    productUpdate(product: $product) {
+      product { id }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const VARIANTS_UPDATE_MUTATION = `#graphql
+  mutation updateVariantDetails($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants { id }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+const PRODUCT_INPUT_KEYS = {
+  title: "title",
+  vendor: "vendor",
+  productType: "productType",
+  tags: "tags",
+  description: "descriptionHtml",
+};
+
+// Keys other than PRODUCT_INPUT_KEYS are left out
+function productInput(productId, values) {
+  const input = { id: productId };
+  Object.entries(values).forEach(([key, value]) => {
+    if (!PRODUCT_INPUT_KEYS[key]) return;
+    if (key === "tags") input.tags = parseTags(value);
+    else if (key === "description") input.descriptionHtml = descriptionHtml(value);
+    else input[PRODUCT_INPUT_KEYS[key]] = value.trim();
+  });
+  return input;
+}
+
+function variantInput(variantId, values) {
+  const input = { id: variantId };
+  if (values.price !== undefined) input.price = values.price.trim();
+  if (values.compareAtPrice !== undefined) {
+    input.compareAtPrice = values.compareAtPrice.trim() || null;
+  }
+  if (values.barcode !== undefined) input.barcode = values.barcode.trim() || null;
+  if (values.sku !== undefined) {
+    input.inventoryItem = { sku: values.sku.trim() || null };
+  }
+  return input;
+}
+
+function pick(values, keys) {
+  return Object.fromEntries(keys.map((key) => [key, values[key] ?? null]));
+}
+
+// userErrors carry the input path, e.g. ["title"] or
+// ["variants", "0", "inventoryItem", "sku"]; the last part names the field
+function fieldOf(error) {
+  const key = error.field?.[error.field.length - 1];
+  return key === "descriptionHtml" ? "description" : key;
+}
+
+/**
+ * Variants of other products already using one of the SKUs or barcodes in
+ * `variants` (keyed by variant ID), as { variantId: { sku, barcode } }
+ * errors of { key, values } naming the product that has them.
+ */
+export async function findIdentifierConflicts(shop, productId, variants) {
+  const values = (key) =>
+    Object.values(variants)
+      .map((variant) => variant[key]?.trim())
+      .filter(Boolean);
+  const skus = values("sku");
+  const barcodes = values("barcode");
+  if (skus.length === 0 && barcodes.length === 0) return {};
+
+  const taken = await db.catalogVariant.findMany({
+    where: {
+      shop,
+      productId: { not: productId },
+      OR: [
+        ...skus.map((sku) => ({ sku: { equals: sku, mode: "insensitive" } })),
+        ...barcodes.map((barcode) => ({
+          barcode: { equals: barcode, mode: "insensitive" },
+        })),
+      ],
+    },
+    select: { sku: true, barcode: true, product: { select: { title: true } } },
+  });
+
+  const conflicts = {};
+  Object.entries(variants).forEach(([variantId, values]) => {
+    ["sku", "barcode"].forEach((key) => {
+      const value = normalizeIdentifier(values[key]);
+      if (!value) return;
+
+      const match = taken.find(
+        (variant) => normalizeIdentifier(variant[key]) === value,
+      );
+      if (match) {
+        conflicts[variantId] = {
+          ...conflicts[variantId],
+          [key]: {
+            key: `productEdit.errors.${key}Taken`,
+            values: { title: match.product.title },
+          },
+        };
+      }
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * Saves edited product fields with productUpdate and variant fields with
+ * productVariantsBulkUpdate. `product` and `variants` hold only the changed
+ * fields, as form strings; `previous` is the product as currently mirrored.
+ * Returns userErrors as { product, variants } field errors, plus `messages`
+ * for errors that do not name a field.
+ */
+export async function updateProductDetails(
+  admin,
+  { productId, product = {}, variants = {}, previous },
+) {
+  const errors = { product: {}, variants: {} };
+  const messages = [];
+  const previousVariants = Object.fromEntries(
+    previous.variants.edges.map(({ node }) => [node.id, node]),
+  );
+
+  const productKeys = Object.keys(product);
+  if (productKeys.length > 0) {
+    const before = pick(
+      { ...previous, tags: previous.tags.join(", ") },
+      productKeys,
+    );
+    const response = await admin.graphql(PRODUCT_UPDATE_MUTATION, {
+      variables: { product: productInput(productId, product) },
+      audit: {
+        action: "product.update",
+        productId,
+        targetId: productId,
+        targetTitle: previous.title,
+        before,
+        after: pick(product, productKeys),
+      },
+    });
+    const data = await response.json();
+    (data.data?.productUpdate?.userErrors || []).forEach((error) => {
+      const field = fieldOf(error);
+      if (PRODUCT_INPUT_KEYS[field]) errors.product[field] = error.message;
+      else messages.push(error.message);
+    });
+  }
+
+  const variantIds = Object.keys(variants);
+  if (variantIds.length > 0) {
+    const response = await admin.graphql(VARIANTS_UPDATE_MUTATION, {
+      variables: {
+        productId,
+        variants: variantIds.map((variantId) =>
+          variantInput(variantId, variants[variantId]),
+        ),
+      },
+      audit: variantIds.map((variantId) => {
+        const keys = Object.keys(variants[variantId]);
+        const variant = previousVariants[variantId] || {};
+        return {
+          action: "variant.update",
+          productId,
+          targetId: variantId,
+          targetTitle: `${previous.title} — ${variant.title || variantId}`,
+          before: pick(variant, keys),
+          after: pick(variants[variantId], keys),
+        };
+      }),
+    });
+    const data = await response.json();
+    (data.data?.productVariantsBulkUpdate?.userErrors || []).forEach((error) => {
+      const variantId = variantIds[Number(error.field?.[1])];
+      const field = fieldOf(error);
+      if (variantId && VARIANT_EDIT_FIELDS.some(({ key }) => key === field)) {
+        errors.variants[variantId] = {
+          ...errors.variants[variantId],
+          [field]: error.message,
+        };
+      } else {
+        messages.push(error.message);
+      }
+    });
+  }
+
+  return { errors, messages };
+}
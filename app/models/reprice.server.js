@@ -0,0 +1,334 @@
+import { createHash } from "node:crypto";
+import db from "../db.server";
+import {
+  getCatalogCollectionProducts,
+  setCatalogVariantPrices,
+} from "./catalog.server";
+import { completeJob, updateJobProgress } from "./job.server";
+import { getMetalRateMap } from "./metalRate.server";
+import { variantPriceCheck } from "../utils/pricing";
+
+// Products are updated a few at a time to stay well inside the Admin API
+// rate limit while still finishing large collections quickly.
+const PRODUCTS_PER_BATCH = 5;
+
+const UPDATE_VARIANT_PRICES_MUTATION = `#graphql
+  mutation repriceVariants($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants {
+        id
+        price
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }`;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+function groupByProduct(changes) {
+  const groups = new Map();
+  changes.forEach((change) => {
+    groups.set(change.productId, [
+      ...(groups.get(change.productId) || []),
+      change,
+    ]);
+  });
+  return [...groups.entries()];
+}
+
+// Returns an error message, or null when every variant was updated
+async function updateVariantPrices(admin, productId, variants, audit) {
+  try {
+    const response = await admin.graphql(UPDATE_VARIANT_PRICES_MUTATION, {
+      variables: { productId, variants },
+      audit,
+    });
+    const data = await response.json();
+    const userErrors = data.data?.productVariantsBulkUpdate?.userErrors || [];
+
+    return userErrors.length > 0
+      ? userErrors.map((error) => error.message).join(", ")
+      : null;
+  } catch (error) {
+    console.error("Variant price update failed:", error);
+    return error.message || "Price update failed";
+  }
+}
+
+/**
+ * Sets each change's `to` price, product by product, and reports each batch
+ * to `onBatch` with [{ change, error }] once it is done. `from` gives the
+ * price being replaced. Prices that were set are written to the mirror too.
+ */
+async function updatePricesInBatches(admin, shop, changes, { from, to, onBatch }) {
+  for (const batch of chunk(groupByProduct(changes), PRODUCTS_PER_BATCH)) {
+    const settled = await Promise.all(
+      batch.map(async ([productId, productChanges]) => {
+        const error = await updateVariantPrices(
+          admin,
+          productId,
+          productChanges.map((change) => ({
+            id: change.variantId,
+            price: to(change).toFixed(2),
+          })),
+          productChanges.map((change) => ({
+            action: "variant.price",
+            productId,
+            targetId: change.variantId,
+            targetTitle: `${change.productTitle} — ${change.variantTitle}`,
+            before: { price: from(change).toFixed(2) },
+            after: { price: to(change).toFixed(2) },
+          })),
+        );
+
+        if (!error) {
+          try {
+            await setCatalogVariantPrices(
+              shop,
+              productId,
+              Object.fromEntries(
+                productChanges.map((change) => [
+                  change.variantId,
+                  to(change).toFixed(2),
+                ]),
+              ),
+            );
+          } catch (mirrorError) {
+            // The products/update webhook brings the mirror up to date
+            console.error("Mirror price update failed:", mirrorError);
+          }
+        }
+        return productChanges.map((change) => ({ change, error }));
+      }),
+    );
+    await onBatch(settled.flat());
+  }
+}
+
+// Identifies a plan by its exact changes, so an apply can check that it is
+// still the plan that was reviewed
+function planHash(changes) {
+  return createHash("sha256")
+    .update(
+      JSON.stringify(
+        changes.map((change) => [
+          change.variantId,
+          change.oldPrice.toFixed(2),
+          change.newPrice.toFixed(2),
+        ]),
+      ),
+    )
+    .digest("hex");
+}
+
+/**
+ * Dry run: recalculates every variant in the collection from today's rates
+ * and returns the variants whose price would change. Nothing is written.
+ * The collection is read from the catalog mirror; `hash` identifies the
+ * exact changes for applyReprice.
+ */
+export async function planReprice(shop, collectionId) {
+  const [rates, catalog] = await Promise.all([
+    getMetalRateMap(shop),
+    getCatalogCollectionProducts(shop, collectionId),
+  ]);
+  if (!catalog) {
+    throw new Response("Collection not found", { status: 404 });
+  }
+
+  const changes = [];
+  const skipped = { noMetal: 0, noWeight: 0, noRate: 0 };
+  let unchanged = 0;
+
+  for (const product of catalog.products) {
+    for (const variant of product.variants) {
+      const { metal, weightGrams, calculatedPrice } = variantPriceCheck({
+        product,
+        variant,
+        rates,
+        tolerancePercent: 0,
+      });
+      const oldPrice = Number(variant.price);
+
+      if (!metal) {
+        skipped.noMetal += 1;
+      } else if (!weightGrams) {
+        skipped.noWeight += 1;
+      } else if (calculatedPrice === null) {
+        skipped.noRate += 1;
+      } else if (Math.abs(oldPrice - calculatedPrice) < 0.01) {
+        unchanged += 1;
+      } else {
+        changes.push({
+          productId: product.id,
+          productTitle: product.title,
+          variantId: variant.id,
+          variantTitle: variant.title,
+          metal,
+          weightGrams,
+          oldPrice,
+          newPrice: calculatedPrice,
+        });
+      }
+    }
+  }
+
+  return {
+    collection: catalog.collection,
+    changes,
+    unchanged,
+    skipped,
+    hash: planHash(changes),
+  };
+}
+
+/**
+ * Applies a plan from planReprice as a job. The run and its changes are
+ * recorded before any price is set, so whatever was applied can be rolled
+ * back even if the job stops partway. The job result is
+ * { runId, applied, failed: [{ title, error }] }.
+ */
+export async function applyReprice(admin, shop, { jobId, plan }) {
+  const { collection, changes } = plan;
+  const run = await db.repriceRun.create({
+    data: {
+      shop,
+      collectionId: collection.id,
+      collectionTitle: collection.title,
+      status: "running",
+      changes: {
+        create: changes.map((change) => ({
+          productId: change.productId,
+          variantId: change.variantId,
+          productTitle: change.productTitle,
+          variantTitle: change.variantTitle,
+          oldPrice: change.oldPrice,
+          newPrice: change.newPrice,
+          status: "pending",
+        })),
+      },
+    },
+  });
+
+  const failed = [];
+  let processed = 0;
+
+  await updatePricesInBatches(admin, shop, changes, {
+    from: (change) => change.oldPrice,
+    to: (change) => change.newPrice,
+    onBatch: async (results) => {
+      await db.$transaction(
+        results.map(({ change, error }) =>
+          db.repriceChange.updateMany({
+            where: { runId: run.id, variantId: change.variantId },
+            data: error ? { status: "failed", error } : { status: "applied" },
+          }),
+        ),
+      );
+      results
+        .filter(({ error }) => error)
+        .forEach(({ change, error }) =>
+          failed.push({
+            title: `${change.productTitle} — ${change.variantTitle}`,
+            error,
+          }),
+        );
+      processed += results.length;
+      await updateJobProgress(jobId, { processed });
+    },
+  });
+
+  let status = "applied";
+  if (failed.length === changes.length) status = "failed";
+  else if (failed.length > 0) status = "partial";
+
+  await db.repriceRun.update({ where: { id: run.id }, data: { status } });
+  await completeJob(jobId, {
+    runId: run.id,
+    applied: changes.length - failed.length,
+    failed,
+  });
+}
+
+/**
+ * Puts back the prices from before a run, as a job. Only variants the run
+ * actually changed are touched; failures are reported and can be rolled back
+ * again. The job result is { restored, failed: [{ title, error }] }.
+ */
+export async function rollbackReprice(admin, shop, { jobId, run }) {
+  const failed = [];
+  let restored = 0;
+
+  await updatePricesInBatches(admin, shop, run.changes, {
+    from: (change) => Number(change.newPrice),
+    to: (change) => Number(change.oldPrice),
+    onBatch: async (results) => {
+      const done = results.filter(({ error }) => !error);
+      await db.repriceChange.updateMany({
+        where: { id: { in: done.map(({ change }) => change.id) } },
+        data: { status: "rolled_back" },
+      });
+      results
+        .filter(({ error }) => error)
+        .forEach(({ change, error }) =>
+          failed.push({
+            title: `${change.productTitle} — ${change.variantTitle}`,
+            error,
+          }),
+        );
+      restored += done.length;
+      await updateJobProgress(jobId, { processed: restored + failed.length });
+    },
+  });
+
+  await db.repriceRun.update({
+    where: { id: run.id },
+    data:
+      failed.length === 0
+        ? { status: "rolled_back", rolledBackAt: new Date() }
+        : { status: "partial" },
+  });
+  await completeJob(jobId, { restored, failed });
+}
+
+// A run with the changes that are still applied, which a rollback puts back
+export async function getRepriceRun(shop, runId) {
+  const run = await db.repriceRun.findFirst({
+    where: { id: runId, shop },
+    include: { changes: { where: { status: "applied" } } },
+  });
+
+  if (!run) {
+    throw new Response("Reprice run not found", { status: 404 });
+  }
+  return run;
+}
+
+export async function getRepriceRuns(shop, collectionId, { take = 10 } = {}) {
+  const runs = await db.repriceRun.findMany({
+    where: { shop, collectionId },
+    orderBy: { createdAt: "desc" },
+    include: { changes: { select: { status: true } } },
+    take,
+  });
+
+  return runs.map((run) => ({
+    id: run.id,
+    status: run.status,
+    createdAt: run.createdAt.toISOString(),
+    rolledBackAt: run.rolledBackAt?.toISOString() || null,
+    applied: run.changes.filter((change) => change.status === "applied").length,
+    failed: run.changes.filter((change) => change.status === "failed").length,
+    rolledBack: run.changes.filter((change) => change.status === "rolled_back")
+      .length,
+  }));
+}
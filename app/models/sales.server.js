@@ -0,0 +1,233 @@
+import db from "../db.server";
+import { nestBulkRows, runBulkQuery } from "./bulkOperation.server";
+import { SALES_WINDOWS, VELOCITY_DAYS } from "../utils/sales";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The import reaches back as far as the longest sales window
+const HISTORY_DAYS = Math.max(...SALES_WINDOWS);
+// Without the read_all_orders scope Shopify only returns recent orders
+const RECENT_ORDER_DAYS = 60;
+
+const ACCESS_SCOPES_QUERY = `#graphql
+  query salesAccessScopes {
+    currentAppInstallation {
+      accessScopes {
+        handle
+      }
+    }
+  }`;
+
+const LINE_ITEM_FIELDS = `
+  id
+  quantity
+  currentQuantity
+  product { id }
+  variant { id }
+  discountedTotalSet { shopMoney { amount currencyCode } }`;
+
+function ordersBulkQuery(since) {
+  return `{
+    orders(query: "processed_at:>=${since.toISOString().slice(0, 10)}") {
+      edges {
+        node {
+          id
+          name
+          processedAt
+          cancelledAt
+          test
+          lineItems {
+            edges { node { ${LINE_ITEM_FIELDS} } }
+          }
+        }
+      }
+    }
+  }`;
+}
+
+const ORDER_QUERY = `#graphql
+  query salesOrder($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      processedAt
+      cancelledAt
+      test
+      lineItems(first: 250) {
+        nodes { ${LINE_ITEM_FIELDS} }
+      }
+    }
+  }`;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+// Cancelled and test orders are not sales
+function isSale(order) {
+  return !order.cancelledAt && !order.test;
+}
+
+// Units removed by edits and refunds are left out, and the revenue with them
+function saleLineRecord(shop, order, line) {
+  const money = line.discountedTotalSet.shopMoney;
+  const share = line.quantity > 0 ? line.currentQuantity / line.quantity : 0;
+
+  return {
+    id: line.id,
+    shop,
+    orderId: order.id,
+    orderName: order.name,
+    productId: line.product?.id || null,
+    variantId: line.variant?.id || null,
+    quantity: line.currentQuantity,
+    revenue: (Number(money.amount) * share).toFixed(2),
+    currencyCode: money.currencyCode,
+    soldAt: order.processedAt,
+  };
+}
+
+async function canReadAllOrders(admin) {
+  const response = await admin.graphql(ACCESS_SCOPES_QUERY);
+  const { data } = await response.json();
+  const scopes = data?.currentAppInstallation?.accessScopes || [];
+
+  return scopes.some((scope) => scope.handle === "read_all_orders");
+}
+
+/**
+ * Replaces the shop's sale lines for the last year with a fresh copy read
+ * with a bulk query. Order webhooks keep them current afterwards. Without
+ * read_all_orders only the last 60 days can be read, so older lines are kept
+ * and the shop's salesHistoryFrom records how far back the lines go.
+ */
+export async function importSalesHistory(admin, shop, { timeoutMs } = {}) {
+  const since = daysAgo(
+    (await canReadAllOrders(admin)) ? HISTORY_DAYS : RECENT_ORDER_DAYS,
+  );
+  const orders = nestBulkRows(
+    await runBulkQuery(admin, ordersBulkQuery(since), { timeoutMs }),
+    () => "lineItems",
+  );
+
+  const rows = orders
+    .filter(isSale)
+    .flatMap((order) =>
+      (order.lineItems || []).map((line) => saleLineRecord(shop, order, line)),
+    )
+    .filter((row) => row.quantity > 0);
+
+  const settings = await db.shopSettings.findUnique({
+    where: { shop },
+    select: { salesHistoryFrom: true },
+  });
+  const salesHistoryFrom =
+    settings?.salesHistoryFrom && settings.salesHistoryFrom < since
+      ? settings.salesHistoryFrom
+      : since;
+
+  await db.$transaction([
+    db.saleLine.deleteMany({ where: { shop, soldAt: { gte: since } } }),
+    db.saleLine.createMany({ data: rows, skipDuplicates: true }),
+    db.shopSettings.upsert({
+      where: { shop },
+      create: { shop, salesHistoryFrom },
+      update: { salesHistoryFrom },
+    }),
+  ]);
+
+  return rows.length;
+}
+
+export async function removeOrderSales(shop, orderId) {
+  await db.saleLine.deleteMany({ where: { shop, orderId } });
+}
+
+// Re-reads one order so edits, refunds and cancellations replace its lines
+export async function syncOrderSales(admin, shop, orderId) {
+  const response = await admin.graphql(ORDER_QUERY, {
+    variables: { id: orderId },
+  });
+  const { data, errors } = await response.json();
+  if (errors?.length) {
+    throw new Error(errors.map((error) => error.message).join(", "));
+  }
+
+  const { order } = data;
+  if (!order || !isSale(order)) {
+    await removeOrderSales(shop, orderId);
+    return;
+  }
+
+  const rows = order.lineItems.nodes
+    .map((line) => saleLineRecord(shop, order, line))
+    .filter((row) => row.quantity > 0);
+
+  await db.$transaction([
+    db.saleLine.deleteMany({ where: { shop, orderId } }),
+    db.saleLine.createMany({ data: rows }),
+  ]);
+}
+
+/**
+ * Last sale and units and revenue over each of the SALES_WINDOWS for one
+ * product, e.g. { lastSoldAt, historyFrom, windows: [{ days: 30, units,
+ * revenue, partial }] }. A window is partial when it starts before the
+ * shop's sales history does.
+ */
+export async function getProductSales(shop, productId) {
+  const [lines, last, settings] = await Promise.all([
+    db.saleLine.findMany({
+      where: { shop, productId, soldAt: { gte: daysAgo(HISTORY_DAYS) } },
+      select: { quantity: true, revenue: true, soldAt: true },
+    }),
+    db.saleLine.findFirst({
+      where: { shop, productId },
+      orderBy: { soldAt: "desc" },
+      select: { soldAt: true, currencyCode: true },
+    }),
+    db.shopSettings.findUnique({
+      where: { shop },
+      select: { salesHistoryFrom: true },
+    }),
+  ]);
+  const historyFrom = settings?.salesHistoryFrom || null;
+
+  const windows = SALES_WINDOWS.map((days) => {
+    const since = daysAgo(days);
+    const inWindow = lines.filter((line) => line.soldAt >= since);
+    return {
+      days,
+      partial: Boolean(historyFrom && historyFrom > since),
+      units: inWindow.reduce((sum, line) => sum + line.quantity, 0),
+      revenue: inWindow
+        .reduce((sum, line) => sum + Number(line.revenue), 0)
+        .toFixed(2),
+    };
+  });
+
+  return {
+    lastSoldAt: last?.soldAt.toISOString() || null,
+    currencyCode: last?.currencyCode || null,
+    historyFrom: historyFrom?.toISOString() || null,
+    windows,
+  };
+}
+
+// Units sold per product over the last `days`, keyed by product ID. Products
+// without sales are left out.
+export async function getUnitsSold(shop, productIds, days = VELOCITY_DAYS) {
+  const where = { shop, soldAt: { gte: daysAgo(days) } };
+  if (productIds) where.productId = { in: productIds };
+
+  const groups = await db.saleLine.groupBy({
+    by: ["productId"],
+    where,
+    _sum: { quantity: true },
+  });
+
+  return Object.fromEntries(
+    groups
+      .filter((group) => group.productId)
+      .map((group) => [group.productId, group._sum.quantity || 0]),
+  );
+}
@@ -0,0 +1,58 @@
+import db from "../db.server";
+import { DEFAULT_LABEL_LAYOUT } from "../utils/labels";
+import { DEFAULT_CURRENCY } from "../utils/format";
+
+const DEFAULT_TOLERANCE_PERCENT = 2;
+
+export async function getShopSettings(shop) {
+  const settings = await db.shopSettings.findUnique({ where: { shop } });
+
+  return {
+    priceTolerancePercent: settings
+      ? Number(settings.priceTolerancePercent)
+      : DEFAULT_TOLERANCE_PERCENT,
+    labelLayout: settings?.labelLayout || DEFAULT_LABEL_LAYOUT,
+    alertEmails: settings?.alertEmails || "",
+    salesHistoryFrom: settings?.salesHistoryFrom?.toISOString() || null,
+  };
+}
+
+export async function saveShopSettings(shop, settings) {
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...settings },
+    update: settings,
+  });
+}
+
+const SHOP_CURRENCY_QUERY = `#graphql
+  query shopCurrency {
+    shop {
+      currencyCode
+    }
+  }`;
+
+// The shop's currency rarely changes, so it is read from the Admin API once
+// and cached; `refresh` re-reads it (the catalog sync does this).
+export async function getShopCurrency(admin, shop, { refresh = false } = {}) {
+  if (!refresh) {
+    const settings = await db.shopSettings.findUnique({
+      where: { shop },
+      select: { currencyCode: true },
+    });
+    if (settings?.currencyCode) return settings.currencyCode;
+  }
+
+  try {
+    const response = await admin.graphql(SHOP_CURRENCY_QUERY);
+    const { data } = await response.json();
+    const currencyCode = data?.shop?.currencyCode;
+    if (!currencyCode) return DEFAULT_CURRENCY;
+
+    await saveShopSettings(shop, { currencyCode });
+    return currencyCode;
+  } catch (error) {
+    console.error("Failed to read the shop currency:", error);
+    return DEFAULT_CURRENCY;
+  }
+}
@@ -0,0 +1,241 @@
+import db from "../db.server";
+import { nestBulkRows, runBulkQuery } from "./bulkOperation.server";
+import { detectMetal, variantNetWeight } from "../utils/pricing";
+import { parseJewelleryMetafields, rateKeyForPurity } from "../utils/jewellery";
+import { tradingDate } from "../utils/dates";
+
+// Snapshot rows with this collection ID cover every product in the store
+export const ALL_PRODUCTS = "all";
+
+const SNAPSHOT_BULK_QUERY = `{
+  products {
+    edges {
+      node {
+        id
+        title
+        tags
+        totalInventory
+        metafields(namespace: "jewellery") {
+          edges { node { id key value } }
+        }
+        collections {
+          edges { node { id title } }
+        }
+        variants {
+          edges {
+            node {
+              id
+              price
+              inventoryQuantity
+              selectedOptions { name value }
+              inventoryItem { measurement { weight { unit value } } }
+              metafields(namespace: "jewellery") {
+                edges { node { id key value } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const CHILD_KEYS = {
+  ProductVariant: "variants",
+  Collection: "collections",
+  Metafield: "metafields",
+};
+
+function childKey(row) {
+  return CHILD_KEYS[row.id.split("/")[3]];
+}
+
+function jewelleryOf(item) {
+  return parseJewelleryMetafields({ nodes: item.metafields || [] });
+}
+
+// Units, net weight and value in stock for one product, plus the weight of
+// each metal so the collection totals can be split by purity
+function measureProduct(product) {
+  const productJewellery = jewelleryOf(product);
+  const totals = {
+    units: 0,
+    netWeightGrams: 0,
+    stockValue: 0,
+    weightByMetal: {},
+    metal: null,
+  };
+
+  (product.variants || []).forEach((variant) => {
+    const attributes = { ...productJewellery, ...jewelleryOf(variant) };
+    const metal =
+      rateKeyForPurity(attributes.purity) ||
+      detectMetal({
+        title: product.title,
+        tags: product.tags,
+        selectedOptions: variant.selectedOptions,
+      });
+    const units = Math.max(variant.inventoryQuantity || 0, 0);
+    const grams = (variantNetWeight(variant, attributes) || 0) * units;
+
+    totals.metal = totals.metal || metal;
+    totals.units += units;
+    totals.netWeightGrams += grams;
+    totals.stockValue += Number(variant.price || 0) * units;
+    if (metal && grams > 0) {
+      totals.weightByMetal[metal] = (totals.weightByMetal[metal] || 0) + grams;
+    }
+  });
+
+  return totals;
+}
+
+function emptyCollection(collectionId, collectionTitle) {
+  return {
+    collectionId,
+    collectionTitle,
+    productsCount: 0,
+    inStock: 0,
+    units: 0,
+    netWeightGrams: 0,
+    stockValue: 0,
+    weightByMetal: {},
+  };
+}
+
+function addToCollection(collection, product, measured) {
+  collection.productsCount += 1;
+  if (product.totalInventory > 0) collection.inStock += 1;
+  collection.units += measured.units;
+  collection.netWeightGrams += measured.netWeightGrams;
+  collection.stockValue += measured.stockValue;
+  Object.entries(measured.weightByMetal).forEach(([metal, grams]) => {
+    collection.weightByMetal[metal] =
+      (collection.weightByMetal[metal] || 0) + grams;
+  });
+}
+
+/**
+ * Records today's stock for every product and collection. Reads the whole
+ * catalog with one bulk query; running it again on the same day replaces
+ * that day's snapshot.
+ */
+export async function takeInventorySnapshot(admin, shop) {
+  const date = tradingDate();
+  const products = nestBulkRows(
+    await runBulkQuery(admin, SNAPSHOT_BULK_QUERY),
+    childKey,
+  );
+
+  const collections = new Map([
+    [ALL_PRODUCTS, emptyCollection(ALL_PRODUCTS, "All products")],
+  ]);
+  const productRows = [];
+
+  products.forEach((product) => {
+    const measured = measureProduct(product);
+
+    productRows.push({
+      shop,
+      date,
+      productId: product.id,
+      productTitle: product.title,
+      metal: measured.metal,
+      units: measured.units,
+      netWeightGrams: measured.netWeightGrams.toFixed(3),
+      stockValue: measured.stockValue.toFixed(2),
+    });
+
+    addToCollection(collections.get(ALL_PRODUCTS), product, measured);
+    (product.collections || []).forEach((collection) => {
+      if (!collections.has(collection.id)) {
+        collections.set(
+          collection.id,
+          emptyCollection(collection.id, collection.title),
+        );
+      }
+      addToCollection(collections.get(collection.id), product, measured);
+    });
+  });
+
+  const collectionRows = [...collections.values()].map((collection) => ({
+    ...collection,
+    shop,
+    date,
+    netWeightGrams: collection.netWeightGrams.toFixed(3),
+    stockValue: collection.stockValue.toFixed(2),
+    weightByMetal: Object.fromEntries(
+      Object.entries(collection.weightByMetal).map(([metal, grams]) => [
+        metal,
+        Number(grams.toFixed(3)),
+      ]),
+    ),
+  }));
+
+  await db.$transaction([
+    db.productSnapshot.deleteMany({ where: { shop, date } }),
+    db.collectionSnapshot.deleteMany({ where: { shop, date } }),
+    db.productSnapshot.createMany({ data: productRows }),
+    db.collectionSnapshot.createMany({ data: collectionRows }),
+  ]);
+
+  return { products: productRows.length, collections: collectionRows.length };
+}
+
+function serializeSnapshot(snapshot) {
+  const weightByMetal = snapshot.weightByMetal || {};
+
+  return {
+    date: snapshot.date.toISOString().split("T")[0],
+    collectionTitle: snapshot.collectionTitle,
+    productsCount: snapshot.productsCount,
+    inStock: snapshot.inStock,
+    units: snapshot.units,
+    netWeightGrams: Number(snapshot.netWeightGrams),
+    goldWeightGrams: Object.entries(weightByMetal)
+      .filter(([metal]) => metal.startsWith("GOLD"))
+      .reduce((total, [, grams]) => total + grams, 0),
+    stockValue: Number(snapshot.stockValue),
+    weightByMetal,
+  };
+}
+
+// Collections that have at least one snapshot, with their latest title
+export async function getSnapshotCollections(shop) {
+  const collections = await db.collectionSnapshot.findMany({
+    where: { shop },
+    distinct: ["collectionId"],
+    orderBy: [{ collectionId: "asc" }, { date: "desc" }],
+    select: { collectionId: true, collectionTitle: true },
+  });
+
+  return collections
+    .map((collection) => ({
+      id: collection.collectionId,
+      title: collection.collectionTitle,
+    }))
+    .sort((a, b) => {
+      if (a.id === ALL_PRODUCTS) return -1;
+      if (b.id === ALL_PRODUCTS) return 1;
+      return a.title.localeCompare(b.title);
+    });
+}
+
+export async function getCollectionTrend(shop, collectionId, { since } = {}) {
+  const snapshots = await db.collectionSnapshot.findMany({
+    where: { shop, collectionId, ...(since ? { date: { gte: since } } : {}) },
+    orderBy: { date: "asc" },
+  });
+
+  return snapshots.map(serializeSnapshot);
+}
+
+// The snapshot in force on `date`: that day's, or the last one before it
+export async function getCollectionSnapshotOn(shop, collectionId, date) {
+  const snapshot = await db.collectionSnapshot.findFirst({
+    where: { shop, collectionId, date: { lte: date } },
+    orderBy: { date: "desc" },
+  });
+
+  return snapshot ? serializeSnapshot(snapshot) : null;
+}
@@ -0,0 +1,80 @@
+import db from "../db.server";
+import { DEFAULT_ROLE } from "../utils/roles";
+import { DEFAULT_WEIGHT_DISPLAY } from "../utils/weight";
+
+// Shopify user IDs fit in a double, which Prisma accepts for BigInt columns
+
+export async function getStaffRole(shop, userId) {
+  const staffRole = await db.staffRole.findUnique({
+    where: { shop_userId: { shop, userId: Number(userId) } },
+  });
+
+  return staffRole?.role || DEFAULT_ROLE;
+}
+
+export async function setStaffRole(shop, userId, role) {
+  await db.staffRole.upsert({
+    where: { shop_userId: { shop, userId: Number(userId) } },
+    create: { shop, userId: Number(userId), role },
+    update: { role },
+  });
+}
+
+export async function getStaffPreferences(shop, userId) {
+  const preference = userId
+    ? await db.staffPreference.findUnique({
+        where: { shop_userId: { shop, userId: Number(userId) } },
+      })
+    : null;
+
+  return {
+    weightDisplay: preference?.weightDisplay || DEFAULT_WEIGHT_DISPLAY,
+  };
+}
+
+export async function saveStaffPreferences(shop, userId, preferences) {
+  await db.staffPreference.upsert({
+    where: { shop_userId: { shop, userId: Number(userId) } },
+    create: { shop, userId: Number(userId), ...preferences },
+    update: preferences,
+  });
+}
+
+/**
+ * Everyone who has opened the app, from their online sessions, with their
+ * role. The account owner is always an owner.
+ */
+export async function listStaff(shop) {
+  const [sessions, roles] = await Promise.all([
+    db.session.findMany({
+      where: { shop, isOnline: true, userId: { not: null } },
+      distinct: ["userId"],
+      orderBy: [{ userId: "asc" }, { expires: "desc" }],
+    }),
+    db.staffRole.findMany({ where: { shop } }),
+  ]);
+  const rolesByUser = new Map(
+    roles.map((staffRole) => [staffRole.userId.toString(), staffRole.role]),
+  );
+
+  return sessions
+    .map((session) => ({
+      userId: session.userId.toString(),
+      name: [session.firstName, session.lastName].filter(Boolean).join(" "),
+      email: session.email,
+      accountOwner: session.accountOwner,
+      role: session.accountOwner
+        ? "owner"
+        : rolesByUser.get(session.userId.toString()) || DEFAULT_ROLE,
+    }))
+    .sort((a, b) => (a.name || a.email || "").localeCompare(b.name || b.email || ""));
+}
+
+export async function isAccountOwner(shop, userId) {
+  const session = await db.session.findFirst({
+    where: { shop, userId: Number(userId), accountOwner: true },
+    select: { id: true },
+  });
+
+  return Boolean(session);
+}
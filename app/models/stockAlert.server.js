@@ -0,0 +1,148 @@
+import db from "../db.server";
+import { sendMail } from "../mailer.server";
+import { getShopSettings } from "./settings.server";
+import {
+  effectiveThreshold,
+  isLowStock,
+  lowStockDigest,
+  parseEmailList,
+} from "../utils/stockAlerts";
+
+export async function getStockThresholds(shop) {
+  const rows = await db.stockThreshold.findMany({ where: { shop } });
+  const thresholds = { collections: {}, products: {} };
+
+  rows.forEach((row) => {
+    const scope = row.scopeType === "product" ? "products" : "collections";
+    thresholds[scope][row.scopeId] = row.threshold;
+  });
+
+  return thresholds;
+}
+
+// An empty threshold removes it, so the product falls back to its collections
+export async function setStockThreshold(shop, { scopeType, scopeId, threshold }) {
+  const where = { shop_scopeType_scopeId: { shop, scopeType, scopeId } };
+
+  if (threshold === null || threshold === "") {
+    await db.stockThreshold.deleteMany({ where: { shop, scopeType, scopeId } });
+    return null;
+  }
+
+  return db.stockThreshold.upsert({
+    where,
+    create: { shop, scopeType, scopeId, threshold: Number(threshold) },
+    update: { threshold: Number(threshold) },
+  });
+}
+
+async function findLowStock(shop, { productIds } = {}) {
+  const thresholds = await getStockThresholds(shop);
+  const watchedCollections = Object.keys(thresholds.collections);
+  const overrides = Object.keys(thresholds.products);
+  if (watchedCollections.length === 0 && overrides.length === 0) return [];
+
+  const highest = Math.max(
+    ...Object.values(thresholds.collections),
+    ...Object.values(thresholds.products),
+  );
+  const products = await db.catalogProduct.findMany({
+    where: {
+      shop,
+      totalInventory: { lt: highest },
+      ...(productIds ? { id: { in: productIds } } : {}),
+      OR: [
+        { memberships: { some: { collectionId: { in: watchedCollections } } } },
+        { id: { in: overrides } },
+      ],
+    },
+    select: {
+      id: true,
+      title: true,
+      totalInventory: true,
+      memberships: {
+        select: { collection: { select: { id: true, title: true } } },
+      },
+    },
+    orderBy: [{ totalInventory: "asc" }, { title: "asc" }],
+  });
+
+  return products
+    .map((product) => {
+      const collections = product.memberships.map(({ collection }) => collection);
+      const threshold = effectiveThreshold(
+        {
+          productId: product.id,
+          collectionIds: collections.map((collection) => collection.id),
+        },
+        thresholds,
+      );
+
+      return {
+        id: product.id,
+        title: product.title,
+        units: product.totalInventory,
+        threshold,
+        collections: collections
+          .filter((collection) => thresholds.collections[collection.id] !== undefined)
+          .map((collection) => collection.title),
+      };
+    })
+    .filter((product) => isLowStock(product.units, product.threshold));
+}
+
+// Every product below its threshold, fewest units first
+export async function getLowStockProducts(shop) {
+  return findLowStock(shop);
+}
+
+// The subset of `productIds` that is below its threshold
+export async function getLowStockIds(shop, productIds) {
+  if (productIds.length === 0) return [];
+
+  const products = await findLowStock(shop, { productIds });
+  return products.map((product) => product.id);
+}
+
+// The product's own override and the threshold its collections would give it
+export async function getProductThreshold(shop, productId) {
+  const [thresholds, memberships] = await Promise.all([
+    getStockThresholds(shop),
+    db.catalogCollectionProduct.findMany({
+      where: { productId },
+      select: { collectionId: true },
+    }),
+  ]);
+
+  return {
+    override: thresholds.products[productId] ?? null,
+    collectionThreshold: effectiveThreshold(
+      {
+        productId: null,
+        collectionIds: memberships.map((membership) => membership.collectionId),
+      },
+      thresholds,
+    ),
+  };
+}
+
+/**
+ * Emails the shop's low-stock list to the digest recipients. Nothing is sent
+ * when no one is subscribed or nothing is running low; `reason` then says
+ * why, as a translation key.
+ */
+export async function sendLowStockDigest(shop) {
+  const { alertEmails } = await getShopSettings(shop);
+  const recipients = parseEmailList(alertEmails);
+  if (recipients.length === 0) {
+    return { sent: false, reason: "stockAlerts.noRecipients" };
+  }
+
+  const products = await getLowStockProducts(shop);
+  if (products.length === 0) {
+    return { sent: false, reason: "stockAlerts.nothingLow" };
+  }
+
+  await sendMail({ to: recipients, ...lowStockDigest({ shop, products }) });
+  return { sent: true, products: products.length, recipients: recipients.length };
+}
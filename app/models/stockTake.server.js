@@ -0,0 +1,245 @@
+import db from "../db.server";
+import { iterateCollectionProducts } from "./collection.server";
+import { normalizeBarcode, reconcileStockTake } from "../utils/stockTake";
+
+const RECENT_SCANS = 50;
+const INVENTORY_PAGE_SIZE = 100;
+
+const STOCK_TAKE_SCOPES_QUERY = `#graphql
+  query stockTakeScopes {
+    collections(first: 250, sortKey: TITLE) {
+      nodes {
+        id
+        title
+      }
+    }
+    locations(first: 50) {
+      nodes {
+        id
+        name
+      }
+    }
+  }`;
+
+const LOCATION_INVENTORY_QUERY = `#graphql
+  query locationInventory($id: ID!, $first: Int!, $after: String) {
+    location(id: $id) {
+      id
+      name
+      inventoryLevels(first: $first, after: $after) {
+        nodes {
+          quantities(names: ["available"]) {
+            quantity
+          }
+          item {
+            variant {
+              barcode
+              sku
+              product {
+                id
+                title
+              }
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`;
+
+function variantCodes(variant) {
+  return [variant.barcode, variant.sku].map(normalizeBarcode).filter(Boolean);
+}
+
+async function collectionItems(admin, collectionId) {
+  const items = [];
+
+  for await (const page of iterateCollectionProducts(admin, collectionId)) {
+    page.products.forEach((product) => {
+      items.push({
+        productId: product.id,
+        title: product.title,
+        barcodes: product.variants.flatMap(variantCodes),
+        expected: product.totalInventory,
+      });
+    });
+  }
+
+  return items;
+}
+
+// Inventory levels are per variant; they are summed per product so both
+// scopes are compared the same way.
+async function locationItems(admin, locationId) {
+  const items = new Map();
+  let after = null;
+
+  do {
+    const response = await admin.graphql(LOCATION_INVENTORY_QUERY, {
+      variables: { id: locationId, first: INVENTORY_PAGE_SIZE, after },
+    });
+    const { data } = await response.json();
+    if (!data?.location) {
+      throw new Response("Location not found", { status: 404 });
+    }
+
+    const levels = data.location.inventoryLevels;
+    levels.nodes.forEach((level) => {
+      const variant = level.item?.variant;
+      if (!variant) return;
+
+      const item = items.get(variant.product.id) || {
+        productId: variant.product.id,
+        title: variant.product.title,
+        barcodes: [],
+        expected: 0,
+      };
+      item.barcodes.push(...variantCodes(variant));
+      item.expected += level.quantities[0]?.quantity || 0;
+      items.set(variant.product.id, item);
+    });
+
+    after = levels.pageInfo.hasNextPage ? levels.pageInfo.endCursor : null;
+  } while (after);
+
+  return [...items.values()];
+}
+
+function serializeStockTake(stockTake) {
+  return {
+    id: stockTake.id,
+    name: stockTake.name,
+    scopeType: stockTake.scopeType,
+    scopeId: stockTake.scopeId,
+    scopeTitle: stockTake.scopeTitle,
+    status: stockTake.status,
+    report: stockTake.report,
+    createdAt: stockTake.createdAt.toISOString(),
+    closedAt: stockTake.closedAt?.toISOString() || null,
+    scanCount: stockTake._count?.scans ?? 0,
+  };
+}
+
+export async function getStockTakeScopes(admin) {
+  const response = await admin.graphql(STOCK_TAKE_SCOPES_QUERY);
+  const { data } = await response.json();
+
+  return {
+    collections: data.collections.nodes,
+    locations: data.locations.nodes.map((location) => ({
+      id: location.id,
+      title: location.name,
+    })),
+  };
+}
+
+export async function createStockTake(shop, data) {
+  return db.stockTake.create({ data: { shop, ...data } });
+}
+
+export async function getStockTakes(shop, { take = 50 } = {}) {
+  const stockTakes = await db.stockTake.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    include: { _count: { select: { scans: true } } },
+    take,
+  });
+
+  return stockTakes.map(serializeStockTake);
+}
+
+/**
+ * A stock take with its most recent scans. Everything lives in the database,
+ * so a session started on one device can be continued on another.
+ */
+export async function getStockTake(shop, id) {
+  const stockTake = await db.stockTake.findFirst({
+    where: { id, shop },
+    include: {
+      _count: { select: { scans: true } },
+      scans: { orderBy: { scannedAt: "desc" }, take: RECENT_SCANS },
+    },
+  });
+
+  if (!stockTake) {
+    throw new Response("Stock take not found", { status: 404 });
+  }
+
+  return {
+    ...serializeStockTake(stockTake),
+    recentScans: stockTake.scans.map((scan) => ({
+      id: scan.id,
+      barcode: scan.barcode,
+      scannedAt: scan.scannedAt.toISOString(),
+    })),
+  };
+}
+
+async function findOpenStockTake(shop, id) {
+  const stockTake = await db.stockTake.findFirst({ where: { id, shop } });
+
+  if (!stockTake) {
+    throw new Response("Stock take not found", { status: 404 });
+  }
+  if (stockTake.status !== "open") {
+    throw new Response("Stock take is already closed", { status: 409 });
+  }
+
+  return stockTake;
+}
+
+export async function addScan(shop, stockTakeId, barcode) {
+  await findOpenStockTake(shop, stockTakeId);
+
+  const [scan, count] = await db.$transaction([
+    db.stockTakeScan.create({ data: { stockTakeId, barcode } }),
+    db.stockTakeScan.count({ where: { stockTakeId } }),
+  ]);
+
+  return {
+    scan: {
+      id: scan.id,
+      barcode: scan.barcode,
+      scannedAt: scan.scannedAt.toISOString(),
+    },
+    count,
+  };
+}
+
+export async function removeScan(shop, stockTakeId, scanId) {
+  await findOpenStockTake(shop, stockTakeId);
+
+  await db.stockTakeScan.deleteMany({ where: { id: scanId, stockTakeId } });
+  return db.stockTakeScan.count({ where: { stockTakeId } });
+}
+
+/**
+ * Closes the session and stores the reconciliation against the stock
+ * Shopify holds for the collection or location right now.
+ */
+export async function closeStockTake(admin, shop, id) {
+  const stockTake = await findOpenStockTake(shop, id);
+
+  const [items, scans] = await Promise.all([
+    stockTake.scopeType === "location"
+      ? locationItems(admin, stockTake.scopeId)
+      : collectionItems(admin, stockTake.scopeId),
+    db.stockTakeScan.findMany({
+      where: { stockTakeId: id },
+      select: { barcode: true },
+    }),
+  ]);
+
+  const report = reconcileStockTake({
+    items,
+    scans: scans.map((scan) => scan.barcode),
+  });
+
+  return db.stockTake.update({
+    where: { id },
+    data: { status: "closed", closedAt: new Date(), report },
+  });
+}
@@ -0,0 +1,25 @@
+import { unauthenticated } from "../shopify.server";
+import { authenticateCron, getInstalledShops } from "../cron.server";
+import { takeInventorySnapshot } from "../models/snapshot.server";
+
+// Each shop's bulk query can take a couple of minutes
+export const config = { maxDuration: 300 };
+
+// Called by the Vercel cron in vercel.json at 23:45 IST, so each snapshot
+// holds the closing stock of that business day
+export const loader = async ({ request }) => {
+  authenticateCron(request);
+
+  const results = [];
+  for (const shop of await getInstalledShops()) {
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      results.push({ shop, ...(await takeInventorySnapshot(admin, shop)) });
+    } catch (error) {
+      console.error(`Inventory snapshot failed for ${shop}`, error);
+      results.push({ shop, error: error.message });
+    }
+  }
+
+  return Response.json({ results });
+};
@@ -0,0 +1,19 @@
+import { authenticateCron, getInstalledShops } from "../cron.server";
+import { sendLowStockDigest } from "../models/stockAlert.server";
+
+// Called by the Vercel cron in vercel.json at 09:00 IST, before the shops open
+export const loader = async ({ request }) => {
+  authenticateCron(request);
+
+  const results = [];
+  for (const shop of await getInstalledShops()) {
+    try {
+      results.push({ shop, ...(await sendLowStockDigest(shop)) });
+    } catch (error) {
+      console.error(`Low-stock digest failed for ${shop}`, error);
+      results.push({ shop, error: error.message });
+    }
+  }
+
+  return Response.json({ results });
+};
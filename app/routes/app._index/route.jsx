@@ -1,4 +1,5 @@
-import { useLoaderData, useNavigate } from "react-router";
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useNavigate } from "react-router";
 import {
   Page,
   Layout,
@@ -9,77 +10,163 @@ import {
   Thumbnail,
   Badge,
   EmptyState,
+  InlineStack,
+  BlockStack,
+  Banner,
+  List,
 } from "@shopify/polaris";
-import { authenticate } from "../../shopify.server";
+import { authenticateStaff } from "../../staff.server";
+import {
+  getCollectionStats,
+  refreshCollectionStats,
+} from "../../models/collectionStats.server";
+import {
+  getCatalogSync,
+  listCatalogCollections,
+} from "../../models/catalog.server";
+import { CatalogSyncBar } from "../../components/CatalogSyncBar";
+import { useI18n } from "../../components/I18nProvider";
+import { getLowStockProducts } from "../../models/stockAlert.server";
+
+// Banner rows before the rest are left to the stock alerts page
+const LOW_STOCK_PREVIEW = 5;
+
+// Stock value is left out for roles that may not see money figures
+function visibleStats(stats, staff) {
+  if (!stats || staff.permissions.viewFinancials) return stats;
+  return { ...stats, stockValue: null };
+}
 
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
-
-  const response = await admin.graphql(
-    `#graphql
-      query {
-        collections(first: 50) {
-          edges {
-            node {
-              id
-              title
-              image {
-                url
-                altText
-              }
-              productsCount {
-                count
-              }
-              products(first: 250) {
-                edges {
-                  node {
-                    id
-                    totalInventory
-                  }
-                }
-              }
-            }
-          }
-        }
-      }`,
+  const { session, staff } = await authenticateStaff(request);
+
+  const [catalogCollections, catalogSync, lowStock] = await Promise.all([
+    listCatalogCollections(session.shop),
+    getCatalogSync(session.shop),
+    getLowStockProducts(session.shop),
+  ]);
+
+  // Stock figures come from the cache; missing or stale ones are refreshed
+  // from the page, one collection at a time.
+  const stats = await getCollectionStats(
+    session.shop,
+    catalogCollections.map((collection) => collection.id),
   );
 
-  const data = await response.json();
+  const collections = catalogCollections.map((collection) => ({
+    ...collection,
+    stats: visibleStats(stats[collection.id] || null, staff),
+  }));
 
-  const collections = data.data.collections.edges.map(({ node }) => {
-    const activeProducts = node.products.edges.filter(
-      ({ node: product }) => product.totalInventory > 0,
-    ).length;
+  return { collections, catalogSync, lowStock };
+}
 
-    return {
-      id: node.id,
-      title: node.title,
-      image: node.image,
-      totalProducts: node.productsCount.count,
-      activeProducts,
-    };
-  });
+export async function action({ request }) {
+  const { admin, session, staff } = await authenticateStaff(request);
+  const formData = await request.formData();
 
-  return { collections };
+  if (formData.get("intent") === "refreshStats") {
+    const stats = await refreshCollectionStats(
+      admin,
+      session.shop,
+      formData.get("collectionId"),
+    );
+    return { stats: visibleStats(stats, staff) };
+  }
+
+  throw new Response("Unknown intent", { status: 400 });
 }
 
 export default function CollectionsPage() {
-  const { collections } = useLoaderData();
+  const { collections, catalogSync, lowStock } = useLoaderData();
+  const { t, money, number, weight } = useI18n();
   const navigate = useNavigate();
+  const fetcher = useFetcher();
+  const [attempted, setAttempted] = useState([]);
+
+  const refreshingId =
+    fetcher.state !== "idle" ? fetcher.formData?.get("collectionId") : null;
+
+  // Each collection is tried once per visit so a failing one is not retried
+  // in a loop
+  useEffect(() => {
+    if (fetcher.state !== "idle") return;
+
+    const next = collections.find(
+      (collection) =>
+        (!collection.stats || collection.stats.stale) &&
+        !attempted.includes(collection.id),
+    );
+    if (!next) return;
+
+    setAttempted((current) => [...current, next.id]);
+    fetcher.submit(
+      { intent: "refreshStats", collectionId: next.id },
+      { method: "post" },
+    );
+  }, [collections, attempted, fetcher]);
+
+  // Stock values run into lakhs and crores, so they are shown short
+  const stockDetails = ({ netWeightGrams, stockValue, currencyCode }) =>
+    [
+      weight(netWeightGrams),
+      stockValue !== null && money(stockValue, { currencyCode, short: true }),
+    ]
+      .filter(Boolean)
+      .join(" · ");
 
   return (
-    <Page title="Product Collections">
+    <Page title={t("home.title")}>
       <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <CatalogSyncBar sync={catalogSync} />
+            {lowStock.length > 0 && (
+              <Banner
+                tone="warning"
+                title={t("home.lowStock", { count: lowStock.length })}
+                action={{
+                  content: t("home.viewStockAlerts"),
+                  onAction: () => navigate("/app/stock-alerts"),
+                }}
+              >
+                <List>
+                  {lowStock.slice(0, LOW_STOCK_PREVIEW).map((product) => (
+                    <List.Item key={product.id}>
+                      {t("home.lowStockItem", {
+                        title: product.title,
+                        units: number(product.units),
+                        threshold: number(product.threshold),
+                      })}
+                    </List.Item>
+                  ))}
+                </List>
+                {lowStock.length > LOW_STOCK_PREVIEW && (
+                  <Text as="p" tone="subdued">
+                    {t("home.andMore", {
+                      count: lowStock.length - LOW_STOCK_PREVIEW,
+                    })}
+                  </Text>
+                )}
+              </Banner>
+            )}
+          </BlockStack>
+        </Layout.Section>
         <Layout.Section>
           {collections.length === 0 ? (
             <Card>
               <EmptyState
-                heading="No collections found"
+                heading={
+                  catalogSync?.lastSyncedAt
+                    ? t("home.noCollections")
+                    : t("home.readingCatalog")
+                }
                 image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
               >
                 <p>
-                  Create some collections in your Shopify store to see them
-                  here.
+                  {catalogSync?.lastSyncedAt
+                    ? t("home.noCollectionsHelp")
+                    : t("home.readingCatalogHelp")}
                 </p>
               </EmptyState>
             </Card>
@@ -89,19 +176,13 @@ export default function CollectionsPage() {
                 resourceName={{ singular: "collection", plural: "collections" }}
                 items={collections}
                 renderItem={(item) => {
-                  const {
-                    id,
-                    title,
-                    image,
-                    activeProducts,
-                    // totalProducts
-                  } = item;
+                  const { id, title, image, totalProducts, stats } = item;
                   const collectionGid = id.split("/").pop();
 
                   return (
                     <ResourceItem
                       id={id}
-                      accessibilityLabel={`View products in ${title}`}
+                      accessibilityLabel={t("home.viewCollection", { title })}
                       onClick={() =>
                         navigate(`/app/collections/${collectionGid}`)
                       }
@@ -129,13 +210,34 @@ export default function CollectionsPage() {
                           </Text>
                           <div style={{ marginTop: "4px" }}>
                             <Text variant="bodySm" as="p" tone="subdued">
-                              {activeProducts} total products
+                              {t("home.totalProducts", {
+                                count: number(totalProducts),
+                              })}
+                              {stats &&
+                                ` · ${t("home.inStockDetails", { details: stockDetails(stats) })}`}
                             </Text>
                           </div>
                         </div>
-                        <Badge status="success">
-                          {activeProducts} in stock
-                        </Badge>
+                        {stats ? (
+                          <InlineStack gap="200">
+                            <Badge tone="success">
+                              {t("home.inStock", {
+                                count: number(stats.inStock),
+                              })}
+                            </Badge>
+                            <Badge>
+                              {t("home.soldOut", {
+                                count: number(stats.soldOut),
+                              })}
+                            </Badge>
+                          </InlineStack>
+                        ) : (
+                          <Text variant="bodySm" as="span" tone="subdued">
+                            {refreshingId === id
+                              ? t("home.calculating")
+                              : t("home.notCalculated")}
+                          </Text>
+                        )}
                       </div>
                     </ResourceItem>
                   );
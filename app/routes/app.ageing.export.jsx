@@ -0,0 +1,74 @@
+import ExcelJS from "exceljs";
+import { authenticateStaff } from "../staff.server";
+import { getAgeingReport } from "../models/ageing.server";
+import { AGE_BUCKETS } from "../utils/ageing";
+import { CSV_BOM, csvRow } from "../utils/csv";
+
+const REPORT_HEADERS = [
+  "Collection",
+  "Age",
+  "Products",
+  "Units",
+  "Net Weight (g)",
+  "Value",
+  "Currency",
+];
+
+function reportRows({ collections, totals, currencyCode }) {
+  const sections = [
+    ...collections.map((collection) => [collection.title, collection.buckets]),
+    ["All products", totals],
+  ];
+
+  return sections.flatMap(([title, buckets]) =>
+    AGE_BUCKETS.map((bucket) => {
+      const row = buckets[bucket.key];
+      return [
+        title,
+        bucket.label,
+        row.products,
+        row.units,
+        Number(row.weightGrams.toFixed(3)),
+        Number(row.value.toFixed(2)),
+        currencyCode,
+      ];
+    }),
+  );
+}
+
+async function xlsxBody(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Ageing");
+  sheet.addRow(REPORT_HEADERS);
+  sheet.addRows(rows);
+  return workbook.xlsx.writeBuffer();
+}
+
+export async function loader({ request }) {
+  const { session } = await authenticateStaff(request, "exportData");
+  const url = new URL(request.url);
+  const format = url.searchParams.get("format") === "xlsx" ? "xlsx" : "csv";
+
+  const rows = reportRows(await getAgeingReport(session.shop));
+  const fileName = `stock-ageing-${new Date().toISOString().split("T")[0]}.${format}`;
+
+  if (format === "xlsx") {
+    return new Response(await xlsxBody(rows), {
+      headers: {
+        "Content-Type":
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+      },
+    });
+  }
+
+  return new Response(
+    CSV_BOM + csvRow(REPORT_HEADERS) + rows.map(csvRow).join(""),
+    {
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+      },
+    },
+  );
+}
@@ -0,0 +1,188 @@
+import { useState } from "react";
+import { Link, useLoaderData } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import { getAgeingReport } from "../../models/ageing.server";
+import { getCatalogSync } from "../../models/catalog.server";
+import { CatalogSyncBar } from "../../components/CatalogSyncBar";
+import { useI18n } from "../../components/I18nProvider";
+import { downloadBlob } from "../../utils/download";
+import { AGE_BUCKETS } from "../../utils/ageing";
+
+// Bucket values are left out for roles that may not see money figures
+function withoutValues(buckets) {
+  return Object.fromEntries(
+    Object.entries(buckets).map(([key, bucket]) => [
+      key,
+      { ...bucket, value: null },
+    ]),
+  );
+}
+
+export async function loader({ request }) {
+  const { session, staff } = await authenticateStaff(request);
+
+  const [report, catalogSync] = await Promise.all([
+    getAgeingReport(session.shop),
+    getCatalogSync(session.shop),
+  ]);
+
+  if (!staff.permissions.viewFinancials) {
+    report.totals = withoutValues(report.totals);
+    report.collections.forEach((collection) => {
+      collection.buckets = withoutValues(collection.buckets);
+    });
+  }
+
+  return { report, catalogSync, staff };
+}
+
+function BucketCell({ bucket, href }) {
+  const { t, money, number, weight } = useI18n();
+
+  if (bucket.products === 0) {
+    return (
+      <Text as="span" tone="subdued">
+        —
+      </Text>
+    );
+  }
+
+  const content = (
+    <BlockStack gap="050">
+      <Text as="span">{weight(bucket.weightGrams)}</Text>
+      <Text as="span" tone="subdued">
+        {bucket.value === null
+          ? ""
+          : `${money(bucket.value, { short: true })} · `}
+        {t("product.units", { count: number(bucket.units) })}
+      </Text>
+    </BlockStack>
+  );
+
+  return href ? <Link to={href}>{content}</Link> : content;
+}
+
+export default function AgeingPage() {
+  const { report, catalogSync, staff } = useLoaderData();
+  const { t } = useI18n();
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const response = await fetch(`/app/ageing/export?format=${format}`);
+      if (!response.ok) {
+        throw new Error(t("ageing.exportFailed", { status: response.status }));
+      }
+      downloadBlob(
+        await response.blob(),
+        `Stock_Ageing_${new Date().toISOString().split("T")[0]}.${format}`,
+      );
+    } catch (error) {
+      shopify.toast.show(error.message, { isError: true });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Each cell opens the collection's in-stock table filtered to that age
+  const rows = report.collections.map((collection) => {
+    const numericId = collection.id.split("/").pop();
+    return [
+      <Link key={collection.id} to={`/app/collections/${numericId}`}>
+        {collection.title}
+      </Link>,
+      ...AGE_BUCKETS.map((bucket) => (
+        <BucketCell
+          key={bucket.key}
+          bucket={collection.buckets[bucket.key]}
+          href={`/app/collections/${numericId}?stock=in-stock&age=${encodeURIComponent(bucket.key)}`}
+        />
+      )),
+    ];
+  });
+
+  // The first totals cell is replaced by the totals name
+  const totalsRow = [
+    "",
+    ...AGE_BUCKETS.map((bucket) => (
+      <BucketCell
+        key={bucket.key}
+        bucket={report.totals[bucket.key]}
+      />
+    )),
+  ];
+
+  return (
+    <Page
+      title={t("nav.ageing")}
+      subtitle={t("ageing.subtitle")}
+      secondaryActions={
+        staff.permissions.exportData
+          ? [
+              {
+                content: t("ageing.exportCsv"),
+                loading: exporting === "csv",
+                onAction: () => handleExport("csv"),
+              },
+              {
+                content: t("ageing.exportExcel"),
+                loading: exporting === "xlsx",
+                onAction: () => handleExport("xlsx"),
+              },
+            ]
+          : []
+      }
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <CatalogSyncBar sync={catalogSync} />
+            <Card>
+              {rows.length === 0 ? (
+                <EmptyState
+                  heading={t("ageing.empty")}
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>{t("ageing.emptyHelp")}</p>
+                </EmptyState>
+              ) : (
+                <BlockStack gap="400">
+                  <Text as="p" tone="subdued">
+                    {t("ageing.help")}
+                  </Text>
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      ...AGE_BUCKETS.map(() => "numeric"),
+                    ]}
+                    headings={[
+                      t("ageing.collection"),
+                      ...AGE_BUCKETS.map((bucket) => t(`ageing.bucket.${bucket.key}`)),
+                    ]}
+                    rows={rows}
+                    totals={totalsRow}
+                    totalsName={{
+                      singular: t("ageing.allProducts"),
+                      plural: t("ageing.allProducts"),
+                    }}
+                    showTotalsInFooter
+                  />
+                </BlockStack>
+              )}
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,348 @@
+import { useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+  useSearchParams,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineStack,
+  Select,
+  TextField,
+  Button,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import {
+  ALL_PRODUCTS,
+  getCollectionSnapshotOn,
+  getCollectionTrend,
+  getSnapshotCollections,
+  takeInventorySnapshot,
+} from "../../models/snapshot.server";
+import { TrendChart } from "../../components/TrendChart";
+import { useI18n } from "../../components/I18nProvider";
+import { metalLabel } from "../../utils/pricing";
+
+// Taking a snapshot by hand runs the same bulk query as the daily cron
+export const config = { maxDuration: 300 };
+
+// Labels are the analytics.range.<value> translation keys
+const RANGES = ["30", "90", "365", "all"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value) {
+  if (!DATE_PATTERN.test(value || "")) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function buildSearch(searchParams, changes) {
+  const nextParams = new URLSearchParams(searchParams);
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value) {
+      nextParams.set(key, value);
+    } else {
+      nextParams.delete(key);
+    }
+  });
+  return `?${nextParams.toString()}`;
+}
+
+// Stock value is left out for roles that may not see money figures
+function withoutValue(snapshot) {
+  return snapshot && { ...snapshot, stockValue: null };
+}
+
+export async function loader({ request }) {
+  const { session, staff } = await authenticateStaff(request);
+  const url = new URL(request.url);
+  const collectionId = url.searchParams.get("collection") || ALL_PRODUCTS;
+  const range = RANGES.includes(url.searchParams.get("range"))
+    ? url.searchParams.get("range")
+    : "90";
+
+  let since;
+  if (range !== "all") {
+    since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - Number(range));
+  }
+
+  const from = parseDate(url.searchParams.get("from"));
+  const to = parseDate(url.searchParams.get("to"));
+
+  const [collections, trend, compareFrom, compareTo] = await Promise.all([
+    getSnapshotCollections(session.shop),
+    getCollectionTrend(session.shop, collectionId, { since }),
+    from ? getCollectionSnapshotOn(session.shop, collectionId, from) : null,
+    to ? getCollectionSnapshotOn(session.shop, collectionId, to) : null,
+  ]);
+  const visible = staff.permissions.viewFinancials
+    ? (snapshot) => snapshot
+    : withoutValue;
+
+  return {
+    // The all-products entry is named on the page, in the staff's language
+    collections: collections.map((collection) =>
+      collection.id === ALL_PRODUCTS ? { ...collection, title: null } : collection,
+    ),
+    collectionId,
+    range,
+    trend: trend.map(visible),
+    compare:
+      from && to
+        ? { from: visible(compareFrom), to: visible(compareTo) }
+        : null,
+    staff,
+  };
+}
+
+export async function action({ request }) {
+  const { admin, session } = await authenticateStaff(request, "editCatalog");
+  const snapshot = await takeInventorySnapshot(admin, session.shop);
+
+  return { snapshot };
+}
+
+function CompareTable({ compare, formatWeight, formatValue }) {
+  const { t, number } = useI18n();
+  const { from, to } = compare;
+
+  if (!from || !to) {
+    return (
+      <Text as="p" tone="subdued">
+        {t(from ? "analytics.noSnapshotTo" : "analytics.noSnapshotFrom")}
+      </Text>
+    );
+  }
+
+  const metals = [
+    ...new Set([
+      ...Object.keys(from.weightByMetal),
+      ...Object.keys(to.weightByMetal),
+    ]),
+  ].sort();
+
+  const metrics = [
+    { label: t("analytics.products"), key: "productsCount", format: number },
+    { label: t("analytics.inStock"), key: "inStock", format: number },
+    { label: t("analytics.units"), key: "units", format: number },
+    { label: t("analytics.netWeight"), key: "netWeightGrams", format: formatWeight },
+    ...metals.map((metal) => ({
+      label: metalLabel(metal),
+      value: (snapshot) => snapshot.weightByMetal[metal] || 0,
+      format: formatWeight,
+    })),
+    ...(from.stockValue === null
+      ? []
+      : [
+          {
+            label: t("analytics.stockValue"),
+            key: "stockValue",
+            format: formatValue,
+          },
+        ]),
+  ];
+
+  const rows = metrics.map((metric) => {
+    const value = metric.value || ((snapshot) => snapshot[metric.key]);
+    const change = value(to) - value(from);
+    return [
+      metric.label,
+      metric.format(value(from)),
+      metric.format(value(to)),
+      change === 0
+        ? "—"
+        : `${change > 0 ? "+" : "−"}${metric.format(Math.abs(change))}`,
+    ];
+  });
+
+  return (
+    <DataTable
+      columnContentTypes={["text", "numeric", "numeric", "numeric"]}
+      headings={["", from.date, to.date, t("column.change")]}
+      rows={rows}
+    />
+  );
+}
+
+export default function AnalyticsPage() {
+  const {
+    collections,
+    collectionId,
+    range,
+    trend,
+    compare,
+    staff,
+  } = useLoaderData();
+  const { t, money, weight } = useI18n();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+  const submit = useSubmit();
+  const [searchParams] = useSearchParams();
+  const [fromDate, setFromDate] = useState(searchParams.get("from") || "");
+  const [toDate, setToDate] = useState(searchParams.get("to") || "");
+
+  const snapshotting = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData?.snapshot) {
+      shopify.toast.show(
+        t("analytics.snapshotSaved", { count: actionData.snapshot.products }),
+      );
+    }
+  }, [actionData, t]);
+
+  const formatWeight = (value) => weight(value);
+
+  // Stock values run into lakhs and crores, so they are shown short
+  const formatValue = (value) => money(value, { short: true });
+
+  const takeSnapshot = () => submit({}, { method: "post" });
+
+  const handleChange = (key) => (value) => {
+    navigate(buildSearch(searchParams, { [key]: value }), { replace: true });
+  };
+
+  const handleCompare = () => {
+    navigate(buildSearch(searchParams, { from: fromDate, to: toDate }), {
+      replace: true,
+    });
+  };
+
+  return (
+    <Page
+      title={t("nav.analytics")}
+      subtitle={t("analytics.subtitle")}
+      primaryAction={
+        staff.permissions.editCatalog
+          ? {
+              content: t("analytics.takeSnapshot"),
+              loading: snapshotting,
+              onAction: takeSnapshot,
+            }
+          : undefined
+      }
+    >
+      <Layout>
+        <Layout.Section>
+          {collections.length === 0 ? (
+            <Card>
+              <EmptyState
+                heading={t("analytics.noSnapshots")}
+                action={
+                  staff.permissions.editCatalog
+                    ? {
+                        content: t("analytics.takeSnapshot"),
+                        loading: snapshotting,
+                        onAction: takeSnapshot,
+                      }
+                    : undefined
+                }
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>{t("analytics.noSnapshotsHelp")}</p>
+              </EmptyState>
+            </Card>
+          ) : (
+            <BlockStack gap="500">
+              <Card>
+                <InlineStack gap="400">
+                  <Select
+                    label={t("analytics.collection")}
+                    options={collections.map((collection) => ({
+                      label: collection.title ?? t("analytics.allProducts"),
+                      value: collection.id,
+                    }))}
+                    value={collectionId}
+                    onChange={handleChange("collection")}
+                  />
+                  <Select
+                    label={t("analytics.range")}
+                    options={RANGES.map((value) => ({
+                      label: t(`analytics.range.${value}`),
+                      value,
+                    }))}
+                    value={range}
+                    onChange={handleChange("range")}
+                  />
+                </InlineStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="500">
+                  <TrendChart
+                    title={t("analytics.productsInStock")}
+                    points={trend.map((snapshot) => ({
+                      date: snapshot.date,
+                      value: snapshot.inStock,
+                    }))}
+                  />
+                  <TrendChart
+                    title={t("analytics.goldInStock")}
+                    points={trend.map((snapshot) => ({
+                      date: snapshot.date,
+                      value: snapshot.goldWeightGrams,
+                    }))}
+                    format={formatWeight}
+                  />
+                </BlockStack>
+              </Card>
+
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">
+                    {t("analytics.compare")}
+                  </Text>
+                  <InlineStack gap="400" blockAlign="end">
+                    <TextField
+                      label={t("analytics.from")}
+                      type="date"
+                      autoComplete="off"
+                      value={fromDate}
+                      onChange={setFromDate}
+                    />
+                    <TextField
+                      label={t("analytics.to")}
+                      type="date"
+                      autoComplete="off"
+                      value={toDate}
+                      onChange={setToDate}
+                    />
+                    <Button
+                      onClick={handleCompare}
+                      disabled={!fromDate || !toDate}
+                    >
+                      {t("analytics.compareAction")}
+                    </Button>
+                  </InlineStack>
+                  {compare && (
+                    <CompareTable
+                      compare={compare}
+                      formatWeight={formatWeight}
+                      formatValue={formatValue}
+                    />
+                  )}
+                  <Text as="p" variant="bodySm" tone="subdued">
+                    {t("analytics.compareHelp")}
+                  </Text>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,57 @@
+import { authenticateStaff } from "../staff.server";
+import { getAllAuditEntries } from "../audit.server";
+import {
+  actionLabel,
+  formatAuditValue,
+  parseAuditFilters,
+} from "../utils/audit";
+import { CSV_BOM, csvRow } from "../utils/csv";
+
+const EXPORT_HEADERS = [
+  "Time",
+  "User",
+  "Email",
+  "Action",
+  "Product ID",
+  "Target ID",
+  "Target",
+  "Before",
+  "After",
+  "Status",
+  "Error",
+];
+
+export async function loader({ request }) {
+  const { session } = await authenticateStaff(request, "viewAuditLog");
+  const url = new URL(request.url);
+  const entries = await getAllAuditEntries(
+    session.shop,
+    parseAuditFilters(url.searchParams),
+  );
+
+  const lines = [CSV_BOM + csvRow(EXPORT_HEADERS)];
+  entries.forEach((entry) => {
+    lines.push(
+      csvRow([
+        entry.createdAt,
+        entry.userName || "",
+        entry.userEmail || "",
+        actionLabel(entry.action),
+        entry.productId || "",
+        entry.targetId || "",
+        entry.targetTitle || "",
+        formatAuditValue(entry.before),
+        formatAuditValue(entry.after),
+        entry.status,
+        entry.error || "",
+      ]),
+    );
+  });
+
+  return new Response(lines.join(""), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="audit-log-${new Date().toISOString().split("T")[0]}.csv"`,
+    },
+  });
+}
@@ -0,0 +1,242 @@
+import { useState } from "react";
+import {
+  Link,
+  useLoaderData,
+  useNavigate,
+  useSearchParams,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineStack,
+  Select,
+  TextField,
+  Button,
+  Badge,
+  Pagination,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import { getAuditEntries, getAuditUsers } from "../../audit.server";
+import { downloadBlob } from "../../utils/download";
+import {
+  AUDIT_ACTIONS,
+  formatAuditValue,
+  parseAuditFilters,
+} from "../../utils/audit";
+import { useI18n } from "../../components/I18nProvider";
+
+function buildSearch(searchParams, changes) {
+  const nextParams = new URLSearchParams(searchParams);
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value) {
+      nextParams.set(key, value);
+    } else {
+      nextParams.delete(key);
+    }
+  });
+  return `?${nextParams.toString()}`;
+}
+
+export async function loader({ request }) {
+  const { session } = await authenticateStaff(request, "viewAuditLog");
+  const url = new URL(request.url);
+  const page = Math.max(1, Number.parseInt(url.searchParams.get("page"), 10) || 1);
+
+  const [log, users] = await Promise.all([
+    getAuditEntries(session.shop, parseAuditFilters(url.searchParams), { page }),
+    getAuditUsers(session.shop),
+  ]);
+
+  return { log, users };
+}
+
+// Unknown actions, e.g. from a newer version, are shown as recorded
+function ActionLabel({ action }) {
+  const { t } = useI18n();
+  return AUDIT_ACTIONS[action] ? t(`audit.action.${action}`) : action;
+}
+
+function TargetCell({ entry }) {
+  if (!entry.productId) return entry.targetTitle || "—";
+
+  const numericId = entry.productId.split("/").pop();
+  return (
+    <Link to={`/app/products/${numericId}`}>
+      {entry.targetTitle || entry.productId}
+    </Link>
+  );
+}
+
+export default function AuditLogPage() {
+  const { log, users } = useLoaderData();
+  const { t, number, date } = useI18n();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [filters, setFilters] = useState({
+    user: searchParams.get("user") || "",
+    from: searchParams.get("from") || "",
+    to: searchParams.get("to") || "",
+    product: searchParams.get("product") || "",
+  });
+  const [exporting, setExporting] = useState(false);
+
+  const setFilter = (key) => (value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  const applyFilters = () => {
+    navigate(buildSearch(searchParams, { ...filters, page: null }));
+  };
+
+  const goToPage = (page) => {
+    navigate(buildSearch(searchParams, { page: page > 1 ? String(page) : null }));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const params = new URLSearchParams(searchParams);
+      params.delete("page");
+      const response = await fetch(`/app/audit/export?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error(t("audit.exportFailed", { status: response.status }));
+      }
+      downloadBlob(
+        await response.blob(),
+        `Audit_Log_${new Date().toISOString().split("T")[0]}.csv`,
+      );
+    } catch (error) {
+      shopify.toast.show(error.message, { isError: true });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formatTime = (dateString) => date(dateString, "dateTime");
+
+  const rows = log.entries.map((entry) => [
+    formatTime(entry.createdAt),
+    entry.userName || entry.userEmail || t("audit.unknownUser"),
+    <ActionLabel key={`action-${entry.id}`} action={entry.action} />,
+    <TargetCell key={entry.id} entry={entry} />,
+    formatAuditValue(entry.before),
+    formatAuditValue(entry.after),
+    entry.status === "failed" ? (
+      <Badge key={`status-${entry.id}`} tone="critical">
+        {t("common.failed")}
+      </Badge>
+    ) : (
+      <Badge key={`status-${entry.id}`} tone="success">
+        {t("audit.applied")}
+      </Badge>
+    ),
+  ]);
+
+  return (
+    <Page
+      title={t("nav.audit")}
+      subtitle={t("audit.subtitle")}
+      secondaryActions={[
+        {
+          content: t("audit.exportCsv"),
+          loading: exporting,
+          onAction: handleExport,
+        },
+      ]}
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <InlineStack gap="400" blockAlign="end">
+                <Select
+                  label={t("audit.user")}
+                  options={[
+                    { label: t("audit.everyone"), value: "" },
+                    ...users.map((user) => ({
+                      label: user.label,
+                      value: user.userId,
+                    })),
+                  ]}
+                  value={filters.user}
+                  onChange={setFilter("user")}
+                />
+                <TextField
+                  label={t("audit.from")}
+                  type="date"
+                  autoComplete="off"
+                  value={filters.from}
+                  onChange={setFilter("from")}
+                />
+                <TextField
+                  label={t("audit.to")}
+                  type="date"
+                  autoComplete="off"
+                  value={filters.to}
+                  onChange={setFilter("to")}
+                />
+                <TextField
+                  label={t("column.product")}
+                  autoComplete="off"
+                  placeholder={t("audit.productPlaceholder")}
+                  value={filters.product}
+                  onChange={setFilter("product")}
+                />
+                <Button onClick={applyFilters}>{t("audit.filter")}</Button>
+              </InlineStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {t("audit.changes", { count: log.total, total: number(log.total) })}
+                </Text>
+                {rows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "text",
+                      "text",
+                      "text",
+                      "text",
+                      "text",
+                    ]}
+                    headings={[
+                      t("audit.time"),
+                      t("audit.user"),
+                      t("audit.action"),
+                      t("audit.target"),
+                      t("audit.before"),
+                      t("audit.after"),
+                      t("column.status"),
+                    ]}
+                    rows={rows}
+                  />
+                ) : (
+                  <Text as="p" tone="subdued">
+                    {t("audit.noChanges")}
+                  </Text>
+                )}
+                {(log.page > 1 || log.hasNextPage) && (
+                  <InlineStack align="center">
+                    <Pagination
+                      hasPrevious={log.page > 1}
+                      onPrevious={() => goToPage(log.page - 1)}
+                      hasNext={log.hasNextPage}
+                      onNext={() => goToPage(log.page + 1)}
+                    />
+                  </InlineStack>
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,18 @@
+import { authenticateStaff } from "../staff.server";
+import { syncCatalog } from "../models/catalog.server";
+
+// The catalog is read with three bulk queries, one after the other
+export const config = { maxDuration: 300 };
+
+// Posted by <CatalogSyncBar> for the first sync and manual resyncs
+export async function action({ request }) {
+  const { admin, session } = await authenticateStaff(request);
+
+  try {
+    const sync = await syncCatalog(admin, session.shop);
+    return { sync };
+  } catch (error) {
+    console.error("Catalog sync failed:", error);
+    return { error: error.message };
+  }
+}
@@ -0,0 +1,220 @@
+import { PassThrough, Readable } from "node:stream";
+import ExcelJS from "exceljs";
+import { authenticateStaff } from "../staff.server";
+import {
+  collectionGid,
+  collectionSortKey,
+  iterateCollectionProducts,
+  matchesStockFilter,
+} from "../models/collection.server";
+import {
+  getCatalogCollectionProductIds,
+  getCatalogInventoryLevels,
+} from "../models/catalog.server";
+import {
+  completeJob,
+  createJob,
+  failJob,
+  updateJobProgress,
+} from "../models/job.server";
+import { CSV_BOM, csvRow } from "../utils/csv";
+import { toGrams } from "../utils/weight";
+import { parseSort } from "../utils/productSort";
+import { findAgeBucket } from "../utils/ageing";
+
+// Large collections take a while to walk, and the stream stays open until done
+export const config = { maxDuration: 300 };
+
+const EXPORT_HEADERS = [
+  "Product ID",
+  "Product Name",
+  "Variant",
+  "SKU",
+  "Barcode",
+  "Weight",
+  "Weight Unit",
+  "Price",
+  "Currency",
+  "Location",
+  "Available Units",
+];
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// One row per variant and location, so the file can be edited and imported
+// again; a variant stocked nowhere gets one row without a location
+function exportRows(product, currencyCode, levels) {
+  return product.variants.flatMap((variant) => {
+    // Weights are exported in grams whatever unit they were entered in
+    const grams = toGrams(variant.inventoryItem?.measurement?.weight);
+    const cells = [
+      product.id.split("/").pop(),
+      product.title,
+      variant.title,
+      variant.sku || "",
+      variant.barcode || "",
+      grams === null ? "" : Number(grams.toFixed(3)),
+      grams === null ? "" : "g",
+      Number(variant.price),
+      currencyCode,
+    ];
+    const variantLevels = levels.get(variant.id) || [];
+
+    return variantLevels.length > 0
+      ? variantLevels.map((level) => [
+          ...cells,
+          level.locationName,
+          level.available,
+        ])
+      : [[...cells, "", ""]];
+  });
+}
+
+function createCsvWriter(stream) {
+  stream.write(CSV_BOM + csvRow(EXPORT_HEADERS));
+
+  return {
+    addRow: (values) => stream.write(csvRow(values)),
+    end: async () => {
+      stream.end();
+    },
+  };
+}
+
+function createXlsxWriter(stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet("Products");
+  sheet.addRow(EXPORT_HEADERS).commit();
+
+  return {
+    addRow: (values) => sheet.addRow(values).commit(),
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+async function writeExport({
+  shop,
+  pages,
+  firstPage,
+  writer,
+  stockFilter,
+  matchingIds,
+  jobId,
+}) {
+  let page = firstPage;
+  let rowCount = 0;
+
+  while (!page.done) {
+    const { products, currencyCode, processed, collection } = page.value;
+
+    const exported = products.filter(
+      (product) =>
+        matchesStockFilter(product.totalInventory, stockFilter) &&
+        (!matchingIds || matchingIds.has(product.id)),
+    );
+    // Stock per location comes from the catalog mirror, which the import
+    // compares against too
+    const levels = await getCatalogInventoryLevels(
+      shop,
+      exported.flatMap((product) => product.variants.map(({ id }) => id)),
+    );
+
+    exported.forEach((product) => {
+      exportRows(product, currencyCode, levels).forEach((row) => {
+        writer.addRow(row);
+        rowCount += 1;
+      });
+    });
+
+    await updateJobProgress(jobId, {
+      processed,
+      total: collection.productsCount,
+    });
+    page = await pages.next();
+  }
+
+  await writer.end();
+  await completeJob(jobId, { rows: rowCount });
+}
+
+export async function loader({ request, params }) {
+  const { admin, session } = await authenticateStaff(request, "exportData");
+  const url = new URL(request.url);
+  const format = url.searchParams.get("format") === "xlsx" ? "xlsx" : "csv";
+  const stockFilter = url.searchParams.get("stock") || "in-stock";
+  const requestedJobId = url.searchParams.get("job");
+  // Rows follow the table's sort where Shopify can order by it
+  const sort = collectionSortKey(parseSort(url.searchParams.get("sort")));
+  const searchTerm = url.searchParams.get("q")?.trim() || "";
+  const ageBucket = findAgeBucket(url.searchParams.get("age"));
+
+  const pages = iterateCollectionProducts(admin, collectionGid(params.id), sort);
+  // Fetch the first page before responding so a missing collection is still
+  // reported as a 404 rather than an empty file.
+  const firstPage = await pages.next();
+  const { collection } = firstPage.value;
+
+  // Search and age filters match the table, using the same catalog mirror
+  const matchingIds =
+    searchTerm || ageBucket
+      ? await getCatalogCollectionProductIds(session.shop, {
+          collectionId: collection.id,
+          term: searchTerm,
+          age: ageBucket?.key,
+        })
+      : null;
+
+  // The page picks the job id so it can poll before the download starts. A
+  // replayed link reuses an id that already has a job.
+  const job = await createJob({
+    id: UUID_PATTERN.test(requestedJobId || "") ? requestedJobId : undefined,
+    shop: session.shop,
+    type: "collection-export",
+    total: collection.productsCount,
+  }).catch((error) => {
+    if (error.code !== "P2002") throw error;
+    throw new Response("This export has already been started", {
+      status: 409,
+    });
+  });
+
+  const stream = new PassThrough();
+  const writer =
+    format === "xlsx" ? createXlsxWriter(stream) : createCsvWriter(stream);
+
+  writeExport({
+    shop: session.shop,
+    pages,
+    firstPage,
+    writer,
+    stockFilter,
+    matchingIds,
+    jobId: job.id,
+  }).catch(async (error) => {
+    console.error("Collection export failed:", error);
+    await failJob(job.id, error);
+    stream.destroy(error);
+  });
+
+  const tabName = stockFilter === "sold-out" ? "SoldOut" : "InStock";
+  const fileName = `${collection.title}_${tabName}_${new Date().toISOString().split("T")[0]}.${format}`;
+
+  return new Response(Readable.toWeb(stream), {
+    headers: {
+      "Content-Type":
+        format === "xlsx"
+          ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          : "text/csv;charset=utf-8",
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      "X-Export-Job": job.id,
+    },
+  });
+}
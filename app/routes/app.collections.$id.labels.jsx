@@ -0,0 +1,42 @@
+import { authenticateStaff } from "../staff.server";
+import { buildLabelSheet } from "../models/labels.server";
+import { saveShopSettings } from "../models/settings.server";
+import { normalizeLabelLayout, validateLabelLayout } from "../utils/labels";
+
+const LABEL_FORMATS = ["pdf", "svg"];
+
+export async function action({ request }) {
+  const { admin, session } = await authenticateStaff(request);
+  const formData = await request.formData();
+
+  const format = formData.get("format");
+  if (!LABEL_FORMATS.includes(format)) {
+    throw new Response("Unsupported label format", { status: 400 });
+  }
+
+  const productIds = JSON.parse(formData.get("productIds") || "[]");
+  if (!Array.isArray(productIds) || productIds.length === 0) {
+    throw new Response("Select at least one product", { status: 400 });
+  }
+
+  const layout = normalizeLabelLayout(JSON.parse(formData.get("layout") || "{}"));
+  if (Object.keys(validateLabelLayout(layout)).length > 0) {
+    throw new Response("Invalid label layout", { status: 400 });
+  }
+
+  // Remember the stock so the next print starts from the same layout
+  await saveShopSettings(session.shop, { labelLayout: layout });
+
+  const { body, contentType } = await buildLabelSheet(admin, {
+    productIds,
+    layout,
+    format,
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="labels.${format}"`,
+    },
+  });
+}
@@ -341,7 +341,14 @@
 //   );
 // }
 
-import { useLoaderData, useNavigate, useSearchParams } from "react-router";
+import {
+  useFetcher,
+  useLoaderData,
+  useNavigate,
+  useParams,
+  useRevalidator,
+  useSearchParams,
+} from "react-router";
 import {
   Page,
   Layout,
@@ -356,173 +363,273 @@ import {
   Tabs,
   Button,
   InlineStack,
+  Popover,
+  ActionList,
+  Banner,
+  ChoiceList,
+  Checkbox,
+  Badge,
+  Tag,
+  List,
+  Select,
 } from "@shopify/polaris";
-import { useState, useMemo, useEffect } from "react";
-import { authenticate } from "../../shopify.server";
+import { useState, useEffect, useCallback } from "react";
+import { authenticateStaff } from "../../staff.server";
+import { JobProgress } from "../../components/JobProgress";
+import { LabelSheetModal } from "../../components/LabelSheetModal";
+import { JEWELLERY_FIELDS } from "../../utils/jewellery";
+import { collectionGid } from "../../models/collection.server";
+import {
+  getCatalogSync,
+  listCatalogCollectionProducts,
+  listCatalogCollections,
+} from "../../models/catalog.server";
+import { getShopSettings } from "../../models/settings.server";
+import { downloadBlob } from "../../utils/download";
+import { PAGE_EXPORT_HEADERS } from "../../utils/import";
+import { CatalogSyncBar } from "../../components/CatalogSyncBar";
+import { useI18n } from "../../components/I18nProvider";
+import { getLowStockIds } from "../../models/stockAlert.server";
+import { findAgeBucket } from "../../utils/ageing";
+import { WEIGHT_DISPLAYS } from "../../utils/weight";
+import { PRODUCT_SORT_KEYS, parseSort, sortParam } from "../../utils/productSort";
+import { BulkEditModal } from "../../components/BulkEditModal";
+import { velocityHistoryIsShort } from "../../utils/sales";
+import {
+  BULK_ACTIONS,
+  parseBulkEdit,
+  validateBulkEdit,
+} from "../../utils/bulkEdit";
+import { runBulkEdit } from "../../models/bulkEdit.server";
+import { createJob, runJob } from "../../models/job.server";
+
+// Bulk edits keep running after the action responds, for up to this long
+export const config = { maxDuration: 300 };
 
 const PRODUCTS_PER_PAGE = 30;
+const SEARCH_DEBOUNCE_MS = 400;
+// Table column index of each sortable column, counting the checkbox column.
+// Created and updated dates have no column and are sorted from the select.
+const SORT_COLUMNS = {
+  title: 2,
+  weight: 3,
+  price: 4,
+  inventory: 6,
+  sellThrough: 7,
+  daysOfCover: 8,
+};
+
+const SORT_LABELS = {
+  title: "column.productName",
+  price: "column.price",
+  weight: "column.weight",
+  inventory: "column.availableUnits",
+  created: "sort.created",
+  updated: "sort.updated",
+  sellThrough: "column.sellThrough",
+  daysOfCover: "column.daysOfCover",
+};
+
+function formatSellThrough(rate) {
+  return rate === null ? "—" : `${Math.round(rate * 100)}%`;
+}
+
+function formatDaysOfCover(days, { t, number }) {
+  if (days === null) return t("collection.noSales");
+  return t("collection.days", { count: number(days) });
+}
+
+// Builds the page URL from the current one, so the stock tab, search query,
+// sort and chosen columns are kept and the current view can be shared. Empty
+// values remove the parameter.
+function buildSearch(searchParams, changes) {
+  const nextParams = new URLSearchParams(searchParams);
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value) {
+      nextParams.set(key, value);
+    } else {
+      nextParams.delete(key);
+    }
+  });
+  return `?${nextParams.toString()}`;
+}
 
 export async function loader({ request, params }) {
-  const { admin } = await authenticate.admin(request);
-  const collectionId = `gid://shopify/Collection/${params.id}`;
+  const { session, staff } = await authenticateStaff(request);
+  const collectionId = collectionGid(params.id);
   const url = new URL(request.url);
-  
-  const cursor = url.searchParams.get("cursor");
-  const direction = url.searchParams.get("direction") || "next";
+
   const stockFilter = url.searchParams.get("stock") || "in-stock";
+  const searchTerm = url.searchParams.get("q")?.trim() || "";
+  const sort = parseSort(url.searchParams.get("sort"));
+  const ageBucket = findAgeBucket(url.searchParams.get("age"));
 
-  // Build the products query based on direction
-  let productsQuery = "";
-  if (direction === "next") {
-    productsQuery = cursor 
-      ? `products(first: ${PRODUCTS_PER_PAGE}, after: "${cursor}")` 
-      : `products(first: ${PRODUCTS_PER_PAGE})`;
-  } else {
-    productsQuery = cursor 
-      ? `products(last: ${PRODUCTS_PER_PAGE}, before: "${cursor}")` 
-      : `products(last: ${PRODUCTS_PER_PAGE})`;
+  // Stock filter, search and both tab counts are read from the catalog mirror
+  const [result, catalogSync, { labelLayout, salesHistoryFrom }, collections] =
+    await Promise.all([
+      listCatalogCollectionProducts(session.shop, {
+        collectionId,
+        stockFilter,
+        term: searchTerm,
+        age: ageBucket?.key,
+        sort,
+        cursor: url.searchParams.get("cursor"),
+        direction: url.searchParams.get("direction") || "next",
+        pageSize: PRODUCTS_PER_PAGE,
+      }),
+      getCatalogSync(session.shop),
+      getShopSettings(session.shop),
+      staff.permissions.editCatalog ? listCatalogCollections(session.shop) : [],
+    ]);
+
+  // Before the first sync finishes the page stays empty instead of a 404
+  if (!result && catalogSync?.lastSyncedAt) {
+    throw new Response("Collection not found", { status: 404 });
   }
 
-  const response = await admin.graphql(
-    `#graphql
-      query getCollection($id: ID!) {
-        collection(id: $id) {
-          id
-          title
-          ${productsQuery} {
-            pageInfo {
-              hasNextPage
-              hasPreviousPage
-              startCursor
-              endCursor
-            }
-            edges {
-              cursor
-              node {
-                id
-                title
-                featuredImage {
-                  url
-                  altText
-                }
-                priceRangeV2 {
-                  minVariantPrice {
-                    amount
-                    currencyCode
-                  }
-                }
-                totalInventory
-                status
-                variants(first: 1) {
-                  edges {
-                    node {
-                      id
-                      barcode
-                      inventoryItem {
-                        measurement {
-                          weight {
-                            unit
-                            value
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }`,
-    {
-      variables: { id: collectionId },
-    }
+  const { stockCounts, weightTotals, ...collection } = result || {
+    products: [],
+    pageInfo: {},
+    stockCounts: { inStock: 0, soldOut: 0 },
+    weightTotals: { pieces: 0, totalGrams: 0, averageGrams: null },
+  };
+  const lowStockIds = await getLowStockIds(
+    session.shop,
+    collection.products.map((product) => product.id),
   );
+  const velocityFrom = velocityHistoryIsShort(salesHistoryFrom)
+    ? salesHistoryFrom
+    : null;
 
-  const data = await response.json();
-  
-  if (!data.data?.collection) {
-    throw new Response("Collection not found", { status: 404 });
-  }
+  return {
+    collection,
+    lowStockIds,
+    stockCounts,
+    weightTotals,
+    velocityFrom,
+    stockFilter,
+    searchTerm,
+    sort,
+    ageBucket,
+    labelLayout,
+    catalogSync,
+    collections: collections.map(({ id, title }) => ({ id, title })),
+    staff,
+  };
+}
 
-  const products = data.data.collection.products.edges.map(({ node, cursor }) => {
-    const variant = node.variants.edges[0]?.node;
-    const weightData = variant?.inventoryItem?.measurement?.weight;
-    
-    let weightDisplay = "N/A";
-    if (weightData?.value) {
-      const unit = weightData.unit?.toLowerCase() || '';
-      weightDisplay = `${weightData.value} ${unit}`;
-    }
+// Bulk edits run in the background; the page polls the job for progress
+export async function action({ request, params }) {
+  const { admin, session } = await authenticateStaff(request, "editCatalog");
+  const formData = await request.formData();
+  const intent = formData.get("intent");
 
-    return {
-      id: node.id,
-      title: node.title || "N/A",
-      image: node.featuredImage?.url || null,
-      imageAlt: node.featuredImage?.altText || node.title,
-      weight: weightDisplay,
-      price: node.priceRangeV2.minVariantPrice,
-      barcode: variant?.barcode || "N/A",
-      availableUnits: node.totalInventory || 0,
-      cursor: cursor,
-    };
-  });
+  if (intent === "bulkEdit") {
+    const sourceCollectionId = collectionGid(params.id);
+    const parsed = parseBulkEdit(formData.get("edit"));
+    if (!parsed) {
+      throw new Response("Malformed bulk edit", { status: 400 });
+    }
 
-  // Filter based on stock status
-  const filteredProducts = products.filter(product => {
-    if (stockFilter === "in-stock") {
-      return product.availableUnits > 0;
-    } else {
-      return product.availableUnits === 0;
+    const edit = { ...parsed, sourceCollectionId };
+    const errors = validateBulkEdit(edit, sourceCollectionId);
+    if (Object.keys(errors).length > 0) {
+      return { intent, errors };
     }
-  });
 
-  const collection = {
-    id: data.data.collection.id,
-    title: data.data.collection.title,
-    products: filteredProducts,
-    pageInfo: data.data.collection.products.pageInfo,
-    allProductsFromPage: products, // Keep unfiltered for export
-  };
+    const job = await createJob({
+      shop: session.shop,
+      type: "bulkEdit",
+      total: edit.productIds.length,
+    });
+    runJob(
+      job.id,
+      () => runBulkEdit(admin, session.shop, { jobId: job.id, edit }),
+      "Bulk edit",
+    );
 
-  return { collection, stockFilter };
+    return { intent, jobId: job.id };
+  }
+
+  throw new Response("Unknown intent", { status: 400 });
 }
 
 export default function ProductsPage() {
-  const { collection, stockFilter } = useLoaderData();
+  const {
+    collection,
+    stockCounts,
+    weightTotals,
+    velocityFrom,
+    stockFilter,
+    searchTerm,
+    sort,
+    ageBucket,
+    labelLayout,
+    catalogSync,
+    lowStockIds,
+    collections,
+    staff,
+  } = useLoaderData();
+  const i18n = useI18n();
+  const { t, money, number, weight, date, weightDisplay } = i18n;
+  const preferenceFetcher = useFetcher();
   const navigate = useNavigate();
+  const revalidator = useRevalidator();
+  const params = useParams();
   const [searchParams] = useSearchParams();
-  const [searchQuery, setSearchQuery] = useState("");
+  const [searchQuery, setSearchQuery] = useState(searchTerm);
+  const [exportMenuActive, setExportMenuActive] = useState(false);
+  const [exportJobId, setExportJobId] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [columnsMenuActive, setColumnsMenuActive] = useState(false);
+  // Selected product IDs are kept across pages, tabs and searches
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [labelsModalOpen, setLabelsModalOpen] = useState(false);
+  const [bulkMenuActive, setBulkMenuActive] = useState(false);
+  const [bulkAction, setBulkAction] = useState(null);
+  const [bulkJobId, setBulkJobId] = useState(null);
+  const [bulkResult, setBulkResult] = useState(null);
   const [selectedTab, setSelectedTab] = useState(stockFilter === "sold-out" ? 1 : 0);
 
-  // Sync tab with URL parameter
+  // Sync tab and search box with URL parameters
   useEffect(() => {
     const urlStockFilter = searchParams.get("stock") || "in-stock";
     setSelectedTab(urlStockFilter === "sold-out" ? 1 : 0);
+    setSearchQuery(searchParams.get("q") || "");
   }, [searchParams]);
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: price.currencyCode,
-    }).format(price.amount);
+  const formatPrice = (price) =>
+    money(price.amount, { currencyCode: price.currencyCode });
+
+  const filteredProducts = collection?.products || [];
+
+  // Optional jewellery columns, kept in the URL with the rest of the view
+  const extraColumns = (searchParams.get("cols") || "")
+    .split(",")
+    .filter((key) => JEWELLERY_FIELDS.some((field) => field.key === key));
+
+  const handleColumnsChange = (selected) => {
+    navigate(buildSearch(searchParams, { cols: selected.join(",") }), {
+      replace: true,
+    });
   };
 
-  // Filter products based on search query (client-side filtering of current page)
-  const filteredProducts = useMemo(() => {
-    if (!searchQuery.trim()) {
-      return collection?.products || [];
-    }
+  // Debounce typing before searching the whole collection on the server
+  useEffect(() => {
+    if (searchQuery.trim() === (searchParams.get("q") || "")) return;
 
-    const query = searchQuery.toLowerCase();
-    return collection?.products.filter((product) => {
-      return (
-        product.title.toLowerCase().includes(query) ||
-        product.barcode.toLowerCase().includes(query) ||
-        product.weight.toLowerCase().includes(query)
+    const timer = setTimeout(() => {
+      navigate(
+        buildSearch(searchParams, {
+          q: searchQuery.trim(),
+          direction: null,
+          cursor: null,
+        }),
+        { replace: true },
       );
-    }) || [];
-  }, [collection?.products, searchQuery]);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery, searchParams, navigate]);
 
   const handleSearchChange = (value) => {
     setSearchQuery(value);
@@ -530,28 +637,93 @@ export default function ProductsPage() {
 
   const handleTabChange = (newTab) => {
     setSelectedTab(newTab);
-    setSearchQuery("");
     const newStockFilter = newTab === 0 ? "in-stock" : "sold-out";
     // Navigate to first page of new tab
-    navigate(`?stock=${newStockFilter}`);
+    navigate(
+      buildSearch(searchParams, {
+        stock: newStockFilter,
+        q: searchQuery.trim(),
+        direction: null,
+        cursor: null,
+      }),
+    );
+  };
+
+  const pageIds = filteredProducts.map((product) => product.id);
+  const selectedOnPage = pageIds.filter((id) => selectedIds.includes(id));
+  let pageSelection = false;
+  if (selectedOnPage.length === pageIds.length && pageIds.length > 0) {
+    pageSelection = true;
+  } else if (selectedOnPage.length > 0) {
+    pageSelection = "indeterminate";
+  }
+
+  const toggleProduct = (productId, checked) => {
+    setSelectedIds((current) =>
+      checked
+        ? [...current, productId]
+        : current.filter((id) => id !== productId),
+    );
+  };
+
+  const togglePage = (checked) => {
+    setSelectedIds((current) =>
+      checked
+        ? [...new Set([...current, ...pageIds])]
+        : current.filter((id) => !pageIds.includes(id)),
+    );
+  };
+
+  // Sorting starts again from the first page
+  const changeSort = (value) => {
+    navigate(
+      buildSearch(searchParams, { sort: value, direction: null, cursor: null }),
+    );
+  };
+
+  const handleSort = (columnIndex, direction) => {
+    const key = Object.keys(SORT_COLUMNS).find(
+      (column) => SORT_COLUMNS[column] === columnIndex,
+    );
+    changeSort(
+      sortParam({ key, direction: direction === "descending" ? "desc" : "asc" }),
+    );
   };
 
+  const sortOptions = [
+    { label: t("sort.default"), value: "" },
+    ...PRODUCT_SORT_KEYS.flatMap((key) =>
+      ["asc", "desc"].map((direction) => ({
+        label: t(direction === "asc" ? "sort.ascending" : "sort.descending", {
+          field: t(SORT_LABELS[key]),
+        }),
+        value: sortParam({ key, direction }),
+      })),
+    ),
+  ];
+
   const handleProductClick = (productId) => {
     const numericId = productId.split('/').pop();
     navigate(`/app/products/${numericId}`);
   };
 
   const handlePreviousPage = () => {
-    const startCursor = collection.pageInfo.startCursor;
-    const currentStock = searchParams.get("stock") || "in-stock";
-    navigate(`?stock=${currentStock}&direction=previous&cursor=${startCursor}`);
+    navigate(
+      buildSearch(searchParams, {
+        direction: "previous",
+        cursor: collection.pageInfo.startCursor,
+      }),
+    );
     window.scrollTo(0, 0);
   };
 
   const handleNextPage = () => {
-    const endCursor = collection.pageInfo.endCursor;
-    const currentStock = searchParams.get("stock") || "in-stock";
-    navigate(`?stock=${currentStock}&direction=next&cursor=${endCursor}`);
+    navigate(
+      buildSearch(searchParams, {
+        direction: "next",
+        cursor: collection.pageInfo.endCursor,
+      }),
+    );
     window.scrollTo(0, 0);
   };
 
@@ -560,18 +732,17 @@ export default function ProductsPage() {
     const productsToExport = collection?.products || [];
     
     if (productsToExport.length === 0) {
-      alert("No products to export");
+      shopify.toast.show(t("collection.nothingToExport"), { isError: true });
       return;
     }
 
     const BOM = "\uFEFF";
-    const headers = ["Product Name", "Weight", "Price", "Currency", "Barcode", "Available Units"];
-    const csvRows = [headers.join(",")];
+    const csvRows = [PAGE_EXPORT_HEADERS.join(",")];
 
     productsToExport.forEach((product) => {
       const row = [
         `"${product.title.replace(/"/g, '""')}"`,
-        `"${product.weight}"`,
+        `"${product.weightGrams === null ? "N/A" : `${Number(product.weightGrams.toFixed(3))} g`}"`,
         product.price.amount,
         product.price.currencyCode,
         `"${product.barcode}"`,
@@ -583,21 +754,79 @@ export default function ProductsPage() {
     const csvContent = BOM + csvRows.join("\r\n");
     
     const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-    const link = document.createElement("a");
-    const url = URL.createObjectURL(blob);
-    
     const tabName = selectedTab === 0 ? "InStock" : "SoldOut";
     const fileName = `${collection?.title || "Products"}_${tabName}_Page_${new Date().toISOString().split('T')[0]}.csv`;
     
-    link.setAttribute("href", url);
-    link.setAttribute("download", fileName);
-    link.style.visibility = "hidden";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadBlob(blob, fileName);
   };
 
+  // Export every product in the collection. The server walks the whole
+  // collection and streams the file back while we poll the job for progress.
+  const exportCollection = async (format) => {
+    const jobId = crypto.randomUUID();
+    const currentStock = searchParams.get("stock") || "in-stock";
+
+    setExportMenuActive(false);
+    setExportError(null);
+    setExportJobId(jobId);
+
+    try {
+      const response = await fetch(
+        `/app/collections/${params.id}/export?${new URLSearchParams({
+          format,
+          stock: currentStock,
+          sort: sort ? sortParam(sort) : "",
+          q: searchParams.get("q") || "",
+          age: searchParams.get("age") || "",
+          job: jobId,
+        })}`,
+      );
+
+      if (!response.ok) {
+        throw new Error(t("collection.exportStatus", { status: response.status }));
+      }
+
+      const blob = await response.blob();
+      const tabName = currentStock === "sold-out" ? "SoldOut" : "InStock";
+      const fileName = `${collection?.title || "Products"}_${tabName}_${new Date().toISOString().split('T')[0]}.${format}`;
+
+      downloadBlob(blob, fileName);
+    } catch (error) {
+      setExportError(error.message);
+    } finally {
+      setExportJobId(null);
+    }
+  };
+
+  const startBulkAction = (key) => {
+    setBulkMenuActive(false);
+    setBulkResult(null);
+    setBulkAction(key);
+  };
+
+  const handleBulkStarted = useCallback((jobId) => {
+    setBulkAction(null);
+    setBulkJobId(jobId);
+  }, []);
+
+  // Products may have left this collection or changed, so reload the page
+  const handleBulkFinished = useCallback(
+    (job) => {
+      setBulkJobId(null);
+      setBulkResult(job);
+      revalidator.revalidate();
+    },
+    [revalidator],
+  );
+
   const rows = filteredProducts.map((product) => [
+    <Checkbox
+      key={`select-${product.id}`}
+      label={t("collection.select", { title: product.title })}
+      labelHidden
+      checked={selectedIds.includes(product.id)}
+      onChange={(checked) => toggleProduct(product.id, checked)}
+    />,
     <Thumbnail
       key={`thumb-${product.id}`}
       source={product.image || "https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"}
@@ -620,21 +849,35 @@ export default function ProductsPage() {
     >
       {product.title}
     </button>,
-    product.weight,
+    weight(product.weightGrams),
     formatPrice(product.price),
     product.barcode,
-    product.availableUnits.toString(),
+    lowStockIds.includes(product.id) ? (
+      <InlineStack key={`units-${product.id}`} gap="200" wrap={false}>
+        <Text as="span">{number(product.availableUnits)}</Text>
+        <Badge tone="warning">{t("collection.lowStock")}</Badge>
+      </InlineStack>
+    ) : (
+      number(product.availableUnits)
+    ),
+    formatSellThrough(product.sales.sellThrough),
+    formatDaysOfCover(product.sales.daysOfCover, i18n),
+    ...extraColumns.map((key) => {
+      const value = product.jewellery?.[key];
+      if (!value) return "—";
+      return key === "metal" ? t(`jewellery.metal.${value}`) : value;
+    }),
   ]);
 
   const tabs = [
     {
       id: "in-stock",
-      content: "In Stock",
+      content: t("collection.tabInStock", { count: number(stockCounts.inStock) }),
       panelID: "in-stock-panel",
     },
     {
       id: "sold-out",
-      content: "Sold Out",
+      content: t("collection.tabSoldOut", { count: number(stockCounts.soldOut) }),
       panelID: "sold-out-panel",
     },
   ];
@@ -644,49 +887,346 @@ export default function ProductsPage() {
   return (
     <Page
       title={collection?.title || "Products"}
-      backAction={{ content: "Collections", onAction: () => navigate("/app") }}
+      backAction={{
+        content: t("collection.back"),
+        onAction: () => navigate("/app"),
+      }}
+      secondaryActions={
+        staff.permissions.manageRates
+          ? [
+              {
+                content: t("collection.reprice"),
+                onAction: () =>
+                  navigate(`/app/collections/${params.id}/reprice`),
+              },
+            ]
+          : []
+      }
     >
       <Layout>
         <Layout.Section>
           <BlockStack gap="400">
+            <CatalogSyncBar sync={catalogSync} />
             <Card>
               <Tabs tabs={tabs} selected={selectedTab} onSelect={handleTabChange}>
                 <BlockStack gap="400">
                   <InlineStack align="space-between" blockAlign="center">
                     <TextField
-                      label="Search products (current page)"
+                      label={t("collection.search")}
                       value={searchQuery}
                       onChange={handleSearchChange}
-                      placeholder="Search by name, barcode, or weight..."
+                      placeholder={t("collection.searchPlaceholder")}
                       autoComplete="off"
                       clearButton
                       onClearButtonClick={() => handleSearchChange("")}
                     />
                     <div style={{ marginTop: "20px", marginLeft: "16px" }}>
-                      <Button 
-                        onClick={exportCurrentPage} 
-                        disabled={collection?.products?.length === 0}
-                      >
-                        Export Current Page
-                      </Button>
+                      <InlineStack gap="200">
+                        <Button
+                          onClick={() => setLabelsModalOpen(true)}
+                          disabled={selectedIds.length === 0}
+                        >
+                          {t("collection.printLabels", { count: selectedIds.length })}
+                        </Button>
+                        {staff.permissions.editCatalog && (
+                          <Popover
+                            active={bulkMenuActive}
+                            onClose={() => setBulkMenuActive(false)}
+                            activator={
+                              <Button
+                                disclosure
+                                disabled={selectedIds.length === 0}
+                                loading={Boolean(bulkJobId)}
+                                onClick={() => setBulkMenuActive((active) => !active)}
+                              >
+                                {t("collection.bulkActions")}
+                              </Button>
+                            }
+                          >
+                            <ActionList
+                              actionRole="menuitem"
+                              items={BULK_ACTIONS.map((item) => ({
+                                content: t(`bulkEdit.action.${item.key}`),
+                                onAction: () => startBulkAction(item.key),
+                              }))}
+                            />
+                          </Popover>
+                        )}
+                        {staff.permissions.exportData && (
+                          <>
+                            <Button 
+                              onClick={exportCurrentPage} 
+                              disabled={collection?.products?.length === 0}
+                            >
+                              {t("collection.exportPage")}
+                            </Button>
+                            <Popover
+                              active={exportMenuActive}
+                              onClose={() => setExportMenuActive(false)}
+                              activator={
+                                <Button
+                                  disclosure
+                                  loading={Boolean(exportJobId)}
+                                  onClick={() => setExportMenuActive((active) => !active)}
+                                >
+                                  {t("collection.exportCollection")}
+                                </Button>
+                              }
+                            >
+                              <ActionList
+                                actionRole="menuitem"
+                                items={[
+                                  {
+                                    content: t("collection.exportCsv"),
+                                    onAction: () => exportCollection("csv"),
+                                  },
+                                  {
+                                    content: t("collection.exportXlsx"),
+                                    onAction: () => exportCollection("xlsx"),
+                                  },
+                                ]}
+                              />
+                            </Popover>
+                          </>
+                        )}
+                        <Popover
+                          active={columnsMenuActive}
+                          onClose={() => setColumnsMenuActive(false)}
+                          activator={
+                            <Button
+                              disclosure
+                              onClick={() => setColumnsMenuActive((active) => !active)}
+                            >
+                              {t("collection.columns")}
+                            </Button>
+                          }
+                        >
+                          <div style={{ padding: "12px 16px" }}>
+                            <ChoiceList
+                              allowMultiple
+                              title={t("collection.jewelleryColumns")}
+                              choices={JEWELLERY_FIELDS.map((field) => ({
+                                label: t(`jewellery.field.${field.key}`),
+                                value: field.key,
+                              }))}
+                              selected={extraColumns}
+                              onChange={handleColumnsChange}
+                            />
+                            {staff.userId && (
+                              <div style={{ marginTop: "12px" }}>
+                                <ChoiceList
+                                  title={t("weight.display")}
+                                  choices={WEIGHT_DISPLAYS.map((display) => ({
+                                    label: t(`weight.${display}`),
+                                    value: display,
+                                  }))}
+                                  selected={[
+                                    preferenceFetcher.formData?.get(
+                                      "weightDisplay",
+                                    ) || weightDisplay,
+                                  ]}
+                                  onChange={([display]) =>
+                                    preferenceFetcher.submit(
+                                      { weightDisplay: display },
+                                      { method: "post", action: "/app/preferences" },
+                                    )
+                                  }
+                                />
+                              </div>
+                            )}
+                          </div>
+                        </Popover>
+                      </InlineStack>
                     </div>
                   </InlineStack>
+
+                  {exportJobId && (
+                    <JobProgress
+                      jobId={exportJobId}
+                      title={t("collection.exporting")}
+                      unit={t("collection.products")}
+                    />
+                  )}
+
+                  {bulkJobId && (
+                    <JobProgress
+                      jobId={bulkJobId}
+                      title={t("collection.updating")}
+                      unit={t("collection.products")}
+                      onFinish={handleBulkFinished}
+                    />
+                  )}
+
+                  {bulkResult?.status === "completed" && (
+                    <Banner
+                      tone={bulkResult.result.failed.length > 0 ? "warning" : "success"}
+                      title={t("collection.bulkDone", {
+                        action: t(`bulkEdit.action.${bulkResult.result.action}`),
+                        updated: number(bulkResult.result.updated),
+                        total: number(bulkResult.total),
+                      })}
+                      onDismiss={() => setBulkResult(null)}
+                    >
+                      {bulkResult.result.failed.length > 0 && (
+                        <List>
+                          {bulkResult.result.failed.map((failure) => (
+                            <List.Item key={failure.productId}>
+                              {failure.title}: {failure.error}
+                            </List.Item>
+                          ))}
+                        </List>
+                      )}
+                    </Banner>
+                  )}
+
+                  {bulkResult?.status === "failed" && (
+                    <Banner
+                      tone="critical"
+                      title={t("collection.bulkFailed")}
+                      onDismiss={() => setBulkResult(null)}
+                    >
+                      <p>{bulkResult.error}</p>
+                    </Banner>
+                  )}
+
+                  {exportError && (
+                    <Banner
+                      tone="critical"
+                      title={t("collection.exportFailed")}
+                      onDismiss={() => setExportError(null)}
+                    >
+                      <p>{exportError}</p>
+                    </Banner>
+                  )}
                   
-                  <Text variant="headingMd" as="h2">
-                    Products ({totalProducts} on this page)
-                  </Text>
+                  {ageBucket && (
+                    <InlineStack gap="200">
+                      <Tag
+                        onRemove={() =>
+                          navigate(
+                            buildSearch(searchParams, {
+                              age: null,
+                              direction: null,
+                              cursor: null,
+                            }),
+                          )
+                        }
+                      >
+                        {t("collection.inStockFor", {
+                          age: t(`ageing.bucket.${ageBucket.key}`),
+                        })}
+                      </Tag>
+                    </InlineStack>
+                  )}
+
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingMd" as="h2">
+                      {searchTerm
+                        ? t("collection.resultsFor", { term: searchTerm })
+                        : ""}
+                      {t("collection.stockSummary", {
+                        inStock: number(stockCounts.inStock),
+                        soldOut: number(stockCounts.soldOut),
+                      })}
+                    </Text>
+                    <Select
+                      label={t("sort.label")}
+                      labelInline
+                      options={sortOptions}
+                      value={sort ? sortParam(sort) : ""}
+                      onChange={changeSort}
+                    />
+                  </InlineStack>
+                  {weightTotals.pieces > 0 && (
+                    <Text as="p" tone="subdued">
+                      {t("collection.weightTotals", {
+                        total: weight(weightTotals.totalGrams),
+                        average: weight(weightTotals.averageGrams),
+                        count: number(weightTotals.pieces),
+                      })}
+                    </Text>
+                  )}
+                  {velocityFrom && (
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      {t("sales.partialVelocity", { date: date(velocityFrom) })}
+                    </Text>
+                  )}
                   
                   {totalProducts === 0 ? (
                     <EmptyState
-                      heading={searchQuery ? "No products found" : `No ${selectedTab === 0 ? "in stock" : "sold out"} products`}
+                      heading={t(
+                        searchTerm
+                          ? "collection.noResults"
+                          : selectedTab === 0
+                            ? "collection.noInStock"
+                            : "collection.noSoldOut",
+                      )}
                       image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
                     >
-                      <p>{searchQuery ? "Try adjusting your search terms." : `There are no ${selectedTab === 0 ? "in stock" : "sold out"} products on this page.`}</p>
+                      <p>
+                        {t(
+                          searchTerm
+                            ? "collection.noResultsHelp"
+                            : selectedTab === 0
+                              ? "collection.noInStockHelp"
+                              : "collection.noSoldOutHelp",
+                        )}
+                      </p>
                     </EmptyState>
                   ) : (
                     <DataTable
-                      columnContentTypes={["text", "text", "text", "text", "text", "text"]}
-                      headings={["Image", "Product Name", "Weight", "Price", "Barcode", "Available Units"]}
+                      // Remounted when the select changes the sort, so the
+                      // header arrows follow it
+                      key={sort ? sortParam(sort) : "default"}
+                      columnContentTypes={[
+                        "text",
+                        "text",
+                        "text",
+                        "text",
+                        "text",
+                        "text",
+                        "text",
+                        "numeric",
+                        "numeric",
+                        ...extraColumns.map(() => "text"),
+                      ]}
+                      headings={[
+                        <Checkbox
+                          key="select-page"
+                          label={t("collection.selectPage")}
+                          labelHidden
+                          checked={pageSelection}
+                          onChange={togglePage}
+                        />,
+                        t("column.image"),
+                        t("column.productName"),
+                        t("column.weight"),
+                        t("column.price"),
+                        t("column.barcode"),
+                        t("column.availableUnits"),
+                        t("column.sellThrough"),
+                        t("column.daysOfCover"),
+                        ...extraColumns.map((key) => t(`jewellery.field.${key}`)),
+                      ]}
+                      sortable={[
+                        false,
+                        false,
+                        true,
+                        true,
+                        true,
+                        false,
+                        true,
+                        true,
+                        true,
+                        ...extraColumns.map(() => false),
+                      ]}
+                      initialSortColumnIndex={
+                        sort ? SORT_COLUMNS[sort.key] : undefined
+                      }
+                      defaultSortDirection={
+                        sort?.direction === "asc" ? "ascending" : "descending"
+                      }
+                      onSort={handleSort}
                       rows={rows}
                     />
                   )}
@@ -709,6 +1249,27 @@ export default function ProductsPage() {
           </BlockStack>
         </Layout.Section>
       </Layout>
+
+      {labelsModalOpen && (
+        <LabelSheetModal
+          open
+          onClose={() => setLabelsModalOpen(false)}
+          collectionId={params.id}
+          productIds={selectedIds}
+          defaultLayout={labelLayout}
+        />
+      )}
+
+      {bulkAction && (
+        <BulkEditModal
+          action={bulkAction}
+          productIds={selectedIds}
+          collectionId={collection.id}
+          collections={collections}
+          onClose={() => setBulkAction(null)}
+          onStarted={handleBulkStarted}
+        />
+      )}
     </Page>
   );
 }
\ No newline at end of file
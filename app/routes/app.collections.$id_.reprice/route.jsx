@@ -0,0 +1,342 @@
+import { useCallback, useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+  useParams,
+  useRevalidator,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  Banner,
+  Badge,
+  Button,
+  EmptyState,
+  List,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import { collectionGid } from "../../models/collection.server";
+import { createJob, runJob } from "../../models/job.server";
+import {
+  applyReprice,
+  getRepriceRun,
+  getRepriceRuns,
+  planReprice,
+  rollbackReprice,
+} from "../../models/reprice.server";
+import { JobProgress } from "../../components/JobProgress";
+import { metalLabel } from "../../utils/pricing";
+import { useI18n } from "../../components/I18nProvider";
+
+// Applying and rolling back keep running after the action responds, for up
+// to this long
+export const config = { maxDuration: 300 };
+
+export async function loader({ request, params }) {
+  const { session } = await authenticateStaff(request, "manageRates");
+  const collectionId = collectionGid(params.id);
+
+  const [plan, runs] = await Promise.all([
+    planReprice(session.shop, collectionId),
+    getRepriceRuns(session.shop, collectionId),
+  ]);
+
+  return { plan, runs };
+}
+
+// Both intents start a job; the page polls it for progress
+export async function action({ request, params }) {
+  const { admin, session } = await authenticateStaff(request, "manageRates");
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "rollback") {
+    const run = await getRepriceRun(session.shop, formData.get("runId"));
+    const job = await createJob({
+      shop: session.shop,
+      type: "reprice-rollback",
+      total: run.changes.length,
+    });
+    runJob(
+      job.id,
+      () => rollbackReprice(admin, session.shop, { jobId: job.id, run }),
+      "Reprice rollback",
+    );
+    return { intent, jobId: job.id };
+  }
+
+  if (intent === "apply") {
+    // Only the changes that were reviewed are applied. If a rate or a price
+    // has changed since, the page shows the new plan to review instead.
+    const plan = await planReprice(session.shop, collectionGid(params.id));
+    if (plan.hash !== formData.get("planHash")) {
+      return { intent, stale: true };
+    }
+    if (plan.changes.length === 0) {
+      throw new Response("Nothing to reprice", { status: 400 });
+    }
+
+    const job = await createJob({
+      shop: session.shop,
+      type: "reprice",
+      total: plan.changes.length,
+    });
+    runJob(
+      job.id,
+      () => applyReprice(admin, session.shop, { jobId: job.id, plan }),
+      "Reprice",
+    );
+    return { intent, jobId: job.id };
+  }
+
+  throw new Response("Unknown intent", { status: 400 });
+}
+
+const RUN_STATUS_TONES = {
+  running: "info",
+  applied: "success",
+  partial: "warning",
+  failed: "critical",
+  rolled_back: undefined,
+};
+
+export default function RepriceCollectionPage() {
+  const { plan, runs } = useLoaderData();
+  const { t, money, number, weight, date } = useI18n();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+  const params = useParams();
+  const revalidator = useRevalidator();
+  const submit = useSubmit();
+  const [job, setJob] = useState(null);
+  const [finishedJob, setFinishedJob] = useState(null);
+
+  const pendingIntent =
+    navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+  const skippedCount =
+    plan.skipped.noMetal + plan.skipped.noWeight + plan.skipped.noRate;
+
+  useEffect(() => {
+    if (actionData?.jobId) {
+      setFinishedJob(null);
+      setJob({ id: actionData.jobId, intent: actionData.intent });
+    }
+  }, [actionData]);
+
+  // Prices and runs have changed, so reload the plan and the run list
+  const handleFinished = useCallback(
+    (finished) => {
+      setFinishedJob({ ...finished, intent: job?.intent });
+      setJob(null);
+      revalidator.revalidate();
+
+      if (finished.status === "completed" && finished.result.failed.length === 0) {
+        shopify.toast.show(
+          job?.intent === "rollback"
+            ? t("reprice.restored", { count: finished.result.restored })
+            : t("reprice.applied", { count: finished.result.applied }),
+        );
+      }
+    },
+    [job, revalidator, t],
+  );
+
+  const formatPrice = (price) => money(price);
+
+  const formatDate = (dateString) => date(dateString, "dateTime");
+
+  const formatDifference = ({ oldPrice, newPrice }) => {
+    const difference = newPrice - oldPrice;
+    const percent = oldPrice ? ` (${((difference / oldPrice) * 100).toFixed(1)}%)` : "";
+    return `${difference > 0 ? "+" : ""}${formatPrice(difference)}${percent}`;
+  };
+
+  const changeRows = plan.changes.map((change) => [
+    change.productTitle,
+    change.variantTitle,
+    metalLabel(change.metal),
+    weight(change.weightGrams),
+    formatPrice(change.oldPrice),
+    formatPrice(change.newPrice),
+    formatDifference(change),
+  ]);
+
+  const runRows = runs.map((run) => [
+    formatDate(run.createdAt),
+    number(run.applied),
+    number(run.failed),
+    <Badge key={`status-${run.id}`} tone={RUN_STATUS_TONES[run.status]}>
+      {t(`reprice.status.${run.status}`)}
+    </Badge>,
+    run.applied > 0 ? (
+      <Button
+        key={`rollback-${run.id}`}
+        size="slim"
+        loading={
+          pendingIntent === "rollback" &&
+          navigation.formData?.get("runId") === run.id
+        }
+        disabled={Boolean(job)}
+        onClick={() =>
+          submit({ intent: "rollback", runId: run.id }, { method: "post" })
+        }
+      >
+        {t("reprice.rollBack")}
+      </Button>
+    ) : (
+      "—"
+    ),
+  ]);
+
+  const failures =
+    finishedJob?.status === "completed" ? finishedJob.result.failed : [];
+
+  return (
+    <Page
+      title={t("reprice.title", { title: plan.collection.title })}
+      backAction={{
+        content: plan.collection.title,
+        onAction: () => navigate(`/app/collections/${params.id}`),
+      }}
+      primaryAction={{
+        content: t("reprice.apply", { count: plan.changes.length }),
+        disabled: plan.changes.length === 0 || Boolean(job),
+        loading: pendingIntent === "apply",
+        onAction: () =>
+          submit({ intent: "apply", planHash: plan.hash }, { method: "post" }),
+      }}
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {actionData?.stale && !job && (
+              <Banner tone="warning" title={t("reprice.staleTitle")}>
+                <p>{t("reprice.staleHelp")}</p>
+              </Banner>
+            )}
+
+            {job && (
+              <Card>
+                <JobProgress
+                  jobId={job.id}
+                  title={t(
+                    job.intent === "rollback"
+                      ? "reprice.restoring"
+                      : "reprice.updating",
+                  )}
+                  unit={t("reprice.variants")}
+                  onFinish={handleFinished}
+                />
+              </Card>
+            )}
+
+            {finishedJob?.status === "failed" && (
+              <Banner
+                tone="critical"
+                title={t(
+                  finishedJob.intent === "rollback"
+                    ? "reprice.rollbackFailed"
+                    : "reprice.failed",
+                )}
+                onDismiss={() => setFinishedJob(null)}
+              >
+                <p>{finishedJob.error}</p>
+              </Banner>
+            )}
+
+            {failures.length > 0 && (
+              <Banner
+                tone="critical"
+                title={t("reprice.variantsFailed", { count: failures.length })}
+              >
+                <List>
+                  {failures.map((failure, index) => (
+                    <List.Item key={index}>
+                      {failure.title}: {failure.error}
+                    </List.Item>
+                  ))}
+                </List>
+              </Banner>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {t("reprice.changes", { count: plan.changes.length })}
+                </Text>
+                <Text as="p" tone="subdued">
+                  {t("reprice.unchanged", { count: plan.unchanged })}
+                  {skippedCount > 0 &&
+                    ` ${t("reprice.skipped", { count: skippedCount, ...plan.skipped })}`}
+                </Text>
+                {changeRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={[
+                      "text",
+                      "text",
+                      "text",
+                      "numeric",
+                      "numeric",
+                      "numeric",
+                      "numeric",
+                    ]}
+                    headings={[
+                      t("column.product"),
+                      t("column.variant"),
+                      t("column.metal"),
+                      t("column.weight"),
+                      t("reprice.currentPrice"),
+                      t("reprice.newPrice"),
+                      t("reprice.difference"),
+                    ]}
+                    rows={changeRows}
+                  />
+                ) : (
+                  <EmptyState
+                    heading={t("reprice.nothing")}
+                    image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                  >
+                    <p>{t("reprice.nothingHelp")}</p>
+                  </EmptyState>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {t("reprice.runs")}
+                </Text>
+                {runRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={["text", "numeric", "numeric", "text", "text"]}
+                    headings={[
+                      t("reprice.run"),
+                      t("reprice.updated"),
+                      t("common.failed"),
+                      t("column.status"),
+                      "",
+                    ]}
+                    rows={runRows}
+                  />
+                ) : (
+                  <Text as="p" tone="subdued">
+                    {t("reprice.noRuns")}
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
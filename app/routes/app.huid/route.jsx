@@ -0,0 +1,172 @@
+import { useEffect } from "react";
+import {
+  Link,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import { getHuidReport, syncHuidRegistry } from "../../models/huid.server";
+import { useI18n } from "../../components/I18nProvider";
+
+export async function loader({ request }) {
+  const { session, staff } = await authenticateStaff(request);
+  const report = await getHuidReport(session.shop);
+
+  return { report, staff };
+}
+
+export async function action({ request }) {
+  const { admin, session } = await authenticateStaff(request, "editCatalog");
+  const synced = await syncHuidRegistry(admin, session.shop);
+
+  return { synced };
+}
+
+function ProductLink({ product }) {
+  const numericId = product.productId.split("/").pop();
+  return <Link to={`/app/products/${numericId}`}>{product.productTitle}</Link>;
+}
+
+export default function HuidRegistryPage() {
+  const { report, staff } = useLoaderData();
+  const { t, number, date } = useI18n();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+
+  const syncing = navigation.state === "submitting";
+
+  useEffect(() => {
+    if (actionData?.synced !== undefined) {
+      shopify.toast.show(t("huid.synced", { count: actionData.synced }));
+    }
+  }, [actionData, t]);
+
+  const formatDate = (dateString) => date(dateString, "dateTime");
+
+  const missingRows = report.missing.map((product) => [
+    <ProductLink key={product.productId} product={product} />,
+    product.purity || "—",
+  ]);
+
+  const conflictRows = report.conflicts.flatMap((conflict) =>
+    conflict.products.map((product, index) => [
+      index === 0 ? (
+        <Text key={`huid-${product.productId}`} as="span" fontWeight="semibold">
+          {conflict.huid}
+        </Text>
+      ) : (
+        ""
+      ),
+      <ProductLink key={product.productId} product={product} />,
+      product.metal || "—",
+      product.purity || "—",
+    ]),
+  );
+
+  return (
+    <Page
+      title={t("nav.huid")}
+      subtitle={
+        report.lastSyncedAt
+          ? t("huid.lastSynced", {
+              count: report.total,
+              total: number(report.total),
+              date: formatDate(report.lastSyncedAt),
+            })
+          : t("huid.notSynced")
+      }
+      primaryAction={
+        staff.permissions.editCatalog
+          ? {
+              content: t("huid.sync"),
+              loading: syncing,
+              onAction: () => submit({}, { method: "post" }),
+            }
+          : undefined
+      }
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {report.total === 0 ? (
+              <Card>
+                <EmptyState
+                  heading={t("huid.emptyTitle")}
+                  action={
+                    staff.permissions.editCatalog
+                      ? {
+                          content: t("huid.sync"),
+                          loading: syncing,
+                          onAction: () => submit({}, { method: "post" }),
+                        }
+                      : undefined
+                  }
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>{t("huid.emptyHelp")}</p>
+                </EmptyState>
+              </Card>
+            ) : (
+              <>
+                <Card>
+                  <BlockStack gap="400">
+                    <Text variant="headingMd" as="h2">
+                      {t("huid.duplicates", { count: report.conflicts.length })}
+                    </Text>
+                    {conflictRows.length > 0 ? (
+                      <DataTable
+                        columnContentTypes={["text", "text", "text", "text"]}
+                        headings={[
+                          t("column.huid"),
+                          t("column.product"),
+                          t("column.metal"),
+                          t("column.purity"),
+                        ]}
+                        rows={conflictRows}
+                      />
+                    ) : (
+                      <Text as="p" tone="subdued">
+                        {t("huid.noDuplicates")}
+                      </Text>
+                    )}
+                  </BlockStack>
+                </Card>
+
+                <Card>
+                  <BlockStack gap="400">
+                    <Text variant="headingMd" as="h2">
+                      {t("huid.missing", { count: report.missing.length })}
+                    </Text>
+                    {missingRows.length > 0 ? (
+                      <DataTable
+                        columnContentTypes={["text", "text"]}
+                        headings={[t("column.product"), t("column.purity")]}
+                        rows={missingRows}
+                      />
+                    ) : (
+                      <Text as="p" tone="subdued">
+                        {t("huid.noMissing")}
+                      </Text>
+                    )}
+                  </BlockStack>
+                </Card>
+              </>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
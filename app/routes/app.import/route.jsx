@@ -0,0 +1,296 @@
+import { useCallback, useEffect, useState } from "react";
+import { useActionData, useNavigation, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineStack,
+  Button,
+  Banner,
+  Badge,
+  DropZone,
+  List,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import { createJob, runJob } from "../../models/job.server";
+import {
+  planImport,
+  readImportFile,
+  runImport,
+} from "../../models/import.server";
+import { JobProgress } from "../../components/JobProgress";
+import { IMPORT_MAX_ROWS } from "../../utils/import";
+import { useI18n } from "../../components/I18nProvider";
+
+const STATUS_TONES = {
+  update: "info",
+  unchanged: undefined,
+  unmatched: "critical",
+};
+
+// An applied import keeps running after the action responds, for up to this
+// long
+export const config = { maxDuration: 300 };
+
+export async function loader({ request }) {
+  await authenticateStaff(request, "editCatalog");
+  return null;
+}
+
+// The file is sent with both the preview and the apply. File errors and
+// notices are translation keys.
+export async function action({ request }) {
+  const { admin, session } = await authenticateStaff(request, "editCatalog");
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent !== "preview" && intent !== "apply") {
+    throw new Response("Unknown intent", { status: 400 });
+  }
+
+  const { rows, notices = [], error } = await readImportFile(formData.get("file"));
+  if (error) {
+    return { intent, notices, errors: { file: error } };
+  }
+
+  const plan = await planImport(session.shop, rows);
+  if (intent === "preview") {
+    return { intent, notices, plan: plan.rows, planHash: plan.hash };
+  }
+
+  // Only the changes that were previewed are applied. If the file or the
+  // catalog has changed since, the page asks for a new preview instead.
+  if (plan.hash !== formData.get("planHash")) {
+    return { intent, stale: true };
+  }
+
+  const updates = plan.rows.filter((row) => row.status === "update");
+  if (updates.length === 0) {
+    return { intent, errors: { file: "import.errors.nothingToUpdate" } };
+  }
+
+  const job = await createJob({
+    shop: session.shop,
+    type: "import",
+    total: updates.length,
+  });
+  runJob(
+    job.id,
+    () => runImport(admin, session.shop, { jobId: job.id, plan: plan.rows }),
+    "Import",
+  );
+
+  return { intent, jobId: job.id };
+}
+
+export default function ImportPage() {
+  const { t, message, number } = useI18n();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const [file, setFile] = useState(null);
+  const [jobId, setJobId] = useState(null);
+  const [finishedJob, setFinishedJob] = useState(null);
+
+  const pendingIntent =
+    navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+  const errors = actionData?.errors || {};
+  const preview = actionData?.intent === "preview" ? actionData : null;
+  const plan = preview?.plan || null;
+
+  useEffect(() => {
+    if (actionData?.jobId) setJobId(actionData.jobId);
+  }, [actionData]);
+
+  const handleDrop = (_dropped, accepted) => {
+    setFile(accepted[0] || null);
+    setFinishedJob(null);
+  };
+
+  const send = (intent) => {
+    const formData = new FormData();
+    formData.append("intent", intent);
+    formData.append("file", file);
+    if (intent === "apply") formData.append("planHash", preview.planHash);
+    submit(formData, { method: "post", encType: "multipart/form-data" });
+  };
+
+  const handleFinished = useCallback((job) => {
+    setJobId(null);
+    setFinishedJob(job);
+    setFile(null);
+  }, []);
+
+  const counts = (plan || []).reduce((totals, row) => {
+    totals[row.status] = (totals[row.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  const formatChange = (change) => {
+    const field = change.location
+      ? t("import.stockAt", { location: change.location })
+      : t(`import.field.${change.field}`);
+    return `${field}: ${change.from ?? "—"} → ${change.to}`;
+  };
+
+  const rows = (plan || []).map((row) => [
+    row.line,
+    row.title,
+    row.matchedBy ? t(`import.match.${row.matchedBy}`) : "—",
+    row.changes.map(formatChange).join("; ") || "—",
+    <Badge key={`status-${row.line}`} tone={STATUS_TONES[row.status]}>
+      {t(`import.status.${row.status}`)}
+    </Badge>,
+    row.warnings.map(message).join("; ") || "—",
+  ]);
+
+  return (
+    <Page title={t("nav.import")}>
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <Text as="p">{t("import.help")}</Text>
+                <DropZone
+                  label={t("import.spreadsheet")}
+                  accept=".csv,.xlsx"
+                  allowMultiple={false}
+                  error={Boolean(errors.file)}
+                  onDrop={handleDrop}
+                >
+                  {file ? (
+                    <div style={{ padding: "16px" }}>
+                      <Text as="p" alignment="center">
+                        {file.name}
+                      </Text>
+                    </div>
+                  ) : (
+                    <DropZone.FileUpload actionHint={t("import.accepts")} />
+                  )}
+                </DropZone>
+                {errors.file && (
+                  <Text as="p" tone="critical">
+                    {t(errors.file, { max: number(IMPORT_MAX_ROWS) })}
+                  </Text>
+                )}
+                {(actionData?.notices || []).map((notice) => (
+                  <Banner key={notice} tone="warning">
+                    <p>{t(notice)}</p>
+                  </Banner>
+                ))}
+                <InlineStack align="end" gap="200">
+                  <Button
+                    disabled={!file || Boolean(jobId)}
+                    loading={pendingIntent === "preview"}
+                    onClick={() => send("preview")}
+                  >
+                    {t("import.preview")}
+                  </Button>
+                  <Button
+                    variant="primary"
+                    disabled={!plan || !counts.update || !file || Boolean(jobId)}
+                    loading={pendingIntent === "apply"}
+                    onClick={() => send("apply")}
+                  >
+                    {t("import.apply", { count: counts.update || 0 })}
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            {actionData?.stale && !jobId && (
+              <Banner tone="warning" title={t("import.staleTitle")}>
+                <p>{t("import.staleHelp")}</p>
+              </Banner>
+            )}
+
+            {jobId && (
+              <Card>
+                <JobProgress
+                  jobId={jobId}
+                  title={t("import.importing")}
+                  unit={t("import.rows")}
+                  onFinish={handleFinished}
+                />
+              </Card>
+            )}
+
+            {finishedJob?.status === "completed" && (
+              <Banner
+                tone={finishedJob.result.failed.length > 0 ? "warning" : "success"}
+                title={t("import.done", {
+                  updated: number(finishedJob.result.updated),
+                  total: number(finishedJob.total),
+                })}
+                onDismiss={() => setFinishedJob(null)}
+              >
+                {finishedJob.result.failed.length > 0 && (
+                  <List>
+                    {finishedJob.result.failed.map((failure) => (
+                      <List.Item key={failure.line}>
+                        {t("import.rowFailed", failure)}
+                      </List.Item>
+                    ))}
+                  </List>
+                )}
+              </Banner>
+            )}
+
+            {finishedJob?.status === "failed" && (
+              <Banner
+                tone="critical"
+                title={t("import.failed")}
+                onDismiss={() => setFinishedJob(null)}
+              >
+                <p>{finishedJob.error}</p>
+              </Banner>
+            )}
+
+            {plan && !jobId && !finishedJob && (
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="headingMd" as="h2">
+                      {t("import.preview")}
+                    </Text>
+                    <Badge tone="info">
+                      {t("import.toUpdate", { count: counts.update || 0 })}
+                    </Badge>
+                    <Badge>
+                      {t("import.unchanged", { count: counts.unchanged || 0 })}
+                    </Badge>
+                    <Badge tone="critical">
+                      {t("import.unmatched", { count: counts.unmatched || 0 })}
+                    </Badge>
+                  </InlineStack>
+                  {rows.length > 0 ? (
+                    <DataTable
+                      columnContentTypes={["numeric", "text", "text", "text", "text", "text"]}
+                      headings={[
+                        t("import.row"),
+                        t("column.product"),
+                        t("import.matchedBy"),
+                        t("import.changes"),
+                        t("column.status"),
+                        t("import.warnings"),
+                      ]}
+                      rows={rows}
+                    />
+                  ) : (
+                    <Text as="p" tone="subdued">
+                      {t("import.noRows")}
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
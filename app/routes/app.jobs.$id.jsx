@@ -0,0 +1,11 @@
+import { authenticateStaff } from "../staff.server";
+import { getJob, serializeJob } from "../models/job.server";
+
+// Polled by <JobProgress>. A job that has not been created yet is reported as
+// null instead of a 404 so the poller can keep waiting for it.
+export async function loader({ request, params }) {
+  const { session } = await authenticateStaff(request);
+  const job = await getJob(session.shop, params.id);
+
+  return { job: serializeJob(job) };
+}
@@ -2,31 +2,73 @@
 import { Outlet, useLoaderData, useRouteError } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { AppProvider } from "@shopify/shopify-app-react-router/react";
-import { authenticate } from "../shopify.server";
+import { authenticateStaff } from "../staff.server";
+import { getShopCurrency } from "../models/settings.server";
+import { getStaffPreferences } from "../models/staff.server";
+import { I18nProvider, useI18n } from "../components/I18nProvider";
+import { languageFromLocale } from "../utils/i18n";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { admin, session, staff } = await authenticateStaff(request);
+  const [currencyCode, preferences] = await Promise.all([
+    getShopCurrency(admin, session.shop),
+    getStaffPreferences(session.shop, staff.userId),
+  ]);
   // return { apiKey: process.env.SHOPIFY_API_KEY || "" };
 
   return { 
     apiKey: process.env.SHOPIFY_API_KEY || "",
-    host: process.env.SHOPIFY_APP_URL || process.env.HOST || ""
+    host: process.env.SHOPIFY_APP_URL || process.env.HOST || "",
+    staff,
+    language: languageFromLocale(staff.locale),
+    currencyCode,
+    weightDisplay: preferences.weightDisplay,
   };
 };
 
 export default function App() {
-  const { apiKey } = useLoaderData();
+  const { apiKey, staff, language, currencyCode, weightDisplay } =
+    useLoaderData();
 
   return (
     <AppProvider embedded apiKey={apiKey}>
-      <s-app-nav>
-        <s-link href="/app">Home</s-link>
-      </s-app-nav>
-      <Outlet />
+      <I18nProvider
+        language={language}
+        currencyCode={currencyCode}
+        weightDisplay={weightDisplay}
+      >
+        <AppNav permissions={staff.permissions} />
+        <Outlet />
+      </I18nProvider>
     </AppProvider>
   );
 }
 
+function AppNav({ permissions }) {
+  const { t } = useI18n();
+
+  return (
+    <s-app-nav>
+      <s-link href="/app">{t("nav.home")}</s-link>
+      <s-link href="/app/rates">{t("nav.rates")}</s-link>
+      <s-link href="/app/huid">{t("nav.huid")}</s-link>
+      <s-link href="/app/stock-takes">{t("nav.stockTakes")}</s-link>
+      <s-link href="/app/stock-alerts">{t("nav.stockAlerts")}</s-link>
+      <s-link href="/app/analytics">{t("nav.analytics")}</s-link>
+      <s-link href="/app/ageing">{t("nav.ageing")}</s-link>
+      {permissions.editCatalog && (
+        <s-link href="/app/import">{t("nav.import")}</s-link>
+      )}
+      {permissions.viewAuditLog && (
+        <s-link href="/app/audit">{t("nav.audit")}</s-link>
+      )}
+      {permissions.manageStaff && (
+        <s-link href="/app/staff">{t("nav.staff")}</s-link>
+      )}
+    </s-app-nav>
+  );
+}
+
 // Shopify needs React Router to catch some thrown responses, so that their headers are included in the response.
 export function ErrorBoundary() {
   return boundary.error(useRouteError());
@@ -0,0 +1,21 @@
+import { authenticateStaff } from "../staff.server";
+import { saveStaffPreferences } from "../models/staff.server";
+import { WEIGHT_DISPLAYS } from "../utils/weight";
+
+// Posted by the weight display choice on the collection page. Preferences
+// belong to the signed-in staff member, so there is no permission to check.
+export async function action({ request }) {
+  const { session, staff } = await authenticateStaff(request);
+  if (!staff.userId) {
+    throw new Response("Preferences need a staff member", { status: 400 });
+  }
+
+  const formData = await request.formData();
+  const weightDisplay = formData.get("weightDisplay");
+  if (!WEIGHT_DISPLAYS.includes(weightDisplay)) {
+    throw new Response("Unknown weight display", { status: 400 });
+  }
+
+  await saveStaffPreferences(session.shop, staff.userId, { weightDisplay });
+  return { saved: true };
+}
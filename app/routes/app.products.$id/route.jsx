@@ -1,3 +1,4 @@
+import { useCallback, useState } from "react";
 import { useLoaderData, useNavigate } from "react-router";
 import {
   Page,
@@ -9,12 +10,62 @@ import {
   InlineStack,
   Divider,
   DataTable,
+  Banner,
 } from "@shopify/polaris";
-import { authenticate } from "../../shopify.server";
+import { authenticateStaff } from "../../staff.server";
+import { getMetalRateMap } from "../../models/metalRate.server";
+import { getShopSettings } from "../../models/settings.server";
+import { saveJewelleryAttributes } from "../../models/jewellery.server";
+import {
+  findHuidConflicts,
+  refreshHuidRecord,
+} from "../../models/huid.server";
+import { variantPriceCheck } from "../../utils/pricing";
+import {
+  normalizeHuid,
+  parseJewelleryAttributes,
+  validateProductAttributes,
+  validateVariantAttributes,
+} from "../../utils/jewellery";
+import { JewelleryAttributesCard } from "../../components/JewelleryAttributesCard";
+import { InventoryLevelCell } from "../../components/InventoryLevelCell";
+import {
+  adjustInventory,
+  getInventoryAdjustments,
+} from "../../models/inventory.server";
+import {
+  getCatalogProduct,
+  getCatalogSync,
+  setCatalogInventoryLevel,
+  syncCatalogProduct,
+} from "../../models/catalog.server";
+import { CatalogSyncBar } from "../../components/CatalogSyncBar";
+import { useI18n } from "../../components/I18nProvider";
+import { toGrams } from "../../utils/weight";
+import { StockAlertCard } from "../../components/StockAlertCard";
+import {
+  getProductThreshold,
+  setStockThreshold,
+} from "../../models/stockAlert.server";
+import { validateThreshold } from "../../utils/stockAlerts";
+import { SalesHistoryCard } from "../../components/SalesHistoryCard";
+import { getProductSales } from "../../models/sales.server";
+import { reasonLabel, validateAdjustment } from "../../utils/inventory";
+import { ProductEditCard } from "../../components/ProductEditCard";
+import {
+  findIdentifierConflicts,
+  updateProductDetails,
+} from "../../models/product.server";
+import {
+  hasFieldErrors,
+  parseProductEdit,
+  productFormValues,
+  validateProductEdit,
+} from "../../utils/productEdit";
 
 export async function loader({ request, params }) {
   try {
-    const { admin } = await authenticate.admin(request);
+    const { admin, session, staff } = await authenticateStaff(request);
 
     if (!params.id) {
       throw new Response("Product ID is required", { status: 400 });
@@ -22,77 +73,60 @@ export async function loader({ request, params }) {
 
     const productId = `gid://shopify/Product/${params.id}`;
 
-    const response = await admin.graphql(
-      `#graphql
-        query getProduct($id: ID!) {
-          product(id: $id) {
-            id
-            title
-            description
-            descriptionHtml
-            status
-            vendor
-            productType
-            tags
-            createdAt
-            updatedAt
-            featuredImage {
-              url
-              altText
-            }
-            images(first: 10) {
-              edges {
-                node {
-                  url
-                  altText
-                }
-              }
-            }
-            variants(first: 100) {
-              edges {
-                node {
-                  id
-                  title
-                  sku
-                  price
-                  compareAtPrice
-                  inventoryQuantity
-                  availableForSale
-                  selectedOptions {
-                    name
-                    value
-                  }
-                  inventoryItem {
-                    measurement {
-                      weight {
-                        unit
-                        value
-                      }
-                    }
-                  }
-                }
-              }
-            }
-            totalInventory
-          }
-        }`,
-      {
-        variables: { id: productId },
-      },
-    );
-
-    const data = await response.json();
-
-    if (data.errors) {
-      console.error("GraphQL errors:", data.errors);
-      throw new Response("Failed to fetch product", { status: 500 });
+    // Products the mirror has not seen yet (e.g. before the first sync
+    // finishes) are copied in on first view
+    let catalogProduct = await getCatalogProduct(session.shop, productId);
+    if (!catalogProduct) {
+      await syncCatalogProduct(admin, session.shop, productId);
+      catalogProduct = await getCatalogProduct(session.shop, productId);
     }
 
-    if (!data.data?.product) {
+    if (!catalogProduct) {
       throw new Response("Product not found", { status: 404 });
     }
 
-    return { product: data.data.product };
+    const { product, inventory } = catalogProduct;
+    const [rates, settings, adjustments, catalogSync, threshold, sales] =
+      await Promise.all([
+        getMetalRateMap(session.shop),
+        getShopSettings(session.shop),
+        getInventoryAdjustments(session.shop, productId),
+        getCatalogSync(session.shop),
+        getProductThreshold(session.shop, productId),
+        getProductSales(session.shop, productId),
+      ]);
+
+    // Compare each variant's price with the price from today's metal rate
+    const priceChecks = Object.fromEntries(
+      product.variants.edges.map(({ node }) => [
+        node.id,
+        variantPriceCheck({
+          product,
+          variant: node,
+          rates,
+          tolerancePercent: settings.priceTolerancePercent,
+        }),
+      ]),
+    );
+
+    if (!staff.permissions.viewFinancials) {
+      sales.windows = sales.windows.map((window) => ({
+        ...window,
+        revenue: null,
+      }));
+    }
+
+    return {
+      staff,
+      product,
+      priceChecks,
+      tolerancePercent: settings.priceTolerancePercent,
+      inventory,
+      adjustments,
+      catalogSync,
+      threshold,
+      sales,
+    };
   } catch (error) {
     console.error("Loader error:", error);
 
@@ -104,48 +138,284 @@ export async function loader({ request, params }) {
   }
 }
 
+export async function action({ request, params }) {
+  const { admin, session } = await authenticateStaff(request, "editCatalog");
+  const productId = `gid://shopify/Product/${params.id}`;
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "saveJewellery") {
+    const attributes = parseJewelleryAttributes(formData.get("attributes"));
+    if (!attributes) {
+      throw new Response("Malformed jewellery details", { status: 400 });
+    }
+
+    const current = await getCatalogProduct(session.shop, productId);
+    const variantIds = current?.product.variants.edges.map(({ node }) => node.id);
+    if (
+      variantIds &&
+      Object.keys(attributes.variants).some((id) => !variantIds.includes(id))
+    ) {
+      throw new Response("Variant not found", { status: 404 });
+    }
+    if (attributes.product.huid !== undefined) {
+      attributes.product.huid = normalizeHuid(attributes.product.huid);
+    }
+
+    const errors = {
+      product: validateProductAttributes(attributes.product),
+      variants: Object.fromEntries(
+        Object.entries(attributes.variants).map(([variantId, values]) => [
+          variantId,
+          validateVariantAttributes(values),
+        ]),
+      ),
+    };
+
+    if (attributes.product.huid && !errors.product.huid) {
+      const [conflict] = await findHuidConflicts(
+        session.shop,
+        attributes.product.huid,
+        productId,
+      );
+      if (conflict) {
+        errors.product.huid = {
+          key: "jewellery.errors.huidUsed",
+          values: { title: conflict.productTitle },
+        };
+      }
+    }
+
+    const hasErrors =
+      Object.keys(errors.product).length > 0 ||
+      Object.values(errors.variants).some(
+        (variantErrors) => Object.keys(variantErrors).length > 0,
+      );
+    if (hasErrors) {
+      return { intent, errors };
+    }
+
+    const previous = current
+      ? {
+          [productId]: current.product.jewellery,
+          ...Object.fromEntries(
+            current.product.variants.edges.map(({ node }) => [
+              node.id,
+              node.jewellery,
+            ]),
+          ),
+        }
+      : {};
+
+    const userErrors = await saveJewelleryAttributes(admin, {
+      productId,
+      ...attributes,
+      title: current?.product.title,
+      previous,
+    });
+    await Promise.all([
+      refreshHuidRecord(admin, session.shop, productId),
+      syncCatalogProduct(admin, session.shop, productId),
+    ]);
+
+    return { intent, userErrors, saved: userErrors.length === 0 };
+  }
+
+  if (intent === "saveProduct") {
+    const changes = parseProductEdit(formData.get("changes"));
+    if (!changes) {
+      throw new Response("Malformed product changes", { status: 400 });
+    }
+    const current = await getCatalogProduct(session.shop, productId);
+    if (!current) {
+      throw new Response("Product not found", { status: 404 });
+    }
+    const saved = productFormValues(current.product);
+    if (Object.keys(changes.variants).some((id) => !saved.variants[id])) {
+      throw new Response("Variant not found", { status: 404 });
+    }
+
+    const errors = validateProductEdit(changes, saved);
+    const conflicts = await findIdentifierConflicts(
+      session.shop,
+      productId,
+      changes.variants,
+    );
+    Object.entries(conflicts).forEach(([variantId, variantErrors]) => {
+      errors.variants[variantId] = {
+        ...variantErrors,
+        ...errors.variants[variantId],
+      };
+    });
+    if (hasFieldErrors(errors)) {
+      return { intent, errors };
+    }
+
+    const result = await updateProductDetails(admin, {
+      productId,
+      ...changes,
+      previous: current.product,
+    });
+    await syncCatalogProduct(admin, session.shop, productId);
+
+    return {
+      intent,
+      ...result,
+      saved: !hasFieldErrors(result.errors) && result.messages.length === 0,
+    };
+  }
+
+  if (intent === "adjustInventory") {
+    const adjustment = {
+      productId,
+      inventoryItemId: formData.get("inventoryItemId"),
+      locationId: formData.get("locationId"),
+      mode: formData.get("mode"),
+      quantity: formData.get("quantity"),
+      reason: formData.get("reason"),
+      note: formData.get("note")?.trim(),
+    };
+
+    const errors = validateAdjustment(adjustment);
+    if (Object.keys(errors).length > 0) {
+      return { intent, errors };
+    }
+
+    const { quantityAfter, userErrors } = await adjustInventory(
+      admin,
+      session.shop,
+      adjustment,
+    );
+    if (userErrors.length === 0) {
+      await setCatalogInventoryLevel(admin, session.shop, {
+        inventoryItemId: adjustment.inventoryItemId,
+        locationId: adjustment.locationId,
+        available: quantityAfter,
+      });
+    }
+    return { intent, userErrors, adjusted: userErrors.length === 0 };
+  }
+
+  if (intent === "setThreshold") {
+    const threshold = formData.get("threshold").trim();
+    const error = validateThreshold(threshold);
+    if (error) {
+      return { intent, errors: { threshold: error } };
+    }
+
+    await setStockThreshold(session.shop, {
+      scopeType: "product",
+      scopeId: productId,
+      threshold,
+    });
+    return { intent, saved: true };
+  }
+
+  throw new Response("Unknown intent", { status: 400 });
+}
+
 export default function ProductDetailsPage() {
-  const { product } = useLoaderData();
+  const {
+    staff,
+    product,
+    priceChecks,
+    tolerancePercent,
+    inventory,
+    adjustments,
+    catalogSync,
+    threshold,
+    sales,
+  } = useLoaderData();
+  const { t, money, number, weight, date } = useI18n();
   const navigate = useNavigate();
+  const [editing, setEditing] = useState(false);
+  const stopEditing = useCallback(() => setEditing(false), []);
 
-  const formatPrice = (price) => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "INR",
-    }).format(price);
-  };
+  // Variant prices are in the shop's currency
+  const formatPrice = (price) => money(price);
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "long",
-      day: "numeric",
-    });
-  };
+  const formatWeight = (variant) =>
+    weight(toGrams(variant.inventoryItem?.measurement?.weight));
 
-  const formatWeight = (variant) => {
-    const weightData = variant.inventoryItem?.measurement?.weight;
-    if (weightData?.value) {
-      const unit = weightData.unit?.toLowerCase() || "";
-      return `${weightData.value} ${unit}`;
+  const formatCalculatedPrice = (variantId) => {
+    const { calculatedPrice, differs } = priceChecks[variantId] || {};
+    if (calculatedPrice === null || calculatedPrice === undefined) {
+      return "—";
     }
-    return "—";
+
+    return differs ? (
+      <Badge tone="critical">{formatPrice(calculatedPrice)}</Badge>
+    ) : (
+      formatPrice(calculatedPrice)
+    );
+  };
+
+  const mismatchedVariants = Object.values(priceChecks).filter(
+    (check) => check.differs,
+  ).length;
+
+  // One column per location, each with its own adjust control
+  const locationCells = (variantId) => {
+    const variantInventory = inventory.variants[variantId];
+
+    return inventory.locations.map((location) => {
+      const quantity = variantInventory?.levels[location.id];
+      if (quantity === undefined || !variantInventory.tracked) {
+        return "—";
+      }
+
+      if (!staff.permissions.editCatalog) {
+        return number(quantity);
+      }
+
+      return (
+        <InventoryLevelCell
+          key={`${variantId}-${location.id}`}
+          inventoryItemId={variantInventory.inventoryItemId}
+          locationId={location.id}
+          quantity={quantity}
+        />
+      );
+    });
   };
 
   const variantRows = product?.variants.edges.map(({ node }) => [
     node.title,
     node.sku || "—",
+    node.barcode || "—",
     formatPrice(node.price),
+    formatCalculatedPrice(node.id),
     node.compareAtPrice ? formatPrice(node.compareAtPrice) : "—",
-    node.inventoryQuantity.toString(),
-    node.availableForSale ? "Yes" : "No",
+    number(node.inventoryQuantity),
+    ...locationCells(node.id),
+    node.availableForSale ? t("common.yes") : t("common.no"),
     formatWeight(node),
   ]);
 
+  const adjustmentRows = adjustments.map((adjustment) => [
+    date(adjustment.createdAt, "dateTime"),
+    adjustment.variantTitle,
+    adjustment.locationName,
+    adjustment.status === "failed" ? (
+      <Badge key={`failed-${adjustment.id}`} tone="critical">
+        {t("common.failed")}
+      </Badge>
+    ) : (
+      `${adjustment.delta > 0 ? "+" : ""}${adjustment.delta} (${adjustment.quantityBefore} → ${adjustment.quantityAfter})`
+    ),
+    reasonLabel(adjustment.reason),
+    adjustment.note || adjustment.error || "—",
+  ]);
+
   return (
     <Page
       title={product?.title}
-      backAction={{ content: "Back", onAction: () => navigate(-1) }}
+      backAction={{ content: t("common.back"), onAction: () => navigate(-1) }}
+      secondaryActions={
+        staff.permissions.editCatalog && !editing
+          ? [{ content: t("common.edit"), onAction: () => setEditing(true) }]
+          : []
+      }
       titleMetadata={
         <Badge status={product?.status === "ACTIVE" ? "success" : "warning"}>
           {product?.status}
@@ -155,12 +425,13 @@ export default function ProductDetailsPage() {
       <Layout>
         <Layout.Section>
           <BlockStack gap="500">
-            {/* Product Images */}
+            <CatalogSyncBar sync={catalogSync} />
+
             {/* Product Images */}
             <Card>
               <BlockStack gap="400">
                 <Text variant="headingMd" as="h2">
-                  Product Images
+                  {t("product.images")}
                 </Text>
                 {product?.images.edges.length > 0 ? (
                   <div style={{ width: "100%" }}>
@@ -235,84 +506,104 @@ export default function ProductDetailsPage() {
                   </div>
                 ) : (
                   <Text as="p" tone="subdued">
-                    No images available
+                    {t("product.noImages")}
                   </Text>
                 )}
               </BlockStack>
             </Card>
 
+            {editing && (
+              <ProductEditCard product={product} onClose={stopEditing} />
+            )}
+
             {/* Product Information */}
-            <Card>
-              <BlockStack gap="400">
-                <Text variant="headingMd" as="h2">
-                  Product Information
-                </Text>
-                <BlockStack gap="200">
-                  <InlineStack align="space-between">
-                    <Text as="span" fontWeight="semibold">
-                      Vendor:
-                    </Text>
-                    <Text as="span">{product?.vendor || "—"}</Text>
-                  </InlineStack>
-                  <Divider />
-                  <InlineStack align="space-between">
-                    <Text as="span" fontWeight="semibold">
-                      Product Type:
-                    </Text>
-                    <Text as="span">{product?.productType || "—"}</Text>
-                  </InlineStack>
-                  <Divider />
-                  <InlineStack align="space-between">
-                    <Text as="span" fontWeight="semibold">
-                      Total Inventory:
-                    </Text>
-                    <Badge
-                      status={
-                        product?.totalInventory > 0 ? "success" : "warning"
-                      }
-                    >
-                      {product?.totalInventory} units
-                    </Badge>
-                  </InlineStack>
-                  <Divider />
-                  <InlineStack align="space-between">
-                    <Text as="span" fontWeight="semibold">
-                      Created:
-                    </Text>
-                    <Text as="span">{formatDate(product?.createdAt)}</Text>
-                  </InlineStack>
-                  <Divider />
-                  <InlineStack align="space-between">
-                    <Text as="span" fontWeight="semibold">
-                      Last Updated:
-                    </Text>
-                    <Text as="span">{formatDate(product?.updatedAt)}</Text>
-                  </InlineStack>
-                  {product?.tags && product.tags.length > 0 && (
-                    <>
-                      <Divider />
-                      <BlockStack gap="200">
-                        <Text as="span" fontWeight="semibold">
-                          Tags:
-                        </Text>
-                        <InlineStack gap="200" wrap>
-                          {product.tags.map((tag, index) => (
-                            <Badge key={index}>{tag}</Badge>
-                          ))}
-                        </InlineStack>
-                      </BlockStack>
-                    </>
-                  )}
+            {!editing && (
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">
+                    {t("product.information")}
+                  </Text>
+                  <BlockStack gap="200">
+                    <InlineStack align="space-between">
+                      <Text as="span" fontWeight="semibold">
+                        {t("product.vendor")}
+                      </Text>
+                      <Text as="span">{product?.vendor || "—"}</Text>
+                    </InlineStack>
+                    <Divider />
+                    <InlineStack align="space-between">
+                      <Text as="span" fontWeight="semibold">
+                        {t("product.productType")}
+                      </Text>
+                      <Text as="span">{product?.productType || "—"}</Text>
+                    </InlineStack>
+                    <Divider />
+                    <InlineStack align="space-between">
+                      <Text as="span" fontWeight="semibold">
+                        {t("product.totalInventory")}
+                      </Text>
+                      <Badge
+                        status={
+                          product?.totalInventory > 0 ? "success" : "warning"
+                        }
+                      >
+                        {t("product.units", {
+                          count: number(product?.totalInventory),
+                        })}
+                      </Badge>
+                    </InlineStack>
+                    <Divider />
+                    <InlineStack align="space-between">
+                      <Text as="span" fontWeight="semibold">
+                        {t("product.created")}
+                      </Text>
+                      <Text as="span">{date(product?.createdAt)}</Text>
+                    </InlineStack>
+                    <Divider />
+                    <InlineStack align="space-between">
+                      <Text as="span" fontWeight="semibold">
+                        {t("product.updated")}
+                      </Text>
+                      <Text as="span">{date(product?.updatedAt)}</Text>
+                    </InlineStack>
+                    {product?.tags && product.tags.length > 0 && (
+                      <>
+                        <Divider />
+                        <BlockStack gap="200">
+                          <Text as="span" fontWeight="semibold">
+                            {t("product.tags")}
+                          </Text>
+                          <InlineStack gap="200" wrap>
+                            {product.tags.map((tag, index) => (
+                              <Badge key={index}>{tag}</Badge>
+                            ))}
+                          </InlineStack>
+                        </BlockStack>
+                      </>
+                    )}
+                  </BlockStack>
                 </BlockStack>
-              </BlockStack>
-            </Card>
+              </Card>
+            )}
+
+            {/* Jewellery attributes */}
+            <JewelleryAttributesCard
+              product={product}
+              readOnly={!staff.permissions.editCatalog}
+            />
+
+            {staff.permissions.editCatalog && (
+              <StockAlertCard threshold={threshold} />
+            )}
+
+            <SalesHistoryCard sales={sales} />
 
             {/* Description */}
-            {product?.description && (
+            {!editing && product?.description && (
               <Card>
                 <BlockStack gap="400">
                   <Text variant="headingMd" as="h2">
-                    Description
+                    {t("product.description")}
                   </Text>
                   <Text as="p">{product.description}</Text>
                 </BlockStack>
@@ -323,37 +614,78 @@ export default function ProductDetailsPage() {
             <Card>
               <BlockStack gap="400">
                 <Text variant="headingMd" as="h2">
-                  Variants ({product?.variants.edges.length})
+                  {t("product.variants", {
+                    count: product?.variants.edges.length,
+                  })}
                 </Text>
+                {mismatchedVariants > 0 && (
+                  <Banner tone="warning">
+                    <p>
+                      {t("product.priceMismatch", {
+                        count: mismatchedVariants,
+                        tolerance: tolerancePercent,
+                      })}
+                    </p>
+                  </Banner>
+                )}
                 {product?.variants.edges.length > 0 ? (
                   <DataTable
                     columnContentTypes={[
                       "text",
                       "text",
+                      "text",
+                      "numeric",
                       "numeric",
                       "numeric",
                       "numeric",
+                      ...inventory.locations.map(() => "text"),
                       "text",
                       "text",
                     ]}
                     headings={[
-                      "Variant",
-                      "SKU",
-                      "Price",
-                      "Compare Price",
-                      "Inventory",
-                      "Available",
-                      "Weight",
+                      t("column.variant"),
+                      t("column.sku"),
+                      t("column.barcode"),
+                      t("column.price"),
+                      t("column.calculatedPrice"),
+                      t("column.comparePrice"),
+                      t("column.inventory"),
+                      ...inventory.locations.map((location) => location.name),
+                      t("column.available"),
+                      t("column.weight"),
                     ]}
                     rows={variantRows}
                   />
                 ) : (
                   <Text as="p" tone="subdued">
-                    No variants available
+                    {t("product.noVariants")}
                   </Text>
                 )}
               </BlockStack>
             </Card>
+
+            {/* Inventory adjustments */}
+            {adjustmentRows.length > 0 && (
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">
+                    {t("product.adjustments")}
+                  </Text>
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "text", "text", "text"]}
+                    headings={[
+                      t("column.date"),
+                      t("column.variant"),
+                      t("column.location"),
+                      t("column.change"),
+                      t("column.reason"),
+                      t("column.note"),
+                    ]}
+                    rows={adjustmentRows}
+                  />
+                </BlockStack>
+              </Card>
+            )}
           </BlockStack>
         </Layout.Section>
       </Layout>
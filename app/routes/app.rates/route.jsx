@@ -0,0 +1,264 @@
+import { useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineGrid,
+  TextField,
+  Select,
+  DataTable,
+  Divider,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import {
+  getMetalRates,
+  getRateHistory,
+  saveMetalRates,
+} from "../../models/metalRate.server";
+import {
+  getShopSettings,
+  saveShopSettings,
+} from "../../models/settings.server";
+import {
+  MAKING_CHARGE_TYPES,
+  METALS,
+  metalLabel,
+} from "../../utils/pricing";
+import { useI18n } from "../../components/I18nProvider";
+
+export async function loader({ request }) {
+  const { session, staff } = await authenticateStaff(request);
+
+  const [rates, history, settings] = await Promise.all([
+    getMetalRates(session.shop),
+    getRateHistory(session.shop),
+    getShopSettings(session.shop),
+  ]);
+
+  return { rates, history, settings, staff };
+}
+
+function parseAmount(value) {
+  if (value === null || value === "") return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+}
+
+// Errors are translation keys, shown in the staff member's language
+export async function action({ request }) {
+  const { session } = await authenticateStaff(request, "manageRates");
+  const formData = await request.formData();
+  const errors = {};
+  const rates = [];
+  const cleared = [];
+
+  for (const { key } of METALS) {
+    if (!formData.has(`${key}.ratePerGram`)) continue;
+
+    const ratePerGram = parseAmount(formData.get(`${key}.ratePerGram`));
+    const makingChargeValue =
+      parseAmount(formData.get(`${key}.makingChargeValue`)) ?? 0;
+    const makingChargeType = formData.get(`${key}.makingChargeType`);
+
+    // Metals without a rate are not sold by the shop, so clearing a rate
+    // removes it
+    if (ratePerGram === null) {
+      cleared.push(key);
+      continue;
+    }
+
+    if (Number.isNaN(ratePerGram) || ratePerGram === 0) {
+      errors[key] = "rates.errors.rate";
+      continue;
+    }
+
+    if (Number.isNaN(makingChargeValue)) {
+      errors[key] = "rates.errors.makingCharge";
+      continue;
+    }
+
+    if (!MAKING_CHARGE_TYPES.some(({ value }) => value === makingChargeType)) {
+      errors[key] = "rates.errors.makingChargeType";
+      continue;
+    }
+
+    rates.push({ metal: key, ratePerGram, makingChargeType, makingChargeValue });
+  }
+
+  const priceTolerancePercent = parseAmount(
+    formData.get("priceTolerancePercent"),
+  );
+  if (priceTolerancePercent === null || Number.isNaN(priceTolerancePercent)) {
+    errors.priceTolerancePercent = "rates.errors.tolerance";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  await saveMetalRates(session.shop, rates, cleared);
+  await saveShopSettings(session.shop, { priceTolerancePercent });
+
+  return { saved: true };
+}
+
+function toFormState(rates, settings) {
+  return {
+    priceTolerancePercent: String(settings.priceTolerancePercent),
+    ...Object.fromEntries(
+      rates.flatMap((rate) => [
+        [`${rate.metal}.ratePerGram`, rate.ratePerGram?.toString() ?? ""],
+        [`${rate.metal}.makingChargeType`, rate.makingChargeType],
+        [`${rate.metal}.makingChargeValue`, rate.makingChargeValue.toString()],
+      ]),
+    ),
+  };
+}
+
+export default function MetalRatesPage() {
+  const { rates, history, settings, staff } = useLoaderData();
+  const { t, money, currencySymbol } = useI18n();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const [form, setForm] = useState(() => toFormState(rates, settings));
+
+  const saving = navigation.state === "submitting";
+  const errors = actionData?.errors || {};
+
+  useEffect(() => {
+    if (actionData?.saved) {
+      shopify.toast.show(t("rates.saved"));
+    }
+  }, [actionData, t]);
+
+  const handleChange = (field) => (value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSave = () => submit(form, { method: "post" });
+
+  const formatRate = (rate) => money(rate);
+
+  const historyRows = history.map((entry) => [
+    entry.effectiveDate,
+    metalLabel(entry.metal),
+    formatRate(entry.ratePerGram),
+  ]);
+
+  return (
+    <Page
+      title={t("nav.rates")}
+      primaryAction={
+        staff.permissions.manageRates
+          ? { content: t("common.save"), onAction: handleSave, loading: saving }
+          : undefined
+      }
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {t("rates.today")}
+                </Text>
+                <Text as="p" tone="subdued">
+                  {t("rates.todayHelp")}
+                </Text>
+                {rates.map((rate) => (
+                  <BlockStack gap="200" key={rate.metal}>
+                    <Divider />
+                    <InlineGrid columns={{ xs: 1, md: 4 }} gap="300">
+                      <Text as="h3" fontWeight="semibold">
+                        {rate.label}
+                      </Text>
+                      <TextField
+                        label={t("rates.ratePerGram")}
+                        type="number"
+                        prefix={currencySymbol}
+                        autoComplete="off"
+                        value={form[`${rate.metal}.ratePerGram`]}
+                        onChange={handleChange(`${rate.metal}.ratePerGram`)}
+                        error={errors[rate.metal] && t(errors[rate.metal])}
+                      />
+                      <Select
+                        label={t("rates.makingCharge")}
+                        options={MAKING_CHARGE_TYPES.map(({ value }) => ({
+                          label: t(`rates.makingChargeType.${value}`),
+                          value,
+                        }))}
+                        value={form[`${rate.metal}.makingChargeType`]}
+                        onChange={handleChange(`${rate.metal}.makingChargeType`)}
+                      />
+                      <TextField
+                        label={t("rates.makingChargeValue")}
+                        type="number"
+                        autoComplete="off"
+                        value={form[`${rate.metal}.makingChargeValue`]}
+                        onChange={handleChange(`${rate.metal}.makingChargeValue`)}
+                      />
+                    </InlineGrid>
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {t("rates.priceCheck")}
+                </Text>
+                <TextField
+                  label={t("rates.tolerance")}
+                  type="number"
+                  suffix="%"
+                  autoComplete="off"
+                  helpText={t("rates.toleranceHelp")}
+                  value={form.priceTolerancePercent}
+                  onChange={handleChange("priceTolerancePercent")}
+                  error={
+                    errors.priceTolerancePercent && t(errors.priceTolerancePercent)
+                  }
+                />
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                {t("rates.history")}
+              </Text>
+              {historyRows.length > 0 ? (
+                <DataTable
+                  columnContentTypes={["text", "text", "numeric"]}
+                  headings={[
+                    t("column.date"),
+                    t("column.metal"),
+                    t("rates.ratePerGramShort"),
+                  ]}
+                  rows={historyRows}
+                />
+              ) : (
+                <Text as="p" tone="subdued">
+                  {t("rates.noHistory")}
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
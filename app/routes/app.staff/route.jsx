@@ -0,0 +1,164 @@
+import { useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  Badge,
+  Select,
+  List,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import {
+  isAccountOwner,
+  listStaff,
+  setStaffRole,
+} from "../../models/staff.server";
+import { ROLES, isRole } from "../../utils/roles";
+import { useI18n } from "../../components/I18nProvider";
+
+export async function loader({ request }) {
+  const { session } = await authenticateStaff(request, "manageStaff");
+  const staff = await listStaff(session.shop);
+
+  return { staff };
+}
+
+// Errors are translation keys, shown in the staff member's language
+export async function action({ request }) {
+  const { session } = await authenticateStaff(request, "manageStaff");
+  const formData = await request.formData();
+  const roles = JSON.parse(formData.get("roles"));
+
+  const errors = {};
+  for (const [userId, role] of Object.entries(roles)) {
+    if (!isRole(role)) {
+      errors[userId] = "staff.errors.role";
+    } else if (await isAccountOwner(session.shop, userId)) {
+      errors[userId] = "staff.errors.accountOwner";
+    }
+  }
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  for (const [userId, role] of Object.entries(roles)) {
+    await setStaffRole(session.shop, userId, role);
+  }
+  return { saved: true };
+}
+
+export default function StaffPage() {
+  const { staff } = useLoaderData();
+  const { t } = useI18n();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const [roles, setRoles] = useState(() =>
+    Object.fromEntries(staff.map((member) => [member.userId, member.role])),
+  );
+
+  const saving = navigation.state === "submitting";
+  const errors = actionData?.errors || {};
+
+  useEffect(() => {
+    if (actionData?.saved) {
+      shopify.toast.show(t("staff.saved"));
+    }
+  }, [actionData, t]);
+
+  const changedRoles = Object.fromEntries(
+    staff
+      .filter((member) => member.role !== roles[member.userId])
+      .map((member) => [member.userId, roles[member.userId]]),
+  );
+
+  const rows = staff.map((member) => [
+    <BlockStack key={member.userId} gap="050">
+      <Text as="span" fontWeight="semibold">
+        {member.name || member.email || t("staff.user", { id: member.userId })}
+      </Text>
+      {member.name && member.email && (
+        <Text as="span" tone="subdued">
+          {member.email}
+        </Text>
+      )}
+    </BlockStack>,
+    member.accountOwner ? (
+      <Badge key={`role-${member.userId}`}>{t("staff.accountOwner")}</Badge>
+    ) : (
+      <Select
+        key={`role-${member.userId}`}
+        label={t("staff.roleFor", { name: member.name || member.email })}
+        labelHidden
+        options={ROLES.map((role) => ({
+          label: t(`staff.role.${role}`),
+          value: role,
+        }))}
+        value={roles[member.userId]}
+        error={errors[member.userId] && t(errors[member.userId])}
+        onChange={(value) =>
+          setRoles((current) => ({ ...current, [member.userId]: value }))
+        }
+      />
+    ),
+  ]);
+
+  return (
+    <Page
+      title={t("nav.staff")}
+      primaryAction={{
+        content: t("common.save"),
+        loading: saving,
+        disabled: Object.keys(changedRoles).length === 0,
+        onAction: () =>
+          submit({ roles: JSON.stringify(changedRoles) }, { method: "post" }),
+      }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="p" tone="subdued">
+                {t("staff.help")}
+              </Text>
+              <DataTable
+                columnContentTypes={["text", "text"]}
+                headings={[t("staff.member"), t("staff.roleColumn")]}
+                rows={rows}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="200">
+              <Text variant="headingMd" as="h2">
+                {t("staff.roles")}
+              </Text>
+              <List>
+                {ROLES.map((role) => (
+                  <List.Item key={role}>
+                    <Text as="span" fontWeight="semibold">
+                      {t(`staff.role.${role}`)}
+                    </Text>
+                    {` — ${t(`staff.roleDescription.${role}`)}`}
+                  </List.Item>
+                ))}
+              </List>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
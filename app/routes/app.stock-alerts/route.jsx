@@ -0,0 +1,317 @@
+import { useEffect, useState } from "react";
+import {
+  Link,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Button,
+  Banner,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import { isMailConfigured } from "../../mailer.server";
+import { listCatalogCollections } from "../../models/catalog.server";
+import {
+  getLowStockProducts,
+  getStockThresholds,
+  sendLowStockDigest,
+  setStockThreshold,
+} from "../../models/stockAlert.server";
+import {
+  getShopSettings,
+  saveShopSettings,
+} from "../../models/settings.server";
+import {
+  validateEmailList,
+  validateThreshold,
+} from "../../utils/stockAlerts";
+import { useI18n } from "../../components/I18nProvider";
+
+export async function loader({ request }) {
+  const { session, staff } = await authenticateStaff(request);
+
+  const [lowStock, collections, thresholds, settings] = await Promise.all([
+    getLowStockProducts(session.shop),
+    listCatalogCollections(session.shop),
+    getStockThresholds(session.shop),
+    getShopSettings(session.shop),
+  ]);
+
+  return {
+    lowStock,
+    collections: collections.map((collection) => ({
+      id: collection.id,
+      title: collection.title,
+      threshold: thresholds.collections[collection.id] ?? null,
+    })),
+    alertEmails: settings.alertEmails,
+    mailConfigured: isMailConfigured(),
+    staff,
+  };
+}
+
+// Errors are translation keys, or { key, values } for the digest addresses
+export async function action({ request }) {
+  const { session } = await authenticateStaff(request, "editCatalog");
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "saveThresholds") {
+    const values = JSON.parse(formData.get("thresholds"));
+    const errors = {};
+    Object.entries(values).forEach(([collectionId, value]) => {
+      const error = validateThreshold(value);
+      if (error) errors[collectionId] = error;
+    });
+    if (Object.keys(errors).length > 0) {
+      return { intent, errors };
+    }
+
+    for (const [collectionId, value] of Object.entries(values)) {
+      await setStockThreshold(session.shop, {
+        scopeType: "collection",
+        scopeId: collectionId,
+        threshold: String(value).trim(),
+      });
+    }
+    return { intent, saved: true };
+  }
+
+  if (intent === "saveDigest") {
+    const alertEmails = formData.get("alertEmails").trim();
+    const error = validateEmailList(alertEmails);
+    if (error) {
+      return { intent, errors: { alertEmails: error } };
+    }
+
+    await saveShopSettings(session.shop, { alertEmails: alertEmails || null });
+    return { intent, saved: true };
+  }
+
+  if (intent === "sendDigest") {
+    try {
+      const result = await sendLowStockDigest(session.shop);
+      return { intent, result };
+    } catch (error) {
+      return {
+        intent,
+        errors: {
+          send: { key: "stockAlerts.sendFailed", values: { error: error.message } },
+        },
+      };
+    }
+  }
+
+  throw new Response("Unknown intent", { status: 400 });
+}
+
+function ProductLink({ product }) {
+  const numericId = product.id.split("/").pop();
+  return <Link to={`/app/products/${numericId}`}>{product.title}</Link>;
+}
+
+export default function StockAlertsPage() {
+  const { lowStock, collections, alertEmails, mailConfigured, staff } =
+    useLoaderData();
+  const { t, message, number } = useI18n();
+  const canEdit = staff.permissions.editCatalog;
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const [thresholds, setThresholds] = useState(() =>
+    Object.fromEntries(
+      collections.map((collection) => [
+        collection.id,
+        collection.threshold?.toString() ?? "",
+      ]),
+    ),
+  );
+  const [emails, setEmails] = useState(alertEmails);
+
+  const pendingIntent =
+    navigation.state === "submitting" ? navigation.formData?.get("intent") : null;
+  const errors = actionData?.errors || {};
+
+  useEffect(() => {
+    if (actionData?.saved) {
+      shopify.toast.show(
+        t(
+          actionData.intent === "saveDigest"
+            ? "stockAlerts.digestSaved"
+            : "stockAlerts.thresholdsSaved",
+        ),
+      );
+    }
+    if (actionData?.result) {
+      shopify.toast.show(
+        actionData.result.sent
+          ? t("stockAlerts.digestSent", { count: actionData.result.recipients })
+          : t(actionData.result.reason),
+      );
+    }
+  }, [actionData, t]);
+
+  const changedThresholds = Object.fromEntries(
+    collections
+      .filter(
+        (collection) =>
+          (collection.threshold?.toString() ?? "") !== thresholds[collection.id],
+      )
+      .map((collection) => [collection.id, thresholds[collection.id]]),
+  );
+
+  const lowStockRows = lowStock.map((product) => [
+    <ProductLink key={product.id} product={product} />,
+    number(product.units),
+    number(product.threshold),
+    product.collections.join(", ") || t("stockAlerts.productThreshold"),
+  ]);
+
+  const thresholdRows = collections.map((collection) => [
+    collection.title,
+    <TextField
+      key={collection.id}
+      label={t("stockAlerts.thresholdFor", { title: collection.title })}
+      labelHidden
+      type="number"
+      min={0}
+      autoComplete="off"
+      placeholder={t("stockAlerts.off")}
+      value={thresholds[collection.id]}
+      error={errors[collection.id] && t(errors[collection.id])}
+      onChange={(value) =>
+        setThresholds((current) => ({ ...current, [collection.id]: value }))
+      }
+    />,
+  ]);
+
+  return (
+    <Page title={t("nav.stockAlerts")}>
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {t("stockAlerts.runningLow", { count: number(lowStock.length) })}
+                </Text>
+                {lowStockRows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={["text", "numeric", "numeric", "text"]}
+                    headings={[
+                      t("column.product"),
+                      t("stockAlerts.units"),
+                      t("stockAlert.alertBelow"),
+                      t("stockAlerts.watchedBy"),
+                    ]}
+                    rows={lowStockRows}
+                  />
+                ) : (
+                  <Text as="p" tone="subdued">
+                    {t("stockAlerts.noneLow")}
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd" as="h2">
+                    {t("stockAlerts.collectionThresholds")}
+                  </Text>
+                  <Button
+                    variant="primary"
+                    disabled={
+                      !canEdit || Object.keys(changedThresholds).length === 0
+                    }
+                    loading={pendingIntent === "saveThresholds"}
+                    onClick={() =>
+                      submit(
+                        {
+                          intent: "saveThresholds",
+                          thresholds: JSON.stringify(changedThresholds),
+                        },
+                        { method: "post" },
+                      )
+                    }
+                  >
+                    {t("common.save")}
+                  </Button>
+                </InlineStack>
+                <Text as="p" tone="subdued">
+                  {t("stockAlerts.thresholdsHelp")}
+                </Text>
+                <DataTable
+                  columnContentTypes={["text", "text"]}
+                  headings={[t("stockAlerts.collection"), t("stockAlert.alertBelow")]}
+                  rows={thresholdRows}
+                />
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                {t("stockAlerts.digest")}
+              </Text>
+              {!mailConfigured && (
+                <Banner tone="warning">
+                  <p>{t("stockAlerts.mailNotConfigured")}</p>
+                </Banner>
+              )}
+              <TextField
+                label={t("stockAlerts.sendTo")}
+                autoComplete="off"
+                helpText={t("stockAlerts.sendToHelp")}
+                value={emails}
+                error={errors.alertEmails && message(errors.alertEmails)}
+                onChange={setEmails}
+              />
+              {errors.send && (
+                <Text as="p" tone="critical">
+                  {message(errors.send)}
+                </Text>
+              )}
+              <InlineStack gap="200" align="end">
+                <Button
+                  disabled={!canEdit || !mailConfigured || !alertEmails}
+                  loading={pendingIntent === "sendDigest"}
+                  onClick={() => submit({ intent: "sendDigest" }, { method: "post" })}
+                >
+                  {t("stockAlerts.sendNow")}
+                </Button>
+                <Button
+                  variant="primary"
+                  disabled={!canEdit || emails === alertEmails}
+                  loading={pendingIntent === "saveDigest"}
+                  onClick={() =>
+                    submit(
+                      { intent: "saveDigest", alertEmails: emails },
+                      { method: "post" },
+                    )
+                  }
+                >
+                  {t("common.save")}
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
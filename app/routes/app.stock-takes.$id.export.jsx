@@ -0,0 +1,47 @@
+import { authenticateStaff } from "../staff.server";
+import { getStockTake } from "../models/stockTake.server";
+import { REPORT_SECTIONS } from "../utils/stockTake";
+import { CSV_BOM, csvRow } from "../utils/csv";
+
+const REPORT_HEADERS = [
+  "Section",
+  "Product",
+  "Barcode",
+  "Expected",
+  "Scanned",
+  "Difference",
+];
+
+export async function loader({ request, params }) {
+  const { session } = await authenticateStaff(request, "exportData");
+  const stockTake = await getStockTake(session.shop, params.id);
+
+  if (!stockTake.report) {
+    throw new Response("Close the stock take to export its report", {
+      status: 409,
+    });
+  }
+
+  const lines = [CSV_BOM + csvRow(REPORT_HEADERS)];
+  REPORT_SECTIONS.forEach(({ key, label }) => {
+    stockTake.report[key].forEach((row) => {
+      lines.push(
+        csvRow([
+          label,
+          row.title || "",
+          row.barcode,
+          row.expected ?? "",
+          row.scanned,
+          row.difference ?? "",
+        ]),
+      );
+    });
+  });
+
+  return new Response(lines.join(""), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="stock-take-${stockTake.id}.csv"`,
+    },
+  });
+}
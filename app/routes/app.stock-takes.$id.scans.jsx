@@ -0,0 +1,23 @@
+import { authenticateStaff } from "../staff.server";
+import { addScan, removeScan } from "../models/stockTake.server";
+import { normalizeBarcode } from "../utils/stockTake";
+
+// Called with fetch for every scan so a fast scanner never waits on a page
+// revalidation between pieces.
+export async function action({ request, params }) {
+  const { session } = await authenticateStaff(request, "countStock");
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "remove") {
+    const count = await removeScan(session.shop, params.id, formData.get("scanId"));
+    return Response.json({ count });
+  }
+
+  const barcode = normalizeBarcode(formData.get("barcode"));
+  if (!barcode) {
+    throw new Response("Barcode is required", { status: 400 });
+  }
+
+  return Response.json(await addScan(session.shop, params.id, barcode));
+}
@@ -0,0 +1,370 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineGrid,
+  Form,
+  TextField,
+  Banner,
+  Badge,
+  Button,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import { closeStockTake, getStockTake } from "../../models/stockTake.server";
+import { REPORT_SECTIONS } from "../../utils/stockTake";
+import { downloadBlob } from "../../utils/download";
+import { useI18n } from "../../components/I18nProvider";
+
+const RECENT_SCANS = 50;
+
+export async function loader({ request, params }) {
+  const { session, staff } = await authenticateStaff(request);
+  const stockTake = await getStockTake(session.shop, params.id);
+
+  return { stockTake, staff };
+}
+
+export async function action({ request, params }) {
+  const { admin, session } = await authenticateStaff(request, "reconcileStock");
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "close") {
+    await closeStockTake(admin, session.shop, params.id);
+    return { closed: true };
+  }
+
+  throw new Response("Unknown intent", { status: 400 });
+}
+
+function ScanPanel({ stockTake }) {
+  const { t, number, date } = useI18n();
+  const [barcode, setBarcode] = useState("");
+  const [scans, setScans] = useState(stockTake.recentScans);
+  const [count, setCount] = useState(stockTake.scanCount);
+  const [pending, setPending] = useState(0);
+  // { key, values } of the message to show, translated when it is shown
+  const [error, setError] = useState(null);
+  // Scans are posted one after another so the count always matches the list
+  const queue = useRef(Promise.resolve());
+
+  useEffect(() => {
+    setScans(stockTake.recentScans);
+    setCount(stockTake.scanCount);
+  }, [stockTake]);
+
+  const post = (fields, onSuccess, onFailure) => {
+    const body = new FormData();
+    Object.entries(fields).forEach(([key, value]) => body.append(key, value));
+
+    setPending((current) => current + 1);
+    queue.current = queue.current.then(async () => {
+      try {
+        const response = await fetch(`/app/stock-takes/${stockTake.id}/scans`, {
+          method: "POST",
+          body,
+        });
+        if (!response.ok) {
+          throw new Error(`status ${response.status}`);
+        }
+        onSuccess(await response.json());
+      } catch (requestError) {
+        onFailure(requestError);
+      } finally {
+        setPending((current) => current - 1);
+      }
+    });
+  };
+
+  // USB scanners type the code and press Enter, which submits the form
+  const handleScan = () => {
+    const code = barcode.trim();
+    if (!code) return;
+
+    const pendingId = `pending-${crypto.randomUUID()}`;
+    setBarcode("");
+    setScans((current) =>
+      [{ id: pendingId, barcode: code, pending: true }, ...current].slice(
+        0,
+        RECENT_SCANS,
+      ),
+    );
+
+    post(
+      { intent: "scan", barcode: code },
+      (result) => {
+        setScans((current) =>
+          current.map((scan) => (scan.id === pendingId ? result.scan : scan)),
+        );
+        setCount(result.count);
+      },
+      (requestError) => {
+        setScans((current) => current.filter((scan) => scan.id !== pendingId));
+        setError({
+          key: "stockTake.scanNotSaved",
+          values: { code, reason: requestError.message },
+        });
+      },
+    );
+  };
+
+  const handleRemove = (scanId) => {
+    post(
+      { intent: "remove", scanId },
+      (result) => {
+        setScans((current) => current.filter((scan) => scan.id !== scanId));
+        setCount(result.count);
+      },
+      (requestError) => {
+        setError({
+          key: "stockTake.removeFailed",
+          values: { reason: requestError.message },
+        });
+      },
+    );
+  };
+
+  const formatTime = (dateString) => date(dateString, "time");
+
+  const rows = scans.map((scan) => [
+    scan.barcode,
+    scan.pending ? t("stockTake.saving") : formatTime(scan.scannedAt),
+    scan.pending ? (
+      ""
+    ) : (
+      <Button
+        key={`remove-${scan.id}`}
+        size="slim"
+        variant="plain"
+        tone="critical"
+        onClick={() => handleRemove(scan.id)}
+      >
+        {t("stockTake.remove")}
+      </Button>
+    ),
+  ]);
+
+  return (
+    <BlockStack gap="500">
+      {error && (
+        <Banner tone="critical" onDismiss={() => setError(null)}>
+          <p>{t(error.key, error.values)}</p>
+        </Banner>
+      )}
+
+      <Card>
+        <BlockStack gap="400">
+          <Form onSubmit={handleScan}>
+            <TextField
+              label={t("stockTake.scanBarcode")}
+              helpText={t("stockTake.scanHelp")}
+              value={barcode}
+              onChange={setBarcode}
+              autoComplete="off"
+              focused
+            />
+          </Form>
+          <Text variant="headingLg" as="p">
+            {t("stockTake.scanned", { count: number(count) })}
+            {pending > 0 && ` ${t("stockTake.pending", { count: pending })}`}
+          </Text>
+        </BlockStack>
+      </Card>
+
+      <Card>
+        <BlockStack gap="400">
+          <Text variant="headingMd" as="h2">
+            {t("stockTake.latestScans")}
+          </Text>
+          {rows.length > 0 ? (
+            <DataTable
+              columnContentTypes={["text", "text", "text"]}
+              headings={[t("column.barcode"), t("stockTake.scannedAt"), ""]}
+              rows={rows}
+            />
+          ) : (
+            <Text as="p" tone="subdued">
+              {t("stockTake.nothingScanned")}
+            </Text>
+          )}
+        </BlockStack>
+      </Card>
+    </BlockStack>
+  );
+}
+
+function StockTakeReport({ report }) {
+  const { t, number } = useI18n();
+  const { summary } = report;
+
+  const summaryItems = [
+    ["stockTake.expectedUnits", summary.expectedUnits],
+    ["stockTake.scans", summary.scans],
+    ["stockTake.matched", summary.matchedUnits],
+    ["stockTake.missing", summary.missingUnits],
+    ["stockTake.extra", summary.extraUnits],
+    ["stockTake.duplicates", summary.duplicateScans],
+    ["stockTake.unknown", summary.unknownScans],
+  ];
+
+  const sectionRows = (key) =>
+    report[key].map((row) =>
+      key === "unknown"
+        ? [row.barcode, row.scanned.toString()]
+        : [
+            row.title,
+            row.barcode,
+            row.expected.toString(),
+            row.scanned.toString(),
+            row.difference > 0 ? `+${row.difference}` : row.difference.toString(),
+          ],
+    );
+
+  return (
+    <BlockStack gap="500">
+      <Card>
+        <InlineGrid columns={{ xs: 2, md: 7 }} gap="300">
+          {summaryItems.map(([label, value]) => (
+            <BlockStack gap="100" key={label}>
+              <Text as="p" tone="subdued">
+                {t(label)}
+              </Text>
+              <Text variant="headingLg" as="p">
+                {number(value)}
+              </Text>
+            </BlockStack>
+          ))}
+        </InlineGrid>
+      </Card>
+
+      {REPORT_SECTIONS.map(({ key }) => (
+        <Card key={key}>
+          <BlockStack gap="400">
+            <Text variant="headingMd" as="h2">
+              {t(`stockTake.section.${key}`, { count: report[key].length })}
+            </Text>
+            {report[key].length === 0 ? (
+              <Text as="p" tone="subdued">
+                {t("stockTake.sectionEmpty")}
+              </Text>
+            ) : key === "unknown" ? (
+              <DataTable
+                columnContentTypes={["text", "numeric"]}
+                headings={[t("column.barcode"), t("stockTake.scans")]}
+                rows={sectionRows(key)}
+              />
+            ) : (
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "numeric", "numeric"]}
+                headings={[
+                  t("column.product"),
+                  t("column.barcode"),
+                  t("stockTake.expected"),
+                  t("stockTake.scannedCount"),
+                  t("stockTake.difference"),
+                ]}
+                rows={sectionRows(key)}
+              />
+            )}
+          </BlockStack>
+        </Card>
+      ))}
+    </BlockStack>
+  );
+}
+
+export default function StockTakePage() {
+  const { stockTake, staff } = useLoaderData();
+  const { t } = useI18n();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+  const submit = useSubmit();
+  const [exporting, setExporting] = useState(false);
+
+  const isOpen = stockTake.status === "open";
+  const closing = navigation.state === "submitting";
+
+  const handleClose = () => {
+    if (
+      confirm(
+        t("stockTake.confirmClose", {
+          count: stockTake.scanCount,
+          scope: stockTake.scopeTitle,
+        }),
+      )
+    ) {
+      submit({ intent: "close" }, { method: "post" });
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await fetch(`/app/stock-takes/${stockTake.id}/export`);
+      if (!response.ok) {
+        throw new Error(t("stockTake.exportFailed", { status: response.status }));
+      }
+      downloadBlob(
+        await response.blob(),
+        `Stock_Take_${stockTake.scopeTitle}_${stockTake.closedAt.split("T")[0]}.csv`,
+      );
+    } catch (error) {
+      shopify.toast.show(error.message, { isError: true });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  let stockTakeAction;
+  if (isOpen && staff.permissions.reconcileStock) {
+    stockTakeAction = {
+      content: t("stockTake.close"),
+      loading: closing,
+      onAction: handleClose,
+    };
+  } else if (!isOpen && staff.permissions.exportData) {
+    stockTakeAction = {
+      content: t("stockTake.export"),
+      loading: exporting,
+      onAction: handleExport,
+    };
+  }
+
+  return (
+    <Page
+      title={stockTake.name}
+      subtitle={t(`stockTake.subtitle.${stockTake.scopeType}`, {
+        scope: stockTake.scopeTitle,
+      })}
+      titleMetadata={
+        <Badge tone={isOpen ? "attention" : "success"}>
+          {t(isOpen ? "stockTake.inProgress" : "stockTake.closed")}
+        </Badge>
+      }
+      backAction={{
+        content: t("nav.stockTakes"),
+        onAction: () => navigate("/app/stock-takes"),
+      }}
+      primaryAction={stockTakeAction}
+    >
+      <Layout>
+        <Layout.Section>
+          {isOpen ? (
+            <ScanPanel stockTake={stockTake} />
+          ) : (
+            <StockTakeReport report={stockTake.report} />
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
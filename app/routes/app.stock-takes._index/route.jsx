@@ -0,0 +1,200 @@
+import { useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigate,
+  useNavigation,
+  useSubmit,
+} from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  DataTable,
+  Text,
+  BlockStack,
+  InlineGrid,
+  InlineStack,
+  TextField,
+  Select,
+  Badge,
+  Button,
+} from "@shopify/polaris";
+import { authenticateStaff } from "../../staff.server";
+import {
+  createStockTake,
+  getStockTakeScopes,
+  getStockTakes,
+} from "../../models/stockTake.server";
+import { STOCK_TAKE_SCOPES } from "../../utils/stockTake";
+import { formatDate as formatShortDate } from "../../utils/format";
+import { useI18n } from "../../components/I18nProvider";
+
+export async function loader({ request }) {
+  const { admin, session, staff } = await authenticateStaff(request);
+
+  const [stockTakes, scopes] = await Promise.all([
+    getStockTakes(session.shop),
+    getStockTakeScopes(admin),
+  ]);
+
+  return { stockTakes, scopes, staff };
+}
+
+export async function action({ request }) {
+  const { admin, session, redirect } = await authenticateStaff(request, "reconcileStock");
+  const formData = await request.formData();
+  const scopeType = formData.get("scopeType");
+  const scopeId = formData.get("scopeId");
+  const name = formData.get("name")?.trim();
+
+  const scopes = await getStockTakeScopes(admin);
+  const scope = (
+    scopeType === "location" ? scopes.locations : scopes.collections
+  ).find((option) => option.id === scopeId);
+
+  if (!scope) {
+    return { errors: { scopeId: "stockTake.errors.scope" } };
+  }
+
+  const stockTake = await createStockTake(session.shop, {
+    name: name || `${scope.title} — ${formatShortDate(new Date(), { style: "short" })}`,
+    scopeType,
+    scopeId,
+    scopeTitle: scope.title,
+  });
+
+  return redirect(`/app/stock-takes/${stockTake.id}`);
+}
+
+export default function StockTakesPage() {
+  const { stockTakes, scopes, staff } = useLoaderData();
+  const { t, number, date } = useI18n();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const navigate = useNavigate();
+  const submit = useSubmit();
+
+  const [name, setName] = useState("");
+  const [scopeType, setScopeType] = useState("collection");
+  const [scopeId, setScopeId] = useState("");
+
+  const scopeOptions =
+    scopeType === "location" ? scopes.locations : scopes.collections;
+
+  const handleScopeTypeChange = (value) => {
+    setScopeType(value);
+    setScopeId("");
+  };
+
+  const handleStart = () => {
+    submit({ name, scopeType, scopeId }, { method: "post" });
+  };
+
+  const formatDate = (dateString) => date(dateString, "dateTime");
+
+  const rows = stockTakes.map((stockTake) => [
+    <Button
+      key={`open-${stockTake.id}`}
+      variant="plain"
+      onClick={() => navigate(`/app/stock-takes/${stockTake.id}`)}
+    >
+      {stockTake.name}
+    </Button>,
+    stockTake.scopeTitle,
+    formatDate(stockTake.createdAt),
+    number(stockTake.scanCount),
+    <Badge
+      key={`status-${stockTake.id}`}
+      tone={stockTake.status === "open" ? "attention" : "success"}
+    >
+      {t(stockTake.status === "open" ? "stockTake.inProgress" : "stockTake.closed")}
+    </Badge>,
+  ]);
+
+  return (
+    <Page title={t("nav.stockTakes")}>
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="500">
+            {staff.permissions.reconcileStock && (
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">
+                    {t("stockTake.start")}
+                  </Text>
+                  <InlineGrid columns={{ xs: 1, md: 3 }} gap="300">
+                    <Select
+                      label={t("stockTake.countBy")}
+                      options={STOCK_TAKE_SCOPES.map(({ value }) => ({
+                        label: t(`stockTake.scope.${value}`),
+                        value,
+                      }))}
+                      value={scopeType}
+                      onChange={handleScopeTypeChange}
+                    />
+                    <Select
+                      label={t(`stockTake.scope.${scopeType}`)}
+                      options={[
+                        { label: t("stockTake.choose"), value: "" },
+                        ...scopeOptions.map((option) => ({
+                          label: option.title,
+                          value: option.id,
+                        })),
+                      ]}
+                      value={scopeId}
+                      error={actionData?.errors?.scopeId && t(actionData.errors.scopeId)}
+                      onChange={setScopeId}
+                    />
+                    <TextField
+                      label={t("stockTake.name")}
+                      placeholder={t("stockTake.optional")}
+                      autoComplete="off"
+                      value={name}
+                      onChange={setName}
+                    />
+                  </InlineGrid>
+                  <InlineStack>
+                    <Button
+                      variant="primary"
+                      onClick={handleStart}
+                      disabled={!scopeId}
+                      loading={navigation.state === "submitting"}
+                    >
+                      {t("stockTake.startScanning")}
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            )}
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {t("stockTake.sessions")}
+                </Text>
+                {rows.length > 0 ? (
+                  <DataTable
+                    columnContentTypes={["text", "text", "text", "numeric", "text"]}
+                    headings={[
+                      t("stockTake.name"),
+                      t("stockTake.counting"),
+                      t("stockTake.started"),
+                      t("stockTake.scans"),
+                      t("column.status"),
+                    ]}
+                    rows={rows}
+                  />
+                ) : (
+                  <Text as="p" tone="subdued">
+                    {t("stockTake.none")}
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,8 @@
+import { processWebhook } from "../webhooks.server";
+import { syncCatalogCollection } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ admin, shop, payload }) => {
+    await syncCatalogCollection(admin, shop, payload.admin_graphql_api_id);
+  });
+};
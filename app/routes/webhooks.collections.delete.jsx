@@ -0,0 +1,11 @@
+import { processWebhook } from "../webhooks.server";
+import { removeCatalogCollection } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ shop, payload }) => {
+    await removeCatalogCollection(
+      shop,
+      `gid://shopify/Collection/${payload.id}`,
+    );
+  });
+};
@@ -0,0 +1,10 @@
+import { processWebhook } from "../webhooks.server";
+import { invalidateCollectionStats } from "../models/collectionStats.server";
+import { syncCatalogCollection } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ admin, shop, payload }) => {
+    await syncCatalogCollection(admin, shop, payload.admin_graphql_api_id);
+    await invalidateCollectionStats(shop, [payload.admin_graphql_api_id]);
+  });
+};
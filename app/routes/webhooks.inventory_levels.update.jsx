@@ -0,0 +1,16 @@
+import { processWebhook } from "../webhooks.server";
+import { invalidateInventoryItemCollectionStats } from "../models/collectionStats.server";
+import { setCatalogInventoryLevel } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ admin, shop, payload }) => {
+    const inventoryItemId = `gid://shopify/InventoryItem/${payload.inventory_item_id}`;
+
+    await setCatalogInventoryLevel(admin, shop, {
+      inventoryItemId,
+      locationId: `gid://shopify/Location/${payload.location_id}`,
+      available: payload.available ?? 0,
+    });
+    await invalidateInventoryItemCollectionStats(shop, inventoryItemId);
+  });
+};
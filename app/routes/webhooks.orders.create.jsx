@@ -0,0 +1,8 @@
+import { processWebhook } from "../webhooks.server";
+import { syncOrderSales } from "../models/sales.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ admin, shop, payload }) => {
+    await syncOrderSales(admin, shop, payload.admin_graphql_api_id);
+  });
+};
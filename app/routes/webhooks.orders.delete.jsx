@@ -0,0 +1,8 @@
+import { processWebhook } from "../webhooks.server";
+import { removeOrderSales } from "../models/sales.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ shop, payload }) => {
+    await removeOrderSales(shop, `gid://shopify/Order/${payload.id}`);
+  });
+};
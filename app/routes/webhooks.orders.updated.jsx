@@ -0,0 +1,9 @@
+import { processWebhook } from "../webhooks.server";
+import { syncOrderSales } from "../models/sales.server";
+
+// Edits, refunds and cancellations all arrive as order updates
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ admin, shop, payload }) => {
+    await syncOrderSales(admin, shop, payload.admin_graphql_api_id);
+  });
+};
@@ -0,0 +1,14 @@
+import { processWebhook } from "../webhooks.server";
+import { refreshHuidRecord } from "../models/huid.server";
+import { invalidateProductCollectionStats } from "../models/collectionStats.server";
+import { syncCatalogProduct } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ admin, shop, payload }) => {
+    const productId = payload.admin_graphql_api_id;
+
+    await syncCatalogProduct(admin, shop, productId);
+    await refreshHuidRecord(admin, shop, productId);
+    await invalidateProductCollectionStats(shop, productId);
+  });
+};
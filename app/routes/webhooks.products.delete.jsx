@@ -0,0 +1,15 @@
+import { processWebhook } from "../webhooks.server";
+import { removeHuidRecord } from "../models/huid.server";
+import { invalidateProductCollectionStats } from "../models/collectionStats.server";
+import { removeCatalogProduct } from "../models/catalog.server";
+
+export const action = async ({ request }) => {
+  return processWebhook(request, async ({ shop, payload }) => {
+    const productId = `gid://shopify/Product/${payload.id}`;
+
+    // Its collections are read from the mirror, before it is removed there
+    await invalidateProductCollectionStats(shop, productId);
+    await removeCatalogProduct(shop, productId);
+    await removeHuidRecord(shop, productId);
+  });
+};
@@ -15,6 +15,9 @@ const shopify = shopifyApp({
   appUrl: process.env.SHOPIFY_APP_URL || "",
   authPathPrefix: "/auth",
   sessionStorage: new PrismaSessionStorage(prisma),
+  // Online sessions identify the staff member so their role can be applied;
+  // the offline session is still stored for webhooks and crons
+  useOnlineTokens: true,
   distribution: AppDistribution.SingleMerchant, // Changed from AppStore
   ...(process.env.SHOP_CUSTOM_DOMAIN
     ? { customShopDomains: [process.env.SHOP_CUSTOM_DOMAIN] }
@@ -0,0 +1,49 @@
+import { authenticate } from "./shopify.server";
+import { getStaffRole } from "./models/staff.server";
+import { auditedAdmin } from "./audit.server";
+import { DEFAULT_ROLE, permissionsFor, roleCan } from "./utils/roles";
+
+/**
+ * Authenticates an admin request and works out the staff member's role from
+ * their online session. With a `permission`, staff whose role lacks it get a
+ * 403. Returns the authenticate.admin context, with an admin client whose
+ * mutations are audited under this staff member, plus
+ * `staff` ({ userId, name, email, locale, role, permissions }), safe to send
+ * to the page.
+ */
+export async function authenticateStaff(request, permission) {
+  const context = await authenticate.admin(request);
+  const { session } = context;
+  const user = session.onlineAccessInfo?.associated_user;
+
+  let role = DEFAULT_ROLE;
+  if (user?.account_owner) {
+    role = "owner";
+  } else if (user?.id) {
+    role = await getStaffRole(session.shop, user.id);
+  }
+
+  if (permission) requirePermission(role, permission);
+
+  const staff = {
+    userId: user?.id ? String(user.id) : null,
+    name: [user?.first_name, user?.last_name].filter(Boolean).join(" "),
+    email: user?.email || null,
+    locale: user?.locale || null,
+    role,
+    permissions: permissionsFor(role),
+  };
+
+  return {
+    ...context,
+    admin: auditedAdmin(context.admin, { shop: session.shop, actor: staff }),
+    staff,
+  };
+}
+
+// For actions whose permission depends on the intent
+export function requirePermission(role, permission) {
+  if (!roleCan(role, permission)) {
+    throw new Response("Your role does not allow this", { status: 403 });
+  }
+}
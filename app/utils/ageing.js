@@ -0,0 +1,38 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Age buckets in days since the piece came in; `max` is exclusive. Labels
+// are for exports; pages show the ageing.bucket.<key> translation.
+export const AGE_BUCKETS = [
+  { key: "0-90", label: "0–90 days", min: 0, max: 90 },
+  { key: "90-180", label: "90–180 days", min: 90, max: 180 },
+  { key: "180-365", label: "180–365 days", min: 180, max: 365 },
+  { key: "365+", label: "365+ days", min: 365, max: null },
+];
+
+export function findAgeBucket(key) {
+  return AGE_BUCKETS.find((bucket) => bucket.key === key) || null;
+}
+
+// When the piece came into stock: the inward_date attribute, else the date
+// the product was created
+export function inwardDate(jewellery, createdAt) {
+  const inward = jewellery?.inward_date ? new Date(jewellery.inward_date) : null;
+  return inward && !Number.isNaN(inward.getTime()) ? inward : new Date(createdAt);
+}
+
+export function ageInDays(date, now = new Date()) {
+  return Math.max(0, Math.floor((now - new Date(date)) / DAY_MS));
+}
+
+export function ageBucketFor(days) {
+  return AGE_BUCKETS.find(
+    (bucket) => days >= bucket.min && (bucket.max === null || days < bucket.max),
+  );
+}
+
+// The inward dates a bucket covers, as a { gt, lte } range for a query
+export function inwardRange(bucket, now = new Date()) {
+  const range = { lte: new Date(now - bucket.min * DAY_MS) };
+  if (bucket.max !== null) range.gt = new Date(now - bucket.max * DAY_MS);
+  return range;
+}
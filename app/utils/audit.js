@@ -0,0 +1,47 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AUDIT_ACTIONS = {
+  "inventory.adjust": "Inventory adjusted",
+  "variant.price": "Price changed",
+  "product.update": "Product edited",
+  "variant.update": "Variant edited",
+  "product.status": "Status changed",
+  "product.collections": "Collections changed",
+  "tags.add": "Tags added",
+  "tags.remove": "Tags removed",
+  "metafield.set": "Attribute set",
+  "metafield.delete": "Attribute cleared",
+};
+
+export function actionLabel(action) {
+  return AUDIT_ACTIONS[action] || action;
+}
+
+function parseDay(value) {
+  if (!DATE_PATTERN.test(value || "")) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Filters from the audit page's URL. `to` covers the whole of its day.
+export function parseAuditFilters(searchParams) {
+  const to = parseDay(searchParams.get("to"));
+
+  return {
+    userId: searchParams.get("user") || null,
+    from: parseDay(searchParams.get("from")),
+    to: to ? new Date(to.getTime() + DAY_MS) : null,
+    product: searchParams.get("product")?.trim() || null,
+  };
+}
+
+// "price: 1200.00" style summary of a before or after value
+export function formatAuditValue(value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value !== "object") return String(value);
+
+  return Object.entries(value)
+    .map(([key, entry]) => `${key}: ${entry ?? "—"}`)
+    .join(", ");
+}
@@ -0,0 +1,92 @@
+import { parseTags } from "./productEdit";
+
+// Bulk actions on products selected in a collection table. `input` names the
+// value the action needs: tags, a status or another collection. Labels are
+// for the audit log; pages show the bulkEdit.action.<key> translation.
+export const BULK_ACTIONS = [
+  { key: "addTags", label: "Add tags", input: "tags" },
+  { key: "removeTags", label: "Remove tags", input: "tags" },
+  { key: "setStatus", label: "Set status", input: "status" },
+  { key: "addToCollection", label: "Add to collection", input: "collection" },
+  {
+    key: "removeFromCollection",
+    label: "Remove from collection",
+    input: "collection",
+  },
+  { key: "moveToCollection", label: "Move to collection", input: "collection" },
+];
+
+// Pages show the productStatus.<value> translation
+export const PRODUCT_STATUSES = [
+  { label: "Active", value: "ACTIVE" },
+  { label: "Draft", value: "DRAFT" },
+  { label: "Archived", value: "ARCHIVED" },
+];
+
+export function findBulkAction(key) {
+  return BULK_ACTIONS.find((action) => action.key === key) || null;
+}
+
+/**
+ * Reads the JSON a bulk edit form posts. Returns null unless it names a known
+ * action and lists product IDs, which the form always sends.
+ */
+export function parseBulkEdit(json) {
+  let edit;
+  try {
+    edit = JSON.parse(json);
+  } catch {
+    return null;
+  }
+
+  if (
+    !edit ||
+    typeof edit !== "object" ||
+    !findBulkAction(edit.action) ||
+    !Array.isArray(edit.productIds) ||
+    !edit.productIds.every((id) => typeof id === "string")
+  ) {
+    return null;
+  }
+  return edit;
+}
+
+/**
+ * Field errors, as translation keys, for a bulk edit of { action,
+ * productIds, tags, status, collectionId }. `sourceCollectionId` is the collection the products were
+ * picked from, which a move cannot target.
+ */
+export function validateBulkEdit(edit, sourceCollectionId) {
+  const errors = {};
+  const action = findBulkAction(edit.action);
+
+  if (!action) {
+    errors.action = "bulkEdit.errors.action";
+    return errors;
+  }
+  if (!Array.isArray(edit.productIds) || edit.productIds.length === 0) {
+    errors.productIds = "bulkEdit.errors.productIds";
+  }
+
+  if (action.input === "tags" && parseTags(edit.tags).length === 0) {
+    errors.tags = "bulkEdit.errors.tags";
+  }
+  if (
+    action.input === "status" &&
+    !PRODUCT_STATUSES.some((status) => status.value === edit.status)
+  ) {
+    errors.status = "bulkEdit.errors.status";
+  }
+  if (action.input === "collection") {
+    if (!edit.collectionId) {
+      errors.collectionId = "bulkEdit.errors.collection";
+    } else if (
+      action.key === "moveToCollection" &&
+      edit.collectionId === sourceCollectionId
+    ) {
+      errors.collectionId = "bulkEdit.errors.sameCollection";
+    }
+  }
+
+  return errors;
+}
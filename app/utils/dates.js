@@ -0,0 +1,10 @@
+// Stock and rates are tracked per Indian business day, whatever the
+// server's timezone
+export const BUSINESS_TIMEZONE = "Asia/Kolkata";
+
+// Midnight UTC of the current business day, ready for a `@db.Date` column
+export function tradingDate(date = new Date()) {
+  return new Date(
+    date.toLocaleDateString("en-CA", { timeZone: BUSINESS_TIMEZONE }),
+  );
+}
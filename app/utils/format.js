@@ -0,0 +1,119 @@
+import { BUSINESS_TIMEZONE } from "./dates";
+import { DEFAULT_WEIGHT_DISPLAY, gramsToTola } from "./weight";
+
+export const DEFAULT_CURRENCY = "INR";
+
+const LAKH = 100000;
+const CRORE = 10000000;
+
+// Short forms for the Indian number units, per language
+const SHORT_UNITS = {
+  en: { lakh: "L", crore: "Cr", tola: "tola" },
+  hi: { lakh: "लाख", crore: "करोड़", tola: "तोला" },
+  gu: { lakh: "લાખ", crore: "કરોડ", tola: "તોલા" },
+};
+
+// Every language is formatted for India: lakh grouping (12,34,567) and
+// Latin digits
+export function intlLocale(language = "en") {
+  return `${language}-IN`;
+}
+
+export function formatNumber(value, { language, maximumFractionDigits = 0 } = {}) {
+  return new Intl.NumberFormat(intlLocale(language), {
+    maximumFractionDigits,
+  }).format(Number(value) || 0);
+}
+
+/**
+ * 1234567 as "12.35 L" and 123456789 as "12.35 Cr", in the language's
+ * words for lakh and crore. Values under a lakh are written in full.
+ */
+export function formatShortNumber(value, { language = "en" } = {}) {
+  const number = Number(value) || 0;
+  const units = SHORT_UNITS[language] || SHORT_UNITS.en;
+  const magnitude = Math.abs(number);
+
+  if (magnitude >= CRORE) {
+    return `${formatNumber(number / CRORE, { language, maximumFractionDigits: 2 })} ${units.crore}`;
+  }
+  if (magnitude >= LAKH) {
+    return `${formatNumber(number / LAKH, { language, maximumFractionDigits: 2 })} ${units.lakh}`;
+  }
+  return formatNumber(number, { language });
+}
+
+// The narrow symbol for a currency, e.g. ₹ for INR
+export function currencySymbol(currencyCode = DEFAULT_CURRENCY, { language } = {}) {
+  return new Intl.NumberFormat(intlLocale(language), {
+    style: "currency",
+    currency: currencyCode || DEFAULT_CURRENCY,
+    currencyDisplay: "narrowSymbol",
+  })
+    .formatToParts(0)
+    .find((part) => part.type === "currency").value;
+}
+
+/**
+ * Formats an amount in `currencyCode` (the shop's currency unless given),
+ * e.g. ₹12,34,567.00. With `short`, amounts of a lakh or more are written
+ * as ₹12.35 L.
+ */
+export function formatMoney(
+  amount,
+  currencyCode = DEFAULT_CURRENCY,
+  { language, short = false } = {},
+) {
+  const number = Number(amount) || 0;
+  const currency = currencyCode || DEFAULT_CURRENCY;
+
+  if (short && Math.abs(number) >= LAKH) {
+    return `${currencySymbol(currency, { language })}${formatShortNumber(number, { language })}`;
+  }
+
+  return new Intl.NumberFormat(intlLocale(language), {
+    style: "currency",
+    currency,
+    currencyDisplay: "narrowSymbol",
+  }).format(number);
+}
+
+export function formatGrams(grams, { language } = {}) {
+  return `${formatNumber(grams, { language, maximumFractionDigits: 2 })} g`;
+}
+
+/**
+ * A weight in grams as "12.5 g", "1.07 tola" or "12.5 g (1.07 tola)", as
+ * set by the staff member's weight display. Missing weights give "—".
+ */
+export function formatWeight(
+  grams,
+  { language = "en", display = DEFAULT_WEIGHT_DISPLAY } = {},
+) {
+  if (grams === null || grams === undefined) return "—";
+
+  const units = SHORT_UNITS[language] || SHORT_UNITS.en;
+  const tola = `${formatNumber(gramsToTola(grams), { language, maximumFractionDigits: 3 })} ${units.tola}`;
+
+  if (display === "tola") return tola;
+  if (display === "both") return `${formatGrams(grams, { language })} (${tola})`;
+  return formatGrams(grams, { language });
+}
+
+const DATE_STYLES = {
+  date: { year: "numeric", month: "long", day: "numeric" },
+  short: { dateStyle: "medium" },
+  dateTime: { dateStyle: "medium", timeStyle: "short" },
+  time: { timeStyle: "medium" },
+};
+
+/**
+ * Dates are always shown in Indian time, so the server render and the
+ * browser agree. `style` is "date", "short", "dateTime" or "time".
+ */
+export function formatDate(value, { language, style = "date" } = {}) {
+  return new Date(value).toLocaleString(intlLocale(language), {
+    ...DATE_STYLES[style],
+    timeZone: BUSINESS_TIMEZONE,
+  });
+}
@@ -0,0 +1,88 @@
+import en from "../locales/en";
+import hi from "../locales/hi";
+import gu from "../locales/gu";
+import {
+  DEFAULT_CURRENCY,
+  currencySymbol,
+  formatDate,
+  formatGrams,
+  formatMoney,
+  formatNumber,
+  formatShortNumber,
+  formatWeight,
+  intlLocale,
+} from "./format";
+import { DEFAULT_WEIGHT_DISPLAY } from "./weight";
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const LANGUAGES = [
+  { value: "en", label: "English" },
+  { value: "hi", label: "हिन्दी" },
+  { value: "gu", label: "ગુજરાતી" },
+];
+
+const DICTIONARIES = { en, hi, gu };
+
+// Shopify session locales look like "hi", "hi-IN" or "en-GB"
+export function languageFromLocale(locale) {
+  const language = String(locale || "").toLowerCase().split(/[-_]/)[0];
+  return DICTIONARIES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+function interpolate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name] === undefined ? match : String(values[name]),
+  );
+}
+
+export function translate(language, key, values = {}) {
+  let entry = DICTIONARIES[language]?.[key] ?? en[key];
+  if (entry === undefined) return key;
+
+  if (typeof entry === "object") {
+    const category = new Intl.PluralRules(intlLocale(language)).select(
+      Number(values.count) || 0,
+    );
+    entry = entry[category] ?? entry.other;
+  }
+
+  return interpolate(entry, values);
+}
+
+/**
+ * Binds the translator and the shared formatters to one language, currency
+ * and weight display, so pages can call `t("key")`, `money(amount)` and
+ * `weight(grams)` directly. `currencySymbol` is the shop currency's symbol,
+ * for amount fields.
+ */
+export function createFormatter({
+  language = DEFAULT_LANGUAGE,
+  currencyCode = DEFAULT_CURRENCY,
+  weightDisplay = DEFAULT_WEIGHT_DISPLAY,
+} = {}) {
+  return {
+    language,
+    currencyCode,
+    weightDisplay,
+    t: (key, values) => translate(language, key, values),
+    // Errors and warnings from the server are a key or { key, values }
+    message: (entry) =>
+      typeof entry === "string"
+        ? translate(language, entry)
+        : translate(language, entry.key, entry.values),
+    money: (amount, options = {}) =>
+      formatMoney(amount, options.currencyCode || currencyCode, {
+        language,
+        short: options.short,
+      }),
+    currencySymbol: currencySymbol(currencyCode, { language }),
+    number: (value, options = {}) =>
+      formatNumber(value, { ...options, language }),
+    shortNumber: (value) => formatShortNumber(value, { language }),
+    grams: (grams) => formatGrams(grams, { language }),
+    weight: (grams) =>
+      formatWeight(grams, { language, display: weightDisplay }),
+    date: (value, style) => formatDate(value, { language, style }),
+  };
+}
@@ -0,0 +1,135 @@
+import { parseWeightText } from "./weight";
+
+export const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+export const IMPORT_MAX_ROWS = 5000;
+
+// Header names are matched without case. The layouts of "Export Current
+// Page" and "Export Collection" are both accepted; see mapImportRows for
+// what is read from each.
+export const IMPORT_COLUMNS = [
+  { key: "productId", headers: ["product id"] },
+  { key: "title", headers: ["product name", "title"] },
+  { key: "variant", headers: ["variant"] },
+  { key: "sku", headers: ["sku"] },
+  { key: "barcode", headers: ["barcode"] },
+  { key: "weight", headers: ["weight"] },
+  { key: "weightUnit", headers: ["weight unit"] },
+  { key: "price", headers: ["price"] },
+  { key: "currency", headers: ["currency"] },
+  { key: "location", headers: ["location"] },
+  { key: "stock", headers: ["available units", "stock", "quantity"] },
+];
+
+export const MATCH_KEYS = ["productId", "sku", "barcode"];
+const UPDATE_KEYS = ["weight", "price", "barcode", "stock"];
+
+// Columns of "Export Current Page", which lists products rather than
+// variants
+export const PAGE_EXPORT_HEADERS = [
+  "Product Name",
+  "Weight",
+  "Price",
+  "Currency",
+  "Barcode",
+  "Available Units",
+];
+
+export const IMPORT_FIELD_LABELS = {
+  weight: "Weight",
+  price: "Price",
+  barcode: "Barcode",
+  stock: "Stock",
+};
+
+// Exports write these for missing values; they mean "leave as is"
+const BLANK_VALUES = ["", "n/a", "na", "-", "—"];
+
+export function cleanCell(value) {
+  const text = String(value ?? "").trim();
+  return BLANK_VALUES.includes(text.toLowerCase()) ? "" : text;
+}
+
+function isPageExport(names) {
+  return (
+    names.length === PAGE_EXPORT_HEADERS.length &&
+    PAGE_EXPORT_HEADERS.every((header) => names.includes(header.toLowerCase()))
+  );
+}
+
+/**
+ * Turns a table of cells whose first row holds the headers into
+ * { rows: [{ line, values }], notices, error }. `line` is the spreadsheet row
+ * number and `values` is keyed by IMPORT_COLUMNS key. `notices` and `error`
+ * are translation keys.
+ *
+ * Stock is a quantity at one location, so it is only read alongside a
+ * Location column. A page export gives each product's lowest price and total
+ * stock rather than a variant's, so neither is read from one.
+ */
+export function mapImportRows(table) {
+  const [headers = [], ...body] = table;
+  const names = headers.map((header) => String(header ?? "").trim().toLowerCase());
+  const found = names.map(
+    (name) => IMPORT_COLUMNS.find((column) => column.headers.includes(name))?.key,
+  );
+  const notices = [];
+  let ignored = [];
+
+  if (isPageExport(names)) {
+    ignored = ["price", "stock"];
+    notices.push("import.notices.pageExport");
+  } else if (found.includes("stock") && !found.includes("location")) {
+    ignored = ["stock"];
+    notices.push("import.notices.noLocation");
+  }
+  const columns = found.map((key) => (ignored.includes(key) ? undefined : key));
+
+  if (!MATCH_KEYS.some((key) => columns.includes(key))) {
+    return { rows: [], notices, error: "import.errors.noMatchColumn" };
+  }
+  if (!UPDATE_KEYS.some((key) => columns.includes(key))) {
+    return { rows: [], notices, error: "import.errors.noUpdateColumn" };
+  }
+  if (body.length > IMPORT_MAX_ROWS) {
+    return { rows: [], notices, error: "import.errors.tooManyRows" };
+  }
+
+  // Blank rows are skipped but still counted, so lines match the file
+  const rows = body
+    .map((cells = [], index) => {
+      const values = {};
+      columns.forEach((key, column) => {
+        if (key && values[key] === undefined) values[key] = cleanCell(cells[column]);
+      });
+      return { line: index + 2, values };
+    })
+    .filter(({ values }) => Object.values(values).some(Boolean));
+  return { rows, notices, error: null };
+}
+
+export function parsePrice(text) {
+  const amount = String(text).replace(/[₹,\s]/g, "");
+  if (!/^\d+(\.\d{1,2})?$/.test(amount) || Number(amount) <= 0) {
+    return { error: "import.warnings.price" };
+  }
+  return { value: Number(amount).toFixed(2) };
+}
+
+export function parseStock(text) {
+  const quantity = String(text).replace(/,/g, "");
+  if (!/^\d+$/.test(quantity)) {
+    return { error: "import.warnings.stock" };
+  }
+  return { value: Number(quantity) };
+}
+
+// Weights without a unit are in grams, the unit exports are written in
+export function parseImportWeight(values) {
+  return parseWeightText(values.weight, values.weightUnit, "GRAMS");
+}
+
+// "gid://shopify/Product/123" or "123"
+export function productGidFromCell(value) {
+  const id = String(value).split("/").pop();
+  return /^\d+$/.test(id) ? `gid://shopify/Product/${id}` : null;
+}
@@ -0,0 +1,51 @@
+export const ADJUSTMENT_MODES = [
+  { label: "Adjust by", value: "adjust" },
+  { label: "Set to", value: "set" },
+];
+
+// Shopify only accepts its own reason codes, so ours are mapped onto the
+// closest one and kept in full in the adjustment log.
+export const ADJUSTMENT_REASONS = [
+  { label: "Sold offline", value: "sold_offline", shopifyReason: "other" },
+  { label: "Damaged", value: "damaged", shopifyReason: "damaged" },
+  {
+    label: "Transferred",
+    value: "transferred",
+    shopifyReason: "movement_created",
+  },
+  { label: "Correction", value: "correction", shopifyReason: "correction" },
+];
+
+export function reasonLabel(value) {
+  return (
+    ADJUSTMENT_REASONS.find((reason) => reason.value === value)?.label || value
+  );
+}
+
+// Errors are translation keys
+export function validateAdjustment({ mode, quantity, reason }) {
+  const errors = {};
+
+  if (!ADJUSTMENT_MODES.some((option) => option.value === mode)) {
+    errors.mode = "inventory.errors.mode";
+  }
+
+  if (!/^-?\d+$/.test(String(quantity ?? "").trim())) {
+    errors.quantity = "inventory.errors.wholeNumber";
+  } else if (mode === "set" && Number(quantity) < 0) {
+    errors.quantity = "inventory.errors.negative";
+  } else if (mode === "adjust" && Number(quantity) === 0) {
+    errors.quantity = "inventory.errors.zero";
+  }
+
+  if (!ADJUSTMENT_REASONS.some((option) => option.value === reason)) {
+    errors.reason = "inventory.errors.reason";
+  }
+
+  return errors;
+}
+
+// The quantity a level will have once the adjustment goes through
+export function adjustedQuantity(current, { mode, quantity }) {
+  return mode === "set" ? Number(quantity) : current + Number(quantity);
+}
@@ -0,0 +1,169 @@
+export const JEWELLERY_NAMESPACE = "jewellery";
+
+export const METAL_OPTIONS = ["Gold", "Silver", "Platinum"];
+
+// Purities accepted in the purity metafield and the metal rate each is priced at
+export const PURITIES = [
+  { value: "24K", metal: "Gold", rateKey: "GOLD_24K" },
+  { value: "22K", metal: "Gold", rateKey: "GOLD_22K" },
+  { value: "18K", metal: "Gold", rateKey: "GOLD_18K" },
+  { value: "14K", metal: "Gold", rateKey: "GOLD_14K" },
+  { value: "999", metal: "Silver", rateKey: "SILVER" },
+  { value: "925", metal: "Silver", rateKey: "SILVER" },
+  { value: "950", metal: "Platinum", rateKey: "PLATINUM" },
+];
+
+// Labels are English for the audit log; pages show the
+// jewellery.field.<key> translation, and metal options jewellery.metal.<value>
+export const PRODUCT_FIELDS = [
+  {
+    key: "metal",
+    label: "Metal",
+    type: "single_line_text_field",
+    options: METAL_OPTIONS,
+  },
+  {
+    key: "purity",
+    label: "Karat / purity",
+    type: "single_line_text_field",
+    options: PURITIES.map((purity) => purity.value),
+  },
+  { key: "making_charge", label: "Making charge (₹)", type: "number_decimal" },
+  { key: "huid", label: "BIS HUID", type: "single_line_text_field" },
+  { key: "inward_date", label: "Inward date", type: "date" },
+];
+
+export const VARIANT_FIELDS = [
+  { key: "gross_weight", label: "Gross weight (g)", type: "number_decimal" },
+  { key: "net_weight", label: "Net weight (g)", type: "number_decimal" },
+  { key: "stone_weight", label: "Stone weight (ct)", type: "number_decimal" },
+  { key: "stone_count", label: "Stone count", type: "number_integer" },
+];
+
+export const JEWELLERY_FIELDS = [...PRODUCT_FIELDS, ...VARIANT_FIELDS];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// BIS hallmark unique IDs are six letters and digits
+export const HUID_PATTERN = /^[A-Z0-9]{6}$/;
+
+export function normalizeHuid(value) {
+  return String(value ?? "").trim().toUpperCase();
+}
+
+export function fieldLabel(key) {
+  return JEWELLERY_FIELDS.find((field) => field.key === key)?.label || key;
+}
+
+export function rateKeyForPurity(purity) {
+  return PURITIES.find((option) => option.value === purity)?.rateKey || null;
+}
+
+// Turns `metafields(namespace: "jewellery") { nodes { key value } }` into
+// a plain { key: value } object
+export function parseJewelleryMetafields(connection) {
+  return Object.fromEntries(
+    (connection?.nodes || []).map((metafield) => [metafield.key, metafield.value]),
+  );
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Only `fields` are kept; null when a value is not a string
+function pickFieldValues(values, fields) {
+  if (!isObject(values)) return null;
+
+  const picked = {};
+  for (const { key } of fields) {
+    if (values[key] === undefined) continue;
+    if (typeof values[key] !== "string") return null;
+    picked[key] = values[key];
+  }
+  return picked;
+}
+
+/**
+ * Reads the JSON the jewellery form posts as { product, variants } with only
+ * the jewellery fields kept. Returns null when it is not that shape.
+ */
+export function parseJewelleryAttributes(json) {
+  let attributes;
+  try {
+    attributes = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!isObject(attributes) || !isObject(attributes.variants)) return null;
+
+  const product = pickFieldValues(attributes.product, PRODUCT_FIELDS);
+  const variants = Object.entries(attributes.variants).map(([variantId, values]) => [
+    variantId,
+    pickFieldValues(values, VARIANT_FIELDS),
+  ]);
+  if (!product || variants.some(([, values]) => !values)) return null;
+
+  return { product, variants: Object.fromEntries(variants) };
+}
+
+// Errors are translation keys, or { key, values } when they need values
+function validateField(field, value, errors) {
+  if (value === undefined || value === null || value === "") return;
+
+  if (field.options && !field.options.includes(value)) {
+    errors[field.key] = {
+      key: "jewellery.errors.option",
+      values: { options: field.options.join(", ") },
+    };
+  } else if (field.type === "number_decimal") {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      errors[field.key] = "jewellery.errors.number";
+    }
+  } else if (field.type === "number_integer") {
+    if (!/^\d+$/.test(String(value))) {
+      errors[field.key] = "jewellery.errors.wholeNumber";
+    }
+  } else if (field.type === "date") {
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+      errors[field.key] = "jewellery.errors.date";
+    }
+  }
+}
+
+export function validateProductAttributes(values) {
+  const errors = {};
+  PRODUCT_FIELDS.forEach((field) => validateField(field, values[field.key], errors));
+
+  const purity = PURITIES.find((option) => option.value === values.purity);
+  if (!errors.purity && purity && values.metal && purity.metal !== values.metal) {
+    errors.purity = {
+      key: "jewellery.errors.purity",
+      values: { purity: values.purity, metal: values.metal },
+    };
+  }
+
+  if (values.huid && !HUID_PATTERN.test(normalizeHuid(values.huid))) {
+    errors.huid = "jewellery.errors.huid";
+  }
+
+  return errors;
+}
+
+export function validateVariantAttributes(values) {
+  const errors = {};
+  VARIANT_FIELDS.forEach((field) => validateField(field, values[field.key], errors));
+
+  if (
+    !errors.net_weight &&
+    !errors.gross_weight &&
+    values.net_weight &&
+    values.gross_weight &&
+    Number(values.net_weight) > Number(values.gross_weight)
+  ) {
+    errors.net_weight = "jewellery.errors.netWeight";
+  }
+
+  return errors;
+}
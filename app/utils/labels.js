@@ -0,0 +1,263 @@
+// Label stock presets, all sizes in millimetres. Names and labels here are
+// English; pages show the labels.layout.<id>, labels.dimension.<key> and
+// labels.barcode.<value> translations. Sheets are filled left to
+// right, top to bottom; roll stock is one label per page.
+export const LABEL_LAYOUTS = [
+  {
+    id: "dumbbell",
+    name: "Jewellery dumbbell tag (95 × 12 mm roll)",
+    pageWidth: 95,
+    pageHeight: 12,
+    columns: 1,
+    rows: 1,
+    labelWidth: 62,
+    labelHeight: 12,
+    marginTop: 0,
+    marginLeft: 2,
+    gapX: 0,
+    gapY: 0,
+  },
+  {
+    id: "a4-65",
+    name: "A4 sheet, 65 labels (38.1 × 21.2 mm)",
+    pageWidth: 210,
+    pageHeight: 297,
+    columns: 5,
+    rows: 13,
+    labelWidth: 38.1,
+    labelHeight: 21.2,
+    marginTop: 10.7,
+    marginLeft: 4.7,
+    gapX: 2.5,
+    gapY: 0,
+  },
+  {
+    id: "a4-24",
+    name: "A4 sheet, 24 labels (63.5 × 33.9 mm)",
+    pageWidth: 210,
+    pageHeight: 297,
+    columns: 3,
+    rows: 8,
+    labelWidth: 63.5,
+    labelHeight: 33.9,
+    marginTop: 13.1,
+    marginLeft: 7.2,
+    gapX: 2.5,
+    gapY: 0,
+  },
+];
+
+export const LAYOUT_DIMENSIONS = [
+  { key: "pageWidth", label: "Page width (mm)" },
+  { key: "pageHeight", label: "Page height (mm)" },
+  { key: "columns", label: "Columns", integer: true },
+  { key: "rows", label: "Rows", integer: true },
+  { key: "labelWidth", label: "Label width (mm)" },
+  { key: "labelHeight", label: "Label height (mm)" },
+  { key: "marginTop", label: "Top margin (mm)" },
+  { key: "marginLeft", label: "Left margin (mm)" },
+  { key: "gapX", label: "Column gap (mm)" },
+  { key: "gapY", label: "Row gap (mm)" },
+];
+
+export const BARCODE_TYPES = [
+  { label: "Automatic (EAN-13 when valid)", value: "auto" },
+  { label: "Code 128", value: "code128" },
+  { label: "EAN-13", value: "ean13" },
+];
+
+export const DEFAULT_LABEL_LAYOUT = {
+  ...LABEL_LAYOUTS[0],
+  barcodeType: "auto",
+};
+
+const PADDING = 1;
+const CHARACTER_WIDTH = 0.55;
+const PT_PER_MM = 72 / 25.4;
+
+export function isValidEan13(value) {
+  if (!/^\d{13}$/.test(value)) return false;
+
+  const digits = value.split("").map(Number);
+  const sum = digits
+    .slice(0, 12)
+    .reduce((total, digit, index) => total + digit * (index % 2 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === digits[12];
+}
+
+// EAN-13 is only used when the code really is one; anything else, including
+// a forced EAN-13 on a non-numeric SKU, falls back to Code 128.
+export function barcodeSymbology(value, barcodeType = "auto") {
+  if (barcodeType === "code128") return "code128";
+  return isValidEan13(value) ? "ean13" : "code128";
+}
+
+// Form values arrive as strings; blank dimensions become NaN so validation
+// reports them instead of silently using 0.
+export function normalizeLabelLayout(input = {}) {
+  const layout = {
+    id: input.id || "custom",
+    barcodeType: BARCODE_TYPES.some(({ value }) => value === input.barcodeType)
+      ? input.barcodeType
+      : "auto",
+  };
+
+  LAYOUT_DIMENSIONS.forEach(({ key }) => {
+    const value = input[key];
+    layout[key] =
+      value === "" || value === null || value === undefined
+        ? NaN
+        : Number(value);
+  });
+
+  return layout;
+}
+
+// Errors are translation keys, keyed by dimension
+export function validateLabelLayout(layout) {
+  const errors = {};
+
+  LAYOUT_DIMENSIONS.forEach(({ key, integer }) => {
+    const value = layout[key];
+    const allowZero = ["marginTop", "marginLeft", "gapX", "gapY"].includes(key);
+
+    if (!Number.isFinite(value) || value < 0 || (!allowZero && value === 0)) {
+      errors[key] = allowZero ? "labels.errors.zeroOrMore" : "labels.errors.aboveZero";
+    } else if (integer && !Number.isInteger(value)) {
+      errors[key] = "labels.errors.wholeNumber";
+    }
+  });
+
+  if (Object.keys(errors).length > 0) return errors;
+
+  const usedWidth =
+    layout.marginLeft +
+    layout.columns * layout.labelWidth +
+    (layout.columns - 1) * layout.gapX;
+  const usedHeight =
+    layout.marginTop +
+    layout.rows * layout.labelHeight +
+    (layout.rows - 1) * layout.gapY;
+
+  // Allow for rounding in published label sheet measurements
+  if (usedWidth > layout.pageWidth + 0.5) {
+    errors.labelWidth = "labels.errors.tooWide";
+  }
+  if (usedHeight > layout.pageHeight + 0.5) {
+    errors.labelHeight = "labels.errors.tooTall";
+  }
+
+  return errors;
+}
+
+/**
+ * Places labels on pages. Returns one array per page of
+ * { x, y, width, height, label } boxes in millimetres.
+ */
+export function paginateLabels(labels, layout) {
+  const perPage = layout.columns * layout.rows;
+  const pages = [];
+
+  labels.forEach((label, index) => {
+    const slot = index % perPage;
+    if (slot === 0) pages.push([]);
+
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    pages[pages.length - 1].push({
+      x: layout.marginLeft + column * (layout.labelWidth + layout.gapX),
+      y: layout.marginTop + row * (layout.labelHeight + layout.gapY),
+      width: layout.labelWidth,
+      height: layout.labelHeight,
+      label,
+    });
+  });
+
+  return pages;
+}
+
+function fitText(text, width, fontSize) {
+  const maxCharacters = Math.floor(
+    (width * PT_PER_MM) / (fontSize * CHARACTER_WIDTH),
+  );
+  return text.length > maxCharacters
+    ? `${text.slice(0, Math.max(maxCharacters - 1, 1))}…`
+    : text;
+}
+
+function textLines(label) {
+  return [
+    { text: label.title, bold: true },
+    { text: [label.purity, label.netWeight].filter(Boolean).join(" · ") },
+    { text: label.price, bold: true },
+  ].filter((line) => line.text);
+}
+
+/**
+ * What to draw inside one label box: text lines and the barcode, positioned
+ * in millimetres. Long, short boxes (tag wings) put the barcode beside the
+ * text; everything else stacks the text above the barcode.
+ */
+export function labelElements({ x, y, width, height, label }) {
+  const innerX = x + PADDING;
+  const innerY = y + PADDING;
+  const innerWidth = width - PADDING * 2;
+  const innerHeight = height - PADDING * 2;
+  const lines = textLines(label);
+  const sideBySide = width / height >= 3;
+  const elements = [];
+
+  const textArea = sideBySide
+    ? {
+        x: innerX + innerWidth / 2 + PADDING,
+        y: innerY,
+        width: innerWidth / 2 - PADDING,
+        height: innerHeight,
+      }
+    : { x: innerX, y: innerY, width: innerWidth, height: innerHeight * 0.45 };
+  const barcodeArea = sideBySide
+    ? { x: innerX, y: innerY, width: innerWidth / 2, height: innerHeight }
+    : {
+        x: innerX,
+        y: innerY + textArea.height,
+        width: innerWidth,
+        height: innerHeight - textArea.height,
+      };
+
+  const lineHeight = Math.min(textArea.height / Math.max(lines.length, 1), 4);
+  const fontSize = lineHeight * PT_PER_MM * 0.8;
+  lines.forEach((line, index) => {
+    elements.push({
+      type: "text",
+      x: textArea.x,
+      y: textArea.y + lineHeight * (index + 1) - lineHeight * 0.2,
+      fontSize,
+      bold: Boolean(line.bold),
+      text: fitText(line.text, textArea.width, fontSize),
+    });
+  });
+
+  if (label.barcode) {
+    // The human-readable code goes under the bars
+    const captionHeight = Math.min(barcodeArea.height * 0.25, 3);
+    const captionSize = captionHeight * PT_PER_MM * 0.8;
+    elements.push({
+      type: "barcode",
+      x: barcodeArea.x,
+      y: barcodeArea.y,
+      width: barcodeArea.width,
+      height: barcodeArea.height - captionHeight,
+      value: label.barcode,
+    });
+    elements.push({
+      type: "text",
+      x: barcodeArea.x,
+      y: barcodeArea.y + barcodeArea.height - captionHeight * 0.15,
+      fontSize: captionSize,
+      bold: false,
+      text: fitText(label.barcode, barcodeArea.width, captionSize),
+    });
+  }
+
+  return elements;
+}
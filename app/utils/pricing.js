@@ -0,0 +1,115 @@
+import { rateKeyForPurity } from "./jewellery";
+import { toGrams } from "./weight";
+
+export const METALS = [
+  { key: "GOLD_24K", label: "Gold 24K", pattern: /\b24\s*k(t|arat)?\b/i },
+  { key: "GOLD_22K", label: "Gold 22K", pattern: /\b22\s*k(t|arat)?\b/i },
+  { key: "GOLD_18K", label: "Gold 18K", pattern: /\b18\s*k(t|arat)?\b/i },
+  { key: "GOLD_14K", label: "Gold 14K", pattern: /\b14\s*k(t|arat)?\b/i },
+  { key: "SILVER", label: "Silver", pattern: /\b(silver|925)\b/i },
+  { key: "PLATINUM", label: "Platinum", pattern: /\b(platinum|pt\s*950)\b/i },
+];
+
+export const MAKING_CHARGE_TYPES = [
+  { value: "PER_GRAM", label: "Per gram" },
+  { value: "PERCENT", label: "% of metal value" },
+  { value: "FLAT", label: "Flat per piece" },
+];
+
+export function metalLabel(key) {
+  return METALS.find((metal) => metal.key === key)?.label || key;
+}
+
+// Finds the metal from the variant options first, then the product tags and
+// finally the title, e.g. a "22K" tag or a "Silver 925" title.
+export function detectMetal({ title, tags = [], selectedOptions = [] }) {
+  const sources = [
+    ...selectedOptions.map((option) => option.value),
+    ...tags,
+    title || "",
+  ];
+
+  for (const source of sources) {
+    const metal = METALS.find(({ pattern }) => pattern.test(source));
+    if (metal) return metal.key;
+  }
+
+  return null;
+}
+
+/**
+ * Price = metal rate × net weight + making charge, rounded to the paisa.
+ * `rate` is a metal rate row: { ratePerGram, makingChargeType, makingChargeValue }.
+ */
+export function calculatePrice({ weightGrams, rate }) {
+  if (!weightGrams || !rate?.ratePerGram) {
+    return null;
+  }
+
+  const metalValue = weightGrams * rate.ratePerGram;
+  let makingCharge = 0;
+
+  if (rate.makingChargeType === "PERCENT") {
+    makingCharge = (metalValue * rate.makingChargeValue) / 100;
+  } else if (rate.makingChargeType === "FLAT") {
+    makingCharge = rate.makingChargeValue;
+  } else {
+    makingCharge = weightGrams * rate.makingChargeValue;
+  }
+
+  return Math.round((metalValue + makingCharge) * 100) / 100;
+}
+
+export function priceDiffers(price, calculatedPrice, tolerancePercent) {
+  if (calculatedPrice === null || calculatedPrice === undefined) {
+    return false;
+  }
+
+  const difference = Math.abs(Number(price) - calculatedPrice);
+  return difference > (calculatedPrice * tolerancePercent) / 100;
+}
+
+// Net weight in grams: the jewellery metafield, else the shipping weight
+export function variantNetWeight(variant, attributes = variant.jewellery || {}) {
+  return attributes.net_weight
+    ? Number(attributes.net_weight)
+    : toGrams(variant.inventoryItem?.measurement?.weight);
+}
+
+/**
+ * Compares a variant's Shopify price with the price calculated from today's
+ * rates. `rates` is keyed by metal, as returned by `getMetalRateMap`.
+ *
+ * Jewellery metafields win when present: purity picks the rate, net weight
+ * replaces the shipping weight and a making charge replaces the rate's rule.
+ */
+export function variantPriceCheck({ product, variant, rates, tolerancePercent }) {
+  const attributes = { ...product.jewellery, ...variant.jewellery };
+
+  const metal =
+    rateKeyForPurity(attributes.purity) ||
+    detectMetal({
+      title: product.title,
+      tags: product.tags,
+      selectedOptions: variant.selectedOptions,
+    });
+  const weightGrams = variantNetWeight(variant, attributes);
+
+  let rate = metal ? rates[metal] : null;
+  if (rate && attributes.making_charge) {
+    rate = {
+      ...rate,
+      makingChargeType: "FLAT",
+      makingChargeValue: Number(attributes.making_charge),
+    };
+  }
+
+  const calculatedPrice = calculatePrice({ weightGrams, rate });
+
+  return {
+    metal,
+    weightGrams,
+    calculatedPrice,
+    differs: priceDiffers(variant.price, calculatedPrice, tolerancePercent),
+  };
+}
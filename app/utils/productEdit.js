@@ -0,0 +1,244 @@
+// Labels are English; the edit form shows the productEdit.field.<key>
+// translation
+export const PRODUCT_EDIT_FIELDS = [
+  { key: "title", label: "Title" },
+  { key: "vendor", label: "Vendor" },
+  { key: "productType", label: "Product type" },
+  { key: "tags", label: "Tags" },
+  { key: "description", label: "Description" },
+];
+
+export const VARIANT_EDIT_FIELDS = [
+  { key: "sku", label: "SKU" },
+  { key: "barcode", label: "Barcode" },
+  { key: "price", label: "Price" },
+  { key: "compareAtPrice", label: "Compare-at price" },
+];
+
+// Fields that must be unique across the shop's variants
+const IDENTIFIER_FIELDS = VARIANT_EDIT_FIELDS.filter(({ key }) =>
+  ["sku", "barcode"].includes(key),
+);
+
+// SKUs and barcodes are compared without case or surrounding spaces
+export function normalizeIdentifier(value) {
+  return String(value ?? "").trim().toUpperCase();
+}
+
+export function parseTags(value) {
+  return [
+    ...new Set(
+      String(value ?? "")
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean),
+    ),
+  ];
+}
+
+// The edit form's starting values, all strings, from a mirrored product
+export function productFormValues(product) {
+  return {
+    product: {
+      title: product.title || "",
+      vendor: product.vendor || "",
+      productType: product.productType || "",
+      tags: (product.tags || []).join(", "),
+      description: product.description || "",
+    },
+    variants: Object.fromEntries(
+      product.variants.edges.map(({ node }) => [
+        node.id,
+        {
+          sku: node.sku || "",
+          barcode: node.barcode || "",
+          price: node.price || "",
+          compareAtPrice: node.compareAtPrice || "",
+        },
+      ]),
+    ),
+  };
+}
+
+function changedFields(values, saved) {
+  return Object.fromEntries(
+    Object.entries(values).filter(([key, value]) => value !== saved[key]),
+  );
+}
+
+// Only the fields that differ from `saved`, in the same shape; variants
+// without changes are left out
+export function changedFormValues(values, saved) {
+  return {
+    product: changedFields(values.product, saved.product),
+    variants: Object.fromEntries(
+      Object.entries(values.variants)
+        .map(([variantId, variant]) => [
+          variantId,
+          changedFields(variant, saved.variants[variantId] || {}),
+        ])
+        .filter(([, variant]) => Object.keys(variant).length > 0),
+    ),
+  };
+}
+
+export function hasFormChanges(changes) {
+  return (
+    Object.keys(changes.product).length > 0 ||
+    Object.keys(changes.variants).length > 0
+  );
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Only `fields` are kept; null when a value is not a string
+function pickFieldValues(values, fields) {
+  if (!isObject(values)) return null;
+
+  const picked = {};
+  for (const { key } of fields) {
+    if (values[key] === undefined) continue;
+    if (typeof values[key] !== "string") return null;
+    picked[key] = values[key];
+  }
+  return picked;
+}
+
+/**
+ * Reads the JSON the edit form posts as { product, variants }, keeping only
+ * the editable fields. Returns null when it is not that shape.
+ */
+export function parseProductEdit(json) {
+  let changes;
+  try {
+    changes = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!isObject(changes) || !isObject(changes.variants)) return null;
+
+  const product = pickFieldValues(changes.product, PRODUCT_EDIT_FIELDS);
+  const variants = Object.entries(changes.variants).map(([variantId, values]) => [
+    variantId,
+    pickFieldValues(values, VARIANT_EDIT_FIELDS),
+  ]);
+  if (!product || variants.some(([, values]) => !values)) return null;
+
+  return { product, variants: Object.fromEntries(variants) };
+}
+
+function validateProductFields(values) {
+  const errors = {};
+  if (values.title !== undefined && !String(values.title).trim()) {
+    errors.title = "productEdit.errors.title";
+  }
+  return errors;
+}
+
+function isPrice(value) {
+  return /^\d+(\.\d{1,2})?$/.test(String(value).trim());
+}
+
+// `changes` holds the edited fields of a variant and `saved` its current
+// values; the compare-at price is checked whenever either price changes
+function validateVariantFields(changes, saved = {}) {
+  const errors = {};
+  const { price, compareAtPrice } = { ...saved, ...changes };
+
+  if (changes.price !== undefined) {
+    if (!isPrice(price) || Number(price) <= 0) {
+      errors.price = "productEdit.errors.price";
+    }
+  }
+
+  const priceChanged =
+    changes.price !== undefined || changes.compareAtPrice !== undefined;
+  if (priceChanged && String(compareAtPrice ?? "").trim() !== "") {
+    if (!isPrice(compareAtPrice) || Number(compareAtPrice) <= 0) {
+      errors.compareAtPrice = "productEdit.errors.compareAtPrice";
+    } else if (isPrice(price) && Number(compareAtPrice) <= Number(price)) {
+      errors.compareAtPrice = "productEdit.errors.compareAtPriceLow";
+    }
+  }
+
+  return errors;
+}
+
+// Variant IDs whose `key` value is repeated by another variant
+function duplicateVariantValues(variants, key) {
+  const seen = new Map();
+  Object.entries(variants).forEach(([variantId, values]) => {
+    const value = normalizeIdentifier(values[key]);
+    if (!value) return;
+    seen.set(value, [...(seen.get(value) || []), variantId]);
+  });
+
+  return [...seen.values()].filter((ids) => ids.length > 1).flat();
+}
+
+/**
+ * Field errors for `changes` from changedFormValues, as { product, variants }
+ * keyed like the form. Errors are translation keys. `saved` are the form's starting values. SKUs and
+ * barcodes must not repeat between the product's variants.
+ */
+export function validateProductEdit(changes, saved) {
+  const errors = {
+    product: validateProductFields(changes.product),
+    variants: {},
+  };
+
+  Object.entries(changes.variants).forEach(([variantId, values]) => {
+    const variantErrors = validateVariantFields(values, saved.variants[variantId]);
+    if (Object.keys(variantErrors).length > 0) {
+      errors.variants[variantId] = variantErrors;
+    }
+  });
+
+  const merged = Object.fromEntries(
+    Object.entries(saved.variants).map(([variantId, values]) => [
+      variantId,
+      { ...values, ...changes.variants[variantId] },
+    ]),
+  );
+  IDENTIFIER_FIELDS.forEach(({ key }) => {
+    duplicateVariantValues(merged, key)
+      .filter((variantId) => changes.variants[variantId]?.[key] !== undefined)
+      .forEach((variantId) => {
+        errors.variants[variantId] = {
+          ...errors.variants[variantId],
+          [key]: `productEdit.errors.${key}Repeated`,
+        };
+      });
+  });
+
+  return errors;
+}
+
+export function hasFieldErrors(errors) {
+  return (
+    Object.keys(errors.product).length > 0 ||
+    Object.values(errors.variants).some(
+      (variantErrors) => Object.keys(variantErrors).length > 0,
+    )
+  );
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// The mirror keeps the plain-text description, so an edited description is
+// written back as one paragraph per block of text
+export function descriptionHtml(text) {
+  return String(text ?? "")
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => `<p>${escapeHtml(block).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+}
@@ -0,0 +1,22 @@
+// Sorts offered on the collection table, as kept in the `sort` URL parameter
+export const PRODUCT_SORT_KEYS = [
+  "title",
+  "price",
+  "weight",
+  "inventory",
+  "created",
+  "updated",
+  "sellThrough",
+  "daysOfCover",
+];
+
+// "price-desc" to { key, direction }; unknown keys give no sort
+export function parseSort(value) {
+  const [key, direction] = (value || "").split("-");
+  if (!PRODUCT_SORT_KEYS.includes(key)) return null;
+  return { key, direction: direction === "desc" ? "desc" : "asc" };
+}
+
+export function sortParam({ key, direction }) {
+  return `${key}-${direction}`;
+}
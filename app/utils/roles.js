@@ -0,0 +1,40 @@
+// Names and descriptions are the staff.role.<role> and
+// staff.roleDescription.<role> translations
+export const ROLES = ["owner", "manager", "salesperson", "auditor"];
+
+// Staff without an assigned role, and anyone the app cannot identify
+export const DEFAULT_ROLE = "salesperson";
+
+// Roles allowed each permission
+const PERMISSIONS = {
+  // Stock value, revenue and other money figures
+  viewFinancials: ["owner", "manager", "auditor"],
+  // Jewellery attributes, inventory, thresholds, HUIDs and snapshots
+  editCatalog: ["owner", "manager"],
+  // Metal rates and repricing collections
+  manageRates: ["owner", "manager"],
+  countStock: ["owner", "manager", "salesperson", "auditor"],
+  // Starting and closing stock takes
+  reconcileStock: ["owner", "manager", "auditor"],
+  exportData: ["owner", "manager", "auditor"],
+  viewAuditLog: ["owner", "manager", "auditor"],
+  manageStaff: ["owner"],
+};
+
+export function isRole(value) {
+  return ROLES.includes(value);
+}
+
+export function roleCan(role, permission) {
+  return PERMISSIONS[permission]?.includes(role) || false;
+}
+
+// { viewFinancials: true, editCatalog: false, ... } for a role
+export function permissionsFor(role) {
+  return Object.fromEntries(
+    Object.keys(PERMISSIONS).map((permission) => [
+      permission,
+      roleCan(role, permission),
+    ]),
+  );
+}
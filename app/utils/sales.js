@@ -0,0 +1,38 @@
+// Units sold over these windows are shown on the product page
+export const SALES_WINDOWS = [30, 90, 365];
+
+// Sell-through and days of cover are measured over the last quarter
+export const VELOCITY_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the stock available over the window that sold: sold ÷ (sold + on
+// hand). Null when there was nothing to sell.
+export function sellThroughRate(unitsSold, onHand) {
+  const total = unitsSold + Math.max(onHand, 0);
+  return total > 0 ? unitsSold / total : null;
+}
+
+// Days the current stock lasts at the recent rate of sale. Null when nothing
+// sold, since the stock would last indefinitely.
+export function daysOfCover(onHand, unitsSold, days = VELOCITY_DAYS) {
+  if (unitsSold <= 0) return null;
+  return Math.max(onHand, 0) / (unitsSold / days);
+}
+
+export function salesMetrics(unitsSold, onHand) {
+  return {
+    unitsSold,
+    sellThrough: sellThroughRate(unitsSold, onHand),
+    daysOfCover: daysOfCover(onHand, unitsSold),
+  };
+}
+
+// Whether the sales history (an ISO date) starts inside the velocity window,
+// so sell-through and days of cover count fewer days than their labels say
+export function velocityHistoryIsShort(historyFrom) {
+  return (
+    Boolean(historyFrom) &&
+    Date.now() - new Date(historyFrom).getTime() < VELOCITY_DAYS * DAY_MS
+  );
+}
@@ -0,0 +1,96 @@
+export const THRESHOLD_SCOPES = ["collection", "product"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * The threshold that applies to a product. `thresholds` is
+ * { collections: { [id]: n }, products: { [id]: n } }. A product override
+ * wins; otherwise the highest threshold of its collections applies, so a
+ * piece in a bestseller collection is watched as closely as that collection.
+ */
+export function effectiveThreshold({ productId, collectionIds }, thresholds) {
+  const override = thresholds.products[productId];
+  if (override !== undefined) return override;
+
+  const collectionThresholds = collectionIds
+    .map((id) => thresholds.collections[id])
+    .filter((threshold) => threshold !== undefined);
+
+  return collectionThresholds.length > 0
+    ? Math.max(...collectionThresholds)
+    : null;
+}
+
+export function isLowStock(units, threshold) {
+  return threshold !== null && units < threshold;
+}
+
+// Empty clears the threshold. Errors are translation keys.
+export function validateThreshold(value) {
+  const text = String(value ?? "").trim();
+  if (text === "") return null;
+
+  return /^\d+$/.test(text) ? null : "stockAlert.errors.threshold";
+}
+
+export function parseEmailList(value) {
+  return String(value || "")
+    .split(/[,;\s]+/)
+    .map((email) => email.trim())
+    .filter(Boolean);
+}
+
+// Returns null or { key, values } naming the addresses to check
+export function validateEmailList(value) {
+  const invalid = parseEmailList(value).filter(
+    (email) => !EMAIL_PATTERN.test(email),
+  );
+
+  return invalid.length > 0
+    ? { key: "stockAlerts.errors.emails", values: { emails: invalid.join(", ") } }
+    : null;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Subject, plain text and HTML bodies of the daily low-stock email
+export function lowStockDigest({ shop, products }) {
+  const adminUrl = (product) =>
+    `https://${shop}/admin/products/${product.id.split("/").pop()}`;
+  const subject = `${products.length} product${products.length === 1 ? " is" : "s are"} running low`;
+
+  const text = [
+    `${subject} in ${shop}:`,
+    "",
+    ...products.map(
+      (product) =>
+        `- ${product.title}: ${product.units} left (alert below ${product.threshold}) ${adminUrl(product)}`,
+    ),
+  ].join("\n");
+
+  const rows = products
+    .map(
+      (product) => `
+        <tr>
+          <td><a href="${adminUrl(product)}">${escapeHtml(product.title)}</a></td>
+          <td align="right">${product.units}</td>
+          <td align="right">${product.threshold}</td>
+          <td>${escapeHtml(product.collections.join(", "))}</td>
+        </tr>`,
+    )
+    .join("");
+  const html = `
+    <p>${escapeHtml(subject)} in ${escapeHtml(shop)}.</p>
+    <table cellpadding="6" cellspacing="0" border="1">
+      <tr><th>Product</th><th>Units</th><th>Alert below</th><th>Collections</th></tr>
+      ${rows}
+    </table>`;
+
+  return { subject, text, html };
+}
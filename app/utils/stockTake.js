@@ -0,0 +1,104 @@
+export const STOCK_TAKE_SCOPES = [
+  { label: "Collection", value: "collection" },
+  { label: "Location", value: "location" },
+];
+
+export const REPORT_SECTIONS = [
+  { key: "missing", label: "Missing pieces" },
+  { key: "extra", label: "Extra scans" },
+  { key: "duplicates", label: "Duplicate scans" },
+  { key: "unknown", label: "Unknown barcodes" },
+];
+
+export function normalizeBarcode(value) {
+  return String(value ?? "").trim();
+}
+
+/**
+ * Compares the scanned barcodes with the stock Shopify expects.
+ *
+ * `items` are the products in scope: { productId, title, barcodes, expected },
+ * where `barcodes` holds every variant barcode and SKU (labels fall back to the
+ * SKU when a variant has no barcode). `scans` is the list of scanned values.
+ *
+ * Most pieces are one of a kind, so scanning a piece with at most one unit in
+ * stock more than once is reported as a duplicate rather than as extra stock.
+ */
+export function reconcileStockTake({ items, scans }) {
+  const itemByCode = new Map();
+  items.forEach((item) => {
+    item.barcodes.forEach((code) => {
+      if (code && !itemByCode.has(code)) itemByCode.set(code, item);
+    });
+  });
+
+  const scannedByProduct = new Map();
+  const unknown = new Map();
+  scans.forEach((scan) => {
+    const code = normalizeBarcode(scan);
+    const item = itemByCode.get(code);
+
+    if (!item) {
+      unknown.set(code, (unknown.get(code) || 0) + 1);
+      return;
+    }
+
+    const entry = scannedByProduct.get(item.productId) || {
+      count: 0,
+      codes: new Set(),
+    };
+    entry.count += 1;
+    entry.codes.add(code);
+    scannedByProduct.set(item.productId, entry);
+  });
+
+  const missing = [];
+  const extra = [];
+  const duplicates = [];
+  let matchedUnits = 0;
+
+  items.forEach((item) => {
+    const expected = Math.max(item.expected, 0);
+    const scanned = scannedByProduct.get(item.productId);
+    let counted = scanned?.count || 0;
+    const row = {
+      productId: item.productId,
+      title: item.title,
+      barcode: scanned ? [...scanned.codes].join(", ") : item.barcodes[0] || "",
+      expected,
+    };
+
+    if (counted > 1 && expected <= 1) {
+      duplicates.push({ ...row, scanned: counted, difference: counted - 1 });
+      counted = 1;
+    }
+
+    matchedUnits += Math.min(counted, expected);
+    if (counted < expected) {
+      missing.push({ ...row, scanned: counted, difference: counted - expected });
+    } else if (counted > expected) {
+      extra.push({ ...row, scanned: counted, difference: counted - expected });
+    }
+  });
+
+  const sum = (rows, pick) => rows.reduce((total, row) => total + pick(row), 0);
+
+  return {
+    summary: {
+      expectedUnits: sum(items, (item) => Math.max(item.expected, 0)),
+      scans: scans.length,
+      matchedUnits,
+      missingUnits: sum(missing, (row) => -row.difference),
+      extraUnits: sum(extra, (row) => row.difference),
+      duplicateScans: sum(duplicates, (row) => row.difference),
+      unknownScans: sum([...unknown.values()], (count) => count),
+    },
+    missing,
+    extra,
+    duplicates,
+    unknown: [...unknown.entries()].map(([barcode, count]) => ({
+      barcode,
+      scanned: count,
+    })),
+  };
+}
@@ -0,0 +1,78 @@
+const GRAMS_PER_UNIT = {
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.349523125,
+  POUNDS: 453.59237,
+};
+
+// The Indian tola, fixed at 180 grains troy since 1956
+export const GRAMS_PER_TOLA = 11.6638038;
+
+// How a staff member prefers weights to be shown
+export const WEIGHT_DISPLAYS = ["grams", "tola", "both"];
+export const DEFAULT_WEIGHT_DISPLAY = "grams";
+
+// Converts a Shopify `Weight` ({ unit, value }) to grams
+export function toGrams(weight) {
+  if (!weight?.value || !GRAMS_PER_UNIT[weight.unit]) {
+    return null;
+  }
+
+  return Number(weight.value) * GRAMS_PER_UNIT[weight.unit];
+}
+
+export function gramsToTola(grams) {
+  return grams / GRAMS_PER_TOLA;
+}
+
+// Unit names accepted in spreadsheets, mapped to Shopify's WeightUnit
+const UNIT_ALIASES = {
+  g: "GRAMS",
+  gm: "GRAMS",
+  gms: "GRAMS",
+  gram: "GRAMS",
+  grams: "GRAMS",
+  kg: "KILOGRAMS",
+  kilogram: "KILOGRAMS",
+  kilograms: "KILOGRAMS",
+  oz: "OUNCES",
+  ounce: "OUNCES",
+  ounces: "OUNCES",
+  lb: "POUNDS",
+  lbs: "POUNDS",
+  pound: "POUNDS",
+  pounds: "POUNDS",
+  // Shopify has no tola unit, so tola weights are stored as grams
+  tola: "TOLA",
+  tolas: "TOLA",
+  tole: "TOLA",
+};
+
+export function parseWeightUnit(value) {
+  return UNIT_ALIASES[String(value ?? "").trim().toLowerCase()] || null;
+}
+
+/**
+ * Reads a weight typed as "12.5", "12.5 g", "12.5 grams" or "1 tola". `unit`
+ * is a separate unit cell, if any, and `fallbackUnit` is used when neither
+ * gives one. Returns { value, unit } in a Shopify WeightUnit, or { error }
+ * with a translation key or { key, values }.
+ */
+export function parseWeightText(text, unit, fallbackUnit = "GRAMS") {
+  const match = String(text ?? "")
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  if (!match) return { error: "weight.errors.number" };
+
+  const unitText = match[2] || unit;
+  const parsedUnit = unitText ? parseWeightUnit(unitText) : fallbackUnit;
+  if (!parsedUnit) {
+    return { error: { key: "weight.errors.unit", values: { unit: unitText } } };
+  }
+
+  if (parsedUnit === "TOLA") {
+    const grams = Number(match[1]) * GRAMS_PER_TOLA;
+    return { value: Number(grams.toFixed(3)), unit: "GRAMS" };
+  }
+  return { value: Number(match[1]), unit: parsedUnit };
+}
@@ -0,0 +1,94 @@
+import { authenticate } from "./shopify.server";
+import db from "./db.server";
+
+// A delivery still being handled after this long died with its request
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Claims a delivery by its webhook ID. Returns "claimed" when this delivery
+// should run the handler, "duplicate" when an earlier delivery of the same
+// webhook was handled and "processing" while one is still being handled.
+async function claimWebhookEvent({ webhookId, shop, topic, resourceId }) {
+  try {
+    await db.webhookEvent.create({
+      data: { webhookId, shop, topic, resourceId },
+    });
+    return "claimed";
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+  }
+
+  // Shopify retries failed deliveries with the same ID, so those are retried,
+  // as are deliveries that stopped before recording a result
+  const { count } = await db.webhookEvent.updateMany({
+    where: {
+      webhookId,
+      OR: [
+        { status: "failed" },
+        {
+          status: "received",
+          claimedAt: { lt: new Date(Date.now() - PROCESSING_TIMEOUT_MS) },
+        },
+      ],
+    },
+    data: {
+      status: "received",
+      error: null,
+      claimedAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+  if (count > 0) return "claimed";
+
+  const event = await db.webhookEvent.findUnique({
+    where: { webhookId },
+    select: { status: true },
+  });
+  return event?.status === "processed" ? "duplicate" : "processing";
+}
+
+/**
+ * Authenticates a webhook, logs it and runs `handler` once per webhook ID.
+ * Duplicate deliveries are acknowledged without running the handler again.
+ * A delivery that arrives while an earlier one is still running is refused,
+ * and one whose earlier delivery stopped without a result runs again.
+ * A failing handler returns a 500 so Shopify retries the delivery.
+ */
+export async function processWebhook(request, handler) {
+  const context = await authenticate.webhook(request);
+  const { shop, topic, webhookId, payload } = context;
+  // Delete payloads only carry the numeric ID
+  const resourceId =
+    payload?.admin_graphql_api_id || (payload?.id ? String(payload.id) : null);
+
+  console.log(`Received ${topic} webhook ${webhookId} for ${shop}`);
+
+  const claim = await claimWebhookEvent({ webhookId, shop, topic, resourceId });
+  if (claim === "duplicate") {
+    console.log(`Skipped duplicate ${topic} webhook ${webhookId}`);
+    return new Response();
+  }
+  // Not acknowledged, so Shopify delivers it again in case the earlier
+  // delivery never finishes
+  if (claim === "processing") {
+    console.log(`${topic} webhook ${webhookId} is already being handled`);
+    return new Response(null, { status: 409 });
+  }
+
+  try {
+    // Webhooks can still arrive after the app was uninstalled
+    if (context.admin) await handler(context);
+  } catch (error) {
+    console.error(`Failed to handle ${topic} webhook ${webhookId}`, error);
+    await db.webhookEvent.update({
+      where: { webhookId },
+      data: { status: "failed", error: error.message },
+    });
+    return new Response(null, { status: 500 });
+  }
+
+  await db.webhookEvent.update({
+    where: { webhookId },
+    data: { status: "processed", processedAt: new Date() },
+  });
+  return new Response();
+}
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "MetalRate" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "metal" TEXT NOT NULL,
+    "ratePerGram" DECIMAL(12,2) NOT NULL,
+    "makingChargeType" TEXT NOT NULL DEFAULT 'PER_GRAM',
+    "makingChargeValue" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MetalRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MetalRateHistory" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "metal" TEXT NOT NULL,
+    "ratePerGram" DECIMAL(12,2) NOT NULL,
+    "effectiveDate" DATE NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MetalRateHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "shop" TEXT NOT NULL,
+    "priceTolerancePercent" DECIMAL(5,2) NOT NULL DEFAULT 2,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopSettings_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MetalRate_shop_metal_key" ON "MetalRate"("shop", "metal");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MetalRateHistory_shop_metal_effectiveDate_key" ON "MetalRateHistory"("shop", "metal", "effectiveDate");
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "RepriceRun" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "collectionTitle" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'applied',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "rolledBackAt" TIMESTAMP(3),
+
+    CONSTRAINT "RepriceRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RepriceChange" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "variantTitle" TEXT NOT NULL,
+    "oldPrice" DECIMAL(12,2) NOT NULL,
+    "newPrice" DECIMAL(12,2) NOT NULL,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+
+    CONSTRAINT "RepriceChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RepriceRun_shop_collectionId_idx" ON "RepriceRun"("shop", "collectionId");
+
+-- CreateIndex
+CREATE INDEX "RepriceChange_runId_idx" ON "RepriceChange"("runId");
+
+-- AddForeignKey
+ALTER TABLE "RepriceChange" ADD CONSTRAINT "RepriceChange_runId_fkey" FOREIGN KEY ("runId") REFERENCES "RepriceRun"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "HuidRecord" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "metal" TEXT,
+    "purity" TEXT,
+    "huid" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "HuidRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "HuidRecord_shop_productId_key" ON "HuidRecord"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "HuidRecord_shop_huid_idx" ON "HuidRecord"("shop", "huid");
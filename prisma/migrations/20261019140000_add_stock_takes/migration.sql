@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "StockTake" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "scopeType" TEXT NOT NULL,
+    "scopeId" TEXT NOT NULL,
+    "scopeTitle" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "report" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+
+    CONSTRAINT "StockTake_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockTakeScan" (
+    "id" TEXT NOT NULL,
+    "stockTakeId" TEXT NOT NULL,
+    "barcode" TEXT NOT NULL,
+    "scannedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockTakeScan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockTake_shop_status_idx" ON "StockTake"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "StockTakeScan_stockTakeId_scannedAt_idx" ON "StockTakeScan"("stockTakeId", "scannedAt");
+
+-- AddForeignKey
+ALTER TABLE "StockTakeScan" ADD CONSTRAINT "StockTakeScan_stockTakeId_fkey" FOREIGN KEY ("stockTakeId") REFERENCES "StockTake"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "InventoryAdjustment" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "variantTitle" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "locationName" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "quantityBefore" INTEGER NOT NULL,
+    "quantityAfter" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "note" TEXT,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryAdjustment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryAdjustment_shop_productId_idx" ON "InventoryAdjustment"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "InventoryAdjustment_shop_createdAt_idx" ON "InventoryAdjustment"("shop", "createdAt");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "CollectionStats" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "productsCount" INTEGER NOT NULL,
+    "inStock" INTEGER NOT NULL,
+    "soldOut" INTEGER NOT NULL,
+    "netWeightGrams" DECIMAL(14,3) NOT NULL,
+    "stockValue" DECIMAL(16,2) NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "computedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CollectionStats_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CollectionStats_shop_collectionId_key" ON "CollectionStats"("shop", "collectionId");
@@ -0,0 +1,45 @@
+-- CreateTable
+CREATE TABLE "CollectionSnapshot" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "collectionId" TEXT NOT NULL,
+    "collectionTitle" TEXT NOT NULL,
+    "productsCount" INTEGER NOT NULL,
+    "inStock" INTEGER NOT NULL,
+    "units" INTEGER NOT NULL,
+    "netWeightGrams" DECIMAL(14,3) NOT NULL,
+    "stockValue" DECIMAL(16,2) NOT NULL,
+    "weightByMetal" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CollectionSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProductSnapshot" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "metal" TEXT,
+    "units" INTEGER NOT NULL,
+    "netWeightGrams" DECIMAL(14,3) NOT NULL,
+    "stockValue" DECIMAL(16,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProductSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CollectionSnapshot_shop_collectionId_date_key" ON "CollectionSnapshot"("shop", "collectionId", "date");
+
+-- CreateIndex
+CREATE INDEX "CollectionSnapshot_shop_date_idx" ON "CollectionSnapshot"("shop", "date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductSnapshot_shop_productId_date_key" ON "ProductSnapshot"("shop", "productId", "date");
+
+-- CreateIndex
+CREATE INDEX "ProductSnapshot_shop_date_idx" ON "ProductSnapshot"("shop", "date");
@@ -0,0 +1,126 @@
+-- CreateTable
+CREATE TABLE "CatalogSync" (
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "productsCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "finishedAt" TIMESTAMP(3),
+    "lastSyncedAt" TIMESTAMP(3),
+
+    CONSTRAINT "CatalogSync_pkey" PRIMARY KEY ("shop")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogProduct" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL DEFAULT '',
+    "status" TEXT NOT NULL,
+    "vendor" TEXT,
+    "productType" TEXT,
+    "tags" TEXT[],
+    "featuredImageUrl" TEXT,
+    "featuredImageAlt" TEXT,
+    "images" JSONB NOT NULL,
+    "minPrice" DECIMAL(14,2) NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "totalInventory" INTEGER NOT NULL,
+    "jewellery" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CatalogProduct_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogVariant" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "sku" TEXT,
+    "barcode" TEXT,
+    "price" DECIMAL(14,2) NOT NULL,
+    "compareAtPrice" DECIMAL(14,2),
+    "inventoryQuantity" INTEGER NOT NULL,
+    "availableForSale" BOOLEAN NOT NULL,
+    "selectedOptions" JSONB NOT NULL,
+    "weightValue" DOUBLE PRECISION,
+    "weightUnit" TEXT,
+    "jewellery" JSONB NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "tracked" BOOLEAN NOT NULL,
+
+    CONSTRAINT "CatalogVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogInventoryLevel" (
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "locationName" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+
+    CONSTRAINT "CatalogInventoryLevel_pkey" PRIMARY KEY ("inventoryItemId","locationId")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogCollection" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "imageUrl" TEXT,
+    "imageAlt" TEXT,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CatalogCollection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CatalogCollectionProduct" (
+    "collectionId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "CatalogCollectionProduct_pkey" PRIMARY KEY ("collectionId","productId")
+);
+
+-- CreateIndex
+CREATE INDEX "CatalogProduct_shop_createdAt_idx" ON "CatalogProduct"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_productId_idx" ON "CatalogVariant"("productId");
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_sku_idx" ON "CatalogVariant"("shop", "sku");
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_barcode_idx" ON "CatalogVariant"("shop", "barcode");
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_inventoryItemId_idx" ON "CatalogVariant"("inventoryItemId");
+
+-- CreateIndex
+CREATE INDEX "CatalogInventoryLevel_variantId_idx" ON "CatalogInventoryLevel"("variantId");
+
+-- CreateIndex
+CREATE INDEX "CatalogCollection_shop_title_idx" ON "CatalogCollection"("shop", "title");
+
+-- CreateIndex
+CREATE INDEX "CatalogCollectionProduct_productId_idx" ON "CatalogCollectionProduct"("productId");
+
+-- AddForeignKey
+ALTER TABLE "CatalogVariant" ADD CONSTRAINT "CatalogVariant_productId_fkey" FOREIGN KEY ("productId") REFERENCES "CatalogProduct"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogInventoryLevel" ADD CONSTRAINT "CatalogInventoryLevel_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "CatalogVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogCollectionProduct" ADD CONSTRAINT "CatalogCollectionProduct_collectionId_fkey" FOREIGN KEY ("collectionId") REFERENCES "CatalogCollection"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CatalogCollectionProduct" ADD CONSTRAINT "CatalogCollectionProduct_productId_fkey" FOREIGN KEY ("productId") REFERENCES "CatalogProduct"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "alertEmails" TEXT;
+
+-- CreateTable
+CREATE TABLE "StockThreshold" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "scopeType" TEXT NOT NULL,
+    "scopeId" TEXT NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockThreshold_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockThreshold_shop_scopeType_scopeId_key" ON "StockThreshold"("shop", "scopeType", "scopeId");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "SaleLine" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "productId" TEXT,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "revenue" DECIMAL(14,2) NOT NULL,
+    "currencyCode" TEXT NOT NULL,
+    "soldAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SaleLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SaleLine_shop_productId_soldAt_idx" ON "SaleLine"("shop", "productId", "soldAt");
+
+-- CreateIndex
+CREATE INDEX "SaleLine_orderId_idx" ON "SaleLine"("orderId");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "CatalogProduct" ADD COLUMN "inwardAt" TIMESTAMP(3);
+
+-- Existing rows age from their creation date until the next sync
+UPDATE "CatalogProduct" SET "inwardAt" = "createdAt";
+
+ALTER TABLE "CatalogProduct" ALTER COLUMN "inwardAt" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "CatalogProduct_shop_inwardAt_idx" ON "CatalogProduct"("shop", "inwardAt");
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "StaffRole" (
+    "shop" TEXT NOT NULL,
+    "userId" BIGINT NOT NULL,
+    "role" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffRole_pkey" PRIMARY KEY ("shop","userId")
+);
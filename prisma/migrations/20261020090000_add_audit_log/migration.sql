@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "userId" TEXT,
+    "userName" TEXT,
+    "userEmail" TEXT,
+    "action" TEXT NOT NULL,
+    "productId" TEXT,
+    "targetId" TEXT,
+    "targetTitle" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_shop_createdAt_idx" ON "AuditLog"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_shop_productId_idx" ON "AuditLog"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_shop_userId_idx" ON "AuditLog"("shop", "userId");
+
+-- Entries can be added but never changed or removed
+CREATE FUNCTION "audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'AuditLog is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AuditLog_append_only"
+    BEFORE UPDATE OR DELETE ON "AuditLog"
+    FOR EACH ROW EXECUTE FUNCTION "audit_log_append_only"();
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "CatalogVariant" ADD COLUMN "weightGrams" DOUBLE PRECISION;
+
+-- Backfill from the unit each weight was entered in
+UPDATE "CatalogVariant"
+SET "weightGrams" = "weightValue" * CASE "weightUnit"
+    WHEN 'GRAMS' THEN 1
+    WHEN 'KILOGRAMS' THEN 1000
+    WHEN 'OUNCES' THEN 28.349523125
+    WHEN 'POUNDS' THEN 453.59237
+END
+WHERE "weightValue" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "CatalogVariant_shop_weightGrams_idx" ON "CatalogVariant"("shop", "weightGrams");
+
+-- CreateTable
+CREATE TABLE "StaffPreference" (
+    "shop" TEXT NOT NULL,
+    "userId" BIGINT NOT NULL,
+    "weightDisplay" TEXT NOT NULL DEFAULT 'grams',
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StaffPreference_pkey" PRIMARY KEY ("shop","userId")
+);
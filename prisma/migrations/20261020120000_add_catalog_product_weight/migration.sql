@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "CatalogProduct" ADD COLUMN "weightGrams" DOUBLE PRECISION;
+
+-- Backfill from each product's first variant
+UPDATE "CatalogProduct" AS product
+SET "weightGrams" = first."weightGrams"
+FROM (
+    SELECT DISTINCT ON ("productId") "productId", "weightGrams"
+    FROM "CatalogVariant"
+    ORDER BY "productId", "position"
+) AS first
+WHERE first."productId" = product."id";
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "WebhookEvent" ADD COLUMN "claimedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Earlier deliveries were claimed when they were received
+UPDATE "WebhookEvent" SET "claimedAt" = "receivedAt";
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "CatalogSync" ADD COLUMN "salesStatus" TEXT,
+ADD COLUMN "salesError" TEXT;